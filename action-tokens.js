@@ -0,0 +1,101 @@
+// action-tokens.js
+// 이메일 인증 / 비밀번호 재설정 링크에 들어가는 1회용 토큰
+//
+// 토큰은 JWT_SECRET으로 서명된 JWT(aud = facer:<purpose>)이고, jti를 auth_action_tokens에 저장해
+// 한 번 사용하면 used_at이 찍혀 다시 쓸 수 없다. 새 토큰을 발급하면 같은 용도의 이전 토큰은 무효가 된다.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const PURPOSES = {
+  verify_email: {
+    ttlMinutes: parseInt(process.env.EMAIL_VERIFY_TOKEN_TTL_MINUTES, 10) || 24 * 60,
+  },
+  reset_password: {
+    ttlMinutes: parseInt(process.env.PASSWORD_RESET_TOKEN_TTL_MINUTES, 10) || 30,
+  },
+};
+// 같은 용도의 토큰 재발급 최소 간격 (메일 폭탄 방지)
+const RESEND_INTERVAL_SEC = parseInt(process.env.ACTION_TOKEN_RESEND_INTERVAL_SEC, 10) || 60;
+
+class ActionTokenError extends Error {
+  constructor(message, code, status = 400) {
+    super(message);
+    this.name = 'ActionTokenError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// 새 토큰 발급. 직전 발급 후 RESEND_INTERVAL_SEC가 지나지 않았으면 null
+async function createActionToken(client, { userId, purpose, email }) {
+  const config = PURPOSES[purpose];
+  if (!config) throw new Error(`알 수 없는 토큰 용도: ${purpose}`);
+
+  const recent = await client.query(
+    `SELECT 1 FROM auth_action_tokens
+      WHERE user_id = $1 AND purpose = $2
+        AND created_at > NOW() - make_interval(secs => $3)`,
+    [userId, purpose, RESEND_INTERVAL_SEC]
+  );
+  if (recent.rows.length) return null;
+
+  await client.query(
+    `UPDATE auth_action_tokens SET used_at = NOW()
+      WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL`,
+    [userId, purpose]
+  );
+
+  const jti = crypto.randomUUID();
+  await client.query(
+    `INSERT INTO auth_action_tokens (jti, user_id, purpose, email, expires_at)
+     VALUES ($1, $2, $3, $4, NOW() + make_interval(mins => $5))`,
+    [jti, userId, purpose, email, config.ttlMinutes]
+  );
+  return jwt.sign({ sub: String(userId), email }, process.env.JWT_SECRET, {
+    audience: `facer:${purpose}`,
+    jwtid: jti,
+    expiresIn: `${config.ttlMinutes}m`,
+  });
+}
+
+// 토큰 검증 후 사용 처리. 같은 트랜잭션 안에서 호출해야 한다.
+// 반환: { user_id, email }
+async function consumeActionToken(client, token, purpose) {
+  let payload;
+  try {
+    payload = jwt.verify(token, process.env.JWT_SECRET, { audience: `facer:${purpose}` });
+  } catch (err) {
+    if (err.name === 'TokenExpiredError') {
+      throw new ActionTokenError('링크가 만료되었습니다. 다시 요청해주세요.', 'expired', 410);
+    }
+    throw new ActionTokenError('유효하지 않은 링크입니다.', 'invalid');
+  }
+
+  const { rows } = await client.query(
+    `SELECT jti, user_id, email, expires_at, used_at
+       FROM auth_action_tokens
+      WHERE jti = $1 AND purpose = $2
+      FOR UPDATE`,
+    [payload.jti, purpose]
+  );
+  const row = rows[0];
+  if (!row || String(row.user_id) !== payload.sub) {
+    throw new ActionTokenError('유효하지 않은 링크입니다.', 'invalid');
+  }
+  if (row.used_at) {
+    throw new ActionTokenError('이미 사용되었거나 더 이상 유효하지 않은 링크입니다.', 'used', 410);
+  }
+  if (new Date(row.expires_at) <= new Date()) {
+    throw new ActionTokenError('링크가 만료되었습니다. 다시 요청해주세요.', 'expired', 410);
+  }
+
+  await client.query('UPDATE auth_action_tokens SET used_at = NOW() WHERE jti = $1', [row.jti]);
+  return { user_id: row.user_id, email: row.email };
+}
+
+module.exports = {
+  ActionTokenError,
+  createActionToken,
+  consumeActionToken,
+};
@@ -0,0 +1,120 @@
+// admin-targets.js
+// 닮은 대상 카탈로그 관리 라우트 (/admin/targets/...) — 관리자 전용
+
+const express = require('express');
+const { authenticateToken, requireAdmin } = require('./tokens');
+const { uploadImage } = require('./uploads');
+const { sendEmbeddingError } = require('./embedding-client');
+const {
+  createTarget,
+  listTargets,
+  getTarget,
+  updateTarget,
+  deleteTarget,
+  sendCatalogError,
+} = require('./target-catalog');
+
+const router = express.Router();
+router.use(authenticateToken, requireAdmin);
+
+// :target_photo_id는 정수만 받는다. 아니면 DB에 묻기 전에 400
+router.param('target_photo_id', (req, res, next, value) => {
+  if (!/^\d+$/.test(value) || Number(value) > 2147483647) {
+    return res.status(400).json({ error: 'target_photo_id(정수)가 필요합니다.' });
+  }
+  next();
+});
+
+// 이미지 + name, type, metadata(JSON) 로 대상 등록. 중복이면 409 (allow_duplicate=true로 무시)
+// /uploadtarget(기존 경로)도 이 핸들러를 쓴다 — 예전 형식인 meta(JSON) 필드도 받는다.
+async function createTargetHandler(req, res) {
+  if (!req.image) {
+    return res.status(400).json({ error: '이미지 파일이 필요합니다.' });
+  }
+  let fields = req.body;
+  if (req.body.meta) {
+    try {
+      fields = JSON.parse(req.body.meta);
+    } catch (e) {
+      return res.status(400).json({ error: '잘못된 meta JSON 형식입니다.' });
+    }
+  }
+
+  try {
+    const { target, face } = await createTarget({
+      ingested: req.image,
+      name: fields.name,
+      type: fields.type,
+      metadata: fields.metadata,
+      allowDuplicate: req.body.allow_duplicate === 'true',
+    });
+    res.status(201).json({
+      message: '사진이 성공적으로 업로드 및 처리되었습니다.',
+      photo: {
+        ...target,
+        facial_area: face.facialArea,
+        facial_confidence: face.facialConfidence,
+      },
+    });
+  } catch (err) {
+    if (sendCatalogError(res, err)) return;
+    if (sendEmbeddingError(res, err)) return;
+    console.error('POST /admin/targets error:', err);
+    res.status(500).json({ error: '대상 등록 중 오류가 발생했습니다.' });
+  }
+}
+
+router.get('/', async (req, res) => {
+  try {
+    res.json(await listTargets(req.query));
+  } catch (err) {
+    console.error('GET /admin/targets error:', err);
+    res.status(500).json({ error: '대상 목록 조회 중 오류가 발생했습니다.' });
+  }
+});
+
+router.get('/:target_photo_id', async (req, res) => {
+  try {
+    const target = await getTarget(req.params.target_photo_id);
+    if (!target) {
+      return res.status(404).json({ error: '해당 대상을 찾을 수 없습니다.' });
+    }
+    res.json(target);
+  } catch (err) {
+    console.error('GET /admin/targets/:id error:', err);
+    res.status(500).json({ error: '대상 조회 중 오류가 발생했습니다.' });
+  }
+});
+
+router.post('/', uploadImage, createTargetHandler);
+
+router.patch('/:target_photo_id', async (req, res) => {
+  try {
+    const { name, type, metadata } = req.body;
+    const target = await updateTarget(req.params.target_photo_id, { name, type, metadata });
+    if (!target) {
+      return res.status(404).json({ error: '해당 대상을 찾을 수 없습니다.' });
+    }
+    res.json(target);
+  } catch (err) {
+    if (sendCatalogError(res, err)) return;
+    console.error('PATCH /admin/targets/:id error:', err);
+    res.status(500).json({ error: '대상 수정 중 오류가 발생했습니다.' });
+  }
+});
+
+router.delete('/:target_photo_id', async (req, res) => {
+  try {
+    const target = await deleteTarget(req.params.target_photo_id);
+    if (!target) {
+      return res.status(404).json({ error: '해당 대상을 찾을 수 없습니다.' });
+    }
+    res.json({ message: '대상이 삭제되었습니다.', deleted: target });
+  } catch (err) {
+    console.error('DELETE /admin/targets/:id error:', err);
+    res.status(500).json({ error: '대상 삭제 중 오류가 발생했습니다.' });
+  }
+});
+
+module.exports = router;
+module.exports.createTargetHandler = createTargetHandler;
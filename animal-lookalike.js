@@ -0,0 +1,142 @@
+// animal-lookalike.js
+// 닮은 동물 예측 — 내 사진의 저장된 얼굴 박스로 자른 이미지를 Flask /predict에 보낸다
+//
+// 결과(확률 상위 ANIMAL_MAX_TOP_N개)는 얼굴 + 모델 버전(ANIMAL_MODEL_VERSION)마다 animal_predictions에 캐시한다.
+// 모델을 바꾸면 ANIMAL_MODEL_VERSION을 올리면 되고, 예전 버전 캐시는 그대로 남는다.
+
+const sharp = require('sharp');
+const pool = require('./db');
+const { getEmbeddingClient, EmbeddingUnavailableError, EmbeddingUpstreamError } = require('./embedding-client');
+const { getFaceBox } = require('./faces');
+const { getFile } = require('./storage');
+
+const ANIMAL_MODEL_VERSION = process.env.ANIMAL_MODEL_VERSION || 'v1';
+const ANIMAL_DEFAULT_TOP_N = parseInt(process.env.ANIMAL_DEFAULT_TOP_N, 10) || 3;
+const ANIMAL_MAX_TOP_N = parseInt(process.env.ANIMAL_MAX_TOP_N, 10) || 10;
+
+class AnimalLookalikeError extends Error {
+  constructor(message, code, status = 400) {
+    super(message);
+    this.name = 'AnimalLookalikeError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+function parseTopN(value) {
+  if (value === undefined || value === null || value === '') return ANIMAL_DEFAULT_TOP_N;
+  const topN = Number(value);
+  if (!Number.isInteger(topN) || topN < 1 || topN > ANIMAL_MAX_TOP_N) {
+    throw new AnimalLookalikeError(`top_n은 1 ~ ${ANIMAL_MAX_TOP_N} 사이 정수여야 합니다.`, 'invalid_top_n');
+  }
+  return topN;
+}
+
+// 얼굴 박스로 자르기 (이미지 경계를 넘지 않게)
+async function cropFace(image, facialArea) {
+  const source = sharp(image);
+  const { width, height } = await source.metadata();
+  const left = Math.min(Math.max(0, Math.round(facialArea.x)), width - 1);
+  const top = Math.min(Math.max(0, Math.round(facialArea.y)), height - 1);
+  return source
+    .extract({
+      left,
+      top,
+      width: Math.max(1, Math.min(Math.round(facialArea.w), width - left)),
+      height: Math.max(1, Math.min(Math.round(facialArea.h), height - top)),
+    })
+    .jpeg()
+    .toBuffer();
+}
+
+// /predict 응답 → [{ animal, probability }] 확률 내림차순
+// 지원 형식: { predictions: [{ class, confidence }] } | { probabilities: { 클래스: 확률 } } | { class, confidence }
+function parsePredictions(data) {
+  let predictions;
+  if (Array.isArray(data?.predictions)) {
+    predictions = data.predictions.map(p => ({ animal: p.class ?? p.label, probability: p.confidence ?? p.probability }));
+  } else if (data?.probabilities && typeof data.probabilities === 'object') {
+    predictions = Object.entries(data.probabilities).map(([animal, probability]) => ({ animal, probability }));
+  } else if (data?.class !== undefined) {
+    predictions = [{ animal: data.class, probability: data.confidence }];
+  } else {
+    throw new EmbeddingUpstreamError('예측 서비스 응답에 결과가 없습니다.', { code: 'bad_prediction' });
+  }
+  const valid = predictions
+    .filter(p => typeof p.animal === 'string' && Number.isFinite(Number(p.probability)))
+    .map(p => ({ animal: p.animal, probability: Number(p.probability) }))
+    .sort((a, b) => b.probability - a.probability)
+    .slice(0, ANIMAL_MAX_TOP_N);
+  // 쓸 수 있는 결과가 없으면 캐시하지 않도록 오류로 본다
+  if (valid.length === 0) {
+    throw new EmbeddingUpstreamError('예측 서비스 응답에 올바른 결과가 없습니다.', { code: 'bad_prediction' });
+  }
+  return valid;
+}
+
+async function requestPredictions(face) {
+  const client = getEmbeddingClient();
+  if (typeof client.call !== 'function') {
+    throw new EmbeddingUnavailableError(`${client.name} provider는 닮은 동물 예측을 지원하지 않습니다.`, { code: 'not_supported' });
+  }
+  const cropped = await cropFace(await getFile(face.image_url), face.facial_area);
+  return parsePredictions(await client.call('/predict', cropped, 'face.jpg'));
+}
+
+// 내 사진의 얼굴(photo_face_id가 없으면 선택된 얼굴)로 닮은 동물 상위 topN개.
+// 반환: { user_photo_id, photo_face_id, model_version, cached, animal, confidence, predictions }
+async function predictAnimal(userId, userPhotoId, { photoFaceId = null, topN = ANIMAL_DEFAULT_TOP_N } = {}) {
+  // 다른 사람 사진은 있는지 여부도 알려주지 않는다 (getFaceBox는 userId의 사진만 찾는다)
+  const face = await getFaceBox(userPhotoId, userId, photoFaceId);
+  if (!face) {
+    throw new AnimalLookalikeError('해당 사진의 얼굴 정보를 찾을 수 없습니다.', 'not_found', 404);
+  }
+
+  const cached = await pool.query(
+    'SELECT predictions FROM animal_predictions WHERE photo_face_id = $1 AND model_version = $2',
+    [face.photo_face_id, ANIMAL_MODEL_VERSION]
+  );
+  let predictions = cached.rows[0]?.predictions;
+  // 예전에 빈 결과가 캐시된 경우도 다시 예측한다
+  const hit = predictions?.length > 0;
+  if (!hit) {
+    predictions = await requestPredictions(face);
+    await pool.query(
+      `INSERT INTO animal_predictions (photo_face_id, model_version, user_photo_id, predictions)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (photo_face_id, model_version)
+       DO UPDATE SET predictions = EXCLUDED.predictions
+       WHERE jsonb_array_length(animal_predictions.predictions) = 0`,
+      [face.photo_face_id, ANIMAL_MODEL_VERSION, face.user_photo_id, JSON.stringify(predictions)]
+    );
+  }
+
+  const top = predictions.slice(0, topN);
+  return {
+    user_photo_id: face.user_photo_id,
+    photo_face_id: face.photo_face_id,
+    model_version: ANIMAL_MODEL_VERSION,
+    cached: hit,
+    // 예전 응답 형식 호환: 1위 동물
+    animal: top[0]?.animal ?? null,
+    confidence: top[0]?.probability ?? null,
+    predictions: top,
+  };
+}
+
+// 라우트에서 AnimalLookalikeError를 HTTP 응답으로 변환. 처리했으면 true
+function sendAnimalLookalikeError(res, err) {
+  if (!(err instanceof AnimalLookalikeError)) return false;
+  res.status(err.status).json({ error: err.message, code: err.code });
+  return true;
+}
+
+module.exports = {
+  ANIMAL_MODEL_VERSION,
+  AnimalLookalikeError,
+  parseTopN,
+  cropFace,
+  parsePredictions,
+  predictAnimal,
+  sendAnimalLookalikeError,
+};
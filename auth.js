@@ -0,0 +1,669 @@
+// auth.js
+// 인증 라우트 (/auth/...) — 구글 / 카카오 / 이메일 로그인, 토큰, 로그인 수단 연결
+//
+// 모든 로그인은 user_identities를 거쳐 하나의 Facer 사용자(users)로 이어진다.
+
+const express = require('express');
+const axios = require('axios');
+const qs = require('qs');
+const pool = require('./db');
+const { hashPassword, verifyPassword, validatePasswordStrength } = require('./passwords');
+const {
+  TokenError,
+  issueTokens,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  authenticateToken,
+} = require('./tokens');
+const { GoogleTokenError, verifyGoogleIdToken } = require('./google-verify');
+const {
+  IdentityError,
+  withTransaction,
+  findOrCreateUserForIdentity,
+  linkIdentity,
+  unlinkIdentity,
+  listIdentities,
+} = require('./identities');
+const { ActionTokenError, createActionToken, consumeActionToken } = require('./action-tokens');
+const { sendMail } = require('./mailer');
+
+const router = express.Router();
+
+const GOOGLE_TOKEN_URI = 'https://oauth2.googleapis.com/token';
+const KAKAO_TOKEN_URI = 'https://kauth.kakao.com/oauth/token';
+const KAKAO_API_HOST = 'https://kapi.kakao.com';
+// true면 이메일 인증을 마치지 않은 이메일 계정은 로그인할 수 없다
+const REQUIRE_EMAIL_VERIFICATION = process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
+
+// 응답에 내보낼 사용자 필드 (password 제외)
+function publicUser(user) {
+  return {
+    user_id: user.user_id,
+    email: user.email,
+    nickname: user.nickname,
+    profile_image_url: user.profile_image_url,
+    is_online: user.is_online,
+  };
+}
+
+// provider 관련 오류를 HTTP 응답으로 변환. 처리했으면 true
+function sendAuthError(res, err) {
+  if (err instanceof GoogleTokenError) {
+    console.warn('구글 ID 토큰 거부:', err.code, err.message);
+    res.status(err.status).json({ message: '구글 인증 정보가 유효하지 않습니다.', code: err.code });
+    return true;
+  }
+  if (err instanceof TokenError || err instanceof IdentityError || err instanceof ActionTokenError) {
+    res.status(err.status).json({ message: err.message, code: err.code });
+    return true;
+  }
+  return false;
+}
+
+// 구글 인가 코드 → 검증된 프로필
+async function fetchGoogleProfile(code) {
+  const tokenRes = await axios.post(
+    GOOGLE_TOKEN_URI,
+    qs.stringify({
+      code,
+      client_id: process.env.GOOGLE_CLIENT_ID,
+      client_secret: process.env.GOOGLE_CLIENT_SECRET,
+      redirect_uri: process.env.GOOGLE_REDIRECT_URI,
+      grant_type: 'authorization_code',
+    }),
+    { headers: { 'Content-Type': 'application/x-www-form-urlencoded' }, timeout: 30000 }
+  );
+
+  // ID 토큰 검증 (서명 / iss / aud / exp / email_verified)
+  const verified = await verifyGoogleIdToken(tokenRes.data.id_token);
+  return {
+    providerUserId: verified.sub,
+    email: verified.email,
+    emailVerified: verified.email_verified === true || verified.email_verified === 'true',
+    nickname: verified.name || `User_${verified.sub}`,
+    profileImageUrl: verified.picture,
+  };
+}
+
+// 카카오 인가 코드 → 프로필 (+ 카카오 access token)
+async function fetchKakaoProfile(code) {
+  const tokenRes = await axios.post(
+    KAKAO_TOKEN_URI,
+    qs.stringify({
+      grant_type: 'authorization_code',
+      client_id: process.env.KAKAO_REST_API_KEY,
+      client_secret: process.env.KAKAO_CLIENT_SECRET,
+      redirect_uri: process.env.KAKAO_AUTH_REDIRECT_URI,
+      code,
+    }),
+    { headers: { 'Content-Type': 'application/x-www-form-urlencoded;charset=utf-8' }, timeout: 30000 }
+  );
+  const { access_token, refresh_token } = tokenRes.data;
+  const userRes = await axios.get(`${KAKAO_API_HOST}/v2/user/me`, {
+    headers: { Authorization: `Bearer ${access_token}` },
+    timeout: 30000,
+  });
+  const kakaoUser = userRes.data;
+  const account = kakaoUser.kakao_account || {};
+  return {
+    profile: {
+      providerUserId: kakaoUser.id,
+      email: account.email,
+      // 카카오는 인증되고(is_email_verified) 유효한(is_email_valid) 이메일일 때만 신뢰
+      emailVerified: !!(account.is_email_verified && account.is_email_valid),
+      nickname: account.profile?.nickname || `User_${kakaoUser.id}`,
+      profileImageUrl: account.profile?.profile_image_url || null,
+    },
+    kakaoAccessToken: access_token,
+    kakaoRefreshToken: refresh_token,
+  };
+}
+
+// 메일 링크에 들어갈 프론트엔드 주소
+function frontendLink(pathname, token) {
+  const base = process.env.FRONTEND_URL || 'http://localhost:5173';
+  return `${base.replace(/\/$/, '')}${pathname}?token=${encodeURIComponent(token)}`;
+}
+
+// 이메일 인증 메일 발송 (직전에 보냈으면 건너뜀)
+async function sendVerificationEmail(client, userId, email) {
+  const token = await createActionToken(client, { userId, purpose: 'verify_email', email });
+  if (!token) return false;
+  const link = frontendLink('/verify-email', token);
+  await sendMail({
+    to: email,
+    subject: '[Facer] 이메일 주소를 인증해주세요',
+    text: `아래 링크를 눌러 이메일 인증을 완료해주세요.\n\n${link}\n\n본인이 요청하지 않았다면 이 메일을 무시하세요.`,
+  });
+  return true;
+}
+
+// 비밀번호 재설정 메일 발송 (직전에 보냈으면 건너뜀)
+async function sendPasswordResetEmail(client, userId, email) {
+  const token = await createActionToken(client, { userId, purpose: 'reset_password', email });
+  if (!token) return false;
+  const link = frontendLink('/reset-password', token);
+  await sendMail({
+    to: email,
+    subject: '[Facer] 비밀번호 재설정',
+    text: `아래 링크에서 새 비밀번호를 설정해주세요.\n\n${link}\n\n본인이 요청하지 않았다면 이 메일을 무시하세요.`,
+  });
+  return true;
+}
+
+// 이메일 로그인 수단 조회
+async function findEmailIdentity(client, email) {
+  const { rows } = await client.query(
+    `SELECT identity_id, user_id, email, email_verified
+       FROM user_identities
+      WHERE provider = 'email' AND provider_user_id = lower($1)`,
+    [email]
+  );
+  return rows[0];
+}
+
+// --- Google OAuth 로그인 처리 ---
+router.post('/google/login', async (req, res) => {
+  const { code } = req.body;
+  if (!code) return res.status(400).json({ message: '인가 코드가 필요합니다.' });
+  try {
+    const profile = await fetchGoogleProfile(code);
+    const user = await findOrCreateUserForIdentity('google', profile);
+    const tokens = await issueTokens(user, { userAgent: req.get('user-agent') });
+    res.json({ ...tokens, user: publicUser(user) });
+  } catch (err) {
+    if (sendAuthError(res, err)) return;
+    console.error('구글 로그인 오류:', err.response?.data || err.message);
+    res.status(500).json({ message: '구글 로그인 처리 중 오류가 발생했습니다.', detail: err.message });
+  }
+});
+
+// --- 카카오 로그인 처리 ---
+router.post('/kakao/login', async (req, res) => {
+  const { code } = req.body;
+  if (!code) return res.status(400).json({ message: '인가 코드가 없습니다.' });
+  try {
+    const { profile, kakaoAccessToken, kakaoRefreshToken } = await fetchKakaoProfile(code);
+    const user = await findOrCreateUserForIdentity('kakao', profile);
+    const tokens = await issueTokens(user, { userAgent: req.get('user-agent') });
+    req.session.kakaoAccessToken = kakaoAccessToken;
+    req.session.kakaoRefreshToken = kakaoRefreshToken;
+    res.json({
+      message: '카카오 로그인 성공',
+      ...tokens,
+      user: publicUser(user),
+      kakao_access_token: kakaoAccessToken,
+    });
+  } catch (err) {
+    if (sendAuthError(res, err)) return;
+    console.error('카카오 로그인 오류:', err.response?.data || err.message);
+    res.status(500).json({ message: '카카오 로그인 처리 중 오류가 발생했습니다.' });
+  }
+});
+
+// 카카오 API 호출에 쓸 access token (body 우선, 없으면 세션)
+function kakaoAccessTokenFrom(req) {
+  return req.body.kakaoAccessToken || req.session.kakaoAccessToken;
+}
+
+// --- 카카오 로그아웃 (카카오 쪽 세션 종료) ---
+router.post('/kakao/logout', async (req, res) => {
+  const accessToken = kakaoAccessTokenFrom(req);
+  if (!accessToken) {
+    return res.status(400).json({ message: '로그인된 카카오 토큰이 없습니다.' });
+  }
+  try {
+    await axios.post(`${KAKAO_API_HOST}/v1/user/logout`, null, {
+      headers: { Authorization: `Bearer ${accessToken}` },
+    });
+    delete req.session.kakaoAccessToken;
+    delete req.session.kakaoRefreshToken;
+    res.json({ message: '카카오 로그아웃 성공!' });
+  } catch (err) {
+    console.error('카카오 로그아웃 오류:', err.response?.data || err.message);
+    res.status(500).json({ message: '카카오 로그아웃 중 오류가 발생했습니다.' });
+  }
+});
+
+// --- 카카오 연결 끊기 — 카카오 앱 연결 해제 + 연결된 로그인 수단 삭제 ---
+// 카카오가 계정의 마지막 로그인 수단이면 아무도 로그인할 수 없는 계정이 되므로 끊지 않는다 (unlinkIdentity와 같다)
+router.post('/kakao/unlink', async (req, res) => {
+  const accessToken = kakaoAccessTokenFrom(req);
+  if (!accessToken) {
+    return res.status(400).json({ message: '로그인된 카카오 토큰이 없습니다.' });
+  }
+  try {
+    const headers = { Authorization: `Bearer ${accessToken}` };
+    const meRes = await axios.get(`${KAKAO_API_HOST}/v2/user/me`, { headers, timeout: 30000 });
+    const { rows } = await pool.query(
+      `SELECT i.identity_id, i.user_id,
+              (SELECT COUNT(*)::int FROM user_identities o WHERE o.user_id = i.user_id) AS identity_count
+         FROM user_identities i
+        WHERE i.provider = 'kakao' AND i.provider_user_id = $1`,
+      [String(meRes.data.id)]
+    );
+    const identity = rows[0];
+    // 카카오 쪽을 끊기 전에 확인한다. 지울 때 unlinkIdentity가 잠근 상태로 한 번 더 확인한다
+    if (identity && identity.identity_count <= 1) {
+      throw new IdentityError('마지막 로그인 수단은 해제할 수 없습니다. 다른 로그인 수단을 먼저 연결하세요.', 409, 'last_identity');
+    }
+    await axios.post(`${KAKAO_API_HOST}/v1/user/unlink`, null, { headers });
+    if (identity) await unlinkIdentity(identity.user_id, identity.identity_id);
+    delete req.session.kakaoAccessToken;
+    delete req.session.kakaoRefreshToken;
+    res.json({ message: '카카오 연결 끊기 성공!' });
+  } catch (err) {
+    if (sendAuthError(res, err)) return;
+    console.error('카카오 연결 끊기 오류:', err.response?.data || err.message);
+    res.status(500).json({ message: '카카오 연결 끊기 중 오류가 발생했습니다.' });
+  }
+});
+
+// --- 이메일 로그인 ---
+router.post('/email/login', async (req, res) => {
+  const { email, password } = req.body;
+  if (!email || !password) {
+    return res.status(400).json({ message: 'email과 password가 모두 필요합니다.' });
+  }
+
+  let client;
+  try {
+    client = await pool.connect();
+
+    // 1) 이메일 로그인 수단으로 사용자 조회
+    const userRes = await client.query(
+      `SELECT u.user_id, u.email, u.nickname, u.password, u.profile_image_url, u.is_online,
+              i.identity_id, i.email_verified
+         FROM user_identities i
+         JOIN users u ON u.user_id = i.user_id
+        WHERE i.provider = 'email' AND i.provider_user_id = lower($1)`,
+      [email]
+    );
+    if (userRes.rows.length === 0) {
+      return res.status(401).json({ message: '이메일 또는 비밀번호가 일치하지 않습니다.' });
+    }
+    const user = userRes.rows[0];
+
+    // 2) 비밀번호 검증 (scrypt 해시, 예전 평문 비밀번호도 허용)
+    const { ok, needsRehash } = await verifyPassword(password, user.password);
+    if (!ok) {
+      return res.status(401).json({ message: '이메일 또는 비밀번호가 일치하지 않습니다.' });
+    }
+    if (REQUIRE_EMAIL_VERIFICATION && !user.email_verified) {
+      return res.status(403).json({ message: '이메일 인증을 먼저 완료해주세요.', code: 'email_unverified' });
+    }
+    // 평문이거나 오래된 파라미터로 저장된 비밀번호는 현재 형식으로 다시 저장
+    if (needsRehash) {
+      await client.query(
+        'UPDATE users SET password = $1, updated_at = NOW() WHERE user_id = $2',
+        [await hashPassword(password), user.user_id]
+      );
+    }
+
+    // 3) access token + refresh token 발급
+    const tokens = await issueTokens(user, { client, userAgent: req.get('user-agent') });
+
+    // 4) 마지막 로그인 시각 업데이트 (온라인 상태는 실시간 알림 스트림 연결로 정해진다)
+    await client.query('UPDATE user_identities SET last_login_at = NOW() WHERE identity_id = $1', [user.identity_id]);
+
+    // 5) 응답
+    res.json({ ...tokens, user: publicUser(user) });
+  } catch (err) {
+    console.error('EMAIL LOGIN ERROR:', err);
+    res.status(500).json({ message: '로그인 중 오류가 발생했습니다.' });
+  } finally {
+    client?.release();
+  }
+});
+
+// 이메일이 이미 다른 계정의 로그인 수단이나 연락처로 쓰이는지 확인
+async function isEmailTaken(client, email, exceptUserId = null) {
+  const { rows } = await client.query(
+    `SELECT 1 FROM users WHERE lower(email) = lower($1) AND user_id IS DISTINCT FROM $2
+     UNION ALL
+     SELECT 1 FROM user_identities
+      WHERE provider = 'email' AND provider_user_id = lower($1) AND user_id IS DISTINCT FROM $2`,
+    [email, exceptUserId]
+  );
+  return rows.length > 0;
+}
+
+//닉네임, 이메일, 비밀번호를 받아서 가입, 디비에 들어감
+router.post('/register', async (req, res) => {
+  const { email, nickname, password } = req.body;
+  if (!email || !nickname || !password) {
+    return res.status(400).json({ message: 'email, nickname, password 모두 필요합니다.' });
+  }
+  const passwordErrors = validatePasswordStrength(password, { email, nickname });
+  if (passwordErrors.length) {
+    return res.status(400).json({ message: passwordErrors[0], errors: passwordErrors });
+  }
+
+  try {
+    const passwordHash = await hashPassword(password);
+    const user = await withTransaction(async (client) => {
+      // 이미 같은 이메일이 있는지 체크
+      if (await isEmailTaken(client, email)) {
+        throw new IdentityError('이미 사용 중인 이메일입니다.', 409, 'email_taken');
+      }
+
+      // 사용자 + 이메일 로그인 수단 생성 (password는 scrypt 해시로 저장)
+      const ins = await client.query(
+        `INSERT INTO users
+           (email, nickname, password)
+         VALUES ($1, $2, $3)
+         RETURNING user_id, email, nickname, profile_image_url, created_at`,
+        [email, nickname, passwordHash]
+      );
+      await client.query(
+        `INSERT INTO user_identities (user_id, provider, provider_user_id, email, email_verified)
+         VALUES ($1, 'email', lower($2), $2, false)`,
+        [ins.rows[0].user_id, email]
+      );
+      return ins.rows[0];
+    });
+
+    // 인증 메일 발송 실패는 가입 자체를 실패로 보지 않는다 (재요청 가능)
+    try {
+      await sendVerificationEmail(pool, user.user_id, email);
+    } catch (mailErr) {
+      console.error('VERIFY EMAIL SEND ERROR:', mailErr);
+    }
+    res.json({ message: '회원가입 완료', user, email_verification_required: REQUIRE_EMAIL_VERIFICATION });
+  } catch (err) {
+    if (sendAuthError(res, err)) return;
+    // 동시에 같은 이메일로 가입한 경우
+    if (err.code === '23505') {
+      return res.status(409).json({ message: '이미 사용 중인 이메일입니다.' });
+    }
+    console.error('REGISTER ERROR:', err);
+    res.status(500).json({ message: '회원가입 중 오류가 발생했습니다.' });
+  }
+});
+
+// 이메일 인증 메일 (재)발송 — 가입 여부가 드러나지 않도록 항상 같은 응답
+router.post('/email/verify/request', async (req, res) => {
+  const { email } = req.body;
+  if (!email) return res.status(400).json({ message: 'email이 필요합니다.' });
+  try {
+    const identity = await findEmailIdentity(pool, email);
+    if (identity && !identity.email_verified) {
+      await sendVerificationEmail(pool, identity.user_id, identity.email);
+    }
+    res.json({ message: '인증이 필요한 계정이면 인증 메일이 발송됩니다.' });
+  } catch (err) {
+    console.error('VERIFY EMAIL REQUEST ERROR:', err);
+    res.status(500).json({ message: '인증 메일 발송 중 오류가 발생했습니다.' });
+  }
+});
+
+// 이메일 인증 완료 — body: { token }
+router.post('/email/verify', async (req, res) => {
+  const { token } = req.body;
+  if (!token) return res.status(400).json({ message: 'token이 필요합니다.' });
+  try {
+    await withTransaction(async (client) => {
+      const { user_id, email } = await consumeActionToken(client, token, 'verify_email');
+      const { rowCount } = await client.query(
+        `UPDATE user_identities SET email_verified = true
+          WHERE user_id = $1 AND provider = 'email' AND provider_user_id = lower($2)`,
+        [user_id, email]
+      );
+      // 토큰 발급 후 이메일 로그인이 해제/변경된 경우
+      if (rowCount === 0) {
+        throw new ActionTokenError('더 이상 유효하지 않은 링크입니다.', 'stale', 410);
+      }
+    });
+    res.json({ message: '이메일 인증이 완료되었습니다.' });
+  } catch (err) {
+    if (sendAuthError(res, err)) return;
+    console.error('VERIFY EMAIL ERROR:', err);
+    res.status(500).json({ message: '이메일 인증 중 오류가 발생했습니다.' });
+  }
+});
+
+// 비밀번호 재설정 메일 요청 — 가입 여부가 드러나지 않도록 항상 같은 응답
+router.post('/password/reset/request', async (req, res) => {
+  const { email } = req.body;
+  if (!email) return res.status(400).json({ message: 'email이 필요합니다.' });
+  try {
+    const identity = await findEmailIdentity(pool, email);
+    if (identity) {
+      await sendPasswordResetEmail(pool, identity.user_id, identity.email);
+    }
+    res.json({ message: '가입된 이메일이면 비밀번호 재설정 메일이 발송됩니다.' });
+  } catch (err) {
+    console.error('PASSWORD RESET REQUEST ERROR:', err);
+    res.status(500).json({ message: '비밀번호 재설정 메일 발송 중 오류가 발생했습니다.' });
+  }
+});
+
+// 비밀번호 재설정 — body: { token, new_password }
+// 성공하면 모든 기기에서 로그아웃된다.
+router.post('/password/reset', async (req, res) => {
+  const { token, new_password } = req.body;
+  if (!token || !new_password) {
+    return res.status(400).json({ message: 'token과 new_password가 모두 필요합니다.' });
+  }
+  try {
+    const userId = await withTransaction(async (client) => {
+      const { user_id, email } = await consumeActionToken(client, token, 'reset_password');
+      const { rows } = await client.query(
+        `SELECT u.user_id, u.email, u.nickname
+           FROM users u
+           JOIN user_identities i ON i.user_id = u.user_id
+          WHERE u.user_id = $1 AND i.provider = 'email' AND i.provider_user_id = lower($2)`,
+        [user_id, email]
+      );
+      if (rows.length === 0) {
+        throw new ActionTokenError('더 이상 유효하지 않은 링크입니다.', 'stale', 410);
+      }
+      const passwordErrors = validatePasswordStrength(new_password, rows[0]);
+      if (passwordErrors.length) {
+        throw new IdentityError(passwordErrors[0], 400, 'weak_password');
+      }
+
+      await client.query(
+        'UPDATE users SET password = $1, updated_at = NOW() WHERE user_id = $2',
+        [await hashPassword(new_password), user_id]
+      );
+      // 메일함에 접근할 수 있음을 증명했으므로 이메일도 인증된 것으로 본다
+      await client.query(
+        `UPDATE user_identities SET email_verified = true
+          WHERE user_id = $1 AND provider = 'email' AND provider_user_id = lower($2)`,
+        [user_id, email]
+      );
+      return user_id;
+    });
+    await revokeAllSessions(userId);
+    res.json({ message: '비밀번호가 재설정되었습니다. 다시 로그인해주세요.' });
+  } catch (err) {
+    if (sendAuthError(res, err)) return;
+    console.error('PASSWORD RESET ERROR:', err);
+    res.status(500).json({ message: '비밀번호 재설정 중 오류가 발생했습니다.' });
+  }
+});
+
+// access token 재발급 — refresh token은 매번 새 것으로 교체된다
+router.post('/refresh', async (req, res) => {
+  const { refresh_token } = req.body;
+  if (!refresh_token) {
+    return res.status(400).json({ message: 'refresh_token이 필요합니다.' });
+  }
+  try {
+    const tokens = await rotateRefreshToken(refresh_token, { userAgent: req.get('user-agent') });
+    res.json(tokens);
+  } catch (err) {
+    if (sendAuthError(res, err)) return;
+    console.error('TOKEN REFRESH ERROR:', err);
+    res.status(500).json({ message: '토큰 재발급 중 오류가 발생했습니다.' });
+  }
+});
+
+// 로그아웃 — 현재 세션의 refresh token 폐기 (이 세션의 access token도 즉시 무효)
+router.post('/logout', authenticateToken, async (req, res) => {
+  try {
+    await revokeSession(req.user.sessionId);
+    res.json({ message: '로그아웃되었습니다.' });
+  } catch (err) {
+    console.error('LOGOUT ERROR:', err);
+    res.status(500).json({ message: '로그아웃 중 오류가 발생했습니다.' });
+  }
+});
+
+// 모든 기기에서 로그아웃
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(req.user.id);
+    res.json({ message: '모든 기기에서 로그아웃되었습니다.', revoked_sessions: revoked });
+  } catch (err) {
+    console.error('LOGOUT ALL ERROR:', err);
+    res.status(500).json({ message: '로그아웃 중 오류가 발생했습니다.' });
+  }
+});
+
+// 비밀번호 변경 — 현재 비밀번호 확인 후 새 비밀번호로 교체
+router.patch('/password', authenticateToken, async (req, res) => {
+  const { current_password, new_password } = req.body;
+  if (!current_password || !new_password) {
+    return res.status(400).json({ message: 'current_password와 new_password가 모두 필요합니다.' });
+  }
+
+  let client;
+  try {
+    client = await pool.connect();
+    const { rows } = await client.query(
+      'SELECT user_id, email, nickname, password FROM users WHERE user_id = $1',
+      [req.user.id]
+    );
+    if (rows.length === 0) {
+      return res.status(404).json({ message: '해당 유저를 찾을 수 없습니다.' });
+    }
+    const user = rows[0];
+    if (!user.password) {
+      return res.status(400).json({ message: '비밀번호로 가입한 계정이 아닙니다.' });
+    }
+
+    const { ok } = await verifyPassword(current_password, user.password);
+    if (!ok) {
+      return res.status(401).json({ message: '현재 비밀번호가 일치하지 않습니다.' });
+    }
+    if (current_password === new_password) {
+      return res.status(400).json({ message: '새 비밀번호가 현재 비밀번호와 같습니다.' });
+    }
+    const passwordErrors = validatePasswordStrength(new_password, user);
+    if (passwordErrors.length) {
+      return res.status(400).json({ message: passwordErrors[0], errors: passwordErrors });
+    }
+
+    await client.query(
+      'UPDATE users SET password = $1, updated_at = NOW() WHERE user_id = $2',
+      [await hashPassword(new_password), user.user_id]
+    );
+    res.json({ message: '비밀번호가 변경되었습니다.' });
+  } catch (err) {
+    console.error('PASSWORD CHANGE ERROR:', err);
+    res.status(500).json({ message: '비밀번호 변경 중 오류가 발생했습니다.' });
+  } finally {
+    client?.release();
+  }
+});
+
+// --- 로그인 수단 연결 관리 ---
+
+// 내 로그인 수단 목록
+router.get('/identities', authenticateToken, async (req, res) => {
+  try {
+    res.json(await listIdentities(req.user.id));
+  } catch (err) {
+    console.error('GET /auth/identities error:', err);
+    res.status(500).json({ message: '로그인 수단 조회 중 오류가 발생했습니다.' });
+  }
+});
+
+// 구글 / 카카오 계정 연결 — body: { code }
+// 이미 다른 Facer 계정에 연결된 소셜 계정이면 그 계정을 지금 계정으로 합친다.
+const linkSocialIdentity = (provider) => async (req, res) => {
+  const { code } = req.body;
+  if (!code) return res.status(400).json({ message: '인가 코드가 필요합니다.' });
+  try {
+    const profile = provider === 'google'
+      ? await fetchGoogleProfile(code)
+      : (await fetchKakaoProfile(code)).profile;
+    const identities = await linkIdentity(req.user.id, provider, profile);
+    res.json({ message: '로그인 수단이 연결되었습니다.', identities });
+  } catch (err) {
+    if (sendAuthError(res, err)) return;
+    console.error(`LINK ${provider} ERROR:`, err.response?.data || err.message);
+    res.status(500).json({ message: '로그인 수단 연결 중 오류가 발생했습니다.' });
+  }
+};
+router.post('/identities/google', authenticateToken, linkSocialIdentity('google'));
+router.post('/identities/kakao', authenticateToken, linkSocialIdentity('kakao'));
+
+// 이메일 로그인 추가 — body: { email, password }
+router.post('/identities/email', authenticateToken, async (req, res) => {
+  const { email, password } = req.body;
+  if (!email || !password) {
+    return res.status(400).json({ message: 'email과 password가 모두 필요합니다.' });
+  }
+  try {
+    const identities = await withTransaction(async (client) => {
+      const { rows } = await client.query(
+        'SELECT user_id, email, nickname FROM users WHERE user_id = $1 FOR UPDATE',
+        [req.user.id]
+      );
+      const user = rows[0];
+      if (!user) throw new IdentityError('해당 유저를 찾을 수 없습니다.', 404, 'not_found');
+      const passwordErrors = validatePasswordStrength(password, { email, nickname: user.nickname });
+      if (passwordErrors.length) throw new IdentityError(passwordErrors[0], 400, 'weak_password');
+      if (await isEmailTaken(client, email, user.user_id)) {
+        throw new IdentityError('이미 사용 중인 이메일입니다.', 409, 'email_taken');
+      }
+      const existing = await client.query(
+        "SELECT 1 FROM user_identities WHERE user_id = $1 AND provider = 'email'",
+        [user.user_id]
+      );
+      if (existing.rows.length) {
+        throw new IdentityError('이미 이메일 로그인이 연결되어 있습니다.', 409, 'already_linked');
+      }
+
+      await client.query(
+        `UPDATE users SET email = COALESCE(email, $2), password = $3, updated_at = NOW()
+          WHERE user_id = $1`,
+        [user.user_id, email, await hashPassword(password)]
+      );
+      await client.query(
+        `INSERT INTO user_identities (user_id, provider, provider_user_id, email, email_verified)
+         VALUES ($1, 'email', lower($2), $2, false)`,
+        [user.user_id, email]
+      );
+      return listIdentities(user.user_id, client);
+    });
+    try {
+      await sendVerificationEmail(pool, req.user.id, email);
+    } catch (mailErr) {
+      console.error('VERIFY EMAIL SEND ERROR:', mailErr);
+    }
+    res.json({ message: '로그인 수단이 연결되었습니다.', identities });
+  } catch (err) {
+    if (sendAuthError(res, err)) return;
+    console.error('LINK email ERROR:', err);
+    res.status(500).json({ message: '로그인 수단 연결 중 오류가 발생했습니다.' });
+  }
+});
+
+// 로그인 수단 해제 (마지막 하나는 불가)
+router.delete('/identities/:identity_id', authenticateToken, async (req, res) => {
+  try {
+    const identities = await unlinkIdentity(req.user.id, req.params.identity_id);
+    res.json({ message: '로그인 수단 연결이 해제되었습니다.', identities });
+  } catch (err) {
+    if (sendAuthError(res, err)) return;
+    console.error('UNLINK ERROR:', err);
+    res.status(500).json({ message: '로그인 수단 해제 중 오류가 발생했습니다.' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,91 @@
+// contest-entries.js
+// 콘테스트 참가 — 로그인한 사용자가 자기 사진(선택된 얼굴)으로 참가한다
+//
+// 콘테스트 규칙(contests 컬럼):
+//   max_entries_per_user  사용자당 최대 참가 수
+//   replace_on_resubmit   한도에 닿았을 때 다시 내면 가장 오래된 참가를 바꾼다 (false면 409)
+//   min_face_confidence   선택된 얼굴의 최소 신뢰도 (NULL이면 검사 안 함)
+// 같은 사용자의 동시 참가는 advisory lock으로 줄 세워 한도를 넘지 않게 한다.
+// 비공개 콘테스트는 가입한 사람만 참가할 수 있다 (contest-members.js).
+// 유사도는 콘테스트 대상 이미지들과 target_aggregation 방식으로 계산한다 (contest-targets.js).
+// similarity 채점 콘테스트에서 다른 참가자의 최고 점수를 넘으면 그 사람들에게 알린다 (notifications.js).
+
+const { ContestError, withTransaction, assertContestOpen } = require('./contests');
+const { assertCanEnterContest } = require('./contest-members');
+const { targetCosineSql } = require('./contest-targets');
+const { notifyScoreBeaten } = require('./notifications');
+
+// 참가. 반환: { entry, replaced_entry_id } — replaced_entry_id는 바꿔치기한 이전 참가 (없으면 null)
+async function submitContestEntry(userId, contestId, userPhotoId) {
+  return withTransaction(async (client) => {
+    await client.query('SELECT pg_advisory_xact_lock($1::int, $2::int)', [contestId, userId]);
+    await assertCanEnterContest(contestId, userId, client);
+    const contest = await assertContestOpen(contestId, client);
+
+    const { rows: photos } = await client.query(
+      `SELECT p.user_photo_id, p.status, p.selected_face_id, f.confidence,
+              ${targetCosineSql('p.embedding_vector', 'c')} AS cosine
+         FROM user_photos p
+         JOIN contests c ON c.contest_id = $3
+         LEFT JOIN photo_faces f ON f.photo_face_id = p.selected_face_id
+        WHERE p.user_photo_id = $1 AND p.user_id = $2`,
+      [userPhotoId, userId, contestId]
+    );
+    const photo = photos[0];
+    if (!photo) {
+      throw new ContestError('해당 사진을 찾을 수 없습니다.', 'photo_not_found', 404);
+    }
+    if (photo.status !== 'ready' || photo.cosine === null) {
+      throw new ContestError('아직 처리가 끝나지 않았거나 실패한 사진입니다.', 'photo_not_ready', 409);
+    }
+    if (contest.min_face_confidence !== null && (photo.confidence ?? 0) < contest.min_face_confidence) {
+      throw new ContestError(
+        `얼굴 신뢰도(${photo.confidence ?? '없음'})가 이 콘테스트 기준(${contest.min_face_confidence})보다 낮습니다.`,
+        'face_confidence_too_low',
+        422
+      );
+    }
+
+    const { rows: previous } = await client.query(
+      `SELECT contest_entry_id, user_photo_id, similarity_score FROM contest_entries
+        WHERE contest_id = $1 AND user_id = $2
+        ORDER BY submitted_at, contest_entry_id`,
+      [contestId, userId]
+    );
+    if (previous.some(entry => entry.user_photo_id === photo.user_photo_id)) {
+      throw new ContestError('이미 이 사진으로 참가했습니다.', 'already_entered', 409);
+    }
+    const scores = previous.map(entry => entry.similarity_score).filter(score => score !== null);
+    const previousBest = scores.length > 0 ? Math.max(...scores) : null;
+    let replacedEntryId = null;
+    if (previous.length >= contest.max_entries_per_user) {
+      if (!contest.replace_on_resubmit) {
+        throw new ContestError(
+          `이 콘테스트에는 ${contest.max_entries_per_user}번까지만 참가할 수 있습니다.`,
+          'entry_limit_reached',
+          409
+        );
+      }
+      // 한도를 넘는 만큼 오래된 참가부터 바꾼다
+      const stale = previous.slice(0, previous.length - contest.max_entries_per_user + 1).map(e => e.contest_entry_id);
+      await client.query('DELETE FROM contest_entries WHERE contest_entry_id = ANY($1::int[])', [stale]);
+      replacedEntryId = stale[stale.length - 1];
+    }
+
+    const { rows } = await client.query(
+      `INSERT INTO contest_entries
+         (contest_id, user_id, user_photo_id, photo_face_id, similarity_score, submitted_at)
+       VALUES ($1, $2, $3, $4, $5, NOW())
+       RETURNING *`,
+      [contestId, userId, photo.user_photo_id, photo.selected_face_id, photo.cosine]
+    );
+    if (contest.scoring_mode === 'similarity') {
+      await notifyScoreBeaten({ contest, entry: rows[0], previousBest }, client);
+    }
+    return { entry: rows[0], replaced_entry_id: replacedEntryId };
+  });
+}
+
+module.exports = {
+  submitContestEntry,
+};
@@ -0,0 +1,336 @@
+// contest-members.js
+// 콘테스트 공개 범위와 참가자 명단
+//
+// visibility:
+//   public   누구에게나 보이고 누구나 참가할 수 있다
+//   friends  만든 사람의 친구에게 보이고, 가입(join)한 사람만 참가 / 투표할 수 있다.
+//            친구는 받은 사람이 PATCH /friendship/:id로 수락한(responded_at이 있는) accepted 관계만 센다
+//   invite   가입한 사람에게만 보인다. 초대 코드(invite_code)로 가입한다
+// 만든 사람은 명단에 넣지 않아도 늘 보고 참가할 수 있고, 만든 사람과 관리자는 참가자를 넣고 뺄 수 있다.
+// 내보낸(removed) 사용자는 공개 범위와 상관없이 다시 넣어 주기 전까지 참가 / 재가입할 수 없다.
+// 보이지 않는 콘테스트는 없는 것처럼 404로 답한다.
+//
+// 비공개(friends / invite) 콘테스트의 참가 기록은 모두 명단에 있는 사람(또는 만든 사람) 것이다:
+// 공개 범위를 바꿀 때 기존 참가자를 명단에 넣고, 나가거나 내보내면 마감 전 참가 기록을 지운다.
+
+const crypto = require('crypto');
+const pool = require('./db');
+const { ContestError, getContest, withTransaction, assertCanManageContest } = require('./contests');
+
+const VISIBILITIES = ['public', 'friends', 'invite'];
+// 이 상태에서 나가거나 내보내면 참가 기록도 지운다 (마감 뒤 결과는 그대로 둔다)
+const WITHDRAWABLE_STATES = ['draft', 'scheduled', 'open'];
+
+function parseVisibility(value) {
+  if (value === undefined || value === '') return undefined;
+  if (!VISIBILITIES.includes(value)) {
+    throw new ContestError(`visibility는 ${VISIBILITIES.join(' | ')} 중 하나여야 합니다.`, 'invalid_visibility');
+  }
+  return value;
+}
+
+function generateInviteCode() {
+  return crypto.randomBytes(6).toString('base64url');
+}
+
+// SQL 조건: 콘테스트(별칭 c)가 사용자(파라미터 user)에게 보이는지
+function visibleToSql(c, user) {
+  return `(${c}.created_by = ${user}
+    OR (${c}.status <> 'draft' AND (
+      ${c}.visibility = 'public'
+      OR EXISTS (
+        SELECT 1 FROM contest_members vm
+         WHERE vm.contest_id = ${c}.contest_id AND vm.user_id = ${user} AND vm.status = 'joined'
+      )
+      OR (${c}.visibility = 'friends' AND EXISTS (
+        SELECT 1 FROM friendships vf
+         WHERE vf.status = 'accepted' AND vf.responded_at IS NOT NULL
+           AND ((vf.requester_user_id = ${c}.created_by AND vf.receiver_user_id = ${user})
+             OR (vf.receiver_user_id = ${c}.created_by AND vf.requester_user_id = ${user}))
+      ))
+    )))`;
+}
+
+// SQL 조건: 사용자가 콘테스트에 참가 / 투표할 수 있는지 (열려 있는지는 따로 본다)
+function canEnterSql(c, user) {
+  return `(${c}.created_by = ${user}
+    OR EXISTS (
+      SELECT 1 FROM contest_members em
+       WHERE em.contest_id = ${c}.contest_id AND em.user_id = ${user} AND em.status = 'joined'
+    )
+    OR (${c}.visibility = 'public' AND NOT EXISTS (
+      SELECT 1 FROM contest_members em
+       WHERE em.contest_id = ${c}.contest_id AND em.user_id = ${user} AND em.status = 'removed'
+    )))`;
+}
+
+// 사용자에게 보이는 콘테스트. 보이지 않거나 없으면 null
+// 반환 행에는 can_enter(참가 / 투표 가능)와 member_status(joined | removed | null)가 붙는다
+async function getVisibleContest(contestId, userId, client = pool) {
+  const { rows } = await client.query(
+    `SELECT c.*, ${canEnterSql('c', '$2')} AS can_enter, m.status AS member_status
+       FROM contests c
+       LEFT JOIN contest_members m ON m.contest_id = c.contest_id AND m.user_id = $2
+      WHERE c.contest_id = $1 AND ${visibleToSql('c', '$2')}`,
+    [contestId, userId]
+  );
+  return rows[0] || null;
+}
+
+// 참가 / 투표 권한 확인. 반환: 콘테스트 행
+async function assertCanEnterContest(contestId, userId, client = pool) {
+  const contest = await getVisibleContest(contestId, userId, client);
+  if (!contest) {
+    throw new ContestError('해당 콘테스트를 찾을 수 없습니다.', 'contest_not_found', 404);
+  }
+  if (contest.member_status === 'removed') {
+    throw new ContestError('이 콘테스트에서 내보내진 사용자입니다.', 'removed_from_contest', 403);
+  }
+  if (!contest.can_enter) {
+    throw new ContestError('참가자만 참가하거나 투표할 수 있습니다. 먼저 가입하세요.', 'not_a_member', 403);
+  }
+  return contest;
+}
+
+async function canManageContest(contest, userId) {
+  try {
+    await assertCanManageContest(contest, userId);
+    return true;
+  } catch (err) {
+    if (err instanceof ContestError) return false;
+    throw err;
+  }
+}
+
+// 마감 전이면 사용자의 참가 기록을 지운다. 반환: 지운 참가 기록 수
+async function withdrawEntries(client, contest, userId) {
+  if (!WITHDRAWABLE_STATES.includes(contest.status)) return 0;
+  const { rowCount } = await client.query(
+    'DELETE FROM contest_entries WHERE contest_id = $1 AND user_id = $2',
+    [contest.contest_id, userId]
+  );
+  return rowCount;
+}
+
+function assertNotClosed(contest) {
+  if (contest.status === 'finalized' || contest.status === 'cancelled') {
+    throw new ContestError('끝난 콘테스트입니다.', 'contest_closed', 409);
+  }
+}
+
+async function assertUserExists(client, userId) {
+  const { rows } = await client.query('SELECT 1 FROM users WHERE user_id = $1', [userId]);
+  if (rows.length === 0) {
+    throw new ContestError('해당 유저를 찾을 수 없습니다.', 'user_not_found', 404);
+  }
+}
+
+// 가입. contestId 또는 inviteCode 중 하나로 콘테스트를 찾는다 (invite 콘테스트는 초대 코드가 맞아야 한다).
+// 반환: contest_members 행
+async function joinContest(userId, { contestId = null, inviteCode = null } = {}) {
+  return withTransaction(async (client) => {
+    const byId = contestId !== null;
+    const { rows } = await client.query(
+      `SELECT c.*, ${visibleToSql('c', '$2')} AS visible, m.status AS member_status
+         FROM contests c
+         LEFT JOIN contest_members m ON m.contest_id = c.contest_id AND m.user_id = $2
+        WHERE ${byId ? 'c.contest_id' : 'c.invite_code'} = $1
+        FOR UPDATE OF c`,
+      [byId ? contestId : inviteCode, userId]
+    );
+    const contest = rows[0];
+    if (!contest) {
+      throw byId
+        ? new ContestError('해당 콘테스트를 찾을 수 없습니다.', 'contest_not_found', 404)
+        : new ContestError('초대 코드가 올바르지 않습니다.', 'invalid_invite_code', 404);
+    }
+    const invited = contest.visibility === 'invite' && inviteCode !== null && inviteCode === contest.invite_code;
+    if (!contest.visible && !invited) {
+      if (contest.visibility === 'invite' && inviteCode !== null) {
+        throw new ContestError('초대 코드가 올바르지 않습니다.', 'invalid_invite_code', 403);
+      }
+      throw new ContestError('해당 콘테스트를 찾을 수 없습니다.', 'contest_not_found', 404);
+    }
+    if (contest.created_by === userId || contest.member_status === 'joined') {
+      throw new ContestError('이미 참가자입니다.', 'already_joined', 409);
+    }
+    if (contest.member_status === 'removed') {
+      throw new ContestError('이 콘테스트에서 내보내진 사용자입니다.', 'removed_from_contest', 403);
+    }
+    assertNotClosed(contest);
+
+    const { rows: inserted } = await client.query(
+      `INSERT INTO contest_members (contest_id, user_id, added_by)
+       VALUES ($1, $2, $2)
+       RETURNING *`,
+      [contest.contest_id, userId]
+    );
+    return inserted[0];
+  });
+}
+
+// 나가기. 마감 전이면 참가 기록도 지운다. 반환: { contest_id, user_id, withdrawn_entries }
+async function leaveContest(userId, contestId) {
+  return withTransaction(async (client) => {
+    const contest = await getContest(contestId, client, { forUpdate: true });
+    if (!contest) {
+      throw new ContestError('해당 콘테스트를 찾을 수 없습니다.', 'contest_not_found', 404);
+    }
+    if (contest.created_by === userId) {
+      throw new ContestError('만든 사람은 콘테스트에서 나갈 수 없습니다.', 'owner_cannot_leave', 409);
+    }
+    const { rowCount } = await client.query(
+      `DELETE FROM contest_members WHERE contest_id = $1 AND user_id = $2 AND status = 'joined'`,
+      [contest.contest_id, userId]
+    );
+    if (rowCount === 0) {
+      throw new ContestError('가입하지 않은 콘테스트입니다.', 'not_a_member', 404);
+    }
+    const withdrawn = await withdrawEntries(client, contest, userId);
+    return { contest_id: contest.contest_id, user_id: userId, withdrawn_entries: withdrawn };
+  });
+}
+
+// 참가자 명단 (만든 사람이 맨 앞). 만든 사람과 관리자에게는 내보낸 사용자도 보인다. 보이지 않는 콘테스트면 null
+async function listMembers(contestId, viewerId) {
+  const contest = await getVisibleContest(contestId, viewerId);
+  if (!contest) return null;
+  const manager = await canManageContest(contest, viewerId);
+  const { rows } = await pool.query(
+    `SELECT u.user_id, u.nickname, u.profile_image_url, 'owner' AS role, 'joined' AS status, c.created_at AS joined_at
+       FROM contests c
+       JOIN users u ON u.user_id = c.created_by
+      WHERE c.contest_id = $1
+     UNION ALL
+     SELECT u.user_id, u.nickname, u.profile_image_url, 'member', m.status, m.joined_at
+       FROM contest_members m
+       JOIN users u ON u.user_id = m.user_id
+      WHERE m.contest_id = $1 AND ($2 OR m.status = 'joined')
+      ORDER BY role DESC, joined_at, user_id`,
+    [contest.contest_id, manager]
+  );
+  return { contest_id: contest.contest_id, visibility: contest.visibility, items: rows };
+}
+
+// 참가자 넣기 (만든 사람 / 관리자). 내보낸 사용자도 다시 넣을 수 있다. 반환: contest_members 행, 콘테스트가 없으면 null
+async function addMember(contestId, memberUserId, { userId }) {
+  return withTransaction(async (client) => {
+    const contest = await getContest(contestId, client, { forUpdate: true });
+    if (!contest) return null;
+    await assertCanManageContest(contest, userId, client);
+    assertNotClosed(contest);
+    if (contest.created_by === memberUserId) {
+      throw new ContestError('이미 참가자입니다.', 'already_joined', 409);
+    }
+    await assertUserExists(client, memberUserId);
+
+    const { rows } = await client.query(
+      `INSERT INTO contest_members (contest_id, user_id, added_by)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (contest_id, user_id) DO UPDATE
+         SET status = 'joined', added_by = EXCLUDED.added_by, joined_at = NOW(), updated_at = NOW()
+         WHERE contest_members.status = 'removed'
+       RETURNING *`,
+      [contest.contest_id, memberUserId, userId]
+    );
+    if (rows.length === 0) {
+      throw new ContestError('이미 참가자입니다.', 'already_joined', 409);
+    }
+    return rows[0];
+  });
+}
+
+// 참가자 내보내기 (만든 사람 / 관리자). 명단에 없던 사용자도 내보낸 것으로 기록해 공개 콘테스트 참가를 막는다.
+// 마감 전이면 참가 기록도 지운다. 반환: { member, withdrawn_entries }, 콘테스트가 없으면 null
+async function removeMember(contestId, memberUserId, { userId }) {
+  return withTransaction(async (client) => {
+    const contest = await getContest(contestId, client, { forUpdate: true });
+    if (!contest) return null;
+    await assertCanManageContest(contest, userId, client);
+    if (contest.created_by === memberUserId) {
+      throw new ContestError('만든 사람은 내보낼 수 없습니다.', 'owner_cannot_leave', 409);
+    }
+    await assertUserExists(client, memberUserId);
+
+    const { rows } = await client.query(
+      `INSERT INTO contest_members (contest_id, user_id, status, added_by)
+       VALUES ($1, $2, 'removed', $3)
+       ON CONFLICT (contest_id, user_id) DO UPDATE
+         SET status = 'removed', updated_at = NOW()
+         WHERE contest_members.status = 'joined'
+       RETURNING *`,
+      [contest.contest_id, memberUserId, userId]
+    );
+    if (rows.length === 0) {
+      throw new ContestError('이미 내보낸 사용자입니다.', 'already_removed', 409);
+    }
+    const withdrawn = await withdrawEntries(client, contest, memberUserId);
+    return { member: rows[0], withdrawn_entries: withdrawn };
+  });
+}
+
+// 공개 범위 변경 (만든 사람 / 관리자, 끝나기 전까지). invite로 바꾸면 초대 코드를 만들고, 다른 범위로 바꾸면 없앤다.
+// 비공개로 바꿀 때 이미 참가한 사람은 명단에 넣는다. 반환: 바뀐 콘테스트 행, 없으면 null
+async function updateContestVisibility(contestId, value, { userId = null } = {}) {
+  const visibility = parseVisibility(value);
+  if (visibility === undefined) {
+    throw new ContestError('visibility가 필요합니다.', 'nothing_to_update');
+  }
+  return withTransaction(async (client) => {
+    const contest = await getContest(contestId, client, { forUpdate: true });
+    if (!contest) return null;
+    if (userId !== null) await assertCanManageContest(contest, userId, client);
+    assertNotClosed(contest);
+
+    const inviteCode = visibility === 'invite' ? contest.invite_code || generateInviteCode() : null;
+    const { rows } = await client.query(
+      'UPDATE contests SET visibility = $2, invite_code = $3 WHERE contest_id = $1 RETURNING *',
+      [contest.contest_id, visibility, inviteCode]
+    );
+    if (visibility !== 'public') {
+      await client.query(
+        `INSERT INTO contest_members (contest_id, user_id, added_by)
+         SELECT DISTINCT e.contest_id, e.user_id, $2::int
+           FROM contest_entries e
+          WHERE e.contest_id = $1 AND e.user_id IS DISTINCT FROM $3::int
+         ON CONFLICT (contest_id, user_id) DO NOTHING`,
+        [contest.contest_id, userId, contest.created_by]
+      );
+    }
+    return rows[0];
+  });
+}
+
+// 초대 코드 새로 만들기 (이전 코드는 더 이상 쓸 수 없다). 반환: 바뀐 콘테스트 행, 없으면 null
+async function regenerateInviteCode(contestId, { userId = null } = {}) {
+  return withTransaction(async (client) => {
+    const contest = await getContest(contestId, client, { forUpdate: true });
+    if (!contest) return null;
+    if (userId !== null) await assertCanManageContest(contest, userId, client);
+    if (contest.visibility !== 'invite') {
+      throw new ContestError('초대 전용 콘테스트가 아닙니다.', 'not_invite_only', 409);
+    }
+    const { rows } = await client.query(
+      'UPDATE contests SET invite_code = $2 WHERE contest_id = $1 RETURNING *',
+      [contest.contest_id, generateInviteCode()]
+    );
+    return rows[0];
+  });
+}
+
+module.exports = {
+  VISIBILITIES,
+  parseVisibility,
+  generateInviteCode,
+  visibleToSql,
+  canEnterSql,
+  getVisibleContest,
+  assertCanEnterContest,
+  joinContest,
+  leaveContest,
+  listMembers,
+  addMember,
+  removeMember,
+  updateContestVisibility,
+  regenerateInviteCode,
+};
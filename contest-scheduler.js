@@ -0,0 +1,128 @@
+// contest-scheduler.js
+// 콘테스트 일정 스케줄러 — 주기적으로
+//   1. start_date가 된 scheduled 콘테스트를 연다 (open) — 참가자 / 만든 사람의 친구들에게 알림
+//   2. end_date가 지난 open 콘테스트를 닫는다 (judging)
+//   3. judging 콘테스트의 순위를 확정한다 (finalized)
+//
+// 서버 프로세스 안에서 기본으로 돈다 (CONTEST_SCHEDULER_INLINE=false로 끄고 따로 실행 가능).
+//   node contest-scheduler.js          계속 실행
+//   node contest-scheduler.js --once   한 번만 실행하고 종료
+// 여러 인스턴스가 같이 돌아도 조건부 UPDATE와 SKIP LOCKED로 같은 콘테스트를 두 번 처리하지 않는다.
+
+const pool = require('./db');
+const { finalizeContest, withTransaction } = require('./contests');
+const { notifyContestOpened } = require('./notifications');
+
+const POLL_INTERVAL_MS = parseInt(process.env.CONTEST_SCHEDULER_POLL_MS, 10) || 30000;
+
+async function openDueContests() {
+  const { rows } = await pool.query(
+    `UPDATE contests SET status = 'open', opened_at = NOW()
+      WHERE status = 'scheduled' AND start_date <= NOW()
+      RETURNING contest_id`
+  );
+  // 알림이 실패해도 콘테스트는 열린 채로 둔다
+  for (const { contest_id: contestId } of rows) {
+    await notifyContestOpened(contestId).catch(err => console.error(`contest ${contestId} 열림 알림 오류:`, err.message));
+  }
+  return rows.map(r => r.contest_id);
+}
+
+async function closeDueContests() {
+  const { rows } = await pool.query(
+    `UPDATE contests SET status = 'judging', closed_at = NOW()
+      WHERE status = 'open' AND end_date <= NOW()
+      RETURNING contest_id`
+  );
+  return rows.map(r => r.contest_id);
+}
+
+// judging 콘테스트를 하나씩 잠가서 확정. 반환: 확정한 contest_id 목록
+async function finalizeJudgingContests() {
+  const finalized = [];
+  for (;;) {
+    const contestId = await withTransaction(async (client) => {
+      const { rows } = await client.query(
+        `SELECT contest_id FROM contests
+          WHERE status = 'judging'
+          ORDER BY closed_at NULLS FIRST, contest_id
+          LIMIT 1
+          FOR UPDATE SKIP LOCKED`
+      );
+      if (rows.length === 0) return null;
+      await finalizeContest(rows[0].contest_id, client);
+      return rows[0].contest_id;
+    });
+    if (contestId === null) return finalized;
+    finalized.push(contestId);
+  }
+}
+
+// 한 번 실행. 반환: { opened, closed, finalized } — 각각 contest_id 목록
+async function runContestSchedule() {
+  const opened = await openDueContests();
+  const closed = await closeDueContests();
+  const finalized = await finalizeJudgingContests();
+  return { opened, closed, finalized };
+}
+
+function startContestScheduler({ pollMs = POLL_INTERVAL_MS } = {}) {
+  let stopped = false;
+  let timer = null;
+  let wake = null;
+
+  const loop = async () => {
+    while (!stopped) {
+      try {
+        const { opened, closed, finalized } = await runContestSchedule();
+        if (opened.length || closed.length || finalized.length) {
+          console.log(`contest scheduler: opened [${opened}] closed [${closed}] finalized [${finalized}]`);
+        }
+      } catch (err) {
+        console.error('contest scheduler 오류:', err.message);
+      }
+      if (stopped) break;
+      await new Promise(resolve => {
+        wake = resolve;
+        timer = setTimeout(resolve, pollMs);
+      });
+    }
+  };
+  const done = loop();
+
+  return {
+    async stop() {
+      stopped = true;
+      clearTimeout(timer);
+      if (wake) wake();
+      await done;
+    },
+  };
+}
+
+module.exports = {
+  runContestSchedule,
+  startContestScheduler,
+};
+
+if (require.main === module) {
+  if (process.argv.includes('--once')) {
+    runContestSchedule()
+      .then(result => console.log(JSON.stringify(result)))
+      .catch(err => {
+        console.error(err.message);
+        process.exitCode = 1;
+      })
+      .finally(() => pool.end());
+  } else {
+    const scheduler = startContestScheduler();
+    console.log(`🗓️ contest scheduler started (pid ${process.pid})`);
+    const shutdown = async () => {
+      console.log('contest scheduler stopping...');
+      await scheduler.stop();
+      await pool.end();
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+  }
+}
@@ -0,0 +1,243 @@
+// contest-targets.js
+// 콘테스트 대상 이미지 여러 장 — 이미지마다 임베딩을 contest_targets에 저장하고, 참가 사진과의 유사도를 모아 점수를 낸다
+//
+// target_aggregation:
+//   mean_embedding   대상 임베딩들의 평균(contests.target_embedding)과의 코사인 유사도 (기본)
+//   max_similarity   대상마다 코사인 유사도를 구해 가장 높은 값
+//   mean_similarity  대상마다 코사인 유사도를 구해 평균
+// 대상 추가 / 삭제는 draft에서만, 모으는 방식 변경은 열리기 전(draft / scheduled)에만 된다.
+// 대상이나 모으는 방식이 바뀌면 평균 임베딩과 대표 이미지(contests.target_*_url = 첫 번째 대상)를 맞추고,
+// 이미 있는 참가 기록의 similarity_score를 다시 계산한다.
+
+const pool = require('./db');
+const { toPgVector } = require('./embedding-client');
+const { detectFaces } = require('./faces');
+const { fileUrl } = require('./storage');
+const { storeImageVariants, deleteImageVariants } = require('./image-pipeline');
+const { ContestError, getContest, withTransaction, assertCanManageContest } = require('./contests');
+
+const TARGET_AGGREGATIONS = ['mean_embedding', 'max_similarity', 'mean_similarity'];
+const MAX_CONTEST_TARGETS = parseInt(process.env.CONTEST_MAX_TARGETS, 10) || 10;
+
+function parseTargetAggregation(value) {
+  if (value === undefined || value === '') return undefined;
+  if (!TARGET_AGGREGATIONS.includes(value)) {
+    throw new ContestError(
+      `target_aggregation은 ${TARGET_AGGREGATIONS.join(' | ')} 중 하나여야 합니다.`,
+      'invalid_target_aggregation'
+    );
+  }
+  return value;
+}
+
+// SQL: 임베딩(vector 식)과 콘테스트(별칭 c) 대상 사이의 코사인 유사도 (-1 ~ 1)
+function targetCosineSql(vector, c) {
+  return `CASE ${c}.target_aggregation
+    WHEN 'max_similarity' THEN (
+      SELECT MAX(1 - (${vector} <=> ct.embedding)) FROM contest_targets ct WHERE ct.contest_id = ${c}.contest_id
+    )
+    WHEN 'mean_similarity' THEN (
+      SELECT AVG(1 - (${vector} <=> ct.embedding)) FROM contest_targets ct WHERE ct.contest_id = ${c}.contest_id
+    )
+    ELSE 1 - (${vector} <=> ${c}.target_embedding)
+  END`;
+}
+
+function presentTarget(row) {
+  const { embedding, ...target } = row;
+  return {
+    ...target,
+    image_url: fileUrl(target.image_url),
+    medium_url: fileUrl(target.medium_url),
+    thumbnail_url: fileUrl(target.thumbnail_url),
+  };
+}
+
+// 업로드된 이미지(ingestImage 결과)마다 임베딩을 계산하고 저장소에 올린다. 반환: [{ keys, embedding }]
+// 중간에 실패하면 이미 올린 파일을 지우고 오류를 그대로 던진다.
+async function prepareTargets(images) {
+  const prepared = [];
+  try {
+    // 신뢰도가 가장 높은 얼굴의 임베딩을 쓴다. 임베딩 서비스 부하를 생각해 한 장씩 처리한다
+    for (const image of images) {
+      const [face] = await detectFaces(image.image.buffer);
+      const keys = await storeImageVariants('contests', image);
+      prepared.push({ keys, embedding: face.embedding });
+    }
+  } catch (err) {
+    discardTargets(prepared);
+    throw err;
+  }
+  return prepared;
+}
+
+function discardTargets(prepared) {
+  return Promise.all(prepared.map(({ keys }) => deleteImageVariants(keys)));
+}
+
+// 평균 임베딩 / 대표 이미지를 맞추고 참가 기록을 다시 채점한다. 반환: 다시 채점한 참가 기록 수
+async function syncContestTargets(client, contestId) {
+  await client.query(
+    `UPDATE contests c
+        SET target_embedding = agg.mean,
+            target_image_url = first.image_url,
+            target_medium_url = first.medium_url,
+            target_thumbnail_url = first.thumbnail_url
+       FROM (SELECT AVG(embedding) AS mean FROM contest_targets WHERE contest_id = $1) agg,
+            (SELECT image_url, medium_url, thumbnail_url
+               FROM contest_targets
+              WHERE contest_id = $1
+              ORDER BY contest_target_id
+              LIMIT 1) first
+      WHERE c.contest_id = $1`,
+    [contestId]
+  );
+  return rescoreContestEntries(client, contestId);
+}
+
+// 참가 당시의 얼굴(photo_face_id, 없으면 사진의 대표 임베딩)로 similarity_score를 다시 계산한다
+async function rescoreContestEntries(client, contestId) {
+  const { rowCount } = await client.query(
+    `UPDATE contest_entries e
+        SET similarity_score = s.cosine
+       FROM (
+         SELECT en.contest_entry_id, ${targetCosineSql('COALESCE(f.embedding_vector, p.embedding_vector)', 'c')} AS cosine
+           FROM contest_entries en
+           JOIN contests c ON c.contest_id = en.contest_id
+           LEFT JOIN photo_faces f ON f.photo_face_id = en.photo_face_id
+           LEFT JOIN user_photos p ON p.user_photo_id = en.user_photo_id
+          WHERE en.contest_id = $1
+       ) s
+      WHERE e.contest_entry_id = s.contest_entry_id`,
+    [contestId]
+  );
+  return rowCount;
+}
+
+// 준비된 대상(prepareTargets 결과)을 넣고 맞춘다 (트랜잭션 안에서). 반환: { targets, rescored_entries }
+async function insertContestTargets(client, contestId, prepared) {
+  const targets = [];
+  for (const { keys, embedding } of prepared) {
+    const { rows } = await client.query(
+      `INSERT INTO contest_targets (contest_id, image_url, medium_url, thumbnail_url, embedding)
+       VALUES ($1, $2, $3, $4, $5::vector)
+       RETURNING *`,
+      [contestId, keys.image_key, keys.medium_key, keys.thumbnail_key, toPgVector(embedding)]
+    );
+    targets.push(presentTarget(rows[0]));
+  }
+  const rescored = await syncContestTargets(client, contestId);
+  return { targets, rescored_entries: rescored };
+}
+
+async function listContestTargets(contestId, client = pool) {
+  const { rows } = await client.query(
+    'SELECT * FROM contest_targets WHERE contest_id = $1 ORDER BY contest_target_id',
+    [contestId]
+  );
+  return rows.map(presentTarget);
+}
+
+// 대상 수정 가능 여부 (만든 사람 / 관리자, draft에서만)
+async function assertCanEditTargets(contest, userId, client = pool) {
+  if (userId !== null) await assertCanManageContest(contest, userId, client);
+  if (contest.status !== 'draft') {
+    throw new ContestError('대상 이미지는 draft 상태에서만 바꿀 수 있습니다.', 'targets_locked', 409);
+  }
+}
+
+async function countTargets(client, contestId) {
+  const { rows } = await client.query('SELECT COUNT(*)::int AS count FROM contest_targets WHERE contest_id = $1', [contestId]);
+  return rows[0].count;
+}
+
+function assertTargetLimit(current, adding) {
+  if (current + adding > MAX_CONTEST_TARGETS) {
+    throw new ContestError(`대상 이미지는 ${MAX_CONTEST_TARGETS}장까지 등록할 수 있습니다.`, 'too_many_targets', 409);
+  }
+}
+
+// 대상 이미지 추가. images: ingestImage 결과 배열. 반환: { targets, rescored_entries }, 콘테스트가 없으면 null
+async function addContestTargets(contestId, images, { userId = null } = {}) {
+  // 임베딩 계산 전에 한 번 확인하고, 넣을 때 잠근 행으로 다시 확인한다
+  const contest = await getContest(contestId);
+  if (!contest) return null;
+  await assertCanEditTargets(contest, userId);
+  assertTargetLimit(await countTargets(pool, contest.contest_id), images.length);
+
+  const prepared = await prepareTargets(images);
+  try {
+    return await withTransaction(async (client) => {
+      const locked = await getContest(contest.contest_id, client, { forUpdate: true });
+      await assertCanEditTargets(locked, null, client);
+      assertTargetLimit(await countTargets(client, locked.contest_id), prepared.length);
+      return insertContestTargets(client, locked.contest_id, prepared);
+    });
+  } catch (err) {
+    discardTargets(prepared);
+    throw err;
+  }
+}
+
+// 대상 이미지 삭제 (마지막 한 장은 지울 수 없다). 반환: { removed, rescored_entries }, 콘테스트가 없으면 null
+async function removeContestTarget(contestId, contestTargetId, { userId = null } = {}) {
+  const result = await withTransaction(async (client) => {
+    const contest = await getContest(contestId, client, { forUpdate: true });
+    if (!contest) return null;
+    await assertCanEditTargets(contest, userId, client);
+    const { rows } = await client.query(
+      'DELETE FROM contest_targets WHERE contest_target_id = $1 AND contest_id = $2 RETURNING *',
+      [contestTargetId, contest.contest_id]
+    );
+    if (rows.length === 0) {
+      throw new ContestError('해당 대상 이미지를 찾을 수 없습니다.', 'target_not_found', 404);
+    }
+    if (await countTargets(client, contest.contest_id) === 0) {
+      throw new ContestError('대상 이미지가 최소 한 장은 있어야 합니다.', 'last_target', 409);
+    }
+    const rescored = await syncContestTargets(client, contest.contest_id);
+    return { row: rows[0], rescored_entries: rescored };
+  });
+  if (!result) return null;
+
+  // 커밋된 뒤에 파일을 지운다
+  const { row, rescored_entries } = result;
+  deleteImageVariants({ image_key: row.image_url, medium_key: row.medium_url, thumbnail_key: row.thumbnail_url });
+  return { removed: presentTarget(row), rescored_entries };
+}
+
+// 모으는 방식 변경 (만든 사람 / 관리자, 열리기 전에만). 반환: { contest, rescored_entries }, 없으면 null
+async function updateTargetAggregation(contestId, value, { userId = null } = {}) {
+  const aggregation = parseTargetAggregation(value);
+  if (aggregation === undefined) {
+    throw new ContestError('target_aggregation이 필요합니다.', 'nothing_to_update');
+  }
+  return withTransaction(async (client) => {
+    const contest = await getContest(contestId, client, { forUpdate: true });
+    if (!contest) return null;
+    if (userId !== null) await assertCanManageContest(contest, userId, client);
+    if (!['draft', 'scheduled'].includes(contest.status)) {
+      throw new ContestError('열린 뒤에는 규칙을 바꿀 수 없습니다.', 'invalid_transition', 409);
+    }
+    const { rows } = await client.query(
+      'UPDATE contests SET target_aggregation = $2 WHERE contest_id = $1 RETURNING *',
+      [contest.contest_id, aggregation]
+    );
+    const rescored = await rescoreContestEntries(client, contest.contest_id);
+    return { contest: rows[0], rescored_entries: rescored };
+  });
+}
+
+module.exports = {
+  TARGET_AGGREGATIONS,
+  MAX_CONTEST_TARGETS,
+  parseTargetAggregation,
+  targetCosineSql,
+  prepareTargets,
+  discardTargets,
+  insertContestTargets,
+  listContestTargets,
+  addContestTargets,
+  removeContestTarget,
+  updateTargetAggregation,
+};
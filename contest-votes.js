@@ -0,0 +1,69 @@
+// contest-votes.js
+// 콘테스트 참가 기록 투표 — scoring_mode가 votes / blend인 콘테스트가 열려 있는 동안만
+//
+// 한 사용자는 참가 기록마다 한 표만 낼 수 있고(contest_votes 기본 키), 자기 참가 기록에는 투표할 수 없다.
+// 비공개 콘테스트는 가입한 사람만 투표할 수 있다 (contest-members.js).
+
+const pool = require('./db');
+const { ContestError, assertContestOpen } = require('./contests');
+const { assertCanEnterContest } = require('./contest-members');
+
+async function getVoteTarget(userId, contestId, contestEntryId) {
+  await assertCanEnterContest(contestId, userId);
+  const contest = await assertContestOpen(contestId);
+  if (contest.scoring_mode === 'similarity') {
+    throw new ContestError('투표를 받지 않는 콘테스트입니다.', 'voting_disabled', 409);
+  }
+  const { rows } = await pool.query(
+    'SELECT contest_entry_id, user_id FROM contest_entries WHERE contest_entry_id = $1 AND contest_id = $2',
+    [contestEntryId, contestId]
+  );
+  if (rows.length === 0) {
+    throw new ContestError('해당 참가 기록을 찾을 수 없습니다.', 'entry_not_found', 404);
+  }
+  return rows[0];
+}
+
+async function countVotes(contestEntryId) {
+  const { rows } = await pool.query(
+    'SELECT COUNT(*)::int AS vote_count FROM contest_votes WHERE contest_entry_id = $1',
+    [contestEntryId]
+  );
+  return rows[0].vote_count;
+}
+
+// 투표. 반환: { contest_entry_id, vote_count, voted: true }
+async function voteForEntry(userId, contestId, contestEntryId) {
+  const entry = await getVoteTarget(userId, contestId, contestEntryId);
+  if (entry.user_id === userId) {
+    throw new ContestError('자기 참가 기록에는 투표할 수 없습니다.', 'self_vote', 403);
+  }
+  const { rowCount } = await pool.query(
+    `INSERT INTO contest_votes (contest_entry_id, voter_user_id, contest_id)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (contest_entry_id, voter_user_id) DO NOTHING`,
+    [entry.contest_entry_id, userId, contestId]
+  );
+  if (rowCount === 0) {
+    throw new ContestError('이미 투표한 참가 기록입니다.', 'already_voted', 409);
+  }
+  return { contest_entry_id: entry.contest_entry_id, vote_count: await countVotes(entry.contest_entry_id), voted: true };
+}
+
+// 투표 취소. 반환: { contest_entry_id, vote_count, voted: false }
+async function unvoteEntry(userId, contestId, contestEntryId) {
+  const entry = await getVoteTarget(userId, contestId, contestEntryId);
+  const { rowCount } = await pool.query(
+    'DELETE FROM contest_votes WHERE contest_entry_id = $1 AND voter_user_id = $2',
+    [entry.contest_entry_id, userId]
+  );
+  if (rowCount === 0) {
+    throw new ContestError('투표하지 않은 참가 기록입니다.', 'vote_not_found', 404);
+  }
+  return { contest_entry_id: entry.contest_entry_id, vote_count: await countVotes(entry.contest_entry_id), voted: false };
+}
+
+module.exports = {
+  voteForEntry,
+  unvoteEntry,
+};
@@ -0,0 +1,316 @@
+// contests.js
+// 콘테스트 상태 / 일정 관련 공용 함수
+//
+// 상태 전환 (그 밖의 전환은 ContestError 409):
+//   draft     → scheduled | open | cancelled
+//   scheduled → draft | open | cancelled
+//   open      → judging | cancelled
+//   judging   → finalized | cancelled
+//   finalized, cancelled → (끝)
+// scheduled는 start_date에 스케줄러(contest-scheduler.js)가 열고, open은 end_date에 닫혀(judging) 바로 확정된다(finalized).
+// 참가는 open 상태이면서 start_date ~ end_date 사이일 때만 받는다.
+
+const pool = require('./db');
+const { freezeFinalScores } = require('./leaderboard');
+const { notifyContestOpened, notifyContestFinalized } = require('./notifications');
+
+const CONTEST_STATES = ['draft', 'scheduled', 'open', 'judging', 'finalized', 'cancelled'];
+// 채점 방식 (leaderboard.js 참고)
+const SCORING_MODES = ['similarity', 'votes', 'blend'];
+const TRANSITIONS = {
+  draft: ['scheduled', 'open', 'cancelled'],
+  scheduled: ['draft', 'open', 'cancelled'],
+  open: ['judging', 'cancelled'],
+  judging: ['finalized', 'cancelled'],
+  finalized: [],
+  cancelled: [],
+};
+// 상태마다 전환 시각을 남기는 컬럼
+const TRANSITION_TIMESTAMPS = {
+  open: 'opened_at',
+  judging: 'closed_at',
+  finalized: 'finalized_at',
+  cancelled: 'cancelled_at',
+};
+
+class ContestError extends Error {
+  constructor(message, code, status = 400) {
+    super(message);
+    this.name = 'ContestError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+function parseDate(value, name) {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ContestError(`${name}가 올바른 날짜가 아닙니다.`, `invalid_${name}`);
+  }
+  return date;
+}
+
+// { start_date, end_date } 검증 → { startDate?, endDate? } (없는 값은 undefined, 비우면 null)
+function parseSchedule({ start_date, end_date } = {}) {
+  const schedule = { startDate: parseDate(start_date, 'start_date'), endDate: parseDate(end_date, 'end_date') };
+  if (schedule.startDate && schedule.endDate && schedule.endDate <= schedule.startDate) {
+    throw new ContestError('end_date는 start_date보다 뒤여야 합니다.', 'invalid_schedule');
+  }
+  return schedule;
+}
+
+async function getContest(contestId, client = pool, { forUpdate = false } = {}) {
+  const { rows } = await client.query(
+    `SELECT * FROM contests WHERE contest_id = $1 ${forUpdate ? 'FOR UPDATE' : ''}`,
+    [contestId]
+  );
+  return rows[0] || null;
+}
+
+async function withTransaction(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// 만든 사람 또는 관리자만 상태 / 일정을 바꿀 수 있다
+async function assertCanManageContest(contest, userId, client = pool) {
+  if (contest.created_by === userId) return;
+  const { rows } = await client.query('SELECT role FROM users WHERE user_id = $1', [userId]);
+  if (rows[0]?.role !== 'admin') {
+    throw new ContestError('콘테스트를 만든 사람이나 관리자만 변경할 수 있습니다.', 'forbidden', 403);
+  }
+}
+
+// 전환 전 일정 검사: scheduled는 시작 / 종료일이 모두 필요하고, open은 아직 끝나지 않은 종료일이 필요하다
+function checkScheduleFor(status, { start_date: startDate, end_date: endDate }, now = new Date()) {
+  if (status === 'scheduled' && (!startDate || !endDate)) {
+    throw new ContestError('예약하려면 start_date와 end_date가 필요합니다.', 'schedule_required', 409);
+  }
+  if ((status === 'scheduled' || status === 'open') && (!endDate || endDate <= now)) {
+    throw new ContestError('end_date가 지났거나 없습니다.', 'schedule_required', 409);
+  }
+}
+
+// 순위 확정: 채점 방식(scoring_mode)대로 계산한 점수를 final_score로 저장하고 finalized로 바꾼 뒤 참가자들에게 순위를 알린다
+// (judging 상태의 잠긴 행에서 호출). 순위 자체는 leaderboard.js가 final_score로 계산한다.
+async function finalizeContest(contestId, client) {
+  await freezeFinalScores(contestId, client);
+  const { rows } = await client.query(
+    `UPDATE contests SET status = 'finalized', finalized_at = NOW()
+      WHERE contest_id = $1
+      RETURNING *`,
+    [contestId]
+  );
+  await notifyContestFinalized(rows[0], client);
+  return rows[0];
+}
+
+// 상태 전환 (트랜잭션 안에서 행을 잠그고 검사). userId를 주면 권한도 확인한다.
+// open으로 열면 start_date를 지금으로 당기고, judging으로 닫으면 end_date를 지금으로 당긴 뒤 바로 순위를 확정한다.
+// 반환: 바뀐 콘테스트 행. 없으면 null
+async function transitionContest(contestId, toStatus, { userId = null } = {}) {
+  if (!CONTEST_STATES.includes(toStatus)) {
+    throw new ContestError(`status는 ${CONTEST_STATES.join(' | ')} 중 하나여야 합니다.`, 'invalid_status');
+  }
+  return withTransaction(async (client) => {
+    const contest = await getContest(contestId, client, { forUpdate: true });
+    if (!contest) return null;
+    if (userId !== null) await assertCanManageContest(contest, userId, client);
+    if (!TRANSITIONS[contest.status].includes(toStatus)) {
+      throw new ContestError(`${contest.status} 상태에서 ${toStatus}(으)로 바꿀 수 없습니다.`, 'invalid_transition', 409);
+    }
+    checkScheduleFor(toStatus, contest);
+
+    const timestamp = TRANSITION_TIMESTAMPS[toStatus];
+    const { rows } = await client.query(
+      `UPDATE contests
+          SET status = $2,
+              start_date = CASE WHEN $2 = 'open' THEN LEAST(COALESCE(start_date, NOW()), NOW()) ELSE start_date END,
+              end_date = CASE WHEN $2 = 'judging' THEN LEAST(COALESCE(end_date, NOW()), NOW()) ELSE end_date END
+              ${timestamp ? `, ${timestamp} = NOW()` : ''}
+        WHERE contest_id = $1
+        RETURNING *`,
+      [contestId, toStatus]
+    );
+    // 자동 심사 단계가 없으므로 닫으면 바로 순위를 확정한다
+    if (toStatus === 'judging' || toStatus === 'finalized') return finalizeContest(contestId, client);
+    if (toStatus === 'open') await notifyContestOpened(contestId, client);
+    return rows[0];
+  });
+}
+
+// 일정 변경. draft / scheduled는 시작 / 종료일 모두, open은 종료일만 바꿀 수 있다.
+// scheduled 상태에서 일정을 비우면 ContestError. 반환: 바뀐 콘테스트 행, 없으면 null
+async function updateContestSchedule(contestId, input, { userId = null } = {}) {
+  const { startDate, endDate } = parseSchedule(input);
+  if (startDate === undefined && endDate === undefined) {
+    throw new ContestError('start_date 또는 end_date가 필요합니다.', 'nothing_to_update');
+  }
+  return withTransaction(async (client) => {
+    const contest = await getContest(contestId, client, { forUpdate: true });
+    if (!contest) return null;
+    if (userId !== null) await assertCanManageContest(contest, userId, client);
+    if (!['draft', 'scheduled', 'open'].includes(contest.status)) {
+      throw new ContestError(`${contest.status} 상태의 콘테스트는 일정을 바꿀 수 없습니다.`, 'invalid_transition', 409);
+    }
+    if (contest.status === 'open' && startDate !== undefined) {
+      throw new ContestError('진행 중인 콘테스트는 end_date만 바꿀 수 있습니다.', 'invalid_schedule', 409);
+    }
+
+    const next = {
+      start_date: startDate === undefined ? contest.start_date : startDate,
+      end_date: endDate === undefined ? contest.end_date : endDate,
+    };
+    if (next.start_date && next.end_date && next.end_date <= next.start_date) {
+      throw new ContestError('end_date는 start_date보다 뒤여야 합니다.', 'invalid_schedule');
+    }
+    if (contest.status !== 'draft') checkScheduleFor(contest.status, next);
+
+    const { rows } = await client.query(
+      'UPDATE contests SET start_date = $2, end_date = $3 WHERE contest_id = $1 RETURNING *',
+      [contestId, next.start_date, next.end_date]
+    );
+    return rows[0];
+  });
+}
+
+function parseBoolean(value, name) {
+  if (typeof value === 'boolean') return value;
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  throw new ContestError(`${name}는 true 또는 false여야 합니다.`, `invalid_${name}`);
+}
+
+// 참가 / 채점 규칙 검증 { max_entries_per_user, replace_on_resubmit, min_face_confidence, scoring_mode, vote_weight }
+// → { maxEntriesPerUser?, replaceOnResubmit?, minFaceConfidence?, scoringMode?, voteWeight? }
+// (없는 값은 undefined, min_face_confidence를 비우면 null)
+function parseEntryRules({ max_entries_per_user, replace_on_resubmit, min_face_confidence, scoring_mode, vote_weight } = {}) {
+  const rules = {};
+  if (scoring_mode !== undefined && scoring_mode !== '') {
+    if (!SCORING_MODES.includes(scoring_mode)) {
+      throw new ContestError(`scoring_mode는 ${SCORING_MODES.join(' | ')} 중 하나여야 합니다.`, 'invalid_scoring_mode');
+    }
+    rules.scoringMode = scoring_mode;
+  }
+  if (vote_weight !== undefined && vote_weight !== '') {
+    const value = Number(vote_weight);
+    if (!Number.isFinite(value) || value < 0 || value > 1) {
+      throw new ContestError('vote_weight는 0 ~ 1 사이 숫자여야 합니다.', 'invalid_vote_weight');
+    }
+    rules.voteWeight = value;
+  }
+  if (max_entries_per_user !== undefined && max_entries_per_user !== '') {
+    const value = Number(max_entries_per_user);
+    if (!Number.isInteger(value) || value < 1 || value > 100) {
+      throw new ContestError('max_entries_per_user는 1 ~ 100 사이 정수여야 합니다.', 'invalid_max_entries_per_user');
+    }
+    rules.maxEntriesPerUser = value;
+  }
+  if (replace_on_resubmit !== undefined && replace_on_resubmit !== '') {
+    rules.replaceOnResubmit = parseBoolean(replace_on_resubmit, 'replace_on_resubmit');
+  }
+  if (min_face_confidence !== undefined) {
+    if (min_face_confidence === null || min_face_confidence === '') {
+      rules.minFaceConfidence = null;
+    } else {
+      const value = Number(min_face_confidence);
+      if (!Number.isFinite(value) || value < 0 || value > 1) {
+        throw new ContestError('min_face_confidence는 0 ~ 1 사이 숫자여야 합니다.', 'invalid_min_face_confidence');
+      }
+      rules.minFaceConfidence = value;
+    }
+  }
+  return rules;
+}
+
+const RULE_COLUMNS = {
+  maxEntriesPerUser: 'max_entries_per_user',
+  replaceOnResubmit: 'replace_on_resubmit',
+  minFaceConfidence: 'min_face_confidence',
+  scoringMode: 'scoring_mode',
+  voteWeight: 'vote_weight',
+};
+
+// 참가 / 채점 규칙 변경 (열리기 전 draft / scheduled에서만). 반환: 바뀐 콘테스트 행, 없으면 null
+async function updateContestRules(contestId, input, { userId = null } = {}) {
+  const rules = parseEntryRules(input);
+  if (Object.keys(rules).length === 0) {
+    throw new ContestError('바꿀 규칙이 없습니다.', 'nothing_to_update');
+  }
+  return withTransaction(async (client) => {
+    const contest = await getContest(contestId, client, { forUpdate: true });
+    if (!contest) return null;
+    if (userId !== null) await assertCanManageContest(contest, userId, client);
+    if (!['draft', 'scheduled'].includes(contest.status)) {
+      throw new ContestError('열린 뒤에는 규칙을 바꿀 수 없습니다.', 'invalid_transition', 409);
+    }
+    const values = [contestId];
+    const sets = Object.entries(rules).map(([key, value]) => {
+      values.push(value);
+      return `${RULE_COLUMNS[key]} = $${values.length}`;
+    });
+    const { rows } = await client.query(
+      `UPDATE contests SET ${sets.join(', ')} WHERE contest_id = $1 RETURNING *`,
+      values
+    );
+    return rows[0];
+  });
+}
+
+// 참가 가능한 콘테스트인지 확인 (open 상태 + 일정 안). 반환: 콘테스트 행
+async function assertContestOpen(contestId, client = pool) {
+  const { rows } = await client.query(
+    `SELECT *,
+            status = 'open'
+              AND (start_date IS NULL OR start_date <= NOW())
+              AND (end_date IS NULL OR end_date > NOW()) AS accepting
+       FROM contests
+      WHERE contest_id = $1`,
+    [contestId]
+  );
+  const contest = rows[0];
+  if (!contest) {
+    throw new ContestError('해당 콘테스트를 찾을 수 없습니다.', 'contest_not_found', 404);
+  }
+  if (!contest.accepting) {
+    throw new ContestError('지금은 참가할 수 없는 콘테스트입니다.', 'contest_not_open', 409);
+  }
+  return contest;
+}
+
+// 라우트에서 ContestError를 HTTP 응답으로 변환. 처리했으면 true
+function sendContestError(res, err) {
+  if (!(err instanceof ContestError)) return false;
+  res.status(err.status).json({ error: err.message, code: err.code });
+  return true;
+}
+
+module.exports = {
+  CONTEST_STATES,
+  SCORING_MODES,
+  TRANSITIONS,
+  ContestError,
+  parseSchedule,
+  getContest,
+  withTransaction,
+  assertCanManageContest,
+  transitionContest,
+  updateContestSchedule,
+  parseEntryRules,
+  updateContestRules,
+  finalizeContest,
+  assertContestOpen,
+  sendContestError,
+};
@@ -0,0 +1,309 @@
+// embedding-client.js
+// 얼굴 임베딩 계산 클라이언트
+//
+//   EMBEDDING_PROVIDER=flask  Flask 서비스(FLASK_BACKEND_URL)의 /embedding 호출 (기본값)
+//   EMBEDDING_PROVIDER=fake   이미지 해시로 결정적인 벡터를 만드는 프로세스 내 가짜 provider
+//                             — Flask 없이 백엔드 전체를 돌리거나 테스트할 때 사용
+//
+// flask provider는 타임아웃, 지수 백오프 재시도, 서킷 브레이커를 거친다.
+// 실패는 EmbeddingError 하위 클래스로 던지며 status로 HTTP 응답 코드(502/503/422)를 알려준다.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const axios = require('axios');
+const FormData = require('form-data');
+const sharp = require('sharp');
+
+const EMBEDDING_DIM = 512;
+
+class EmbeddingError extends Error {
+  constructor(message, { status = 502, code = 'upstream_error', cause } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    if (cause) this.cause = cause;
+  }
+}
+
+// 임베딩 서비스에 닿을 수 없음 (타임아웃, 연결 실패, 서킷 열림)
+class EmbeddingUnavailableError extends EmbeddingError {
+  constructor(message, opts = {}) {
+    super(message, { status: 503, code: 'unavailable', ...opts });
+  }
+}
+
+// 임베딩 서비스가 이상한 응답을 줌 (5xx, 차원 불일치 등)
+class EmbeddingUpstreamError extends EmbeddingError {
+  constructor(message, opts = {}) {
+    super(message, { status: 502, code: 'upstream_error', ...opts });
+  }
+}
+
+// 이미지 자체를 처리할 수 없음 (얼굴 없음, 손상된 이미지 등)
+class EmbeddingInvalidImageError extends EmbeddingError {
+  constructor(message, opts = {}) {
+    super(message, { status: 422, code: 'invalid_image', ...opts });
+  }
+}
+
+// JS 배열 → pgvector 문자열 '[v1,v2,...]'
+function toPgVector(vec) {
+  return `[${vec.join(',')}]`;
+}
+
+// pgvector 문자열 / 배열 → JS 숫자 배열
+function parsePgVector(vec) {
+  if (Array.isArray(vec)) return vec.map(Number);
+  if (typeof vec === 'string') return JSON.parse(vec);
+  return null;
+}
+
+function validateEmbedding(vec) {
+  if (!Array.isArray(vec) || vec.length !== EMBEDDING_DIM) {
+    throw new EmbeddingUpstreamError(
+      `임베딩 벡터의 차원이 ${Array.isArray(vec) ? vec.length : '없음'}로 예상치 못한 값입니다. (기대: ${EMBEDDING_DIM})`,
+      { code: 'bad_dimension' }
+    );
+  }
+  if (!vec.every(v => typeof v === 'number' && Number.isFinite(v))) {
+    throw new EmbeddingUpstreamError('임베딩 벡터에 숫자가 아닌 값이 있습니다.', { code: 'bad_vector' });
+  }
+  return vec;
+}
+
+async function readImage(input) {
+  return Buffer.isBuffer(input) ? input : fs.promises.readFile(input);
+}
+
+// 연속 실패가 threshold를 넘으면 cooldownMs 동안 요청을 바로 거절한다.
+// cooldown이 지나면 요청 하나만 통과시켜(half-open) 성공하면 닫고 실패하면 다시 연다.
+function createCircuitBreaker({ threshold = 5, cooldownMs = 30000 } = {}) {
+  let failures = 0;
+  let openedAt = 0;
+  let probing = false;
+
+  return {
+    get state() {
+      if (failures < threshold) return 'closed';
+      return Date.now() - openedAt >= cooldownMs ? 'half-open' : 'open';
+    },
+    // 요청을 보내도 되는지
+    allow() {
+      const state = this.state;
+      if (state === 'closed') return true;
+      if (state === 'half-open' && !probing) {
+        probing = true;
+        return true;
+      }
+      return false;
+    },
+    success() {
+      failures = 0;
+      probing = false;
+    },
+    failure() {
+      failures += 1;
+      probing = false;
+      if (failures >= threshold) openedAt = Date.now();
+    },
+  };
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// axios 오류 → EmbeddingError
+function classifyAxiosError(err) {
+  if (err.response) {
+    const { status, data } = err.response;
+    const detail = data?.error || data?.message || `HTTP ${status}`;
+    if (status === 400 || status === 422) {
+      return new EmbeddingInvalidImageError(`이미지를 처리할 수 없습니다: ${detail}`, { cause: err });
+    }
+    if (status === 429 || status === 503) {
+      return new EmbeddingUnavailableError(`임베딩 서비스가 응답할 수 없습니다: ${detail}`, { cause: err });
+    }
+    return new EmbeddingUpstreamError(`임베딩 서비스 오류: ${detail}`, { cause: err });
+  }
+  // 응답 없음: 타임아웃, 연결 거부 등
+  return new EmbeddingUnavailableError(`임베딩 서비스에 연결할 수 없습니다: ${err.code || err.message}`, { cause: err });
+}
+
+// 재시도 횟수는 0(재시도 안 함)도 유효해서 `|| 기본값`을 쓸 수 없다. 음이 아닌 정수가 아니면(빈 문자열 포함) 기본값
+function parseRetries(value, fallback) {
+  return /^\d+$/.test(String(value ?? '').trim()) ? parseInt(value, 10) : fallback;
+}
+
+function createFlaskProvider({
+  baseUrl = process.env.FLASK_BACKEND_URL,
+  timeoutMs = parseInt(process.env.EMBEDDING_TIMEOUT_MS, 10) || 10000,
+  retries = parseRetries(process.env.EMBEDDING_RETRIES, 2),
+  backoffMs = parseInt(process.env.EMBEDDING_BACKOFF_MS, 10) || 300,
+  breaker = createCircuitBreaker({
+    threshold: parseInt(process.env.EMBEDDING_BREAKER_THRESHOLD, 10) || 5,
+    cooldownMs: parseInt(process.env.EMBEDDING_BREAKER_COOLDOWN_MS, 10) || 30000,
+  }),
+} = {}) {
+  async function postOnce(pathname, image, filename) {
+    const form = new FormData();
+    form.append('file', image, { filename });
+    try {
+      const res = await axios.post(`${baseUrl}${pathname}`, form, {
+        headers: form.getHeaders(),
+        timeout: timeoutMs,
+      });
+      return res.data;
+    } catch (err) {
+      throw classifyAxiosError(err);
+    }
+  }
+
+  // 재시도 + 서킷 브레이커를 거쳐 Flask 엔드포인트 호출
+  async function call(pathname, input, filename = 'image.jpg') {
+    if (!baseUrl) {
+      throw new EmbeddingUnavailableError('FLASK_BACKEND_URL 환경 변수가 설정되지 않았습니다.', { code: 'not_configured' });
+    }
+    const image = await readImage(input);
+
+    let lastErr;
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      if (!breaker.allow()) {
+        // 재시도 중에 (다른 요청의 실패로) 서킷이 열렸으면 circuit_open 대신 실제 오류를 알린다
+        if (lastErr) throw lastErr;
+        throw new EmbeddingUnavailableError('임베딩 서비스가 일시적으로 차단되었습니다. 잠시 후 다시 시도해주세요.', { code: 'circuit_open' });
+      }
+      try {
+        const data = await postOnce(pathname, image, filename);
+        breaker.success();
+        return data;
+      } catch (err) {
+        lastErr = err;
+        // 이미지 문제는 서비스 상태와 무관하고 다시 보내도 결과가 같다
+        if (err instanceof EmbeddingInvalidImageError) {
+          breaker.success();
+          throw err;
+        }
+        breaker.failure();
+        // 이번 실패로 서킷이 열렸으면 기다리지 않고 실제 오류를 던진다
+        if (attempt === retries || breaker.state === 'open') throw err;
+        const delay = backoffMs * 2 ** attempt;
+        await sleep(delay + Math.random() * delay * 0.2);
+      }
+    }
+    throw lastErr;
+  }
+
+  return {
+    name: 'flask',
+    breaker,
+    call,
+    async embed(input, { filename } = {}) {
+      const data = await call('/embedding', input, filename);
+      // 얼굴이 여러 개면 faces 배열, 아니면 최상위 필드에 얼굴 하나
+      const rawFaces = Array.isArray(data.faces)
+        ? data.faces
+        : [{ embedding: data.embedding, facial_area: data.facial_area, facial_confidence: data.facial_confidence }];
+      const faces = rawFaces
+        .filter(face => face && face.embedding)
+        .map(face => ({
+          embedding: validateEmbedding(face.embedding),
+          facialArea: face.facial_area ?? null,
+          facialConfidence: face.facial_confidence ?? null,
+        }));
+      return embeddingResult(faces);
+    },
+  };
+}
+
+// embed() 반환 형식: faces 전체 + 첫 번째 얼굴 값을 최상위에 (얼굴이 하나뿐인 호출부 편의)
+function embeddingResult(faces) {
+  const first = faces[0] || {};
+  return {
+    faces,
+    embedding: first.embedding ?? null,
+    facialArea: first.facialArea ?? null,
+    facialConfidence: first.facialConfidence ?? null,
+  };
+}
+
+// 이미지 바이트의 SHA-256에서 결정적인 단위 벡터를 만든다. 같은 이미지 → 같은 벡터.
+function fakeEmbeddingFromBytes(bytes) {
+  const seed = crypto.createHash('sha256').update(bytes).digest();
+  const vec = [];
+  for (let block = 0; vec.length < EMBEDDING_DIM; block++) {
+    const digest = crypto.createHash('sha256').update(seed).update(String(block)).digest();
+    for (let i = 0; i + 1 < digest.length && vec.length < EMBEDDING_DIM; i += 2) {
+      vec.push(digest.readUInt16BE(i) / 32767.5 - 1);
+    }
+  }
+  const norm = Math.sqrt(vec.reduce((sum, v) => sum + v * v, 0)) || 1;
+  return vec.map(v => v / norm);
+}
+
+function createFakeProvider() {
+  return {
+    name: 'fake',
+    async embed(input) {
+      const image = await readImage(input);
+      let meta;
+      try {
+        meta = await sharp(image).metadata();
+      } catch (err) {
+        throw new EmbeddingInvalidImageError('이미지를 읽을 수 없습니다.', { cause: err });
+      }
+      // 가짜 provider는 이미지 전체를 얼굴 하나로 본다
+      return embeddingResult([{
+        embedding: fakeEmbeddingFromBytes(image),
+        facialArea: { x: 0, y: 0, w: meta.width, h: meta.height },
+        facialConfidence: 0.99,
+      }]);
+    },
+  };
+}
+
+const PROVIDERS = {
+  flask: createFlaskProvider,
+  fake: createFakeProvider,
+};
+
+function createEmbeddingClient({ provider = process.env.EMBEDDING_PROVIDER || 'flask', ...options } = {}) {
+  const factory = PROVIDERS[provider];
+  if (!factory) throw new Error(`알 수 없는 EMBEDDING_PROVIDER: ${provider} (flask | fake)`);
+  return factory(options);
+}
+
+// 환경 변수(.env)가 로드된 뒤에 만들어지도록 처음 사용할 때 생성
+let defaultClient = null;
+function getEmbeddingClient() {
+  if (!defaultClient) defaultClient = createEmbeddingClient();
+  return defaultClient;
+}
+
+// 이미지(파일 경로 또는 Buffer) → { faces: [{ embedding, facialArea, facialConfidence }], ...faces[0] }
+function embedImage(input, options) {
+  return getEmbeddingClient().embed(input, options);
+}
+
+// 라우트에서 EmbeddingError를 HTTP 응답으로 변환. 처리했으면 true
+function sendEmbeddingError(res, err) {
+  if (!(err instanceof EmbeddingError)) return false;
+  console.error(`embedding ${err.code}:`, err.message);
+  res.status(err.status).json({ error: err.message, code: err.code });
+  return true;
+}
+
+module.exports = {
+  EMBEDDING_DIM,
+  EmbeddingError,
+  EmbeddingUnavailableError,
+  EmbeddingUpstreamError,
+  EmbeddingInvalidImageError,
+  createCircuitBreaker,
+  createEmbeddingClient,
+  getEmbeddingClient,
+  embedImage,
+  fakeEmbeddingFromBytes,
+  toPgVector,
+  parsePgVector,
+  sendEmbeddingError,
+};
@@ -0,0 +1,123 @@
+// faces.js
+// 얼굴 검출 결과 검사 / 저장 / 선택
+//
+// 임베딩 서비스가 돌려준 얼굴 중 신뢰도가 FACE_MIN_CONFIDENCE 미만인 것은 버린다.
+// 남는 얼굴이 없으면 FaceRejectedError(422)로 업로드를 거절한다.
+// 사진에 얼굴이 여러 개면 모두 photo_faces에 저장하고, 사용자가 쓸 얼굴을 고를 수 있다.
+
+const pool = require('./db');
+const { embedImage, toPgVector, EmbeddingInvalidImageError } = require('./embedding-client');
+
+const FACE_MIN_CONFIDENCE = process.env.FACE_MIN_CONFIDENCE !== undefined
+  ? parseFloat(process.env.FACE_MIN_CONFIDENCE)
+  : 0.9;
+
+// 얼굴 없음 / 신뢰도 부족 — 이미지 문제이므로 422, 재시도하지 않는다
+class FaceRejectedError extends EmbeddingInvalidImageError {
+  constructor(message, code) {
+    super(message, { code });
+  }
+}
+
+function hasBox(area) {
+  return area && [area.x, area.y, area.w, area.h].every(Number.isFinite) && area.w > 0 && area.h > 0;
+}
+
+// 쓸 수 있는 얼굴만 신뢰도 높은 순으로 반환. 하나도 없으면 FaceRejectedError
+function acceptFaces(faces, { minConfidence = FACE_MIN_CONFIDENCE } = {}) {
+  const detected = (faces || []).filter(face => hasBox(face.facialArea));
+  if (detected.length === 0) {
+    throw new FaceRejectedError('사진에서 얼굴을 찾을 수 없습니다.', 'no_face');
+  }
+  // 신뢰도를 알려주지 않는 provider의 얼굴은 통과시킨다
+  const accepted = detected
+    .filter(face => face.facialConfidence == null || face.facialConfidence >= minConfidence)
+    .sort((a, b) => (b.facialConfidence ?? 1) - (a.facialConfidence ?? 1));
+  if (accepted.length === 0) {
+    const best = Math.max(...detected.map(face => face.facialConfidence));
+    throw new FaceRejectedError(
+      `얼굴 인식 신뢰도가 너무 낮습니다. (${best.toFixed(2)} < ${minConfidence}) 얼굴이 잘 보이는 사진을 올려주세요.`,
+      'low_confidence'
+    );
+  }
+  return accepted;
+}
+
+// 임베딩 계산 + 얼굴 검사. 반환: 신뢰도 높은 순 얼굴 배열
+async function detectFaces(input, options) {
+  const { faces } = await embedImage(input, options);
+  return acceptFaces(faces);
+}
+
+// 검출된 얼굴 저장. 첫 번째(가장 신뢰도 높은) 얼굴을 선택된 얼굴로 지정한다.
+async function savePhotoFaces(client, userPhotoId, faces) {
+  await client.query('DELETE FROM photo_faces WHERE user_photo_id = $1', [userPhotoId]);
+  const saved = [];
+  for (const [index, face] of faces.entries()) {
+    const { rows } = await client.query(
+      `INSERT INTO photo_faces (user_photo_id, face_index, facial_area, confidence, embedding_vector)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING photo_face_id, face_index, facial_area, confidence`,
+      [userPhotoId, index, JSON.stringify(face.facialArea), face.facialConfidence, toPgVector(face.embedding)]
+    );
+    saved.push(rows[0]);
+  }
+  await client.query(
+    `UPDATE user_photos
+        SET selected_face_id = $2, embedding_vector = $3
+      WHERE user_photo_id = $1`,
+    [userPhotoId, saved[0].photo_face_id, toPgVector(faces[0].embedding)]
+  );
+  return saved;
+}
+
+async function listPhotoFaces(userPhotoId, client = pool) {
+  const { rows } = await client.query(
+    `SELECT f.photo_face_id, f.face_index, f.facial_area, f.confidence,
+            f.photo_face_id = p.selected_face_id AS selected
+       FROM photo_faces f
+       JOIN user_photos p ON p.user_photo_id = f.user_photo_id
+      WHERE f.user_photo_id = $1
+      ORDER BY f.face_index`,
+    [userPhotoId]
+  );
+  return rows;
+}
+
+// 사용할 얼굴 선택 — 해당 얼굴의 임베딩이 사진의 대표 임베딩이 된다. 없으면 null
+async function selectPhotoFace(userPhotoId, userId, photoFaceId) {
+  const { rows } = await pool.query(
+    `UPDATE user_photos p
+        SET selected_face_id = f.photo_face_id, embedding_vector = f.embedding_vector
+       FROM photo_faces f
+      WHERE p.user_photo_id = $1 AND p.user_id = $2
+        AND f.photo_face_id = $3 AND f.user_photo_id = p.user_photo_id
+      RETURNING p.user_photo_id, p.selected_face_id`,
+    [userPhotoId, userId, photoFaceId]
+  );
+  return rows[0] || null;
+}
+
+// 크롭에 쓸 저장된 얼굴 박스 (userId의 사진만). photoFaceId가 없으면 선택된 얼굴. 없으면 null
+async function getFaceBox(userPhotoId, userId, photoFaceId = null, client = pool) {
+  const { rows } = await client.query(
+    `SELECT p.user_photo_id, p.user_id, p.image_url, f.photo_face_id, f.facial_area, f.confidence
+       FROM user_photos p
+       JOIN photo_faces f ON f.user_photo_id = p.user_photo_id
+      WHERE p.user_photo_id = $1 AND p.user_id = $2
+        AND f.photo_face_id = COALESCE($3, p.selected_face_id)`,
+    [userPhotoId, userId, photoFaceId]
+  );
+  return rows[0] || null;
+}
+
+module.exports = {
+  FACE_MIN_CONFIDENCE,
+  FaceRejectedError,
+  acceptFaces,
+  detectFaces,
+  savePhotoFaces,
+  listPhotoFaces,
+  selectPhotoFace,
+  getFaceBox,
+};
@@ -0,0 +1,138 @@
+// google-verify.js
+// Google ID 토큰 검증 (서명 / iss / aud / exp / email_verified)
+//
+// 서명 키는 JWKS 엔드포인트에서 받아 kid별로 캐시한다.
+// 캐시에 없는 kid가 들어오면(구글 키 교체) 즉시 다시 받아온다.
+// GOOGLE_JWKS_URI / GOOGLE_ISSUERS를 바꾸면 테스트용 로컬 키 서버로 돌릴 수 있다.
+
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+
+const DEFAULT_JWKS_URI = 'https://www.googleapis.com/oauth2/v3/certs';
+const DEFAULT_ISSUERS = ['accounts.google.com', 'https://accounts.google.com'];
+// Cache-Control이 없을 때 키 캐시 유지 시간
+const DEFAULT_CACHE_MS = 60 * 60 * 1000;
+// 모르는 kid 때문에 JWKS를 다시 받을 때 최소 간격 (위조 토큰으로 JWKS 요청 폭주 방지)
+const MIN_REFRESH_INTERVAL_MS = 30 * 1000;
+
+class GoogleTokenError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'GoogleTokenError';
+    this.code = code;
+    this.status = 401;
+  }
+}
+
+function parseMaxAge(cacheControl) {
+  const m = /max-age=(\d+)/i.exec(cacheControl || '');
+  return m ? parseInt(m[1], 10) * 1000 : null;
+}
+
+function createGoogleVerifier({
+  jwksUri = process.env.GOOGLE_JWKS_URI || DEFAULT_JWKS_URI,
+  audience = process.env.GOOGLE_CLIENT_ID,
+  issuers = process.env.GOOGLE_ISSUERS ? process.env.GOOGLE_ISSUERS.split(',') : DEFAULT_ISSUERS,
+  requireEmailVerified = true,
+  clockToleranceSec = 5,
+} = {}) {
+  let keys = new Map();     // kid → KeyObject
+  let expiresAt = 0;
+  let lastFetchAt = 0;
+  let inflight = null;
+
+  async function fetchKeys() {
+    // 동시에 여러 요청이 들어와도 JWKS는 한 번만 받는다
+    if (!inflight) {
+      inflight = (async () => {
+        try {
+          const res = await axios.get(jwksUri, { timeout: 5000 });
+          const next = new Map();
+          for (const jwk of res.data.keys || []) {
+            if (!jwk.kid || jwk.kty !== 'RSA') continue;
+            next.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+          }
+          keys = next;
+          lastFetchAt = Date.now();
+          expiresAt = lastFetchAt + (parseMaxAge(res.headers['cache-control']) ?? DEFAULT_CACHE_MS);
+        } finally {
+          inflight = null;
+        }
+      })();
+    }
+    return inflight;
+  }
+
+  async function getKey(kid) {
+    if (Date.now() >= expiresAt) {
+      await fetchKeys();
+    } else if (!keys.has(kid) && Date.now() - lastFetchAt >= MIN_REFRESH_INTERVAL_MS) {
+      await fetchKeys();
+    }
+    return keys.get(kid);
+  }
+
+  // 검증에 성공하면 페이로드 반환, 실패하면 GoogleTokenError
+  async function verify(idToken) {
+    if (!audience) {
+      throw new Error('GOOGLE_CLIENT_ID 환경 변수가 설정되지 않았습니다.');
+    }
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded || !decoded.header) {
+      throw new GoogleTokenError('ID 토큰 형식이 올바르지 않습니다.', 'malformed');
+    }
+    const { kid, alg } = decoded.header;
+    if (alg !== 'RS256') {
+      throw new GoogleTokenError(`지원하지 않는 서명 알고리즘입니다: ${alg}`, 'bad_alg');
+    }
+
+    let key;
+    try {
+      key = await getKey(kid);
+    } catch (err) {
+      throw new Error(`Google JWKS 조회 실패: ${err.message}`);
+    }
+    if (!key) {
+      throw new GoogleTokenError('ID 토큰의 서명 키(kid)를 찾을 수 없습니다.', 'unknown_kid');
+    }
+
+    let payload;
+    try {
+      payload = jwt.verify(idToken, key, {
+        algorithms: ['RS256'],
+        audience,
+        issuer: issuers,
+        clockTolerance: clockToleranceSec,
+      });
+    } catch (err) {
+      const code = err.name === 'TokenExpiredError' ? 'expired' : 'invalid';
+      throw new GoogleTokenError(`ID 토큰 검증 실패: ${err.message}`, code);
+    }
+
+    if (!payload.sub) {
+      throw new GoogleTokenError('ID 토큰에 sub가 없습니다.', 'invalid');
+    }
+    // Google은 email_verified를 boolean 또는 "true" 문자열로 준다
+    if (requireEmailVerified && payload.email
+      && payload.email_verified !== true && payload.email_verified !== 'true') {
+      throw new GoogleTokenError('이메일 인증이 완료되지 않은 구글 계정입니다.', 'email_unverified');
+    }
+    return payload;
+  }
+
+  return { verify, refreshKeys: fetchKeys };
+}
+
+// 환경 변수(.env)가 로드된 뒤에 만들어지도록 처음 사용할 때 생성
+let defaultVerifier = null;
+function verifyGoogleIdToken(idToken) {
+  if (!defaultVerifier) defaultVerifier = createGoogleVerifier();
+  return defaultVerifier.verify(idToken);
+}
+
+module.exports = {
+  GoogleTokenError,
+  createGoogleVerifier,
+  verifyGoogleIdToken,
+};
@@ -0,0 +1,288 @@
+// identities.js
+// 로그인 수단(user_identities)과 Facer 사용자(users) 연결 관리
+//
+// 한 사용자는 google / kakao / email 로그인을 여러 개 가질 수 있다.
+// 같은 "인증된" 이메일이 두 provider에서 들어오면 같은 사람으로 보고 한 사용자로 합친다.
+// 인증되지 않은 이메일로는 절대 합치지 않는다 (남의 이메일로 가입해 계정을 가로채는 것 방지).
+
+const pool = require('./db');
+
+const PROVIDERS = ['google', 'kakao', 'email'];
+
+class IdentityError extends Error {
+  constructor(message, status = 400, code) {
+    super(message);
+    this.name = 'IdentityError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+async function withTransaction(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// 인증된 이메일로 연결된 사용자 id 목록 (오래된 순)
+async function findUserIdsByVerifiedEmail(client, email) {
+  if (!email) return [];
+  const { rows } = await client.query(
+    `SELECT DISTINCT user_id FROM user_identities
+      WHERE email_verified AND lower(email) = lower($1)
+      ORDER BY user_id`,
+    [email]
+  );
+  return rows.map(r => r.user_id);
+}
+
+// dropId 사용자의 모든 데이터를 keepId 사용자로 옮기고 dropId를 삭제한다.
+// 사진, 콘테스트 참가 기록, 친구 관계, 알림이 유지되어야 한다.
+async function mergeUsers(client, keepId, dropId) {
+  if (keepId === dropId) return;
+
+  await client.query('UPDATE user_photos SET user_id = $1 WHERE user_id = $2', [keepId, dropId]);
+  await client.query('UPDATE contest_entries SET user_id = $1 WHERE user_id = $2', [keepId, dropId]);
+  // 투표: 합친 뒤 자기 참가 기록에 한 투표와 같은 참가 기록에 겹친 투표는 지운다
+  await client.query(
+    `DELETE FROM contest_votes v
+      USING contest_entries e
+      WHERE e.contest_entry_id = v.contest_entry_id
+        AND e.user_id = $1
+        AND v.voter_user_id IN ($1, $2)`,
+    [keepId, dropId]
+  );
+  await client.query(
+    `DELETE FROM contest_votes v
+      WHERE v.voter_user_id = $2
+        AND EXISTS (
+          SELECT 1 FROM contest_votes k
+           WHERE k.voter_user_id = $1 AND k.contest_entry_id = v.contest_entry_id
+        )`,
+    [keepId, dropId]
+  );
+  await client.query('UPDATE contest_votes SET voter_user_id = $1 WHERE voter_user_id = $2', [keepId, dropId]);
+  await client.query('UPDATE notifications SET user_id = $1 WHERE user_id = $2', [keepId, dropId]);
+  await client.query('UPDATE notifications SET actor_user_id = $1 WHERE actor_user_id = $2', [keepId, dropId]);
+  await client.query('UPDATE notification_events SET user_id = $1 WHERE user_id = $2', [keepId, dropId]);
+  await client.query('DELETE FROM presence_connections WHERE user_id = $1', [dropId]);
+  await client.query('UPDATE similarity_results SET user_id = $1 WHERE user_id = $2', [keepId, dropId]);
+  await client.query('UPDATE similarity_results SET compared_user_id = $1 WHERE compared_user_id = $2', [keepId, dropId]);
+  await client.query('UPDATE contests SET created_by = $1 WHERE created_by = $2', [keepId, dropId]);
+  // 콘테스트 명단: keep 쪽 기록(또는 keep이 만든 콘테스트)과 겹치는 drop 기록은 지운다
+  await client.query(
+    `DELETE FROM contest_members m
+      WHERE m.user_id = $2
+        AND (EXISTS (SELECT 1 FROM contest_members k WHERE k.contest_id = m.contest_id AND k.user_id = $1)
+          OR EXISTS (SELECT 1 FROM contests c WHERE c.contest_id = m.contest_id AND c.created_by = $1))`,
+    [keepId, dropId]
+  );
+  await client.query(
+    'DELETE FROM contest_members m USING contests c WHERE c.contest_id = m.contest_id AND c.created_by = $1 AND m.user_id = $1',
+    [keepId]
+  );
+  await client.query('UPDATE contest_members SET user_id = $1 WHERE user_id = $2', [keepId, dropId]);
+  await client.query('UPDATE contest_members SET added_by = $1 WHERE added_by = $2', [keepId, dropId]);
+
+  // 친구 관계: 두 계정 사이의 관계와, keep 쪽에 이미 같은 상대가 있는 관계는 지운다
+  await client.query(
+    `DELETE FROM friendships
+      WHERE (requester_user_id = $1 AND receiver_user_id = $2)
+         OR (requester_user_id = $2 AND receiver_user_id = $1)`,
+    [keepId, dropId]
+  );
+  await client.query(
+    `DELETE FROM friendships f
+      WHERE (f.requester_user_id = $2 OR f.receiver_user_id = $2)
+        AND EXISTS (
+          SELECT 1 FROM friendships k
+           WHERE (k.requester_user_id = $1 OR k.receiver_user_id = $1)
+             AND CASE WHEN k.requester_user_id = $1 THEN k.receiver_user_id ELSE k.requester_user_id END
+               = CASE WHEN f.requester_user_id = $2 THEN f.receiver_user_id ELSE f.requester_user_id END
+        )`,
+    [keepId, dropId]
+  );
+  await client.query('UPDATE friendships SET requester_user_id = $1 WHERE requester_user_id = $2', [keepId, dropId]);
+  await client.query('UPDATE friendships SET receiver_user_id = $1 WHERE receiver_user_id = $2', [keepId, dropId]);
+
+  await client.query('UPDATE user_identities SET user_id = $1 WHERE user_id = $2', [keepId, dropId]);
+  // 합쳐진 계정의 로그인 세션은 모두 끊는다
+  await client.query('DELETE FROM refresh_tokens WHERE user_id = $1', [dropId]);
+
+  // 비어 있는 프로필 항목은 합쳐지는 계정 값으로 채운다
+  const { rows } = await client.query('DELETE FROM users WHERE user_id = $1 RETURNING *', [dropId]);
+  const dropped = rows[0];
+  if (dropped) {
+    await client.query(
+      `UPDATE users
+          SET email = COALESCE(email, $2),
+              password = COALESCE(password, $3),
+              profile_image_url = COALESCE(profile_image_url, $4),
+              primary_photo_id = COALESCE(primary_photo_id, $5),
+              updated_at = NOW()
+        WHERE user_id = $1`,
+      [keepId, dropped.email, dropped.password, dropped.profile_image_url, dropped.primary_photo_id]
+    );
+  }
+}
+
+async function getUser(client, userId) {
+  const { rows } = await client.query('SELECT * FROM users WHERE user_id = $1', [userId]);
+  return rows[0];
+}
+
+// 소셜 로그인 처리: 연결된 사용자를 찾거나, 인증된 이메일이 같은 사용자에 붙이거나, 새로 만든다.
+// profile: { providerUserId, email, emailVerified, nickname, profileImageUrl }
+async function findOrCreateUserForIdentity(provider, profile) {
+  return withTransaction(async (client) => {
+    const providerUserId = String(profile.providerUserId);
+    const email = profile.email || null;
+    const emailVerified = !!(email && profile.emailVerified);
+
+    const existing = await client.query(
+      'SELECT * FROM user_identities WHERE provider = $1 AND provider_user_id = $2 FOR UPDATE',
+      [provider, providerUserId]
+    );
+
+    let userId;
+    const sameEmailUserIds = emailVerified ? await findUserIdsByVerifiedEmail(client, email) : [];
+
+    if (existing.rows.length) {
+      userId = existing.rows[0].user_id;
+      await client.query(
+        `UPDATE user_identities
+            SET email = $1, email_verified = $2, last_login_at = NOW()
+          WHERE identity_id = $3`,
+        [email, emailVerified, existing.rows[0].identity_id]
+      );
+    } else if (sameEmailUserIds.length) {
+      userId = sameEmailUserIds[0];
+      await client.query(
+        `INSERT INTO user_identities (user_id, provider, provider_user_id, email, email_verified, last_login_at)
+         VALUES ($1, $2, $3, $4, $5, NOW())`,
+        [userId, provider, providerUserId, email, emailVerified]
+      );
+    } else {
+      // 다른 계정이 이미 쓰는 이메일은 users.email에 넣지 않는다 (UNIQUE)
+      const emailTaken = email
+        ? (await client.query('SELECT 1 FROM users WHERE lower(email) = lower($1)', [email])).rows.length > 0
+        : false;
+      const ins = await client.query(
+        `INSERT INTO users (nickname, email, profile_image_url, is_online)
+         VALUES ($1, $2, $3, true)
+         RETURNING user_id`,
+        [profile.nickname, emailTaken ? null : email, profile.profileImageUrl || null]
+      );
+      userId = ins.rows[0].user_id;
+      await client.query(
+        `INSERT INTO user_identities (user_id, provider, provider_user_id, email, email_verified, last_login_at)
+         VALUES ($1, $2, $3, $4, $5, NOW())`,
+        [userId, provider, providerUserId, email, emailVerified]
+      );
+    }
+
+    // 같은 인증 이메일로 따로 만들어져 있던 계정은 가장 오래된 계정으로 합친다
+    const allIds = [...new Set([userId, ...sameEmailUserIds])].sort((a, b) => a - b);
+    const keepId = allIds[0];
+    for (const otherId of allIds.slice(1)) {
+      await mergeUsers(client, keepId, otherId);
+    }
+
+    // 닉네임은 사용자가 바꿀 수 있으므로 덮어쓰지 않고, 프로필 사진은 비어 있을 때만 채운다
+    await client.query(
+      `UPDATE users
+          SET profile_image_url = COALESCE(profile_image_url, $2),
+              is_online = true,
+              updated_at = NOW()
+        WHERE user_id = $1`,
+      [keepId, profile.profileImageUrl || null]
+    );
+    return getUser(client, keepId);
+  });
+}
+
+// 로그인된 사용자에게 로그인 수단 추가.
+// 이미 다른 사용자에 연결된 수단이면, 호출자가 그 수단의 소유를 증명했으므로 두 계정을 합친다.
+async function linkIdentity(userId, provider, profile) {
+  return withTransaction(async (client) => {
+    const providerUserId = String(profile.providerUserId);
+    const email = profile.email || null;
+    const emailVerified = !!(email && profile.emailVerified);
+
+    const existing = await client.query(
+      'SELECT * FROM user_identities WHERE provider = $1 AND provider_user_id = $2 FOR UPDATE',
+      [provider, providerUserId]
+    );
+    if (existing.rows.length) {
+      const owner = existing.rows[0].user_id;
+      if (owner !== userId) {
+        await mergeUsers(client, userId, owner);
+      }
+      await client.query(
+        'UPDATE user_identities SET email = $1, email_verified = $2 WHERE identity_id = $3',
+        [email, emailVerified, existing.rows[0].identity_id]
+      );
+    } else {
+      await client.query(
+        `INSERT INTO user_identities (user_id, provider, provider_user_id, email, email_verified)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [userId, provider, providerUserId, email, emailVerified]
+      );
+    }
+    return listIdentities(userId, client);
+  });
+}
+
+// 로그인 수단 해제 — 마지막 하나는 해제할 수 없다
+async function unlinkIdentity(userId, identityId) {
+  return withTransaction(async (client) => {
+    const { rows } = await client.query(
+      'SELECT identity_id, provider FROM user_identities WHERE user_id = $1 FOR UPDATE',
+      [userId]
+    );
+    const target = rows.find(r => r.identity_id === Number(identityId));
+    if (!target) {
+      throw new IdentityError('연결된 로그인 수단을 찾을 수 없습니다.', 404, 'not_found');
+    }
+    if (rows.length <= 1) {
+      throw new IdentityError('마지막 로그인 수단은 해제할 수 없습니다.', 409, 'last_identity');
+    }
+    await client.query('DELETE FROM user_identities WHERE identity_id = $1', [target.identity_id]);
+    // 이메일 로그인을 해제하면 비밀번호도 지운다
+    if (target.provider === 'email') {
+      await client.query('UPDATE users SET password = NULL, updated_at = NOW() WHERE user_id = $1', [userId]);
+    }
+    return listIdentities(userId, client);
+  });
+}
+
+async function listIdentities(userId, client = pool) {
+  const { rows } = await client.query(
+    `SELECT identity_id, provider, email, email_verified, created_at, last_login_at
+       FROM user_identities
+      WHERE user_id = $1
+      ORDER BY created_at`,
+    [userId]
+  );
+  return rows;
+}
+
+module.exports = {
+  PROVIDERS,
+  IdentityError,
+  withTransaction,
+  mergeUsers,
+  findOrCreateUserForIdentity,
+  linkIdentity,
+  unlinkIdentity,
+  listIdentities,
+};
@@ -0,0 +1,154 @@
+// image-pipeline.js
+// 업로드 이미지 검사 / 정규화 (sharp)
+//
+// 1. 파일 크기, 매직 바이트로 확인한 실제 형식, 선언된 MIME 타입이 맞는지 검사
+// 2. 픽셀 수 / 최소 크기 검사 (디코딩 전에 헤더로 확인)
+// 3. EXIF 방향대로 회전하고 GPS 등 메타데이터를 모두 지운 JPEG로 변환
+// 4. 정규화 이미지(임베딩 / 얼굴 박스 기준), medium, thumbnail 세 가지 크기를 만든다
+
+const sharp = require('sharp');
+const { storageKey, variantKey, putFile, deleteFileQuietly } = require('./storage');
+
+const IMAGE_MAX_BYTES = parseInt(process.env.IMAGE_MAX_BYTES, 10) || 10 * 1024 * 1024;
+const IMAGE_MAX_PIXELS = parseInt(process.env.IMAGE_MAX_PIXELS, 10) || 40000000;
+const IMAGE_MIN_SIDE = parseInt(process.env.IMAGE_MIN_SIDE, 10) || 64;
+// 정규화 이미지의 긴 변. 임베딩과 얼굴 박스 좌표는 이 이미지 기준이다.
+const IMAGE_NORMALIZED_SIZE = parseInt(process.env.IMAGE_NORMALIZED_SIZE, 10) || 1600;
+const IMAGE_MEDIUM_SIZE = parseInt(process.env.IMAGE_MEDIUM_SIZE, 10) || 800;
+const THUMBNAIL_SIZE = parseInt(process.env.THUMBNAIL_SIZE, 10) || 256;
+
+// 매직 바이트로 판별하는 허용 형식
+const FORMATS = {
+  jpeg: {
+    mimeTypes: ['image/jpeg', 'image/jpg', 'image/pjpeg'],
+    matches: (b) => b.length >= 3 && b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff,
+  },
+  png: {
+    mimeTypes: ['image/png'],
+    matches: (b) => b.length >= 8 && b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  },
+  webp: {
+    mimeTypes: ['image/webp'],
+    matches: (b) => b.length >= 12 && b.toString('ascii', 0, 4) === 'RIFF' && b.toString('ascii', 8, 12) === 'WEBP',
+  },
+};
+// 형식을 알려주지 않는 클라이언트 — 매직 바이트만 본다
+const GENERIC_MIME_TYPES = ['application/octet-stream', ''];
+
+class ImageRejectedError extends Error {
+  constructor(message, code, status = 422) {
+    super(message);
+    this.name = 'ImageRejectedError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+function detectFormat(buffer) {
+  return Object.keys(FORMATS).find(format => FORMATS[format].matches(buffer)) || null;
+}
+
+// 크기 / 형식 / 픽셀 검사. 반환: { format, width, height }
+async function validateImage(buffer, { mimetype = '' } = {}) {
+  if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+    throw new ImageRejectedError('빈 파일입니다.', 'empty_file', 400);
+  }
+  if (buffer.length > IMAGE_MAX_BYTES) {
+    throw new ImageRejectedError(`파일이 너무 큽니다. (최대 ${Math.floor(IMAGE_MAX_BYTES / 1024 / 1024)}MB)`, 'too_large', 413);
+  }
+
+  const format = detectFormat(buffer);
+  if (!format) {
+    throw new ImageRejectedError('JPEG, PNG, WebP 이미지만 올릴 수 있습니다.', 'unsupported_type', 415);
+  }
+  const declared = mimetype.toLowerCase();
+  if (!GENERIC_MIME_TYPES.includes(declared) && !FORMATS[format].mimeTypes.includes(declared)) {
+    throw new ImageRejectedError(`파일 형식(${format})이 선언된 MIME 타입(${mimetype})과 다릅니다.`, 'type_mismatch', 415);
+  }
+
+  let meta;
+  try {
+    meta = await sharp(buffer).metadata();
+  } catch (err) {
+    throw new ImageRejectedError('이미지를 읽을 수 없습니다.', 'corrupt_image');
+  }
+  if (!meta.width || !meta.height || meta.format !== format) {
+    throw new ImageRejectedError('이미지를 읽을 수 없습니다.', 'corrupt_image');
+  }
+  if (meta.width * meta.height > IMAGE_MAX_PIXELS) {
+    throw new ImageRejectedError(`이미지 해상도가 너무 큽니다. (최대 ${IMAGE_MAX_PIXELS} 픽셀)`, 'too_many_pixels', 413);
+  }
+  if (Math.min(meta.width, meta.height) < IMAGE_MIN_SIDE) {
+    throw new ImageRejectedError(`이미지가 너무 작습니다. (짧은 변 최소 ${IMAGE_MIN_SIDE}px)`, 'too_small');
+  }
+  return { format, width: meta.width, height: meta.height };
+}
+
+// 회전 + 메타데이터 제거(sharp는 withMetadata 없이 출력하면 EXIF/GPS를 남기지 않는다) + JPEG 변환
+async function renderJpeg(buffer, resize, quality) {
+  const { data, info } = await sharp(buffer, { limitInputPixels: IMAGE_MAX_PIXELS })
+    .rotate()
+    .resize(resize)
+    .flatten({ background: '#ffffff' })
+    .jpeg({ quality })
+    .toBuffer({ resolveWithObject: true });
+  return { buffer: data, width: info.width, height: info.height };
+}
+
+// 검사 + 정규화. 반환: { image, medium, thumbnail } — 각각 { buffer, width, height }
+async function ingestImage(buffer, { mimetype } = {}) {
+  await validateImage(buffer, { mimetype });
+  try {
+    const [image, medium, thumbnail] = await Promise.all([
+      renderJpeg(buffer, { width: IMAGE_NORMALIZED_SIZE, height: IMAGE_NORMALIZED_SIZE, fit: 'inside', withoutEnlargement: true }, 90),
+      renderJpeg(buffer, { width: IMAGE_MEDIUM_SIZE, height: IMAGE_MEDIUM_SIZE, fit: 'inside', withoutEnlargement: true }, 85),
+      renderJpeg(buffer, { width: THUMBNAIL_SIZE, height: THUMBNAIL_SIZE, fit: 'cover' }, 80),
+    ]);
+    return { image, medium, thumbnail };
+  } catch (err) {
+    throw new ImageRejectedError('이미지를 변환할 수 없습니다.', 'corrupt_image');
+  }
+}
+
+// 세 가지 크기를 저장소에 올린다. 반환: { image_key, medium_key, thumbnail_key }
+async function storeImageVariants(prefix, ingested) {
+  const imageKey = storageKey(prefix, '.jpg');
+  const keys = {
+    image_key: imageKey,
+    medium_key: variantKey(imageKey, 'medium'),
+    thumbnail_key: variantKey(imageKey, 'thumb'),
+  };
+  try {
+    await Promise.all([
+      putFile(keys.image_key, ingested.image.buffer, { contentType: 'image/jpeg' }),
+      putFile(keys.medium_key, ingested.medium.buffer, { contentType: 'image/jpeg' }),
+      putFile(keys.thumbnail_key, ingested.thumbnail.buffer, { contentType: 'image/jpeg' }),
+    ]);
+  } catch (err) {
+    await deleteImageVariants(keys);
+    throw err;
+  }
+  return keys;
+}
+
+function deleteImageVariants({ image_key, medium_key, thumbnail_key }) {
+  return Promise.all([image_key, medium_key, thumbnail_key].map(deleteFileQuietly));
+}
+
+// 라우트에서 ImageRejectedError를 HTTP 응답으로 변환. 처리했으면 true
+function sendImageError(res, err) {
+  if (!(err instanceof ImageRejectedError)) return false;
+  res.status(err.status).json({ error: err.message, code: err.code });
+  return true;
+}
+
+module.exports = {
+  IMAGE_MAX_BYTES,
+  ImageRejectedError,
+  detectFormat,
+  validateImage,
+  ingestImage,
+  storeImageVariants,
+  deleteImageVariants,
+  sendImageError,
+};
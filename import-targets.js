@@ -0,0 +1,198 @@
+// import-targets.js
+// 닮은 대상 일괄 등록
+//
+//   node import-targets.js <이미지 디렉터리> [--manifest 파일] [--report 파일] [--allow-duplicates] [--dry-run]
+//
+// manifest(기본: 디렉터리의 manifest.json 또는 manifest.csv)는 이미지마다 file, name, type, metadata를 적는다.
+//   JSON: [{ "file": "iu.jpg", "name": "아이유", "type": "celebrity", "metadata": { "group": "solo" } }, ...]
+//   CSV : file,name,type,metadata 헤더. metadata 열은 JSON 객체 문자열이고, 그 밖의 열은 metadata에 합쳐진다.
+//
+// 이미지마다 임베딩을 계산하고, 이미 있는 대상(이번 실행에서 먼저 등록된 것 포함)과 거의 같으면 건너뛴다.
+// 결과는 항목별로 report 파일(JSON)에 남긴다: imported | duplicate | failed (dry-run이면 would_import)
+
+const fs = require('fs');
+const path = require('path');
+const pool = require('./db');
+const { detectFaces } = require('./faces');
+const { ingestImage } = require('./image-pipeline');
+const { validateTargetFields, findNearDuplicate, createTarget } = require('./target-catalog');
+
+// 큰따옴표 / 줄바꿈 / "" 이스케이프를 지원하는 CSV 파서. 반환: 행(문자열 배열) 배열
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(cell => cell.trim()));
+}
+
+function csvToItems(text) {
+  const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+  if (!header) return [];
+  const columns = header.map(h => h.trim());
+  return rows.map(cells => {
+    const item = { metadata: {} };
+    columns.forEach((column, i) => {
+      const value = (cells[i] ?? '').trim();
+      if (['file', 'name', 'type'].includes(column)) {
+        item[column] = value;
+      } else if (column === 'metadata') {
+        item.metadataJson = value;
+      } else if (column && value) {
+        item.metadata[column] = value;
+      }
+    });
+    return item;
+  });
+}
+
+// manifest 파일 → [{ file, name, type, metadata }]
+function readManifest(manifestPath) {
+  const text = fs.readFileSync(manifestPath, 'utf8');
+  if (path.extname(manifestPath).toLowerCase() === '.csv') {
+    return csvToItems(text).map(({ metadataJson, metadata, ...item }) => {
+      let parsed = {};
+      if (metadataJson) {
+        try {
+          parsed = JSON.parse(metadataJson);
+        } catch (err) {
+          // 검증 단계에서 invalid_metadata로 보고한다
+          return { ...item, metadata: metadataJson };
+        }
+      }
+      return { ...item, metadata: { ...metadata, ...parsed } };
+    });
+  }
+  const data = JSON.parse(text);
+  const items = Array.isArray(data) ? data : data.items;
+  if (!Array.isArray(items)) throw new Error('JSON manifest는 배열이거나 items 배열을 가져야 합니다.');
+  return items;
+}
+
+function findManifest(dir) {
+  for (const name of ['manifest.json', 'manifest.csv']) {
+    const candidate = path.join(dir, name);
+    if (fs.existsSync(candidate)) return candidate;
+  }
+  throw new Error(`${dir}에 manifest.json / manifest.csv가 없습니다. --manifest로 지정해주세요.`);
+}
+
+async function importItem(dir, item, { allowDuplicates, dryRun }) {
+  const result = { file: item.file ?? null, name: item.name ?? null, type: item.type ?? null };
+  try {
+    if (!item.file) throw Object.assign(new Error('file이 비어 있습니다.'), { code: 'missing_file' });
+    validateTargetFields(item);
+    const source = path.resolve(dir, item.file);
+    if (!fs.existsSync(source)) {
+      throw Object.assign(new Error(`파일이 없습니다: ${source}`), { code: 'file_not_found' });
+    }
+
+    // 업로드와 같은 검사 / 정규화를 거친다 (거부되면 ImageRejectedError의 code로 failed)
+    const ingested = await ingestImage(await fs.promises.readFile(source));
+
+    if (dryRun) {
+      const [face] = await detectFaces(ingested.image.buffer);
+      const duplicate = allowDuplicates ? null : await findNearDuplicate(face.embedding);
+      return duplicate
+        ? { ...result, status: 'duplicate', duplicate_of: duplicate }
+        : { ...result, status: 'would_import', facial_confidence: face.facialConfidence };
+    }
+
+    const { target, face } = await createTarget({
+      ingested,
+      name: item.name,
+      type: item.type,
+      metadata: item.metadata,
+      allowDuplicate: allowDuplicates,
+    });
+    return {
+      ...result,
+      status: 'imported',
+      target_photo_id: target.target_photo_id,
+      facial_confidence: face.facialConfidence,
+    };
+  } catch (err) {
+    if (err.code === 'duplicate') {
+      return { ...result, status: 'duplicate', duplicate_of: err.duplicate_of };
+    }
+    return { ...result, status: 'failed', code: err.code || 'error', error: err.message };
+  }
+}
+
+// 반환: { summary, items }
+async function importTargets(dir, { manifest, allowDuplicates = false, dryRun = false } = {}) {
+  const items = readManifest(manifest || findManifest(dir));
+  const report = [];
+  for (const [index, item] of items.entries()) {
+    const result = await importItem(dir, item, { allowDuplicates, dryRun });
+    report.push(result);
+    console.log(`[${index + 1}/${items.length}] ${result.status.padEnd(12)} ${result.file}${result.error ? `  ${result.error}` : ''}`);
+  }
+  const summary = report.reduce((acc, r) => ({ ...acc, [r.status]: (acc[r.status] || 0) + 1 }), { total: report.length });
+  return { summary, items: report };
+}
+
+module.exports = {
+  parseCsv,
+  readManifest,
+  importTargets,
+};
+
+// CLI 진입점
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const flag = name => {
+    const i = args.indexOf(`--${name}`);
+    return i === -1 ? undefined : args[i + 1];
+  };
+  const dir = args.find((arg, i) => !arg.startsWith('--') && !['--manifest', '--report'].includes(args[i - 1]));
+
+  const run = async () => {
+    if (!dir) throw new Error('사용법: node import-targets.js <이미지 디렉터리> [--manifest 파일] [--report 파일] [--allow-duplicates] [--dry-run]');
+    const reportPath = flag('report') || `import-report-${Date.now()}.json`;
+    const { summary, items } = await importTargets(dir, {
+      manifest: flag('manifest'),
+      allowDuplicates: args.includes('--allow-duplicates'),
+      dryRun: args.includes('--dry-run'),
+    });
+    fs.writeFileSync(reportPath, JSON.stringify({ dir, finished_at: new Date().toISOString(), summary, items }, null, 2));
+    console.log(`결과: ${JSON.stringify(summary)}  → ${reportPath}`);
+  };
+
+  run()
+    .catch(err => {
+      console.error('❌', err.message);
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
+}
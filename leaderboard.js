@@ -0,0 +1,214 @@
+// leaderboard.js
+// 콘테스트 순위표 — contest_entries에서 윈도 함수로 매번 계산한다
+//
+// 점수는 콘테스트 채점 방식(scoring_mode: similarity | votes | blend)을 따르고, 사용자마다 점수가 가장 높은 참가 기록 하나로 순위를 매긴다.
+// 확정(finalized)된 콘테스트는 확정 때 저장한 final_score를 쓰므로 그 뒤 투표 / 계정 삭제가 결과를 바꾸지 않는다.
+//   ranking=standard  같은 점수는 같은 순위, 다음 순위는 건너뛴다 (1, 1, 3)   — RANK()
+//   ranking=dense     같은 점수는 같은 순위, 다음 순위는 이어진다 (1, 1, 2)   — DENSE_RANK()
+// position은 동점일 때 먼저 낸 사람이 앞서는 고유 순서이고, 페이지 커서로 쓴다.
+// percentile은 내 점수 이하인 참가자 비율(100 = 1등)이다.
+
+const pool = require('./db');
+const { fileUrl } = require('./storage');
+const { normalizeSimilarity } = require('./lookalike');
+
+const RANKINGS = ['standard', 'dense'];
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+class LeaderboardError extends Error {
+  constructor(message, code, status = 400) {
+    super(message);
+    this.name = 'LeaderboardError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// 쿼리 파라미터 검증 → { ranking, limit, after }
+function parseLeaderboardOptions({ ranking, limit, cursor } = {}) {
+  const options = { ranking: ranking || 'standard', limit: DEFAULT_LIMIT, after: 0 };
+  if (!RANKINGS.includes(options.ranking)) {
+    throw new LeaderboardError(`ranking은 ${RANKINGS.join(' | ')} 중 하나여야 합니다.`, 'invalid_ranking');
+  }
+  if (limit !== undefined && limit !== '') {
+    const value = Number(limit);
+    if (!Number.isInteger(value) || value < 1 || value > MAX_LIMIT) {
+      throw new LeaderboardError(`limit는 1 ~ ${MAX_LIMIT} 사이의 정수여야 합니다.`, 'invalid_limit');
+    }
+    options.limit = value;
+  }
+  if (cursor !== undefined && cursor !== '') {
+    const value = Number(cursor);
+    if (!Number.isInteger(value) || value < 0) {
+      throw new LeaderboardError('cursor 값이 올바르지 않습니다.', 'invalid_cursor');
+    }
+    options.after = value;
+  }
+  return options;
+}
+
+// 채점 방식별 참가 기록 점수 (c = contests, en = 투표 수가 붙은 참가 기록)
+//   similarity  정규화 유사도 (0 ~ 1)
+//   votes       받은 투표 수
+//   blend       (1 - vote_weight) × 정규화 유사도 + vote_weight × (투표 수 / 콘테스트 최다 투표 수)
+const LIVE_SCORE = `
+  CASE c.scoring_mode
+    WHEN 'votes' THEN en.vote_count::float8
+    WHEN 'blend' THEN (1 - c.vote_weight) * (en.similarity_score + 1) / 2
+                      + c.vote_weight * COALESCE(en.vote_count::float8 / NULLIF(MAX(en.vote_count) OVER (), 0), 0)
+    ELSE (en.similarity_score + 1) / 2
+  END`;
+
+// $1 = contest_id. 참가 기록마다 투표 수와 점수 (확정된 콘테스트는 확정 때 저장한 final_score)
+const SCORED_ENTRIES = `
+  WITH entries AS (
+    SELECT e.*, COUNT(v.voter_user_id)::int AS vote_count
+      FROM contest_entries e
+      LEFT JOIN contest_votes v ON v.contest_entry_id = e.contest_entry_id
+     WHERE e.contest_id = $1
+     GROUP BY e.contest_entry_id
+  ),
+  scored AS (
+    SELECT en.*, ${LIVE_SCORE} AS live_score,
+           CASE WHEN c.status = 'finalized' AND en.final_score IS NOT NULL THEN en.final_score END AS frozen_score
+      FROM entries en
+      JOIN contests c ON c.contest_id = en.contest_id
+  )`;
+
+// 사용자별 최고 기록 → 순위
+const RANKED_ENTRIES = `${SCORED_ENTRIES},
+  best AS (
+    SELECT DISTINCT ON (s.user_id)
+           s.contest_entry_id, s.user_id, s.user_photo_id, s.similarity_score, s.vote_count,
+           COALESCE(s.frozen_score, s.live_score) AS score, s.submitted_at
+      FROM scored s
+     ORDER BY s.user_id, COALESCE(s.frozen_score, s.live_score) DESC NULLS LAST, s.submitted_at, s.contest_entry_id
+  ),
+  ranked AS (
+    SELECT b.*,
+           RANK() OVER score_order AS standard_rank,
+           DENSE_RANK() OVER score_order AS dense_rank,
+           CUME_DIST() OVER (ORDER BY b.score ASC NULLS FIRST) AS cume_dist,
+           ROW_NUMBER() OVER (ORDER BY b.score DESC NULLS LAST, b.submitted_at, b.contest_entry_id) AS position,
+           COUNT(*) OVER () AS total
+      FROM best b
+    WINDOW score_order AS (ORDER BY b.score DESC NULLS LAST)
+  )`;
+
+// $2 = 조회하는 사용자 (voted: 내가 이 참가 기록에 투표했는지)
+const RANKED_COLUMNS = `
+  r.position::int, r.standard_rank::int, r.dense_rank::int, r.cume_dist, r.total::int,
+  r.contest_entry_id, r.user_id, u.nickname, u.profile_image_url,
+  r.user_photo_id, p.thumbnail_url, r.score, r.similarity_score, r.vote_count, r.submitted_at,
+  EXISTS (
+    SELECT 1 FROM contest_votes mv
+     WHERE mv.contest_entry_id = r.contest_entry_id AND mv.voter_user_id = $2::int
+  ) AS voted`;
+
+const RANKED_JOINS = `
+  JOIN users u ON u.user_id = r.user_id
+  LEFT JOIN user_photos p ON p.user_photo_id = r.user_photo_id`;
+
+function presentEntry(row, ranking) {
+  const { standard_rank, dense_rank, cume_dist, total, ...entry } = row;
+  return {
+    rank: ranking === 'dense' ? dense_rank : standard_rank,
+    ...entry,
+    thumbnail_url: fileUrl(entry.thumbnail_url),
+    ...(entry.similarity_score === null ? { similarity: null, similarity_percent: null } : normalizeSimilarity(entry.similarity_score)),
+    percentile: Math.round(cume_dist * 1000) / 10,
+  };
+}
+
+// 순위표. userId를 주면 그 사용자의 순위(me)도 돌려준다 (참가하지 않았으면 null).
+// 반환: { contest_id, ranking, total_participants, items, next_cursor, me }
+async function getLeaderboard(contestId, { ranking = 'standard', limit = DEFAULT_LIMIT, after = 0, userId = null } = {}) {
+  const page = await pool.query(
+    `${RANKED_ENTRIES}
+     SELECT ${RANKED_COLUMNS}
+       FROM ranked r
+       ${RANKED_JOINS}
+      WHERE r.position > $3
+      ORDER BY r.position
+      LIMIT $4`,
+    [contestId, userId, after, limit + 1]
+  );
+  const hasMore = page.rows.length > limit;
+  const rows = page.rows.slice(0, limit);
+
+  let me = null;
+  let total = rows[0]?.total;
+  if (userId !== null) {
+    const mine = await pool.query(
+      `${RANKED_ENTRIES}
+       SELECT ${RANKED_COLUMNS}
+         FROM ranked r
+         ${RANKED_JOINS}
+        WHERE r.user_id = $2`,
+      [contestId, userId]
+    );
+    if (mine.rows[0]) {
+      me = presentEntry(mine.rows[0], ranking);
+      total = mine.rows[0].total;
+    }
+  }
+  if (total === undefined) {
+    // 이번 페이지가 비어 있으면 참가자 수만 따로 센다
+    const count = await pool.query(
+      'SELECT COUNT(DISTINCT user_id)::int AS total FROM contest_entries WHERE contest_id = $1',
+      [contestId]
+    );
+    total = count.rows[0].total;
+  }
+
+  return {
+    contest_id: Number(contestId),
+    ranking,
+    total_participants: total,
+    items: rows.map(row => presentEntry(row, ranking)),
+    next_cursor: hasMore ? rows[rows.length - 1].position : null,
+    me,
+  };
+}
+
+// 확정 시점의 점수를 참가 기록마다 저장한다 (contests.finalizeContest가 같은 트랜잭션에서 호출)
+async function freezeFinalScores(contestId, client) {
+  await client.query(
+    `${SCORED_ENTRIES}
+     UPDATE contest_entries e
+        SET final_score = s.live_score
+       FROM scored s
+      WHERE e.contest_entry_id = s.contest_entry_id`,
+    [contestId]
+  );
+}
+
+// 참가자별 최종 순위 (standard 순위). 반환: [{ user_id, rank, total }]
+async function listFinalRanks(contestId, client = pool) {
+  const { rows } = await client.query(
+    `${RANKED_ENTRIES}
+     SELECT r.user_id, r.standard_rank::int AS rank, r.total::int AS total
+       FROM ranked r
+      ORDER BY r.position`,
+    [contestId]
+  );
+  return rows;
+}
+
+// 라우트에서 LeaderboardError를 HTTP 응답으로 변환. 처리했으면 true
+function sendLeaderboardError(res, err) {
+  if (!(err instanceof LeaderboardError)) return false;
+  res.status(err.status).json({ error: err.message, code: err.code });
+  return true;
+}
+
+module.exports = {
+  RANKINGS,
+  LeaderboardError,
+  parseLeaderboardOptions,
+  getLeaderboard,
+  freezeFinalScores,
+  listFinalRanks,
+  sendLeaderboardError,
+};
@@ -0,0 +1,157 @@
+// lookalike.js
+// 닮은 대상(target_photos) 검색
+//
+// 유사도는 어디서나 같은 방식으로 정규화한다:
+//   similarity = (cosine + 1) / 2  (0 ~ 1),  pgvector 코사인 거리 d로는 1 - d / 2
+//   similarity_percent = similarity * 100 반올림
+// 검색 결과는 거리 → target_photo_id 순으로 정렬하고, 마지막 항목의 (거리, id)를 커서로 넘겨 다음 페이지를 이어 읽는다.
+// ORDER BY가 거리 식으로 시작하므로 ANN 인덱스(vector-index.js)를 타고, IVFFlat 반복 스캔은 순서를 느슨하게 지키므로 고른 후보를 다시 정렬한다.
+// type / min_similarity / 커서 조건이 있으면 반복 스캔으로 조건에 맞는 행을 limit + 1개까지 채운다.
+
+const pool = require('./db');
+const { toPgVector } = require('./embedding-client');
+const { withSearchTuning } = require('./vector-index');
+const { fileUrl } = require('./storage');
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+
+class LookalikeError extends Error {
+  constructor(message, code, status = 400) {
+    super(message);
+    this.name = 'LookalikeError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// 코사인 유사도(-1 ~ 1) → 응답에 쓰는 정규화 점수
+function normalizeSimilarity(cosine) {
+  const similarity = Math.min(1, Math.max(0, (cosine + 1) / 2));
+  return {
+    similarity,
+    similarity_percent: Math.round(similarity * 100),
+  };
+}
+
+function encodeCursor(row) {
+  return Buffer.from(JSON.stringify([row.distance, row.target_photo_id])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const [distance, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (Number.isFinite(distance) && Number.isInteger(id)) return { distance, id };
+  } catch (err) {
+    // 아래에서 처리
+  }
+  throw new LookalikeError('cursor 값이 올바르지 않습니다.', 'invalid_cursor');
+}
+
+function parseTuning(value, name) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1 || number > 1000) {
+    throw new LookalikeError(`${name}는 1 ~ 1000 사이의 정수여야 합니다.`, `invalid_${name}`);
+  }
+  return number;
+}
+
+// 쿼리 파라미터 검증 → { type, minSimilarity, limit, cursor, efSearch?, probes? }
+function parseSearchOptions({ type, min_similarity, limit, cursor, ef_search, probes } = {}) {
+  const options = { type: type || null, minSimilarity: null, limit: DEFAULT_LIMIT, cursor: null };
+  if (min_similarity !== undefined && min_similarity !== '') {
+    const value = Number(min_similarity);
+    if (!Number.isFinite(value) || value < 0 || value > 1) {
+      throw new LookalikeError('min_similarity는 0 ~ 1 사이의 숫자여야 합니다.', 'invalid_min_similarity');
+    }
+    options.minSimilarity = value;
+  }
+  if (limit !== undefined && limit !== '') {
+    const value = Number(limit);
+    if (!Number.isInteger(value) || value < 1 || value > MAX_LIMIT) {
+      throw new LookalikeError(`limit는 1 ~ ${MAX_LIMIT} 사이의 정수여야 합니다.`, 'invalid_limit');
+    }
+    options.limit = value;
+  }
+  if (cursor) options.cursor = decodeCursor(cursor);
+  // 인덱스 검색 정확도 조정 (없으면 VECTOR_EF_SEARCH / VECTOR_PROBES)
+  if (ef_search) options.efSearch = parseTuning(ef_search, 'ef_search');
+  if (probes) options.probes = parseTuning(probes, 'probes');
+  return options;
+}
+
+// 내 사진의 (선택된 얼굴) 임베딩. 없거나 아직 처리 전이면 LookalikeError
+async function getOwnPhotoEmbedding(userPhotoId, userId) {
+  const { rows } = await pool.query(
+    `SELECT status, embedding_vector FROM user_photos
+      WHERE user_photo_id = $1 AND user_id = $2`,
+    [userPhotoId, userId]
+  );
+  if (rows.length === 0) {
+    throw new LookalikeError('해당 사진을 찾을 수 없습니다.', 'photo_not_found', 404);
+  }
+  if (rows[0].status !== 'ready' || !rows[0].embedding_vector) {
+    throw new LookalikeError('아직 처리가 끝나지 않았거나 실패한 사진입니다.', 'photo_not_ready', 409);
+  }
+  return rows[0].embedding_vector;
+}
+
+// 임베딩과 가장 닮은 대상 top-K. 반환: { items, next_cursor }
+async function searchTargets(embedding, {
+  type = null,
+  minSimilarity = null,
+  limit = DEFAULT_LIMIT,
+  cursor = null,
+  efSearch,
+  probes,
+} = {}) {
+  const vector = Array.isArray(embedding) ? toPgVector(embedding) : embedding;
+  const filtered = type !== null || minSimilarity !== null || cursor !== null;
+  const { rows } = await withSearchTuning(client => client.query(
+    `WITH candidates AS MATERIALIZED (
+       SELECT target_photo_id, type, name, image_url, created_at,
+              embedding_vector <=> $1::vector AS distance
+         FROM target_photos
+        WHERE embedding_vector IS NOT NULL
+          AND ($2::text IS NULL OR type = $2)
+          AND ($3::float8 IS NULL OR embedding_vector <=> $1::vector <= 2 - 2 * $3)
+          AND ($4::float8 IS NULL OR (embedding_vector <=> $1::vector, target_photo_id) > ($4, $5::int))
+        ORDER BY embedding_vector <=> $1::vector, target_photo_id
+        LIMIT $6
+     )
+     SELECT * FROM candidates ORDER BY distance, target_photo_id`,
+    [vector, type, minSimilarity, cursor?.distance ?? null, cursor?.id ?? null, limit + 1]
+  ), { efSearch, probes, minCandidates: limit + 1, filtered });
+
+  const hasMore = rows.length > limit;
+  const page = rows.slice(0, limit);
+  return {
+    items: page.map(row => ({
+      target_photo_id: row.target_photo_id,
+      type: row.type,
+      name: row.name,
+      image_url: fileUrl(row.image_url),
+      created_at: row.created_at,
+      ...normalizeSimilarity(1 - row.distance),
+    })),
+    next_cursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+  };
+}
+
+// 라우트에서 LookalikeError를 HTTP 응답으로 변환. 처리했으면 true
+function sendLookalikeError(res, err) {
+  if (!(err instanceof LookalikeError)) return false;
+  res.status(err.status).json({ error: err.message, code: err.code });
+  return true;
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  LookalikeError,
+  normalizeSimilarity,
+  parseSearchOptions,
+  getOwnPhotoEmbedding,
+  searchTargets,
+  sendLookalikeError,
+};
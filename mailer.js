@@ -0,0 +1,96 @@
+// mailer.js
+// 메일 발송 — 전송 방식(transport)을 환경 변수로 고른다
+//
+//   MAIL_TRANSPORT=smtp     SMTP 서버로 발송 (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASSWORD)
+//   MAIL_TRANSPORT=file     MAIL_FILE_DIR(기본 mail-outbox/)에 JSON 파일로 저장 — 로컬 개발 / 테스트용
+//   MAIL_TRANSPORT=console  콘솔에 출력 (기본값)
+//
+// 직접 만든 transport({ send(message) })를 setMailTransport로 끼워 넣을 수도 있다.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+function createConsoleTransport() {
+  return {
+    name: 'console',
+    async send(message) {
+      console.log(`📧 [mail] to=${message.to} subject=${message.subject}\n${message.text}`);
+      return { id: crypto.randomUUID() };
+    },
+  };
+}
+
+function createFileTransport({ dir = process.env.MAIL_FILE_DIR || path.join(__dirname, 'mail-outbox') } = {}) {
+  return {
+    name: 'file',
+    async send(message) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const id = crypto.randomUUID();
+      const file = path.join(dir, `${Date.now()}-${id}.json`);
+      await fs.promises.writeFile(file, JSON.stringify({ id, ...message, sent_at: new Date().toISOString() }, null, 2));
+      return { id, file };
+    },
+  };
+}
+
+function createSmtpTransport({
+  host = process.env.SMTP_HOST,
+  port = parseInt(process.env.SMTP_PORT, 10) || 587,
+  secure = process.env.SMTP_SECURE === 'true',
+  user = process.env.SMTP_USER,
+  password = process.env.SMTP_PASSWORD,
+} = {}) {
+  if (!host) throw new Error('SMTP_HOST 환경 변수가 설정되지 않았습니다.');
+  // SMTP를 쓰지 않는 환경에서는 nodemailer를 불러오지 않는다
+  const nodemailer = require('nodemailer');
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass: password } : undefined,
+  });
+  return {
+    name: 'smtp',
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { id: info.messageId };
+    },
+  };
+}
+
+const TRANSPORTS = {
+  console: createConsoleTransport,
+  file: createFileTransport,
+  smtp: createSmtpTransport,
+};
+
+function createTransport(name = process.env.MAIL_TRANSPORT || 'console') {
+  const factory = TRANSPORTS[name];
+  if (!factory) throw new Error(`알 수 없는 MAIL_TRANSPORT: ${name} (smtp | file | console)`);
+  return factory();
+}
+
+let transport = null;
+
+function setMailTransport(custom) {
+  transport = custom;
+}
+
+// message: { to, subject, text, html? }
+async function sendMail(message) {
+  if (!transport) transport = createTransport();
+  return transport.send({
+    from: process.env.MAIL_FROM || 'Facer <no-reply@facer.local>',
+    ...message,
+  });
+}
+
+module.exports = {
+  createTransport,
+  createConsoleTransport,
+  createFileTransport,
+  createSmtpTransport,
+  setMailTransport,
+  sendMail,
+};
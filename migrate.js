@@ -0,0 +1,207 @@
+// migrate.js
+// 버전이 매겨진 스키마 마이그레이션 실행기
+//
+// migrations/ 폴더의 파일 이름 규칙: <버전>_<이름>.up.sql / <버전>_<이름>.down.sql
+//   예) 0001_initial_schema.up.sql, 0001_initial_schema.down.sql
+//
+// 사용법:
+//   node migrate.js up [버전]      // 아직 적용 안 된 마이그레이션 적용 (버전까지만)
+//   node migrate.js down [개수]    // 최근 적용된 마이그레이션 되돌리기 (기본 1개)
+//   node migrate.js status         // 적용 현황 출력
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATIONS_TABLE = 'schema_migrations';
+// 여러 인스턴스가 동시에 마이그레이션을 돌리지 않도록 잡는 advisory lock 키
+const MIGRATION_LOCK_KEY = 4206001;
+
+// migrations/ 폴더를 읽어 버전 순으로 정렬된 목록 반환
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const byVersion = new Map();
+  for (const file of fs.readdirSync(dir)) {
+    const m = file.match(/^(\d+)_(.+)\.(up|down)\.sql$/);
+    if (!m) continue;
+    const [, versionStr, name, direction] = m;
+    const version = parseInt(versionStr, 10);
+    const entry = byVersion.get(version) || { version, name, up: null, down: null };
+    if (entry.name !== name) {
+      throw new Error(`마이그레이션 버전 ${version}의 이름이 일치하지 않습니다: ${entry.name} / ${name}`);
+    }
+    entry[direction] = path.join(dir, file);
+    byVersion.set(version, entry);
+  }
+
+  return [...byVersion.values()]
+    .map(entry => {
+      if (!entry.up) {
+        throw new Error(`마이그레이션 ${entry.version}_${entry.name}의 up 파일이 없습니다.`);
+      }
+      const upSql = fs.readFileSync(entry.up, 'utf8');
+      return {
+        version: entry.version,
+        name: entry.name,
+        upSql,
+        downSql: entry.down ? fs.readFileSync(entry.down, 'utf8') : null,
+        checksum: crypto.createHash('sha256').update(upSql).digest('hex'),
+      };
+    })
+    .sort((a, b) => a.version - b.version);
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS ${MIGRATIONS_TABLE} (
+      version    INTEGER PRIMARY KEY,
+      name       TEXT NOT NULL,
+      checksum   TEXT NOT NULL,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+}
+
+async function getApplied(client) {
+  const { rows } = await client.query(
+    `SELECT version, name, checksum, applied_at FROM ${MIGRATIONS_TABLE} ORDER BY version`
+  );
+  return rows;
+}
+
+// advisory lock을 잡은 상태로 fn 실행
+async function withLock(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+    try {
+      await ensureMigrationsTable(client);
+      return await fn(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+// 적용되지 않은 마이그레이션을 순서대로 적용 (각각 하나의 트랜잭션)
+async function migrateUp(pool, { to, log = console.log } = {}) {
+  const migrations = loadMigrations();
+  return withLock(pool, async (client) => {
+    const applied = await getApplied(client);
+    const appliedByVersion = new Map(applied.map(r => [r.version, r]));
+
+    for (const m of migrations) {
+      const prev = appliedByVersion.get(m.version);
+      if (prev && prev.checksum !== m.checksum) {
+        log(`⚠️ ${m.version}_${m.name}: 적용 후 파일 내용이 변경되었습니다.`);
+      }
+    }
+
+    const pending = migrations.filter(m =>
+      !appliedByVersion.has(m.version) && (to === undefined || m.version <= to)
+    );
+
+    for (const m of pending) {
+      await client.query('BEGIN');
+      try {
+        await client.query(m.upSql);
+        await client.query(
+          `INSERT INTO ${MIGRATIONS_TABLE} (version, name, checksum) VALUES ($1, $2, $3)`,
+          [m.version, m.name, m.checksum]
+        );
+        await client.query('COMMIT');
+        log(`✅ up ${m.version}_${m.name}`);
+      } catch (err) {
+        await client.query('ROLLBACK');
+        throw new Error(`마이그레이션 ${m.version}_${m.name} 적용 실패: ${err.message}`);
+      }
+    }
+    return pending.map(m => m.version);
+  });
+}
+
+// 가장 최근에 적용된 마이그레이션부터 steps개 되돌리기
+async function migrateDown(pool, { steps = 1, log = console.log } = {}) {
+  const migrations = loadMigrations();
+  const byVersion = new Map(migrations.map(m => [m.version, m]));
+  return withLock(pool, async (client) => {
+    const applied = await getApplied(client);
+    const targets = applied.slice(-steps).reverse();
+
+    for (const row of targets) {
+      const m = byVersion.get(row.version);
+      if (!m || !m.downSql) {
+        throw new Error(`마이그레이션 ${row.version}_${row.name}의 down 파일이 없어 되돌릴 수 없습니다.`);
+      }
+      await client.query('BEGIN');
+      try {
+        await client.query(m.downSql);
+        await client.query(`DELETE FROM ${MIGRATIONS_TABLE} WHERE version = $1`, [m.version]);
+        await client.query('COMMIT');
+        log(`↩️ down ${m.version}_${m.name}`);
+      } catch (err) {
+        await client.query('ROLLBACK');
+        throw new Error(`마이그레이션 ${m.version}_${m.name} 되돌리기 실패: ${err.message}`);
+      }
+    }
+    return targets.map(r => r.version);
+  });
+}
+
+async function migrationStatus(pool) {
+  const migrations = loadMigrations();
+  return withLock(pool, async (client) => {
+    const applied = new Map((await getApplied(client)).map(r => [r.version, r]));
+    return migrations.map(m => ({
+      version: m.version,
+      name: m.name,
+      applied_at: applied.get(m.version)?.applied_at || null,
+      modified: applied.has(m.version) && applied.get(m.version).checksum !== m.checksum,
+    }));
+  });
+}
+
+module.exports = { loadMigrations, migrateUp, migrateDown, migrationStatus };
+
+// CLI 진입점
+if (require.main === module) {
+  const pool = require('./db');
+  const [command = 'up', arg] = process.argv.slice(2);
+
+  const run = async () => {
+    switch (command) {
+      case 'up': {
+        const to = arg ? parseInt(arg, 10) : undefined;
+        if (to !== undefined && (!Number.isInteger(to) || to < 1)) throw new Error('up 버전은 1 이상의 정수여야 합니다.');
+        const applied = await migrateUp(pool, { to });
+        if (applied.length === 0) console.log('적용할 마이그레이션이 없습니다.');
+        break;
+      }
+      case 'down': {
+        const steps = arg ? parseInt(arg, 10) : 1;
+        if (!Number.isInteger(steps) || steps < 1) throw new Error('down 개수는 1 이상의 정수여야 합니다.');
+        const reverted = await migrateDown(pool, { steps });
+        if (reverted.length === 0) console.log('되돌릴 마이그레이션이 없습니다.');
+        break;
+      }
+      case 'status': {
+        for (const m of await migrationStatus(pool)) {
+          const state = m.applied_at ? `applied ${new Date(m.applied_at).toISOString()}` : 'pending';
+          console.log(`${String(m.version).padStart(4, '0')}_${m.name}  ${state}${m.modified ? '  (modified)' : ''}`);
+        }
+        break;
+      }
+      default:
+        throw new Error(`알 수 없는 명령: ${command} (up | down | status)`);
+    }
+  };
+
+  run()
+    .catch(err => {
+      console.error('❌', err.message);
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
+}
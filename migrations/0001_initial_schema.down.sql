@@ -0,0 +1,10 @@
+-- 0001_initial_schema.down.sql
+-- vector 확장은 다른 DB 객체가 쓸 수 있으므로 남겨둔다
+
+DROP TABLE IF EXISTS notifications;
+DROP TABLE IF EXISTS friendships;
+DROP TABLE IF EXISTS contest_entries;
+DROP TABLE IF EXISTS contests;
+DROP TABLE IF EXISTS target_photos;
+DROP TABLE IF EXISTS user_photos;
+DROP TABLE IF EXISTS users;
@@ -0,0 +1,98 @@
+-- 0001_initial_schema.up.sql
+-- server.js 라우트가 사용하는 모든 테이블 생성
+
+CREATE EXTENSION IF NOT EXISTS vector;
+
+-- 사용자 (구글 / 카카오 / 이메일 가입)
+CREATE TABLE users (
+  user_id           SERIAL PRIMARY KEY,
+  google_id         TEXT UNIQUE,
+  kakao_id          BIGINT UNIQUE,
+  email             TEXT UNIQUE,
+  password          TEXT,
+  nickname          TEXT NOT NULL,
+  profile_image_url TEXT,
+  is_online         BOOLEAN NOT NULL DEFAULT false,
+  created_at        TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at        TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX users_nickname_idx ON users (nickname);
+
+-- 사용자 얼굴 사진 + 임베딩
+CREATE TABLE user_photos (
+  user_photo_id    SERIAL PRIMARY KEY,
+  user_id          INTEGER NOT NULL REFERENCES users (user_id) ON DELETE CASCADE,
+  image_url        TEXT NOT NULL,
+  embedding_vector vector(512),
+  uploaded_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX user_photos_user_id_uploaded_at_idx ON user_photos (user_id, uploaded_at DESC);
+
+-- 닮은꼴 검색 대상 (연예인, 캐릭터 등)
+CREATE TABLE target_photos (
+  target_photo_id  SERIAL PRIMARY KEY,
+  type             TEXT,
+  name             TEXT NOT NULL,
+  image_url        TEXT NOT NULL,
+  embedding_vector vector(512),
+  created_at       TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX target_photos_type_idx ON target_photos (type);
+
+-- 콘테스트
+CREATE TABLE contests (
+  contest_id       SERIAL PRIMARY KEY,
+  title            TEXT NOT NULL,
+  description      TEXT,
+  target_name      TEXT NOT NULL,
+  target_image_url TEXT,
+  target_embedding vector(512),
+  status           TEXT NOT NULL,
+  start_date       TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  end_date         TIMESTAMPTZ,
+  first_user_id    INTEGER REFERENCES users (user_id) ON DELETE SET NULL,
+  second_user_id   INTEGER REFERENCES users (user_id) ON DELETE SET NULL,
+  third_user_id    INTEGER REFERENCES users (user_id) ON DELETE SET NULL
+);
+
+-- 콘테스트 참가 기록
+CREATE TABLE contest_entries (
+  contest_entry_id SERIAL PRIMARY KEY,
+  contest_id       INTEGER NOT NULL REFERENCES contests (contest_id) ON DELETE CASCADE,
+  user_id          INTEGER NOT NULL REFERENCES users (user_id) ON DELETE CASCADE,
+  user_photo_id    INTEGER NOT NULL REFERENCES user_photos (user_photo_id) ON DELETE CASCADE,
+  similarity_score DOUBLE PRECISION,
+  submitted_at     TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX contest_entries_contest_id_score_idx ON contest_entries (contest_id, similarity_score DESC);
+CREATE INDEX contest_entries_user_id_idx ON contest_entries (user_id);
+
+-- 친구 관계 ('pending' | 'accepted' | 'rejected')
+CREATE TABLE friendships (
+  friendships_id    SERIAL PRIMARY KEY,
+  requester_user_id INTEGER NOT NULL REFERENCES users (user_id) ON DELETE CASCADE,
+  receiver_user_id  INTEGER NOT NULL REFERENCES users (user_id) ON DELETE CASCADE,
+  status            TEXT NOT NULL DEFAULT 'pending',
+  requested_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  responded_at      TIMESTAMPTZ,
+  CONSTRAINT friendships_pair_key UNIQUE (requester_user_id, receiver_user_id),
+  CONSTRAINT friendships_not_self CHECK (requester_user_id <> receiver_user_id)
+);
+
+CREATE INDEX friendships_receiver_user_id_idx ON friendships (receiver_user_id);
+
+-- 알림
+CREATE TABLE notifications (
+  notification_id SERIAL PRIMARY KEY,
+  user_id         INTEGER NOT NULL REFERENCES users (user_id) ON DELETE CASCADE,
+  message         TEXT NOT NULL,
+  friendships_id  INTEGER REFERENCES friendships (friendships_id) ON DELETE CASCADE,
+  is_read         BOOLEAN NOT NULL DEFAULT false,
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX notifications_user_id_created_at_idx ON notifications (user_id, created_at DESC);
@@ -0,0 +1,18 @@
+-- 0002_refresh_tokens.up.sql
+-- 회전(rotation)되는 refresh token 저장소. 토큰 원문 대신 SHA-256 해시만 저장한다.
+-- 같은 로그인에서 이어지는 토큰들은 family_id를 공유하고, access token의 sid 클레임도 family_id다.
+
+CREATE TABLE refresh_tokens (
+  refresh_token_id SERIAL PRIMARY KEY,
+  user_id          INTEGER NOT NULL REFERENCES users (user_id) ON DELETE CASCADE,
+  family_id        UUID NOT NULL,
+  token_hash       TEXT NOT NULL UNIQUE,
+  user_agent       TEXT,
+  created_at       TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at       TIMESTAMPTZ NOT NULL,
+  revoked_at       TIMESTAMPTZ,
+  replaced_by      INTEGER REFERENCES refresh_tokens (refresh_token_id) ON DELETE SET NULL
+);
+
+CREATE INDEX refresh_tokens_family_id_idx ON refresh_tokens (family_id);
+CREATE INDEX refresh_tokens_user_id_idx ON refresh_tokens (user_id);
@@ -0,0 +1,21 @@
+-- 0003_user_identities.down.sql
+-- 사용자당 provider별 첫 번째 연결만 users 컬럼으로 되돌린다
+
+ALTER TABLE users ADD COLUMN google_id TEXT UNIQUE;
+ALTER TABLE users ADD COLUMN kakao_id BIGINT UNIQUE;
+
+UPDATE users u
+   SET google_id = i.provider_user_id
+  FROM (SELECT DISTINCT ON (user_id) user_id, provider_user_id
+          FROM user_identities WHERE provider = 'google'
+         ORDER BY user_id, identity_id) i
+ WHERE i.user_id = u.user_id;
+
+UPDATE users u
+   SET kakao_id = i.provider_user_id::bigint
+  FROM (SELECT DISTINCT ON (user_id) user_id, provider_user_id
+          FROM user_identities WHERE provider = 'kakao'
+         ORDER BY user_id, identity_id) i
+ WHERE i.user_id = u.user_id;
+
+DROP TABLE IF EXISTS user_identities;
@@ -0,0 +1,34 @@
+-- 0003_user_identities.up.sql
+-- 로그인 수단(google / kakao / email)을 users에서 분리해 한 사용자에 여러 개 연결할 수 있게 한다.
+
+CREATE TABLE user_identities (
+  identity_id      SERIAL PRIMARY KEY,
+  user_id          INTEGER NOT NULL REFERENCES users (user_id) ON DELETE CASCADE,
+  provider         TEXT NOT NULL CHECK (provider IN ('google', 'kakao', 'email')),
+  -- google: sub, kakao: 회원번호, email: 소문자 이메일
+  provider_user_id TEXT NOT NULL,
+  email            TEXT,
+  email_verified   BOOLEAN NOT NULL DEFAULT false,
+  created_at       TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_login_at    TIMESTAMPTZ,
+  CONSTRAINT user_identities_provider_key UNIQUE (provider, provider_user_id)
+);
+
+CREATE INDEX user_identities_user_id_idx ON user_identities (user_id);
+CREATE INDEX user_identities_email_idx ON user_identities (lower(email)) WHERE email_verified;
+
+-- 기존 users 컬럼에서 옮겨오기
+INSERT INTO user_identities (user_id, provider, provider_user_id, email, email_verified)
+SELECT user_id, 'google', google_id, email, email IS NOT NULL
+  FROM users WHERE google_id IS NOT NULL;
+
+INSERT INTO user_identities (user_id, provider, provider_user_id, email, email_verified)
+SELECT user_id, 'kakao', kakao_id::text, NULL, false
+  FROM users WHERE kakao_id IS NOT NULL;
+
+INSERT INTO user_identities (user_id, provider, provider_user_id, email, email_verified)
+SELECT user_id, 'email', lower(email), email, false
+  FROM users WHERE email IS NOT NULL AND password IS NOT NULL;
+
+ALTER TABLE users DROP COLUMN google_id;
+ALTER TABLE users DROP COLUMN kakao_id;
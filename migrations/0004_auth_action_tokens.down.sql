@@ -0,0 +1,3 @@
+-- 0004_auth_action_tokens.down.sql
+
+DROP TABLE IF EXISTS auth_action_tokens;
@@ -0,0 +1,15 @@
+-- 0004_auth_action_tokens.up.sql
+-- 이메일 인증 / 비밀번호 재설정 링크용 1회용 토큰.
+-- 토큰 자체는 서명된 JWT이고, 여기에는 jti만 저장해 한 번 쓰면 다시 못 쓰게 한다.
+
+CREATE TABLE auth_action_tokens (
+  jti        UUID PRIMARY KEY,
+  user_id    INTEGER NOT NULL REFERENCES users (user_id) ON DELETE CASCADE,
+  purpose    TEXT NOT NULL CHECK (purpose IN ('verify_email', 'reset_password')),
+  email      TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  used_at    TIMESTAMPTZ
+);
+
+CREATE INDEX auth_action_tokens_user_purpose_idx ON auth_action_tokens (user_id, purpose, created_at DESC);
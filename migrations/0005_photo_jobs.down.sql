@@ -0,0 +1,10 @@
+-- 0005_photo_jobs.down.sql
+
+DROP TABLE IF EXISTS photo_jobs;
+
+ALTER TABLE user_photos
+  DROP COLUMN processed_at,
+  DROP COLUMN facial_confidence,
+  DROP COLUMN facial_area,
+  DROP COLUMN failure_reason,
+  DROP COLUMN status;
@@ -0,0 +1,28 @@
+-- 0005_photo_jobs.up.sql
+-- 사진 업로드를 즉시 받고, 임베딩 / 얼굴 정보 계산은 워커가 비동기로 처리한다.
+
+ALTER TABLE user_photos
+  ADD COLUMN status TEXT NOT NULL DEFAULT 'ready'
+    CHECK (status IN ('pending', 'processing', 'ready', 'failed')),
+  ADD COLUMN failure_reason TEXT,
+  ADD COLUMN facial_area JSONB,
+  ADD COLUMN facial_confidence REAL,
+  ADD COLUMN processed_at TIMESTAMPTZ;
+
+-- Postgres 기반 작업 큐. 워커는 FOR UPDATE SKIP LOCKED로 작업을 하나씩 가져간다.
+CREATE TABLE photo_jobs (
+  photo_job_id  SERIAL PRIMARY KEY,
+  user_photo_id INTEGER NOT NULL UNIQUE REFERENCES user_photos (user_photo_id) ON DELETE CASCADE,
+  status        TEXT NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'processing', 'done', 'failed')),
+  attempts      INTEGER NOT NULL DEFAULT 0,
+  max_attempts  INTEGER NOT NULL DEFAULT 3,
+  run_at        TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  locked_at     TIMESTAMPTZ,
+  locked_by     TEXT,
+  last_error    TEXT,
+  created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at    TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX photo_jobs_pending_idx ON photo_jobs (run_at) WHERE status = 'pending';
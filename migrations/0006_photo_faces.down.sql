@@ -0,0 +1,16 @@
+-- 0006_photo_faces.down.sql
+
+ALTER TABLE user_photos
+  ADD COLUMN facial_area JSONB,
+  ADD COLUMN facial_confidence REAL;
+
+UPDATE user_photos p
+   SET facial_area = f.facial_area, facial_confidence = f.confidence
+  FROM photo_faces f
+ WHERE f.photo_face_id = p.selected_face_id;
+
+ALTER TABLE user_photos
+  DROP COLUMN failure_code,
+  DROP COLUMN selected_face_id;
+
+DROP TABLE IF EXISTS photo_faces;
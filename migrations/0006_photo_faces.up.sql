@@ -0,0 +1,33 @@
+-- 0006_photo_faces.up.sql
+-- 사진마다 검출된 얼굴(박스, 신뢰도, 임베딩)을 모두 저장하고, 사용자가 고른 얼굴을 가리킨다.
+-- user_photos.embedding_vector는 선택된 얼굴의 임베딩으로 유지한다 (유사도 쿼리 호환).
+
+CREATE TABLE photo_faces (
+  photo_face_id    SERIAL PRIMARY KEY,
+  user_photo_id    INTEGER NOT NULL REFERENCES user_photos (user_photo_id) ON DELETE CASCADE,
+  face_index       INTEGER NOT NULL,
+  -- { x, y, w, h, ... } — 원본 이미지 픽셀 좌표
+  facial_area      JSONB NOT NULL,
+  confidence       REAL,
+  embedding_vector vector(512) NOT NULL,
+  CONSTRAINT photo_faces_photo_index_key UNIQUE (user_photo_id, face_index)
+);
+
+ALTER TABLE user_photos
+  ADD COLUMN selected_face_id INTEGER REFERENCES photo_faces (photo_face_id) ON DELETE SET NULL,
+  ADD COLUMN failure_code TEXT;
+
+-- 0005에서 user_photos에 저장하던 얼굴 정보를 옮긴다
+INSERT INTO photo_faces (user_photo_id, face_index, facial_area, confidence, embedding_vector)
+SELECT user_photo_id, 0, facial_area, facial_confidence, embedding_vector
+  FROM user_photos
+ WHERE facial_area IS NOT NULL AND embedding_vector IS NOT NULL;
+
+UPDATE user_photos p
+   SET selected_face_id = f.photo_face_id
+  FROM photo_faces f
+ WHERE f.user_photo_id = p.user_photo_id AND f.face_index = 0;
+
+ALTER TABLE user_photos
+  DROP COLUMN facial_area,
+  DROP COLUMN facial_confidence;
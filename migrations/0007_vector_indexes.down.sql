@@ -0,0 +1,4 @@
+-- 0007_vector_indexes.down.sql
+
+DROP INDEX IF EXISTS user_photos_embedding_idx;
+DROP INDEX IF EXISTS target_photos_embedding_idx;
@@ -0,0 +1,11 @@
+-- 0007_vector_indexes.up.sql
+-- 코사인 거리(<=>) 검색용 pgvector ANN 인덱스. 기본은 HNSW.
+-- 인덱스 방식 변경 / IVFFlat 재구축은 `npm run vector-index -- rebuild`로 한다 (vector-index.js).
+
+CREATE INDEX target_photos_embedding_idx
+  ON target_photos USING hnsw (embedding_vector vector_cosine_ops)
+  WITH (m = 16, ef_construction = 64);
+
+CREATE INDEX user_photos_embedding_idx
+  ON user_photos USING hnsw (embedding_vector vector_cosine_ops)
+  WITH (m = 16, ef_construction = 64);
@@ -0,0 +1,8 @@
+-- 0008_target_catalog.down.sql
+
+ALTER TABLE target_photos
+  DROP COLUMN updated_at,
+  DROP COLUMN metadata;
+
+ALTER TABLE users
+  DROP COLUMN role;
@@ -0,0 +1,9 @@
+-- 0008_target_catalog.up.sql
+-- 관리자 권한과 닮은 대상 카탈로그 메타데이터
+
+ALTER TABLE users
+  ADD COLUMN role TEXT NOT NULL DEFAULT 'user' CHECK (role IN ('user', 'admin'));
+
+ALTER TABLE target_photos
+  ADD COLUMN metadata JSONB NOT NULL DEFAULT '{}'::jsonb,
+  ADD COLUMN updated_at TIMESTAMPTZ;
@@ -0,0 +1,7 @@
+-- 0009_photo_library.down.sql
+
+ALTER TABLE user_photos
+  DROP COLUMN thumbnail_url;
+
+ALTER TABLE users
+  DROP COLUMN primary_photo_id;
@@ -0,0 +1,19 @@
+-- 0009_photo_library.up.sql
+-- 대표 사진(primary photo)과 썸네일
+
+ALTER TABLE users
+  ADD COLUMN primary_photo_id INTEGER REFERENCES user_photos (user_photo_id) ON DELETE SET NULL;
+
+ALTER TABLE user_photos
+  ADD COLUMN thumbnail_url TEXT;
+
+-- 지금까지는 가장 최근 사진을 대표 사진처럼 썼다
+UPDATE users u
+   SET primary_photo_id = p.user_photo_id
+  FROM (
+    SELECT DISTINCT ON (user_id) user_id, user_photo_id
+      FROM user_photos
+     WHERE status = 'ready'
+     ORDER BY user_id, uploaded_at DESC
+  ) p
+ WHERE p.user_id = u.user_id;
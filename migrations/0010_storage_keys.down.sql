@@ -0,0 +1,8 @@
+-- 0010_storage_keys.down.sql
+-- 키 → 'uploads/...' 경로. contests는 원래 호스트를 알 수 없어 '/uploads/...' 상대 URL로 되돌린다.
+-- 0010 이후 새 형식(<prefix>/<uuid>)으로 저장된 키도 같은 방식으로 바뀐다.
+
+UPDATE user_photos SET image_url = 'uploads/' || image_url WHERE image_url !~ '^(https?://|/|uploads/)';
+UPDATE user_photos SET thumbnail_url = 'uploads/' || thumbnail_url WHERE thumbnail_url !~ '^(https?://|/|uploads/)';
+UPDATE target_photos SET image_url = 'uploads/' || image_url WHERE image_url !~ '^(https?://|/|uploads/)';
+UPDATE contests SET target_image_url = '/uploads/' || target_image_url WHERE target_image_url !~ '^(https?://|/)';
@@ -0,0 +1,20 @@
+-- 0010_storage_keys.up.sql
+-- 이미지 위치를 저장소 키 하나의 형식으로 통일한다.
+-- 지금까지 user_photos / target_photos는 'uploads/...' 파일 경로, contests는 'http://host/uploads/...' URL을 저장했다.
+-- local 드라이버의 루트가 uploads/이므로 'uploads/' 앞부분을 떼어낸 나머지가 키가 된다.
+
+UPDATE user_photos
+   SET image_url = regexp_replace(image_url, '^(\./)?uploads/', '')
+ WHERE image_url ~ '^(\./)?uploads/';
+
+UPDATE user_photos
+   SET thumbnail_url = regexp_replace(thumbnail_url, '^(\./)?uploads/', '')
+ WHERE thumbnail_url ~ '^(\./)?uploads/';
+
+UPDATE target_photos
+   SET image_url = regexp_replace(image_url, '^(\./)?uploads/', '')
+ WHERE image_url ~ '^(\./)?uploads/';
+
+UPDATE contests
+   SET target_image_url = regexp_replace(target_image_url, '^https?://[^/]+/uploads/', '')
+ WHERE target_image_url ~ '^https?://[^/]+/uploads/';
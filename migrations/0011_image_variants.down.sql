@@ -0,0 +1,12 @@
+-- 0011_image_variants.down.sql
+
+ALTER TABLE contests
+  DROP COLUMN target_thumbnail_url,
+  DROP COLUMN target_medium_url;
+
+ALTER TABLE target_photos
+  DROP COLUMN thumbnail_url,
+  DROP COLUMN medium_url;
+
+ALTER TABLE user_photos
+  DROP COLUMN medium_url;
@@ -0,0 +1,13 @@
+-- 0011_image_variants.up.sql
+-- 업로드 이미지의 medium / thumbnail 크기 저장 키
+
+ALTER TABLE user_photos
+  ADD COLUMN medium_url TEXT;
+
+ALTER TABLE target_photos
+  ADD COLUMN medium_url TEXT,
+  ADD COLUMN thumbnail_url TEXT;
+
+ALTER TABLE contests
+  ADD COLUMN target_medium_url TEXT,
+  ADD COLUMN target_thumbnail_url TEXT;
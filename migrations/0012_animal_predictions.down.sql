@@ -0,0 +1,3 @@
+-- 0012_animal_predictions.down.sql
+
+DROP TABLE IF EXISTS animal_predictions;
@@ -0,0 +1,14 @@
+-- 0012_animal_predictions.up.sql
+-- 닮은 동물 예측 캐시 — 얼굴(사진) + 모델 버전마다 한 번만 /predict를 호출한다
+
+CREATE TABLE animal_predictions (
+  photo_face_id  INTEGER NOT NULL REFERENCES photo_faces (photo_face_id) ON DELETE CASCADE,
+  model_version  TEXT NOT NULL,
+  user_photo_id  INTEGER NOT NULL REFERENCES user_photos (user_photo_id) ON DELETE CASCADE,
+  -- [{ "animal": "cat", "probability": 0.82 }, ...] 확률 내림차순
+  predictions    JSONB NOT NULL,
+  created_at     TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (photo_face_id, model_version)
+);
+
+CREATE INDEX animal_predictions_user_photo_idx ON animal_predictions (user_photo_id);
@@ -0,0 +1,3 @@
+-- 0013_similarity_results.down.sql
+
+DROP TABLE IF EXISTS similarity_results;
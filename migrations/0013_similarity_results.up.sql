@@ -0,0 +1,28 @@
+-- 0013_similarity_results.up.sql
+-- 비교 결과 기록 (친구 / 닮은 대상 / 닮은 동물 / 콘테스트)
+-- user_id는 비교를 한 사용자, 비교 상대는 종류에 따라 compared_photo_id / target_photo_id / contest_id / animal 중 하나다.
+
+CREATE TABLE similarity_results (
+  similarity_result_id SERIAL PRIMARY KEY,
+  user_id              INTEGER NOT NULL REFERENCES users (user_id) ON DELETE CASCADE,
+  comparison_type      TEXT NOT NULL,
+  user_photo_id        INTEGER REFERENCES user_photos (user_photo_id) ON DELETE SET NULL,
+  compared_user_id     INTEGER REFERENCES users (user_id) ON DELETE SET NULL,
+  compared_photo_id    INTEGER REFERENCES user_photos (user_photo_id) ON DELETE SET NULL,
+  target_photo_id      INTEGER REFERENCES target_photos (target_photo_id) ON DELETE SET NULL,
+  contest_id           INTEGER REFERENCES contests (contest_id) ON DELETE SET NULL,
+  animal               TEXT,
+  -- 정규화 유사도 (0 ~ 1). animal은 예측 확률
+  similarity           DOUBLE PRECISION NOT NULL,
+  model_version        TEXT NOT NULL,
+  created_at           TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT similarity_results_type_check
+    CHECK (comparison_type IN ('friend', 'target', 'animal', 'contest'))
+);
+
+CREATE INDEX similarity_results_user_recent_idx
+  ON similarity_results (user_id, similarity_result_id DESC);
+CREATE INDEX similarity_results_user_type_recent_idx
+  ON similarity_results (user_id, comparison_type, similarity_result_id DESC);
+CREATE INDEX similarity_results_user_score_idx
+  ON similarity_results (user_id, similarity DESC, similarity_result_id DESC);
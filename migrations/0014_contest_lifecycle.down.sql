@@ -0,0 +1,18 @@
+-- 0014_contest_lifecycle.down.sql
+
+DROP INDEX IF EXISTS contests_schedule_idx;
+
+UPDATE contests SET start_date = COALESCE(start_date, created_at) WHERE start_date IS NULL;
+
+ALTER TABLE contests
+  DROP CONSTRAINT IF EXISTS contests_schedule_check,
+  DROP CONSTRAINT IF EXISTS contests_status_check,
+  DROP COLUMN IF EXISTS cancelled_at,
+  DROP COLUMN IF EXISTS finalized_at,
+  DROP COLUMN IF EXISTS closed_at,
+  DROP COLUMN IF EXISTS opened_at,
+  DROP COLUMN IF EXISTS created_at,
+  DROP COLUMN IF EXISTS created_by,
+  ALTER COLUMN start_date SET DEFAULT NOW(),
+  ALTER COLUMN start_date SET NOT NULL,
+  ALTER COLUMN status DROP DEFAULT;
@@ -0,0 +1,38 @@
+-- 0014_contest_lifecycle.up.sql
+-- 콘테스트 상태를 정해진 값(draft | scheduled | open | judging | finalized | cancelled)으로 제한하고
+-- 일정(start_date / end_date)과 상태 전환 시각, 만든 사람을 기록한다.
+
+-- 예전 자유 문자열 상태 정리: 끝난 것으로 보이는 값과 지난 일정은 finalized, 시작 전이면 scheduled, 나머지는 open
+UPDATE contests
+   SET status = CASE
+     WHEN status IN ('draft', 'scheduled', 'open', 'judging', 'finalized', 'cancelled') THEN status
+     WHEN lower(status) IN ('cancel', 'canceled', '취소') THEN 'cancelled'
+     WHEN lower(status) IN ('closed', 'close', 'ended', 'end', 'finished', 'done', '종료', '마감') THEN 'finalized'
+     WHEN end_date IS NOT NULL AND end_date <= NOW() THEN 'finalized'
+     WHEN start_date > NOW() THEN 'scheduled'
+     ELSE 'open'
+   END;
+
+ALTER TABLE contests
+  ALTER COLUMN status SET DEFAULT 'draft',
+  -- draft는 일정이 없을 수 있다
+  ALTER COLUMN start_date DROP NOT NULL,
+  ALTER COLUMN start_date DROP DEFAULT,
+  ADD COLUMN created_by INTEGER REFERENCES users (user_id) ON DELETE SET NULL,
+  ADD COLUMN created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  ADD COLUMN opened_at TIMESTAMPTZ,
+  ADD COLUMN closed_at TIMESTAMPTZ,
+  ADD COLUMN finalized_at TIMESTAMPTZ,
+  ADD COLUMN cancelled_at TIMESTAMPTZ,
+  ADD CONSTRAINT contests_status_check
+    CHECK (status IN ('draft', 'scheduled', 'open', 'judging', 'finalized', 'cancelled')),
+  -- 예전 데이터는 검사하지 않고 새로 쓰는 값만 검사한다
+  ADD CONSTRAINT contests_schedule_check
+    CHECK (start_date IS NULL OR end_date IS NULL OR end_date > start_date) NOT VALID;
+
+UPDATE contests SET finalized_at = COALESCE(end_date, NOW()) WHERE status = 'finalized';
+UPDATE contests SET opened_at = start_date WHERE status IN ('open', 'finalized');
+
+-- 스케줄러가 열고 닫을 콘테스트 찾기
+CREATE INDEX contests_schedule_idx ON contests (status, start_date, end_date)
+  WHERE status IN ('scheduled', 'open', 'judging');
@@ -0,0 +1,20 @@
+-- 0015_contest_leaderboard.down.sql
+
+DROP INDEX IF EXISTS contest_entries_contest_user_score_idx;
+
+ALTER TABLE contests
+  ADD COLUMN first_user_id INTEGER REFERENCES users (user_id) ON DELETE SET NULL,
+  ADD COLUMN second_user_id INTEGER REFERENCES users (user_id) ON DELETE SET NULL,
+  ADD COLUMN third_user_id INTEGER REFERENCES users (user_id) ON DELETE SET NULL;
+
+-- 참가 기록 상위 3개로 다시 채운다
+UPDATE contests c
+   SET first_user_id = top.users[1],
+       second_user_id = top.users[2],
+       third_user_id = top.users[3]
+  FROM (
+    SELECT contest_id, (array_agg(user_id ORDER BY similarity_score DESC))[1:3] AS users
+      FROM contest_entries
+     GROUP BY contest_id
+  ) top
+ WHERE top.contest_id = c.contest_id;
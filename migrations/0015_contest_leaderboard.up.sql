@@ -0,0 +1,11 @@
+-- 0015_contest_leaderboard.up.sql
+-- 1 ~ 3등 고정 컬럼 대신 contest_entries에서 윈도 함수로 순위를 계산한다 (leaderboard.js)
+
+ALTER TABLE contests
+  DROP COLUMN first_user_id,
+  DROP COLUMN second_user_id,
+  DROP COLUMN third_user_id;
+
+-- 사용자별 최고 기록 찾기 (DISTINCT ON user_id)
+CREATE INDEX contest_entries_contest_user_score_idx
+  ON contest_entries (contest_id, user_id, similarity_score DESC);
@@ -0,0 +1,11 @@
+-- 0016_contest_entry_rules.down.sql
+
+ALTER TABLE contest_entries
+  DROP COLUMN IF EXISTS photo_face_id;
+
+ALTER TABLE contests
+  DROP CONSTRAINT IF EXISTS contests_min_face_confidence_check,
+  DROP CONSTRAINT IF EXISTS contests_max_entries_check,
+  DROP COLUMN IF EXISTS min_face_confidence,
+  DROP COLUMN IF EXISTS replace_on_resubmit,
+  DROP COLUMN IF EXISTS max_entries_per_user;
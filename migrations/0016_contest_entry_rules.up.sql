@@ -0,0 +1,15 @@
+-- 0016_contest_entry_rules.up.sql
+-- 콘테스트별 참가 규칙: 사용자당 최대 참가 수, 다시 내면 이전 참가를 바꿀지, 최소 얼굴 신뢰도
+
+ALTER TABLE contests
+  ADD COLUMN max_entries_per_user INTEGER NOT NULL DEFAULT 1,
+  ADD COLUMN replace_on_resubmit BOOLEAN NOT NULL DEFAULT true,
+  -- NULL이면 사진 처리 때의 기준(FACE_MIN_CONFIDENCE)만 적용
+  ADD COLUMN min_face_confidence REAL,
+  ADD CONSTRAINT contests_max_entries_check CHECK (max_entries_per_user >= 1),
+  ADD CONSTRAINT contests_min_face_confidence_check
+    CHECK (min_face_confidence IS NULL OR min_face_confidence BETWEEN 0 AND 1);
+
+-- 어떤 얼굴로 참가했는지
+ALTER TABLE contest_entries
+  ADD COLUMN photo_face_id INTEGER REFERENCES photo_faces (photo_face_id) ON DELETE SET NULL;
@@ -0,0 +1,12 @@
+-- 0017_contest_votes.down.sql
+
+DROP TABLE IF EXISTS contest_votes;
+
+ALTER TABLE contest_entries
+  DROP COLUMN IF EXISTS final_score;
+
+ALTER TABLE contests
+  DROP CONSTRAINT IF EXISTS contests_vote_weight_check,
+  DROP CONSTRAINT IF EXISTS contests_scoring_mode_check,
+  DROP COLUMN IF EXISTS vote_weight,
+  DROP COLUMN IF EXISTS scoring_mode;
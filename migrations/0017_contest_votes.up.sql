@@ -0,0 +1,24 @@
+-- 0017_contest_votes.up.sql
+-- 콘테스트 채점 방식(similarity | votes | blend)과 참가 기록 투표
+
+ALTER TABLE contests
+  ADD COLUMN scoring_mode TEXT NOT NULL DEFAULT 'similarity',
+  -- blend에서 투표 점수의 비중 (0 ~ 1). 나머지는 유사도
+  ADD COLUMN vote_weight REAL NOT NULL DEFAULT 0.5,
+  ADD CONSTRAINT contests_scoring_mode_check CHECK (scoring_mode IN ('similarity', 'votes', 'blend')),
+  ADD CONSTRAINT contests_vote_weight_check CHECK (vote_weight BETWEEN 0 AND 1);
+
+-- 확정 시점의 점수 (확정 뒤에는 이 값으로 순위를 매긴다)
+ALTER TABLE contest_entries
+  ADD COLUMN final_score DOUBLE PRECISION;
+
+CREATE TABLE contest_votes (
+  contest_entry_id INTEGER NOT NULL REFERENCES contest_entries (contest_entry_id) ON DELETE CASCADE,
+  voter_user_id    INTEGER NOT NULL REFERENCES users (user_id) ON DELETE CASCADE,
+  contest_id       INTEGER NOT NULL REFERENCES contests (contest_id) ON DELETE CASCADE,
+  created_at       TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (contest_entry_id, voter_user_id)
+);
+
+CREATE INDEX contest_votes_contest_idx ON contest_votes (contest_id, contest_entry_id);
+CREATE INDEX contest_votes_voter_idx ON contest_votes (voter_user_id);
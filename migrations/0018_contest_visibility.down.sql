@@ -0,0 +1,9 @@
+-- 0018_contest_visibility.down.sql
+
+DROP TABLE IF EXISTS contest_members;
+
+ALTER TABLE contests
+  DROP CONSTRAINT IF EXISTS contests_invite_code_key,
+  DROP CONSTRAINT IF EXISTS contests_visibility_check,
+  DROP COLUMN IF EXISTS invite_code,
+  DROP COLUMN IF EXISTS visibility;
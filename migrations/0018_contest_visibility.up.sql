@@ -0,0 +1,23 @@
+-- 0018_contest_visibility.up.sql
+-- 콘테스트 공개 범위(public | friends | invite)와 참가자 명단
+
+ALTER TABLE contests
+  ADD COLUMN visibility TEXT NOT NULL DEFAULT 'public',
+  -- visibility = 'invite'일 때만 있다
+  ADD COLUMN invite_code TEXT,
+  ADD CONSTRAINT contests_visibility_check CHECK (visibility IN ('public', 'friends', 'invite')),
+  ADD CONSTRAINT contests_invite_code_key UNIQUE (invite_code);
+
+-- 참가자 명단. 만든 사람(contests.created_by)은 따로 넣지 않는다.
+-- status = 'removed'는 만든 사람이 내보낸 사용자로, 다시 넣어 주기 전까지 참가 / 재가입할 수 없다.
+CREATE TABLE contest_members (
+  contest_id INTEGER NOT NULL REFERENCES contests (contest_id) ON DELETE CASCADE,
+  user_id    INTEGER NOT NULL REFERENCES users (user_id) ON DELETE CASCADE,
+  status     TEXT NOT NULL DEFAULT 'joined' CHECK (status IN ('joined', 'removed')),
+  added_by   INTEGER REFERENCES users (user_id) ON DELETE SET NULL,
+  joined_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (contest_id, user_id)
+);
+
+CREATE INDEX contest_members_user_idx ON contest_members (user_id, contest_id);
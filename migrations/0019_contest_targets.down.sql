@@ -0,0 +1,8 @@
+-- 0019_contest_targets.down.sql
+-- contests.target_embedding(평균)과 대표 이미지는 그대로 남는다
+
+DROP TABLE IF EXISTS contest_targets;
+
+ALTER TABLE contests
+  DROP CONSTRAINT IF EXISTS contests_target_aggregation_check,
+  DROP COLUMN IF EXISTS target_aggregation;
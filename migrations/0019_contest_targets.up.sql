@@ -0,0 +1,28 @@
+-- 0019_contest_targets.up.sql
+-- 콘테스트 대상 이미지 여러 장과 유사도를 모으는 방식
+
+ALTER TABLE contests
+  ADD COLUMN target_aggregation TEXT NOT NULL DEFAULT 'mean_embedding',
+  ADD CONSTRAINT contests_target_aggregation_check
+    CHECK (target_aggregation IN ('mean_embedding', 'max_similarity', 'mean_similarity'));
+
+-- 대상 이미지마다 임베딩. contests.target_embedding은 이 임베딩들의 평균,
+-- contests.target_*_url은 첫 번째 대상 이미지다 (contest-targets.js가 맞춘다)
+CREATE TABLE contest_targets (
+  contest_target_id SERIAL PRIMARY KEY,
+  contest_id        INTEGER NOT NULL REFERENCES contests (contest_id) ON DELETE CASCADE,
+  image_url         TEXT,
+  medium_url        TEXT,
+  thumbnail_url     TEXT,
+  embedding         vector(512) NOT NULL,
+  created_at        TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX contest_targets_contest_idx ON contest_targets (contest_id, contest_target_id);
+
+-- 기존 콘테스트의 대상 이미지 한 장을 옮긴다
+INSERT INTO contest_targets (contest_id, image_url, medium_url, thumbnail_url, embedding)
+SELECT contest_id, target_image_url, target_medium_url, target_thumbnail_url, target_embedding
+  FROM contests
+ WHERE target_embedding IS NOT NULL
+ ORDER BY contest_id;
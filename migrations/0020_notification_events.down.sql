@@ -0,0 +1,7 @@
+-- 0020_notification_events.down.sql
+
+ALTER TABLE users
+  DROP COLUMN IF EXISTS last_seen_at;
+
+DROP TABLE IF EXISTS presence_connections;
+DROP TABLE IF EXISTS notification_events;
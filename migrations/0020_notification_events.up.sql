@@ -0,0 +1,30 @@
+-- 0020_notification_events.up.sql
+-- 실시간 알림(SSE) — 사용자별 이벤트 기록(재연결 시 Last-Event-ID로 이어 받기)과 스트림 연결(presence)
+
+CREATE TABLE notification_events (
+  event_id   BIGSERIAL PRIMARY KEY,
+  user_id    INTEGER NOT NULL REFERENCES users (user_id) ON DELETE CASCADE,
+  -- notification | notification_read | notification_deleted | presence
+  type       TEXT NOT NULL,
+  data       JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX notification_events_user_idx ON notification_events (user_id, event_id);
+CREATE INDEX notification_events_created_at_idx ON notification_events (created_at);
+
+-- 열려 있는 스트림. 하나라도 있으면 그 사용자는 온라인이다.
+-- last_seen_at은 서버 인스턴스가 주기적으로 갱신하고, 오래된 행(죽은 인스턴스)은 정리된다.
+CREATE TABLE presence_connections (
+  connection_id UUID PRIMARY KEY,
+  user_id       INTEGER NOT NULL REFERENCES users (user_id) ON DELETE CASCADE,
+  instance_id   UUID NOT NULL,
+  connected_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_seen_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX presence_connections_user_idx ON presence_connections (user_id);
+CREATE INDEX presence_connections_instance_idx ON presence_connections (instance_id);
+
+ALTER TABLE users
+  ADD COLUMN last_seen_at TIMESTAMPTZ;
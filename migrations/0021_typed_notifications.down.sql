@@ -0,0 +1,11 @@
+-- 0021_typed_notifications.down.sql
+
+DROP INDEX IF EXISTS notifications_unread_target_idx;
+
+ALTER TABLE notifications
+  DROP CONSTRAINT IF EXISTS notifications_kind_check,
+  DROP COLUMN IF EXISTS params,
+  DROP COLUMN IF EXISTS target_id,
+  DROP COLUMN IF EXISTS target_type,
+  DROP COLUMN IF EXISTS actor_user_id,
+  DROP COLUMN IF EXISTS kind;
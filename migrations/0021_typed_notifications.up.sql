@@ -0,0 +1,31 @@
+-- 0021_typed_notifications.up.sql
+-- 서버가 도메인 이벤트로 만드는 타입 있는 알림: 종류(kind), 행위자(actor), 대상(target), 메시지 템플릿 값(params)
+
+ALTER TABLE notifications
+  ADD COLUMN kind TEXT NOT NULL DEFAULT 'legacy',
+  ADD COLUMN actor_user_id INTEGER REFERENCES users (user_id) ON DELETE SET NULL,
+  -- friendship | contest
+  ADD COLUMN target_type TEXT,
+  ADD COLUMN target_id INTEGER,
+  ADD COLUMN params JSONB NOT NULL DEFAULT '{}';
+
+-- 예전 알림(클라이언트가 보낸 자유 메시지)은 legacy로 남기고 친구 관계를 대상으로 잡는다
+UPDATE notifications
+   SET target_type = 'friendship', target_id = friendships_id
+ WHERE friendships_id IS NOT NULL;
+
+ALTER TABLE notifications
+  ALTER COLUMN kind DROP DEFAULT,
+  ADD CONSTRAINT notifications_kind_check CHECK (kind IN (
+    'legacy',
+    'friend_request_received',
+    'friend_request_accepted',
+    'contest_opened',
+    'contest_finalized',
+    'contest_score_beaten'
+  ));
+
+-- 같은 대상의 읽지 않은 알림이 있는지 (중복 알림 방지)
+CREATE INDEX notifications_unread_target_idx
+  ON notifications (user_id, kind, target_type, target_id)
+  WHERE is_read = false;
@@ -0,0 +1,346 @@
+// notification-stream.js
+// 실시간 알림 — Server-Sent Events (GET /notifications/stream)
+//
+// 알림 생성 / 읽음 상태 변경 / 삭제와 친구 접속 상태(presence)를 notification_events에 사용자별 이벤트로 쌓고,
+// 같은 트랜잭션에서 pg_notify로 알린다. 서버 인스턴스마다 허브(startNotificationHub)가 LISTEN 하다가
+// 그 사용자의 스트림이 열려 있으면 마지막으로 보낸 event_id 뒤의 이벤트를 읽어 보낸다.
+// 그래서 어느 인스턴스에서 생긴 이벤트든 전달되고, 다시 연결한 클라이언트는 Last-Event-ID로 놓친 이벤트를 이어 받는다.
+// 이벤트는 NOTIFICATION_EVENT_RETENTION_HOURS 동안만 남는다. 그보다 오래된 Last-Event-ID로 연결하면
+// reset 이벤트를 보내므로 클라이언트는 GET /notifications로 목록을 다시 불러온다.
+//
+// presence: 스트림이 하나라도 열려 있는 사용자는 온라인이다. 연결은 presence_connections에 인스턴스별로 기록하고,
+// 죽은 인스턴스가 남긴 연결은 PRESENCE_STALE_MS 뒤에 정리한다. 온라인 / 오프라인이 바뀌면 친구들에게 presence 이벤트를 보낸다.
+
+const crypto = require('crypto');
+const pool = require('./db');
+
+const CHANNEL = 'notification_events';
+const EVENT_TYPES = ['notification', 'notification_read', 'notification_deleted', 'presence'];
+const HEARTBEAT_MS = parseInt(process.env.SSE_HEARTBEAT_MS, 10) || 25000;
+const PRESENCE_STALE_MS = parseInt(process.env.PRESENCE_STALE_MS, 10) || HEARTBEAT_MS * 3;
+const RETENTION_HOURS = parseInt(process.env.NOTIFICATION_EVENT_RETENTION_HOURS, 10) || 24;
+const LISTEN_RETRY_MS = 5000;
+const REPLAY_BATCH = 500;
+// 이 서버 프로세스의 presence_connections.instance_id
+const INSTANCE_ID = crypto.randomUUID();
+// 사용자별 이벤트 기록 잠금(advisory lock, bigint 키) = (EVENT_LOCK_KEY << 32) | user_id
+const EVENT_LOCK_KEY = 4206002;
+
+// 이 인스턴스에 열린 스트림. user_id → Set<subscriber>
+const subscribers = new Map();
+
+// 사용자들에게 같은 이벤트를 기록하고 알린다. client의 트랜잭션이 커밋될 때 전달된다.
+//
+// event_id는 nextval 순서라 커밋 순서와 다를 수 있다. 스트림은 event_id > 마지막으로 보낸 id만 읽으므로,
+// 먼저 번호를 받은 트랜잭션이 늦게 커밋하면 그 이벤트를 건너뛴다. 그래서 사용자마다 advisory lock을 잡고 번호를 받아
+// 커밋할 때까지 쥐고 있는다: 같은 사용자의 이벤트는 커밋 순서대로 번호가 붙는다.
+// 잠금은 user_id 순으로 잡는다. 한 트랜잭션에서 여러 번 부를 때도 user_id 순으로 불러야 교착 상태가 생기지 않는다.
+async function publishEvents(client, userIds, type, data) {
+  if (!EVENT_TYPES.includes(type)) throw new Error(`알 수 없는 이벤트 종류: ${type}`);
+  if (userIds.length === 0) return;
+  const { rows } = await client.query(
+    `WITH locked AS (
+       SELECT user_id, pg_advisory_xact_lock(($4::bigint << 32) | user_id)
+         FROM (SELECT DISTINCT unnest($1::int[]) AS user_id ORDER BY 1) recipients
+     )
+     INSERT INTO notification_events (user_id, type, data)
+     SELECT user_id, $2, $3::jsonb FROM locked
+     RETURNING user_id`,
+    [userIds, type, JSON.stringify(data), EVENT_LOCK_KEY]
+  );
+  for (const row of rows) {
+    await client.query('SELECT pg_notify($1, $2)', [CHANNEL, String(row.user_id)]);
+  }
+}
+
+function publishEvent(client, userId, type, data) {
+  return publishEvents(client, [userId], type, data);
+}
+
+// ---------------------------------------------------------------------------
+// 스트림 구독자
+
+function writeEvent(res, { event_id, type, data }) {
+  res.write(`id: ${event_id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// 마지막으로 보낸 뒤의 이벤트를 순서대로 보낸다. 구독자마다 한 번에 하나씩만 돌고, 대기 중인 요청은 하나로 합친다.
+function scheduleFlush(sub) {
+  if (sub.queued || sub.closed) return;
+  sub.queued = true;
+  sub.pending = sub.pending
+    .then(() => {
+      sub.queued = false;
+      return flushEvents(sub);
+    })
+    .catch(err => console.error('notification stream 오류:', err.message));
+}
+
+async function flushEvents(sub) {
+  for (;;) {
+    if (sub.closed) return;
+    const { rows } = await pool.query(
+      `SELECT event_id, type, data
+         FROM notification_events
+        WHERE user_id = $1 AND event_id > $2
+        ORDER BY event_id
+        LIMIT $3`,
+      [sub.userId, sub.lastEventId, REPLAY_BATCH]
+    );
+    for (const row of rows) {
+      if (sub.closed) return;
+      writeEvent(sub.res, row);
+      sub.lastEventId = row.event_id;
+    }
+    if (rows.length < REPLAY_BATCH) return;
+  }
+}
+
+function subscribe(sub) {
+  if (!subscribers.has(sub.userId)) subscribers.set(sub.userId, new Set());
+  subscribers.get(sub.userId).add(sub);
+}
+
+function unsubscribe(sub) {
+  sub.closed = true;
+  const set = subscribers.get(sub.userId);
+  if (!set) return;
+  set.delete(sub);
+  if (set.size === 0) subscribers.delete(sub.userId);
+}
+
+function forEachSubscriber(fn) {
+  for (const set of subscribers.values()) set.forEach(fn);
+}
+
+// 어디서부터 보낼지. Last-Event-ID가 없으면 지금부터, 보관 기간이 지나 이어 받을 수 없으면 reset
+// (event_id는 모든 사용자가 함께 쓰는 순번이라 지금 위치는 전체에서 가장 큰 event_id다)
+async function resolveStart(lastEventId) {
+  const { rows } = await pool.query(
+    `SELECT MIN(event_id) AS oldest, COALESCE(MAX(event_id), 0) AS latest FROM notification_events`
+  );
+  const { oldest, latest } = rows[0];
+  if (lastEventId === null) return { start: latest, reset: false };
+  if (oldest === null || BigInt(lastEventId) < BigInt(oldest) - 1n) return { start: latest, reset: true };
+  return { start: lastEventId, reset: false };
+}
+
+function parseLastEventId(value) {
+  if (value === undefined || value === '') return null;
+  return /^\d{1,18}$/.test(String(value)) ? String(value) : undefined;
+}
+
+// ---------------------------------------------------------------------------
+// presence
+
+// 사용자 행을 잠근 뒤(같은 사용자의 연결 / 해제를 줄 세운다) fn을 실행하고, 온라인 여부가 바뀌었으면 친구들에게 알린다
+async function withPresenceLock(userId, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('SELECT 1 FROM users WHERE user_id = $1 FOR UPDATE', [userId]);
+    await fn(client);
+    // 잠금을 잡은 뒤의 새 스냅샷으로 다른 연결이 남아 있는지 본다
+    const { rows } = await client.query(
+      `SELECT u.is_online,
+              EXISTS (SELECT 1 FROM presence_connections pc WHERE pc.user_id = u.user_id) AS connected
+         FROM users u
+        WHERE u.user_id = $1`,
+      [userId]
+    );
+    const user = rows[0];
+    if (user && user.is_online !== user.connected) {
+      const { rows: updated } = await client.query(
+        'UPDATE users SET is_online = $2, last_seen_at = NOW() WHERE user_id = $1 RETURNING user_id, is_online, last_seen_at',
+        [userId, user.connected]
+      );
+      const { rows: friends } = await client.query(
+        `SELECT CASE WHEN requester_user_id = $1 THEN receiver_user_id ELSE requester_user_id END AS friend_id
+           FROM friendships
+          WHERE status = 'accepted' AND (requester_user_id = $1 OR receiver_user_id = $1)`,
+        [userId]
+      );
+      await publishEvents(client, friends.map(f => f.friend_id), 'presence', updated[0]);
+    }
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+async function addConnection(userId) {
+  const connectionId = crypto.randomUUID();
+  await withPresenceLock(userId, client => client.query(
+    'INSERT INTO presence_connections (connection_id, user_id, instance_id) VALUES ($1, $2, $3)',
+    [connectionId, userId, INSTANCE_ID]
+  ));
+  return connectionId;
+}
+
+async function removeConnection(userId, connectionId) {
+  await withPresenceLock(userId, client => client.query(
+    'DELETE FROM presence_connections WHERE connection_id = $1',
+    [connectionId]
+  ));
+}
+
+// 이 인스턴스의 연결을 살아 있다고 표시하고, 오래된 연결(죽은 인스턴스)과 보관 기간이 지난 이벤트를 지운다
+async function maintain() {
+  await pool.query('UPDATE presence_connections SET last_seen_at = NOW() WHERE instance_id = $1', [INSTANCE_ID]);
+  const { rows } = await pool.query(
+    `DELETE FROM presence_connections
+      WHERE last_seen_at < NOW() - make_interval(secs => $1)
+      RETURNING user_id`,
+    [PRESENCE_STALE_MS / 1000]
+  );
+  for (const userId of new Set(rows.map(r => r.user_id))) {
+    await withPresenceLock(userId, async () => {});
+  }
+  await pool.query(
+    'DELETE FROM notification_events WHERE created_at < NOW() - make_interval(hours => $1)',
+    [RETENTION_HOURS]
+  );
+}
+
+// ---------------------------------------------------------------------------
+// 허브: LISTEN + 하트비트
+
+function startNotificationHub({ heartbeatMs = HEARTBEAT_MS } = {}) {
+  let stopped = false;
+  let listener = null;
+  let retryTimer = null;
+  let maintaining = false;
+
+  const dropListener = () => {
+    if (!listener) return;
+    listener.removeAllListeners('notification');
+    listener.release(true);
+    listener = null;
+  };
+
+  const listen = async () => {
+    let client;
+    try {
+      client = await pool.connect();
+      client.on('notification', (msg) => {
+        const set = subscribers.get(Number(msg.payload));
+        if (set) set.forEach(scheduleFlush);
+      });
+      client.on('error', (err) => {
+        console.error('notification hub LISTEN 연결 오류:', err.message);
+        if (listener !== client) return;
+        dropListener();
+        if (!stopped) retryTimer = setTimeout(listen, LISTEN_RETRY_MS);
+      });
+      await client.query(`LISTEN ${CHANNEL}`);
+      if (stopped) {
+        client.release(true);
+        return;
+      }
+      listener = client;
+      // 끊겨 있던 동안 놓친 이벤트를 보낸다
+      forEachSubscriber(scheduleFlush);
+    } catch (err) {
+      console.error('notification hub LISTEN 실패:', err.message);
+      if (client && listener !== client) client.release(true);
+      if (!stopped) retryTimer = setTimeout(listen, LISTEN_RETRY_MS);
+    }
+  };
+
+  const heartbeat = setInterval(async () => {
+    // 프록시가 유휴 연결을 끊지 않도록 주석 줄을 보낸다
+    forEachSubscriber(sub => sub.res.write(': ping\n\n'));
+    if (maintaining) return;
+    maintaining = true;
+    try {
+      await maintain();
+    } catch (err) {
+      console.error('notification hub 정리 오류:', err.message);
+    } finally {
+      maintaining = false;
+    }
+  }, heartbeatMs);
+
+  listen();
+
+  return {
+    async stop() {
+      stopped = true;
+      clearTimeout(retryTimer);
+      clearInterval(heartbeat);
+      dropListener();
+    },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// 라우트
+
+// EventSource는 헤더를 못 붙이므로 ?access_token=도 받는다 (authenticateToken 앞에 둔다)
+function acceptQueryToken(req, res, next) {
+  if (!req.headers.authorization && typeof req.query.access_token === 'string') {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  next();
+}
+
+// GET /notifications/stream 핸들러 (authenticateToken 뒤). 이어 받기: Last-Event-ID 헤더 또는 ?last_event_id=
+async function streamNotifications(req, res) {
+  const userId = req.user.id;
+  const lastEventId = parseLastEventId(req.get('last-event-id') ?? req.query.last_event_id);
+  if (lastEventId === undefined) {
+    return res.status(400).json({ error: 'Last-Event-ID 값이 올바르지 않습니다.', code: 'invalid_last_event_id' });
+  }
+
+  const sub = { userId, res, lastEventId: null, pending: Promise.resolve(), queued: false, closed: false };
+  let connectionId = null;
+  req.on('close', () => {
+    unsubscribe(sub);
+    if (connectionId) {
+      removeConnection(userId, connectionId).catch(err => console.error('presence 해제 오류:', err.message));
+    }
+  });
+
+  try {
+    const { start, reset } = await resolveStart(lastEventId);
+    res.set({
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+    res.write(`retry: ${LISTEN_RETRY_MS}\n\n`);
+    // reset / ready에도 id를 붙여 클라이언트의 마지막 이벤트 위치를 지금으로 맞춘다
+    if (reset) res.write(`id: ${start}\nevent: reset\ndata: ${JSON.stringify({ last_event_id: start })}\n\n`);
+    if (sub.closed) return;
+
+    sub.lastEventId = start;
+    subscribe(sub);
+    const id = await addConnection(userId);
+    if (sub.closed) {
+      await removeConnection(userId, id);
+      return;
+    }
+    connectionId = id;
+    res.write(`id: ${start}\nevent: ready\ndata: ${JSON.stringify({ last_event_id: start, instance_id: INSTANCE_ID })}\n\n`);
+    scheduleFlush(sub);
+  } catch (err) {
+    console.error('GET /notifications/stream error:', err);
+    unsubscribe(sub);
+    if (!res.headersSent) return res.status(500).json({ error: '알림 스트림 연결 중 오류가 발생했습니다.' });
+    res.end();
+  }
+}
+
+module.exports = {
+  EVENT_TYPES,
+  publishEvent,
+  publishEvents,
+  startNotificationHub,
+  acceptQueryToken,
+  streamNotifications,
+};
@@ -0,0 +1,317 @@
+// notifications.js
+// 알림 — 클라이언트가 만들지 않고, 서버가 도메인 이벤트에서 만든다
+//
+// 알림은 종류(kind), 행위자(actor_user_id), 대상(target_type + target_id), 템플릿 값(params)을 가진다.
+//   friend_request_received  친구 요청을 받음            actor: 요청한 사람   target: friendship
+//   friend_request_accepted  내 친구 요청이 수락됨       actor: 수락한 사람   target: friendship
+//   contest_opened           콘테스트가 열림             actor: 만든 사람     target: contest
+//   contest_finalized        콘테스트가 끝남 + 내 순위   actor: 없음          target: contest
+//   contest_score_beaten     누가 내 점수를 넘음         actor: 넘은 사람     target: contest
+//   legacy                   예전에 클라이언트가 보낸 자유 메시지
+// 메시지는 MESSAGE_TEMPLATES로 요청 언어(?locale= 또는 Accept-Language)에 맞춰 만든다. notifications.message에는
+// 만들 때의 기본 언어(NOTIFICATION_DEFAULT_LOCALE) 메시지를 남긴다.
+// 만들고 / 읽고 / 지울 때마다 notification-stream.js로 실시간 이벤트를 보낸다.
+
+const pool = require('./db');
+const { publishEvent } = require('./notification-stream');
+const { listFinalRanks } = require('./leaderboard');
+
+const NOTIFICATION_KINDS = [
+  'friend_request_received',
+  'friend_request_accepted',
+  'contest_opened',
+  'contest_finalized',
+  'contest_score_beaten',
+];
+
+// {이름}은 params 값으로 바뀐다. actor는 행위자의 지금 닉네임
+const MESSAGE_TEMPLATES = {
+  ko: {
+    friend_request_received: '{actor}님이 친구 요청을 보냈습니다.',
+    friend_request_accepted: '{actor}님이 친구 요청을 수락했습니다.',
+    contest_opened: "'{contest}' 콘테스트가 열렸습니다.",
+    contest_finalized: "'{contest}' 콘테스트가 끝났습니다. {total}명 중 {rank}등입니다.",
+    contest_score_beaten: "{actor}님이 '{contest}' 콘테스트에서 내 점수를 넘었습니다.",
+  },
+  en: {
+    friend_request_received: '{actor} sent you a friend request.',
+    friend_request_accepted: '{actor} accepted your friend request.',
+    contest_opened: "The contest '{contest}' is now open.",
+    contest_finalized: "The contest '{contest}' has ended. You placed {rank} of {total}.",
+    contest_score_beaten: "{actor} beat your score in the contest '{contest}'.",
+  },
+};
+const LOCALES = Object.keys(MESSAGE_TEMPLATES);
+const DEFAULT_LOCALE = LOCALES.includes(process.env.NOTIFICATION_DEFAULT_LOCALE)
+  ? process.env.NOTIFICATION_DEFAULT_LOCALE
+  : 'ko';
+// 한 번에 알릴 최대 인원 (contest_score_beaten은 점수가 가까운 사람부터)
+const SCORE_BEATEN_NOTIFY_LIMIT = parseInt(process.env.SCORE_BEATEN_NOTIFY_LIMIT, 10) || 50;
+
+// ?locale= 또는 Accept-Language에서 지원하는 언어를 고른다. 없으면 기본 언어
+function parseLocale(req) {
+  const candidates = [req.query?.locale, ...(req.get?.('accept-language') || '').split(',')];
+  for (const candidate of candidates) {
+    const tag = String(candidate || '').split(';')[0].trim().toLowerCase().split('-')[0];
+    if (LOCALES.includes(tag)) return tag;
+  }
+  return DEFAULT_LOCALE;
+}
+
+function renderMessage(kind, params, locale = DEFAULT_LOCALE) {
+  const template = (MESSAGE_TEMPLATES[locale] || MESSAGE_TEMPLATES[DEFAULT_LOCALE])[kind];
+  if (!template) return params.message ?? '';
+  return template.replace(/\{(\w+)\}/g, (_, key) => String(params[key] ?? ''));
+}
+
+// 응답 / 이벤트에 내보내는 알림 형태. row에 actor_nickname / actor_profile_image_url이 붙어 있으면 actor로 내보낸다
+function presentNotification(row, locale = DEFAULT_LOCALE) {
+  const actor = row.actor_user_id
+    ? { user_id: row.actor_user_id, nickname: row.actor_nickname ?? null, profile_image_url: row.actor_profile_image_url ?? null }
+    : null;
+  const params = { ...row.params, ...(actor?.nickname ? { actor: actor.nickname } : {}) };
+  return {
+    notification_id: row.notification_id,
+    kind: row.kind,
+    actor,
+    target: row.target_type ? { type: row.target_type, id: row.target_id } : null,
+    params,
+    message: row.kind === 'legacy' ? row.message : renderMessage(row.kind, params, locale),
+    is_read: row.is_read,
+    created_at: row.created_at,
+    friendships_id: row.friendships_id,
+  };
+}
+
+// 알림 변경과 그 이벤트를 한 트랜잭션으로 (이벤트만 남거나 빠지지 않게)
+async function withTransaction(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// 목록 조회에 쓰는 컬럼 (n = notifications, a = 행위자 users)
+const NOTIFICATION_COLUMNS = `
+  n.notification_id, n.kind, n.actor_user_id, n.target_type, n.target_id, n.params, n.message,
+  n.is_read, n.created_at, n.friendships_id,
+  a.nickname AS actor_nickname, a.profile_image_url AS actor_profile_image_url`;
+
+// 내 알림 (최신순)
+async function listNotifications(userId, locale = DEFAULT_LOCALE) {
+  const { rows } = await pool.query(
+    `SELECT ${NOTIFICATION_COLUMNS}
+       FROM notifications n
+       LEFT JOIN users a ON a.user_id = n.actor_user_id
+      WHERE n.user_id = $1
+      ORDER BY n.created_at DESC, n.notification_id DESC`,
+    [userId]
+  );
+  return rows.map(row => presentNotification(row, locale));
+}
+
+// 알림 만들기. dedupe면 같은 종류 / 대상의 읽지 않은 알림이 이미 있을 때 만들지 않는다.
+// client를 주지 않으면 새 트랜잭션에서. 반환: 만든 알림 (presentNotification 형태), 건너뛰었으면 null
+async function createNotification(input, client = null) {
+  if (!client) return withTransaction(tx => createNotification(input, tx));
+  const { userId, kind, actorUserId = null, targetType = null, targetId = null, params = {}, dedupe = false } = input;
+  if (!NOTIFICATION_KINDS.includes(kind)) throw new Error(`알 수 없는 알림 종류: ${kind}`);
+  const friendshipsId = targetType === 'friendship' ? targetId : null;
+  const { rows } = await client.query(
+    `WITH inserted AS (
+       INSERT INTO notifications
+         (user_id, kind, actor_user_id, target_type, target_id, params, message, friendships_id, is_read, created_at)
+       SELECT $1::int, $2::text, $3::int, $4::text, $5::int, $6::jsonb, $7::text, $8::int, false, NOW()
+        WHERE NOT $9::boolean OR NOT EXISTS (
+          SELECT 1 FROM notifications d
+           WHERE d.user_id = $1 AND d.kind = $2 AND d.is_read = false
+             AND d.target_type IS NOT DISTINCT FROM $4 AND d.target_id IS NOT DISTINCT FROM $5
+        )
+       RETURNING *
+     )
+     SELECT n.*, a.nickname AS actor_nickname, a.profile_image_url AS actor_profile_image_url
+       FROM inserted n
+       LEFT JOIN users a ON a.user_id = n.actor_user_id`,
+    [userId, kind, actorUserId, targetType, targetId, JSON.stringify(params), renderMessage(kind, params), friendshipsId, dedupe]
+  );
+  if (!rows[0]) return null;
+  const notification = presentNotification(rows[0]);
+  await publishEvent(client, userId, 'notification', notification);
+  return notification;
+}
+
+// 읽음 상태 변경. notificationIds가 null이면 그 사용자의 모든 알림. 반환: 실제로 바뀐 notification_id 목록
+async function setNotificationsRead(userId, notificationIds, isRead = true) {
+  return withTransaction(async (client) => {
+    const { rows } = await client.query(
+      `UPDATE notifications
+          SET is_read = $3
+        WHERE user_id = $1
+          AND ($2::int[] IS NULL OR notification_id = ANY($2::int[]))
+          AND is_read <> $3
+        RETURNING notification_id`,
+      [userId, notificationIds, isRead]
+    );
+    const changed = rows.map(r => r.notification_id);
+    if (changed.length > 0) {
+      await publishEvent(client, userId, 'notification_read', { notification_ids: changed, is_read: isRead });
+    }
+    return changed;
+  });
+}
+
+// 알림 삭제. userId를 주면 그 사용자의 알림만. 반환: 지운 행, 없으면 null
+async function deleteNotification(notificationId, { userId = null } = {}) {
+  return withTransaction(async (client) => {
+    const { rows } = await client.query(
+      `DELETE FROM notifications
+        WHERE notification_id = $1 AND ($2::int IS NULL OR user_id = $2)
+        RETURNING *`,
+      [notificationId, userId]
+    );
+    if (!rows[0]) return null;
+    await publishEvent(client, rows[0].user_id, 'notification_deleted', { notification_id: rows[0].notification_id });
+    return rows[0];
+  });
+}
+
+// ---------------------------------------------------------------------------
+// 도메인 이벤트 → 알림. 이벤트를 만든 쿼리와 같은 client(트랜잭션)로 부른다.
+// 여러 사람에게 보낼 때는 user_id 순으로 만든다 (publishEvents가 잡는 사용자별 잠금 순서)
+
+async function getNickname(client, userId) {
+  const { rows } = await client.query('SELECT nickname FROM users WHERE user_id = $1', [userId]);
+  return rows[0]?.nickname ?? null;
+}
+
+// 친구 요청을 받음 (friendships 행, status = pending)
+async function notifyFriendRequestReceived(friendship, client = pool) {
+  return createNotification({
+    userId: friendship.receiver_user_id,
+    kind: 'friend_request_received',
+    actorUserId: friendship.requester_user_id,
+    targetType: 'friendship',
+    targetId: friendship.friendships_id,
+    params: { actor: await getNickname(client, friendship.requester_user_id) },
+  }, client);
+}
+
+// 내 친구 요청이 수락됨 (friendships 행, status = accepted)
+async function notifyFriendRequestAccepted(friendship, client = pool) {
+  return createNotification({
+    userId: friendship.requester_user_id,
+    kind: 'friend_request_accepted',
+    actorUserId: friendship.receiver_user_id,
+    targetType: 'friendship',
+    targetId: friendship.friendships_id,
+    params: { actor: await getNickname(client, friendship.receiver_user_id) },
+  }, client);
+}
+
+// 콘테스트가 열림 → 가입한 참가자와 (invite가 아니면) 만든 사람의 친구들에게
+async function notifyContestOpened(contestId, client = pool) {
+  const { rows: contests } = await client.query(
+    `SELECT c.contest_id, c.title, c.created_by, u.nickname AS creator_nickname
+       FROM contests c
+       LEFT JOIN users u ON u.user_id = c.created_by
+      WHERE c.contest_id = $1`,
+    [contestId]
+  );
+  const contest = contests[0];
+  if (!contest) return;
+  const { rows: recipients } = await client.query(
+    `SELECT m.user_id
+       FROM contest_members m
+      WHERE m.contest_id = $1 AND m.status = 'joined'
+     UNION
+     SELECT CASE WHEN f.requester_user_id = c.created_by THEN f.receiver_user_id ELSE f.requester_user_id END
+       FROM contests c
+       JOIN friendships f
+         ON f.status = 'accepted' AND c.created_by IN (f.requester_user_id, f.receiver_user_id)
+      WHERE c.contest_id = $1 AND c.visibility <> 'invite'
+      ORDER BY 1`,
+    [contestId]
+  );
+  for (const { user_id: userId } of recipients) {
+    if (userId === contest.created_by) continue;
+    await createNotification({
+      userId,
+      kind: 'contest_opened',
+      actorUserId: contest.created_by,
+      targetType: 'contest',
+      targetId: contest.contest_id,
+      params: { contest: contest.title, actor: contest.creator_nickname },
+    }, client);
+  }
+}
+
+// 콘테스트가 끝남 → 참가자마다 최종 순위 (finalized로 바꾼 뒤 같은 트랜잭션에서)
+async function notifyContestFinalized(contest, client = pool) {
+  const ranks = await listFinalRanks(contest.contest_id, client);
+  ranks.sort((a, b) => a.user_id - b.user_id);
+  for (const { user_id: userId, rank, total } of ranks) {
+    await createNotification({
+      userId,
+      kind: 'contest_finalized',
+      targetType: 'contest',
+      targetId: contest.contest_id,
+      params: { contest: contest.title, rank, total },
+    }, client);
+  }
+}
+
+// 새 참가 기록이 다른 참가자의 최고 점수를 넘음 (similarity 채점 콘테스트).
+// 참가 전 내 최고 점수(previousBest, 처음이면 null) 이상이었다가 새 점수보다 낮아진 사람들 중 점수가 가까운 사람부터 SCORE_BEATEN_NOTIFY_LIMIT명에게 알린다.
+// 같은 콘테스트의 읽지 않은 알림이 있으면 다시 보내지 않는다.
+async function notifyScoreBeaten({ contest, entry, previousBest = null }, client = pool) {
+  const { rows } = await client.query(
+    `SELECT user_id
+       FROM contest_entries
+      WHERE contest_id = $1 AND user_id <> $2
+      GROUP BY user_id
+     HAVING MAX(similarity_score) < $3 AND ($4::float8 IS NULL OR MAX(similarity_score) >= $4)
+      ORDER BY MAX(similarity_score) DESC
+      LIMIT $5`,
+    [contest.contest_id, entry.user_id, entry.similarity_score, previousBest, SCORE_BEATEN_NOTIFY_LIMIT]
+  );
+  if (rows.length === 0) return;
+  const actor = await getNickname(client, entry.user_id);
+  rows.sort((a, b) => a.user_id - b.user_id);
+  for (const { user_id: userId } of rows) {
+    await createNotification({
+      userId,
+      kind: 'contest_score_beaten',
+      actorUserId: entry.user_id,
+      targetType: 'contest',
+      targetId: contest.contest_id,
+      params: { contest: contest.title, actor, contest_entry_id: entry.contest_entry_id },
+      dedupe: true,
+    }, client);
+  }
+}
+
+module.exports = {
+  NOTIFICATION_KINDS,
+  MESSAGE_TEMPLATES,
+  DEFAULT_LOCALE,
+  parseLocale,
+  renderMessage,
+  presentNotification,
+  listNotifications,
+  createNotification,
+  setNotificationsRead,
+  deleteNotification,
+  notifyFriendRequestReceived,
+  notifyFriendRequestAccepted,
+  notifyContestOpened,
+  notifyContestFinalized,
+  notifyScoreBeaten,
+};
@@ -0,0 +1,135 @@
+// passwords.js
+// 비밀번호 해싱(scrypt) / 검증 / 강도 검사
+//
+// 저장 형식: $scrypt$v=1$N=16384,r=8,p=1$<salt(base64)>$<hash(base64)>
+// '$scrypt$'로 시작하지 않는 값은 예전에 평문으로 저장된 비밀번호로 간주한다.
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const HASH_PREFIX = '$scrypt$';
+const HASH_VERSION = 1;
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+// 현재 기본 파라미터. 값을 올리면 다음 로그인 때 자동으로 재해싱된다.
+const SCRYPT_PARAMS = {
+  N: parseInt(process.env.PASSWORD_SCRYPT_N, 10) || 16384,
+  r: 8,
+  p: 1,
+};
+
+function scryptOptions({ N, r, p }) {
+  // Node 기본 maxmem(32MB)보다 큰 N도 쓸 수 있도록 여유를 준다
+  return { N, r, p, maxmem: 256 * N * r };
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const hash = await scrypt(password, salt, KEY_LENGTH, scryptOptions(SCRYPT_PARAMS));
+  const { N, r, p } = SCRYPT_PARAMS;
+  return `${HASH_PREFIX}v=${HASH_VERSION}$N=${N},r=${r},p=${p}$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+function parseHash(stored) {
+  const parts = stored.slice(HASH_PREFIX.length).split('$');
+  if (parts.length !== 4) return null;
+  const [versionPart, paramPart, saltB64, hashB64] = parts;
+  const version = parseInt(versionPart.replace(/^v=/, ''), 10);
+  const params = Object.fromEntries(
+    paramPart.split(',').map(kv => {
+      const [k, v] = kv.split('=');
+      return [k, parseInt(v, 10)];
+    })
+  );
+  if (!version || !params.N || !params.r || !params.p) return null;
+  return {
+    version,
+    params: { N: params.N, r: params.r, p: params.p },
+    salt: Buffer.from(saltB64, 'base64'),
+    hash: Buffer.from(hashB64, 'base64'),
+  };
+}
+
+function isHashed(stored) {
+  return typeof stored === 'string' && stored.startsWith(HASH_PREFIX);
+}
+
+// 길이가 달라도 시간 차이가 드러나지 않도록 다이제스트끼리 비교
+function safeEqual(a, b) {
+  const da = crypto.createHash('sha256').update(a).digest();
+  const db = crypto.createHash('sha256').update(b).digest();
+  return crypto.timingSafeEqual(da, db);
+}
+
+// 비밀번호 검증
+// 반환: { ok, needsRehash } — needsRehash가 true면 호출 측에서 hashPassword로 다시 저장해야 한다
+async function verifyPassword(password, stored) {
+  if (typeof password !== 'string' || typeof stored !== 'string' || stored.length === 0) {
+    return { ok: false, needsRehash: false };
+  }
+
+  // 예전 평문 비밀번호
+  if (!isHashed(stored)) {
+    const ok = safeEqual(password, stored);
+    return { ok, needsRehash: ok };
+  }
+
+  const parsed = parseHash(stored);
+  if (!parsed) return { ok: false, needsRehash: false };
+
+  const hash = await scrypt(password, parsed.salt, parsed.hash.length, scryptOptions(parsed.params));
+  const ok = crypto.timingSafeEqual(hash, parsed.hash);
+  const outdated = parsed.version !== HASH_VERSION
+    || parsed.params.N !== SCRYPT_PARAMS.N
+    || parsed.params.r !== SCRYPT_PARAMS.r
+    || parsed.params.p !== SCRYPT_PARAMS.p;
+  return { ok, needsRehash: ok && outdated };
+}
+
+// 비밀번호 강도 규칙 (환경 변수로 조정)
+const PASSWORD_RULES = {
+  minLength: parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 8,
+  maxLength: parseInt(process.env.PASSWORD_MAX_LENGTH, 10) || 128,
+  requireLetter: process.env.PASSWORD_REQUIRE_LETTER !== 'false',
+  requireDigit: process.env.PASSWORD_REQUIRE_DIGIT !== 'false',
+  requireSymbol: process.env.PASSWORD_REQUIRE_SYMBOL === 'true',
+};
+
+// 규칙 위반 메시지 배열 반환 (비어 있으면 통과)
+function validatePasswordStrength(password, { email, nickname } = {}, rules = PASSWORD_RULES) {
+  const errors = [];
+  if (typeof password !== 'string') {
+    return ['비밀번호는 문자열이어야 합니다.'];
+  }
+  if (password.length < rules.minLength) {
+    errors.push(`비밀번호는 최소 ${rules.minLength}자 이상이어야 합니다.`);
+  }
+  if (password.length > rules.maxLength) {
+    errors.push(`비밀번호는 최대 ${rules.maxLength}자까지 가능합니다.`);
+  }
+  if (rules.requireLetter && !/[A-Za-z]/.test(password)) {
+    errors.push('비밀번호에 영문자가 포함되어야 합니다.');
+  }
+  if (rules.requireDigit && !/\d/.test(password)) {
+    errors.push('비밀번호에 숫자가 포함되어야 합니다.');
+  }
+  if (rules.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+    errors.push('비밀번호에 특수문자가 포함되어야 합니다.');
+  }
+  const lower = password.toLowerCase();
+  if ((email && lower === String(email).toLowerCase())
+    || (nickname && lower === String(nickname).toLowerCase())) {
+    errors.push('비밀번호는 이메일이나 닉네임과 같을 수 없습니다.');
+  }
+  return errors;
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  isHashed,
+  validatePasswordStrength,
+  PASSWORD_RULES,
+};
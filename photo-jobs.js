@@ -0,0 +1,245 @@
+// photo-jobs.js
+// 사진 처리 작업 큐 (Postgres photo_jobs 테이블) + 워커
+//
+// 업로드 라우트는 user_photos(status = 'pending')와 photo_jobs 행만 만들고 바로 응답한다.
+// 워커가 작업을 가져가 임베딩 / 얼굴 정보를 계산해 user_photos를 'ready'로 바꾼다.
+// 일시적인 실패는 지수 백오프로 max_attempts까지 재시도하고, 이미지 자체 문제는 바로 'failed'.
+//
+// 워커 실행: node photo-jobs.js   (여러 프로세스를 띄워도 SKIP LOCKED로 작업이 겹치지 않는다)
+
+const os = require('os');
+const pool = require('./db');
+const { EmbeddingInvalidImageError } = require('./embedding-client');
+const { detectFaces, savePhotoFaces, listPhotoFaces } = require('./faces');
+const { assignPrimaryIfMissing } = require('./photo-library');
+const { StorageError, getFile } = require('./storage');
+
+const POLL_INTERVAL_MS = parseInt(process.env.PHOTO_WORKER_POLL_MS, 10) || 1000;
+const RETRY_BASE_SEC = parseInt(process.env.PHOTO_JOB_RETRY_BASE_SEC, 10) || 10;
+// processing 상태로 이 시간 넘게 멈춘 작업은 워커가 죽은 것으로 보고 다시 대기열에 넣는다
+const STALE_LOCK_SEC = parseInt(process.env.PHOTO_JOB_STALE_SEC, 10) || 300;
+
+// 업로드 트랜잭션 안에서 호출 — 사진 처리 작업 등록
+async function enqueuePhotoJob(client, userPhotoId, { maxAttempts } = {}) {
+  const { rows } = await client.query(
+    `INSERT INTO photo_jobs (user_photo_id, max_attempts)
+     VALUES ($1, COALESCE($2, $3))
+     RETURNING *`,
+    [userPhotoId, maxAttempts || null, parseInt(process.env.PHOTO_JOB_MAX_ATTEMPTS, 10) || 3]
+  );
+  return rows[0];
+}
+
+// 실행할 작업 하나를 가져와 processing으로 표시. 없으면 null
+async function claimJob(workerId) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows } = await client.query(
+      `UPDATE photo_jobs
+          SET status = 'processing', attempts = attempts + 1,
+              locked_at = NOW(), locked_by = $1, updated_at = NOW()
+        WHERE photo_job_id = (
+          SELECT photo_job_id FROM photo_jobs
+           WHERE status = 'pending' AND run_at <= NOW()
+           ORDER BY run_at
+           LIMIT 1
+           FOR UPDATE SKIP LOCKED
+        )
+        RETURNING *`,
+      [workerId]
+    );
+    const job = rows[0] || null;
+    if (job) {
+      await client.query(
+        "UPDATE user_photos SET status = 'processing' WHERE user_photo_id = $1",
+        [job.user_photo_id]
+      );
+    }
+    await client.query('COMMIT');
+    return job;
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// 멈춘 작업 복구: 재시도 여유가 있으면 pending, 없으면 failed
+async function recoverStaleJobs() {
+  const { rows } = await pool.query(
+    `UPDATE photo_jobs
+        SET status = CASE WHEN attempts < max_attempts THEN 'pending' ELSE 'failed' END,
+            last_error = COALESCE(last_error, '워커 응답 없음'),
+            locked_at = NULL, locked_by = NULL, run_at = NOW(), updated_at = NOW()
+      WHERE status = 'processing' AND locked_at < NOW() - make_interval(secs => $1)
+      RETURNING user_photo_id, status, last_error`,
+    [STALE_LOCK_SEC]
+  );
+  for (const job of rows) {
+    await pool.query(
+      'UPDATE user_photos SET status = $2, failure_reason = $3, failure_code = $4 WHERE user_photo_id = $1',
+      [
+        job.user_photo_id,
+        job.status,
+        job.status === 'failed' ? job.last_error : null,
+        job.status === 'failed' ? 'worker_timeout' : null,
+      ]
+    );
+  }
+  return rows.length;
+}
+
+// 사진 한 장 처리: 얼굴을 검출해 임베딩과 함께 저장한다 (썸네일 / medium은 업로드 때 이미 만들어져 있다)
+// 얼굴이 없거나 신뢰도가 낮으면 FaceRejectedError (재시도 없이 failed)
+async function processPhoto(photo) {
+  const image = await getFile(photo.image_url);
+  const faces = await detectFaces(image);
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await savePhotoFaces(client, photo.user_photo_id, faces);
+    await client.query(
+      `UPDATE user_photos
+          SET status = 'ready', failure_reason = NULL, failure_code = NULL,
+              processed_at = NOW()
+        WHERE user_photo_id = $1`,
+      [photo.user_photo_id]
+    );
+    await assignPrimaryIfMissing(client, photo.user_id, photo.user_photo_id);
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// 이미지 자체 문제나 사라진 파일은 재시도해도 결과가 같다
+function isPermanentError(err) {
+  return err instanceof EmbeddingInvalidImageError
+    || (err instanceof StorageError && err.code === 'not_found')
+    || err.permanent === true;
+}
+
+async function runJob(job) {
+  try {
+    const { rows } = await pool.query(
+      'SELECT user_photo_id, user_id, image_url FROM user_photos WHERE user_photo_id = $1',
+      [job.user_photo_id]
+    );
+    // 처리 중 사진이 삭제됨
+    if (rows.length === 0) {
+      await pool.query("UPDATE photo_jobs SET status = 'done', updated_at = NOW() WHERE photo_job_id = $1", [job.photo_job_id]);
+      return;
+    }
+    await processPhoto(rows[0]);
+    await pool.query(
+      `UPDATE photo_jobs SET status = 'done', last_error = NULL, locked_at = NULL, locked_by = NULL, updated_at = NOW()
+        WHERE photo_job_id = $1`,
+      [job.photo_job_id]
+    );
+  } catch (err) {
+    const retry = !isPermanentError(err) && job.attempts < job.max_attempts;
+    console.error(`photo job ${job.photo_job_id} 실패 (${job.attempts}/${job.max_attempts}):`, err.message);
+    await pool.query(
+      `UPDATE photo_jobs
+          SET status = $2, last_error = $3, locked_at = NULL, locked_by = NULL,
+              run_at = NOW() + make_interval(secs => $4), updated_at = NOW()
+        WHERE photo_job_id = $1`,
+      [job.photo_job_id, retry ? 'pending' : 'failed', err.message, RETRY_BASE_SEC * 2 ** (job.attempts - 1)]
+    );
+    await pool.query(
+      'UPDATE user_photos SET status = $2, failure_reason = $3, failure_code = $4 WHERE user_photo_id = $1',
+      [
+        job.user_photo_id,
+        retry ? 'pending' : 'failed',
+        retry ? null : err.message,
+        retry ? null : (err.code || 'processing_error'),
+      ]
+    );
+  }
+}
+
+// 큐가 빌 때까지 작업 처리. 처리한 개수 반환
+async function drainQueue(workerId = `${os.hostname()}:${process.pid}`) {
+  let count = 0;
+  for (;;) {
+    const job = await claimJob(workerId);
+    if (!job) return count;
+    await runJob(job);
+    count += 1;
+  }
+}
+
+// 워커 루프 시작. 반환된 stop()을 호출하면 현재 작업을 마친 뒤 멈춘다.
+function startPhotoWorker({ workerId = `${os.hostname()}:${process.pid}`, pollMs = POLL_INTERVAL_MS } = {}) {
+  let stopped = false;
+  let timer = null;
+  let wake = null;
+
+  const loop = async () => {
+    while (!stopped) {
+      try {
+        await recoverStaleJobs();
+        await drainQueue(workerId);
+      } catch (err) {
+        console.error('photo worker 오류:', err.message);
+      }
+      if (stopped) break;
+      await new Promise(resolve => {
+        wake = resolve;
+        timer = setTimeout(resolve, pollMs);
+      });
+    }
+  };
+  const done = loop();
+
+  return {
+    async stop() {
+      stopped = true;
+      clearTimeout(timer);
+      if (wake) wake();
+      await done;
+    },
+  };
+}
+
+// 사진 처리 상태 조회 (소유자 확인 포함). 없으면 null
+async function getPhotoStatus(userPhotoId, userId) {
+  const { rows } = await pool.query(
+    `SELECT p.user_photo_id, p.status, p.failure_reason, p.failure_code, p.selected_face_id,
+            p.uploaded_at, p.processed_at, j.attempts, j.max_attempts, j.run_at AS next_attempt_at
+       FROM user_photos p
+       LEFT JOIN photo_jobs j ON j.user_photo_id = p.user_photo_id
+      WHERE p.user_photo_id = $1 AND p.user_id = $2`,
+    [userPhotoId, userId]
+  );
+  if (rows.length === 0) return null;
+  return { ...rows[0], faces: await listPhotoFaces(userPhotoId) };
+}
+
+module.exports = {
+  enqueuePhotoJob,
+  claimJob,
+  runJob,
+  drainQueue,
+  recoverStaleJobs,
+  startPhotoWorker,
+  getPhotoStatus,
+};
+
+// CLI 진입점 — 워커 프로세스
+if (require.main === module) {
+  const worker = startPhotoWorker();
+  console.log(`📷 photo worker started (pid ${process.pid})`);
+  const shutdown = async () => {
+    console.log('photo worker stopping...');
+    await worker.stop();
+    await pool.end();
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
@@ -0,0 +1,153 @@
+// photo-library.js
+// 내 사진 목록 / 삭제 / 대표 사진
+//
+// 대표 사진(users.primary_photo_id)은 친구 비교 등 "이 사용자의 얼굴"이 필요한 기능이 쓰는 사진이다.
+// 처음으로 처리가 끝난 사진이 자동으로 대표 사진이 되고, 대표 사진을 지우면 남은 사진 중 최신 사진으로 바뀐다.
+
+const pool = require('./db');
+const { fileUrl } = require('./storage');
+const { deleteImageVariants } = require('./image-pipeline');
+
+const MAX_LIST_LIMIT = 100;
+
+// 사용자에게 대표 사진이 없으면 이 사진을 대표 사진으로 (사진 처리 트랜잭션 안에서 호출)
+async function assignPrimaryIfMissing(client, userId, userPhotoId) {
+  await client.query(
+    'UPDATE users SET primary_photo_id = $2 WHERE user_id = $1 AND primary_photo_id IS NULL',
+    [userId, userPhotoId]
+  );
+}
+
+// 내 사진 목록 (최신순). before: 이전 응답의 next_cursor
+async function listMyPhotos(userId, { limit = 20, before } = {}) {
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), MAX_LIST_LIMIT);
+  const { rows } = await pool.query(
+    `SELECT p.user_photo_id, p.image_url, p.medium_url, p.thumbnail_url, p.status, p.failure_code,
+            p.uploaded_at, p.processed_at, p.selected_face_id,
+            p.user_photo_id = u.primary_photo_id AS is_primary,
+            COALESCE(
+              json_agg(
+                json_build_object(
+                  'photo_face_id', f.photo_face_id,
+                  'facial_area', f.facial_area,
+                  'confidence', f.confidence,
+                  'selected', f.photo_face_id = p.selected_face_id
+                ) ORDER BY f.face_index
+              ) FILTER (WHERE f.photo_face_id IS NOT NULL),
+            '[]'
+            ) AS faces
+       FROM user_photos p
+       JOIN users u ON u.user_id = p.user_id
+       LEFT JOIN photo_faces f ON f.user_photo_id = p.user_photo_id
+      WHERE p.user_id = $1
+        AND ($2::int IS NULL OR p.user_photo_id < $2)
+      GROUP BY p.user_photo_id, u.primary_photo_id
+      ORDER BY p.user_photo_id DESC
+      LIMIT $3`,
+    [userId, before ? parseInt(before, 10) : null, pageSize + 1]
+  );
+  const hasMore = rows.length > pageSize;
+  const items = rows.slice(0, pageSize);
+  return {
+    items: items.map(photo => ({
+      ...photo,
+      image_url: fileUrl(photo.image_url),
+      medium_url: fileUrl(photo.medium_url),
+      thumbnail_url: fileUrl(photo.thumbnail_url),
+    })),
+    next_cursor: hasMore ? items[items.length - 1].user_photo_id : null,
+  };
+}
+
+// 사용자의 대표 사진 (처리가 끝난 사진만, image_url은 저장 키). 없으면 null
+async function getPrimaryPhoto(userId, client = pool) {
+  const { rows } = await client.query(
+    `SELECT p.user_photo_id, p.image_url, p.thumbnail_url, p.embedding_vector
+       FROM users u
+       JOIN user_photos p ON p.user_photo_id = u.primary_photo_id
+      WHERE u.user_id = $1 AND p.status = 'ready'`,
+    [userId]
+  );
+  return rows[0] || null;
+}
+
+// 대표 사진 지정. 반환: 'ok' | 'not_found' | 'not_ready'
+async function setPrimaryPhoto(userId, userPhotoId) {
+  const { rows } = await pool.query(
+    'SELECT status FROM user_photos WHERE user_photo_id = $1 AND user_id = $2',
+    [userPhotoId, userId]
+  );
+  if (rows.length === 0) return 'not_found';
+  if (rows[0].status !== 'ready') return 'not_ready';
+  await pool.query('UPDATE users SET primary_photo_id = $2, updated_at = NOW() WHERE user_id = $1', [userId, userPhotoId]);
+  return 'ok';
+}
+
+// 사진 삭제. 이 사진으로 낸 콘테스트 참가 기록도 함께 지운다 (순위표는 참가 기록에서 바로 계산된다).
+// 대표 사진이었다면 남은 사진 중 최신 사진이 대표 사진이 된다. 파일은 커밋 후 지운다.
+// 반환: { user_photo_id, removed_contest_entries, primary_photo_id } 또는 null(없음)
+async function deletePhoto(userId, userPhotoId) {
+  const client = await pool.connect();
+  let photo;
+  let result;
+  try {
+    await client.query('BEGIN');
+    const { rows } = await client.query(
+      `SELECT user_photo_id, image_url, medium_url, thumbnail_url FROM user_photos
+        WHERE user_photo_id = $1 AND user_id = $2
+        FOR UPDATE`,
+      [userPhotoId, userId]
+    );
+    photo = rows[0];
+    if (!photo) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const entries = await client.query(
+      'DELETE FROM contest_entries WHERE user_photo_id = $1 RETURNING contest_id',
+      [userPhotoId]
+    );
+    await client.query('DELETE FROM user_photos WHERE user_photo_id = $1', [userPhotoId]);
+
+    // ON DELETE SET NULL로 비워진 대표 사진 채우기
+    const primary = await client.query(
+      `UPDATE users
+          SET primary_photo_id = COALESCE(primary_photo_id, (
+                SELECT user_photo_id FROM user_photos
+                 WHERE user_id = $1 AND status = 'ready'
+                 ORDER BY uploaded_at DESC
+                 LIMIT 1
+              ))
+        WHERE user_id = $1
+        RETURNING primary_photo_id`,
+      [userId]
+    );
+    await client.query('COMMIT');
+    result = {
+      user_photo_id: photo.user_photo_id,
+      removed_contest_entries: entries.rowCount,
+      primary_photo_id: primary.rows[0]?.primary_photo_id ?? null,
+    };
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  await deleteImageVariants({
+    image_key: photo.image_url,
+    medium_key: photo.medium_url,
+    thumbnail_key: photo.thumbnail_url,
+  });
+  return result;
+}
+
+module.exports = {
+  assignPrimaryIfMissing,
+  listMyPhotos,
+  getPrimaryPhoto,
+  setPrimaryPhoto,
+  deletePhoto,
+};
@@ -3,25 +3,90 @@
 // 1. 필요한 모듈 임포트
 const express = require('express');             // 웹 서버 프레임워크
 const dotenv = require('dotenv');               // 환경 변수 로드
-const { Pool } = require('pg');                 // PostgreSQL 클라이언트
-const axios = require('axios');                 // HTTP 요청
-const qs = require('qs');                       // 쿼리스트링 변환
-const jwt = require('jsonwebtoken');            // JWT 생성/검증
 const session = require('express-session');     // 세션 관리
 const cors = require('cors');                   // CORS 설정
-const FormData = require('form-data');
-const fs = require('fs');
-const multer = require('multer');
-const path = require('path');
 const similarity = require('compute-cosine-similarity');
-const sharp = require('sharp');
+const pool = require('./db');                   // PostgreSQL 커넥션 풀
+const { authenticateToken, requireAdmin } = require('./tokens');
+const { uploadImage, uploadImages } = require('./uploads');
+const { parsePgVector, sendEmbeddingError } = require('./embedding-client');
+const { enqueuePhotoJob, getPhotoStatus, startPhotoWorker } = require('./photo-jobs');
+const { detectFaces, listPhotoFaces, selectPhotoFace } = require('./faces');
+const { parseTopN, predictAnimal, sendAnimalLookalikeError } = require('./animal-lookalike');
+const { listMyPhotos, getPrimaryPhoto, setPrimaryPhoto, deletePhoto } = require('./photo-library');
+const {
+  CONTEST_STATES,
+  parseSchedule,
+  parseEntryRules,
+  getContest,
+  withTransaction,
+  transitionContest,
+  updateContestSchedule,
+  updateContestRules,
+  sendContestError,
+} = require('./contests');
+const { startContestScheduler } = require('./contest-scheduler');
+const { startNotificationHub, acceptQueryToken, streamNotifications } = require('./notification-stream');
+const {
+  parseLocale,
+  listNotifications,
+  setNotificationsRead,
+  deleteNotification,
+  notifyFriendRequestReceived,
+  notifyFriendRequestAccepted,
+} = require('./notifications');
+const { parseLeaderboardOptions, getLeaderboard, sendLeaderboardError } = require('./leaderboard');
+const { submitContestEntry } = require('./contest-entries');
+const { voteForEntry, unvoteEntry } = require('./contest-votes');
+const {
+  parseVisibility,
+  generateInviteCode,
+  visibleToSql,
+  canEnterSql,
+  getVisibleContest,
+  joinContest,
+  leaveContest,
+  listMembers,
+  addMember,
+  removeMember,
+  updateContestVisibility,
+  regenerateInviteCode,
+} = require('./contest-members');
+const {
+  MAX_CONTEST_TARGETS,
+  parseTargetAggregation,
+  prepareTargets,
+  discardTargets,
+  insertContestTargets,
+  listContestTargets,
+  addContestTargets,
+  removeContestTarget,
+  updateTargetAggregation,
+} = require('./contest-targets');
+const { fileUrl, serveLocalFile } = require('./storage');
+const { storeImageVariants, deleteImageVariants } = require('./image-pipeline');
+const {
+  normalizeSimilarity,
+  parseSearchOptions,
+  getOwnPhotoEmbedding,
+  searchTargets,
+  sendLookalikeError,
+} = require('./lookalike');
+const {
+  recordComparison,
+  parseType,
+  parseLimit,
+  parseHistoryOptions,
+  listComparisons,
+  listTopMatches,
+  sendHistoryError,
+} = require('./similarity-history');
 // 2. 환경 변수 로드 (.env 파일에서)
 dotenv.config();
 
 // 3. Express 애플리케이션 초기화
 const app = express(); 
 const port = process.env.PORT || 3000;
-const FLASK_APP_URL = process.env.FLASK_BACKEND_URL
 
 // 4. 미들웨어 설정
 app.use(express.json());                       // JSON 바디 파싱
@@ -42,527 +107,251 @@ app.use(session({
   saveUninitialized: false,
   cookie: { secure: process.env.NODE_ENV === 'production', httpOnly: true }
 }));
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')))
-
-// 5. PostgreSQL 데이터베이스 연결 설정
-const pool = new Pool({
-  user: process.env.DB_USER,
-  host: process.env.DB_HOST,
-  database: process.env.DB_NAME,
-  password: process.env.DB_PASSWORD,
-  port: process.env.DB_PORT || 5432,
-});
+// 저장된 파일은 서명 URL로만 내려준다 (local 드라이버, storage.js)
+app.get('/files/*key', serveLocalFile);
 
-// JWT 토큰 생성 함수
-function generateJwtToken(userId, googleId, nickname) {
-  const payload = { id: userId, googleId, nickname };
-  return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: '24h' });
-}
+// 인증 라우트 (구글 / 카카오 / 이메일 로그인, 토큰, 로그인 수단 연결)
+app.use('/auth', require('./auth'));
+// 닮은 대상 카탈로그 관리 (관리자 전용)
+const adminTargets = require('./admin-targets');
+const { createTargetHandler } = adminTargets;
+app.use('/admin/targets', adminTargets);
 
-// 사용자 조회 또는 생성 함수
-async function findOrCreateUser(googleId, nickname, email, picture) {
-  const client = await pool.connect();
-  try {
-    const res = await client.query('SELECT * FROM users WHERE google_id = $1', [googleId]);
-    if (res.rows.length) {
-      await client.query(
-        'UPDATE users SET nickname=$1, email=$2, profile_image_url=$3, updated_at=NOW() WHERE google_id=$4',
-        [nickname, email, picture, googleId]
-      );
-      return res.rows[0];
-    } else {
-      const ins = await client.query(
-        'INSERT INTO users (google_id, nickname, email, profile_image_url) VALUES ($1,$2,$3,$4) RETURNING *',
-        [googleId, nickname, email, picture, true]
-      );
-      return ins.rows[0];
-    }
-  } finally {
-    client.release();
+//----------------------------------------------------------------------------------
+// 사진 업로드 — 정규화한 이미지(원본 / medium / thumbnail)를 저장소에 올리고 DB 행만 만든 뒤 바로 202로 응답한다.
+// 임베딩 / 얼굴 정보는 photo-jobs 워커가 계산하며, 진행 상태는 GET /photos/:id/status로 확인한다.
+app.post('/uploaduser', authenticateToken, uploadImage, async (myreq, myres) => {
+  if (!myreq.image) {
+    return myres.status(400).json({ error: '이미지 파일이 필요합니다.' });
   }
-}
+  const userId = myreq.user.id;
+  let keys;
+  let client;
+  try {
+    keys = await storeImageVariants(`user-photos/${userId}`, myreq.image);
+    console.log(`사용자 ID: ${userId}, 저장 키: ${keys.image_key}`);
 
-// 인증 미들웨어
-function authenticateToken(req, res, next) {
-  const auth = req.headers['authorization'];
-  const token = auth && auth.split(' ')[1];
-  if (!token) return res.status(401).json({ message: '토큰이 없습니다.' });
-  jwt.verify(token, process.env.JWT_SECRET, (err, payload) => {
-    if (err) {
-      if (err.name === 'TokenExpiredError') {
-        // 만료된 토큰
-        return res.status(401).json({ message: '토큰이 만료되었습니다.' });
-      }
-      return res.status(403).json({ 
-        message: '유효하지 않은 토큰입니다.', 
-        error: err.message,       // 예: jwt malformed
-        name:  err.name,          // JsonWebTokenError 등
-        stack: err.stack,
-      });
-    }
-    req.user = { id: payload.id, nickname: payload.nickname };
-    next();
-  });
-}
+    client = await pool.connect();
+    await client.query('BEGIN');
+    const insertResult = await client.query(
+        `INSERT INTO user_photos (user_id, image_url, medium_url, thumbnail_url, status, uploaded_at)
+         VALUES ($1, $2, $3, $4, 'pending', NOW())
+         RETURNING user_photo_id, image_url, medium_url, thumbnail_url, status, uploaded_at`,
+        [userId, keys.image_key, keys.medium_key, keys.thumbnail_key]
+    );
+    const newPhoto = insertResult.rows[0];
+    await enqueuePhotoJob(client, newPhoto.user_photo_id);
+    await client.query('COMMIT');
 
-// --- Google OAuth 로그인 처리 ---
-const GOOGLE_TOKEN_URI = 'https://oauth2.googleapis.com/token';
+    myres.status(202).json({
+        message: '사진이 업로드되었습니다. 처리가 끝나면 상태가 ready로 바뀝니다.',
+        photo: {
+            user_photo_id: newPhoto.user_photo_id,
+            image_url: fileUrl(newPhoto.image_url),
+            medium_url: fileUrl(newPhoto.medium_url),
+            thumbnail_url: fileUrl(newPhoto.thumbnail_url),
+            status: newPhoto.status,
+            uploaded_at: newPhoto.uploaded_at,
+            status_url: `/photos/${newPhoto.user_photo_id}/status`
+        }
+    });
+  } catch (err) {
+    if (client) await client.query('ROLLBACK').catch(() => {});
+    // DB에 기록하지 못한 파일은 남겨두지 않는다
+    if (keys) deleteImageVariants(keys);
+    console.log(err.message);
+    myres.status(500).json({ error: err.message });
+  } finally {
+    if (client) client.release();
+  }
+});
 
-app.post('/auth/google/login', async (req, res) => {
-  const { code } = req.body;
-  if (!code) return res.status(400).json({ message: '인가 코드가 필요합니다.' });
+// 내 사진 목록 (최신순, 썸네일 + 얼굴 정보). ?limit=&before=(이전 응답의 next_cursor)
+app.get('/photos', authenticateToken, async (req, res) => {
   try {
-    // 1) 구글 토큰 교환
-    console.log('before POST request to /auth/google/login');
-    const tokenRes = await axios.post(
-      GOOGLE_TOKEN_URI,
-      qs.stringify({
-        code,
-        client_id: process.env.GOOGLE_CLIENT_ID,
-        client_secret: process.env.GOOGLE_CLIENT_SECRET,
-        redirect_uri: process.env.GOOGLE_REDIRECT_URI,
-        grant_type: 'authorization_code',
-      }),
-      { headers: { 'Content-Type': 'application/x-www-form-urlencoded' } }
-    );
-    const { id_token } = tokenRes.data;
-    console.log('Received POST request to /auth/google/login');
-
-    // 2) ID 토큰 디코딩
-    const decoded = jwt.decode(id_token);
-    const googleId = decoded.sub;
-    const nickname = decoded.name;
-    const email = decoded.email;
-    const picture = decoded.picture;
-
-    // 3) 사용자 저장 또는 업데이트
-    const user = await findOrCreateUser(googleId, nickname, email, picture);
-    console.log('Find POST request to /auth/google/login');
-
-    // 4) JWT 발급
-    const appToken = generateJwtToken(user.user_id, googleId, nickname);
-    res.json({ token: appToken, user });
+    res.json(await listMyPhotos(req.user.id, req.query));
   } catch (err) {
-    console.error('구글 로그인 오류:', err.response?.data || err.message);
-    res.status(500).json({ message: '구글 로그인 처리 중 오류가 발생했습니다.', detail: err.message });
+    console.error('GET /photos error:', err);
+    res.status(500).json({ error: '사진 목록 조회 중 오류가 발생했습니다.' });
   }
 });
 
-app.post('/auth/email/login', async (req, res) => {
-  const { email, password } = req.body;
-  if (!email || !password) {
-    return res.status(400).json({ message: 'email과 password가 모두 필요합니다.' });
+// 사진 삭제 — 이 사진으로 낸 콘테스트 참가 기록도 함께 삭제된다
+app.delete('/photos/:user_photo_id', authenticateToken, async (req, res) => {
+  try {
+    const deleted = await deletePhoto(req.user.id, req.params.user_photo_id);
+    if (!deleted) {
+      return res.status(404).json({ error: '해당 사진을 찾을 수 없습니다.' });
+    }
+    res.json({ message: '사진이 삭제되었습니다.', ...deleted });
+  } catch (err) {
+    console.error('DELETE /photos/:id error:', err);
+    res.status(500).json({ error: '사진 삭제 중 오류가 발생했습니다.' });
   }
+});
 
-  let client;
+// 대표 사진 지정 — 친구 비교 등에 이 사진이 쓰인다
+app.put('/photos/:user_photo_id/primary', authenticateToken, async (req, res) => {
   try {
-    client = await pool.connect();
-
-    // 1) 사용자 조회
-    const userRes = await client.query(
-      `SELECT user_id, email, nickname, password, profile_image_url
-       FROM users
-       WHERE email = $1`,
-      [email]
-    );
-    if (userRes.rows.length === 0) {
-      return res.status(401).json({ message: '이메일 또는 비밀번호가 일치하지 않습니다.' });
+    const result = await setPrimaryPhoto(req.user.id, req.params.user_photo_id);
+    if (result === 'not_found') {
+      return res.status(404).json({ error: '해당 사진을 찾을 수 없습니다.' });
     }
-    const user = userRes.rows[0];
-
-    // 2) 비밀번호 검증 (평문 비교 또는 bcrypt.compare)
-    // const isMatch = await bcrypt.compare(password, user.password);
-    const isMatch = password == user.password;
-    if (!isMatch) {
-      return res.status(401).json({ message: '이메일 또는 비밀번호가 일치하지 않습니다.' });
+    if (result === 'not_ready') {
+      return res.status(409).json({ error: '처리가 끝난 사진만 대표 사진으로 지정할 수 있습니다.' });
     }
-
-    // 3) 앱 JWT 발급
-    const appToken = generateJwtToken(user.user_id, user.email, user.nickname);
-
-    // 4) 온라인 상태 업데이트 (선택)
-    await client.query(
-      `UPDATE users
-         SET is_online = true
-       WHERE user_id = $1`,
-      [user.user_id]
-    );
-
-    // 5) 응답
-    res.json({
-      token: appToken,
-      user: {
-        user_id: user.user_id,
-        email: user.email,
-        nickname: user.nickname,
-        profile_image_url: user.profile_image_url,
-        is_online: true,
-      },
-    });
+    res.json({ primary_photo_id: Number(req.params.user_photo_id) });
   } catch (err) {
-    console.error('EMAIL LOGIN ERROR:', err);
-    res.status(500).json({ message: '로그인 중 오류가 발생했습니다.' });
-  } finally {
-    client?.release();
+    console.error('PUT /photos/:id/primary error:', err);
+    res.status(500).json({ error: '대표 사진 지정 중 오류가 발생했습니다.' });
   }
 });
 
-//닉네임, 이메일, 비밀번호를 받아서 가입, 디비에 들어감
-app.post('/auth/register', async (req, res) => {
-  const { email, nickname, password } = req.body;
-  if (!email || !nickname || !password) {
-    return res.status(400).json({ message: 'email, nickname, password 모두 필요합니다.' });
+// 사진 처리 상태 (pending | processing | ready | failed)
+app.get('/photos/:user_photo_id/status', authenticateToken, async (req, res) => {
+  try {
+    const photo = await getPhotoStatus(req.params.user_photo_id, req.user.id);
+    if (!photo) {
+      return res.status(404).json({ error: '해당 사진을 찾을 수 없습니다.' });
+    }
+    res.json(photo);
+  } catch (err) {
+    console.error('GET /photos/:id/status error:', err);
+    res.status(500).json({ error: '사진 상태 조회 중 오류가 발생했습니다.' });
   }
+});
 
-  let client;
+// 사진에서 검출된 얼굴 목록 (박스, 신뢰도, 선택 여부)
+app.get('/photos/:user_photo_id/faces', authenticateToken, async (req, res) => {
   try {
-    client = await pool.connect();
-
-    // 이미 같은 이메일이 있는지 체크
-    const dup = await client.query(
-      'SELECT 1 FROM users WHERE email = $1',
-      [email]
+    const owner = await pool.query(
+      'SELECT 1 FROM user_photos WHERE user_photo_id = $1 AND user_id = $2',
+      [req.params.user_photo_id, req.user.id]
     );
-    if (dup.rows.length) {
-      return res.status(409).json({ message: '이미 사용 중인 이메일입니다.' });
+    if (owner.rows.length === 0) {
+      return res.status(404).json({ error: '해당 사진을 찾을 수 없습니다.' });
     }
-
-    // 사용자 생성 (password는 평문 저장)
-    const ins = await client.query(
-      `INSERT INTO users
-         (email, nickname, password, is_online)
-       VALUES ($1, $2, $3, true)
-       RETURNING user_id, email, nickname, profile_image_url, created_at`,
-      [email, nickname, password]
-    );
-    const user = ins.rows[0];
-    res.json({ message: '회원가입 완료', user });
+    res.json(await listPhotoFaces(req.params.user_photo_id));
   } catch (err) {
-    console.error('REGISTER ERROR:', err);
-    res.status(500).json({ message: '회원가입 중 오류가 발생했습니다.' });
-  } finally {
-    if (client) client.release();
+    console.error('GET /photos/:id/faces error:', err);
+    res.status(500).json({ error: '얼굴 목록 조회 중 오류가 발생했습니다.' });
   }
 });
 
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, 'uploads/'); // 예: uploads 폴더에 저장
-  },
-  filename: (req, file, cb) => {
-    // 고유 파일명 생성 (예: 타임스탬프+원본확장자)
-    const ext = path.extname(file.originalname);
-    cb(null, Date.now() + ext);
-  },
-});
-const upload = multer({ storage });
-//----------------------------------------------------------------------------------
-app.post('/uploaduser', authenticateToken, upload.single('file'),  async (myreq, myres) => {
-  let client;
+// 얼굴이 여러 개인 사진에서 비교에 쓸 얼굴 선택
+app.put('/photos/:user_photo_id/face', authenticateToken, async (req, res) => {
+  const { photo_face_id } = req.body;
+  if (!photo_face_id) {
+    return res.status(400).json({ error: 'photo_face_id가 필요합니다.' });
+  }
   try {
-    client = await pool.connect();
-    console.log('2. PostgreSQL DB 연결 성공.'); // DB 연결 확인
-
-
-    // let meta;
-    // if (myreq.body.meta) {
-    //     try {
-    //         meta = JSON.parse(myreq.body.meta);
-    //     } catch (e) {
-    //         console.error("meta JSON 파싱 실패:", e);
-    //         return myres.status(400).json({ error: "잘못된 meta JSON 형식입니다." });
-    //     }
-    // } else {
-    //     // meta 데이터가 없는 경우 (예: curl 명령에서 meta 필드를 빼먹었을 때)
-    //     return myres.status(400).json({ error: "meta 데이터가 누락되었습니다." });
-    // }
-    const userId = myreq.user.id;
-    console.log(`3. 사용자 ID: ${userId}, 업로드된 파일 경로: ${myreq.file.path}`);
-
-    const form = new FormData();
-    form.append('file', fs.createReadStream(myreq.file.path));
-    console.log('4. Flask로 보낼 FormData 생성 완료.'); // FormData 생성 확인
-
-    const res = await axios.post(`${FLASK_APP_URL}/embedding`, form, {
-      headers: form.getHeaders(),
-    });
-    console.log('6. Flask 백엔드로부터 응답 성공.'); // Flask 응답 성공 확인
-
-    const { embedding: embeddingVectorRaw, facial_area: facialArea, facial_confidence: facialConfidence } = res.data;
-    let embeddingVectorString; // 변환된 벡터 문자열을 저장할 변수
-    if (Array.isArray(embeddingVectorRaw) && embeddingVectorRaw.length === 512) {
-        // JavaScript 배열을 pgvector가 기대하는 문자열 '[val1, val2, ...]' 형태로 변환
-        embeddingVectorString = `[${embeddingVectorRaw.join(',')}]`; 
-        console.log('pgvector 형식으로 변환된 임베딩:', embeddingVectorString.substring(0, 50), '...'); // 일부만 로깅
-    } else {
-        throw new Error(`Flask로부터 받은 임베딩 벡터의 차원이 ${embeddingVectorRaw ? embeddingVectorRaw.length : '없음'}로 예상치 못한 값입니다. (기대: 1536)`);
+    const selected = await selectPhotoFace(req.params.user_photo_id, req.user.id, photo_face_id);
+    if (!selected) {
+      return res.status(404).json({ error: '해당 사진 또는 얼굴을 찾을 수 없습니다.' });
     }
+    res.json(selected);
+  } catch (err) {
+    console.error('PUT /photos/:id/face error:', err);
+    res.status(500).json({ error: '얼굴 선택 중 오류가 발생했습니다.' });
+  }
+});
 
-    const insertResult = await client.query(
-        // 👈 INSERT 쿼리 수정: user_id, image_url, embedding_vector, facial_area, facial_confidence를 모두 삽입
-        // uploaded_at은 DEFAULT CURRENT_TIMESTAMP이므로 쿼리에서 명시하지 않아도 됩니다.
-        'INSERT INTO user_photos (user_id, image_url, embedding_vector, uploaded_at) VALUES ($1, $2, $3, NOW()) RETURNING user_photo_id, image_url, uploaded_at',
-        [userId, myreq.file.path, embeddingVectorString] // 👈 변환된 embeddingVectorString과 얼굴 정보 사용
-    );
-    console.log('6. DB.');
-    const newPhoto = insertResult.rows[0];
-    const userPhotoId = newPhoto.user_photo_id;
-
-    // console.log(`사진 정보 DB에 초기 저장됨. ID: ${userPhotoId}, URL: ${fileUrl}`);
-    // console.log(`사진 ID ${userPhotoId}의 임베딩 및 얼굴 정보 DB에 업데이트 완료.`); // 이제 업데이트가 아닌 삽입 시점에 모두 저장
+// 내 비교 기록 (친구 / 닮은 대상 / 닮은 동물 / 콘테스트)
+// 옵션: type, sort(recent | similarity), limit(기본 20, 최대 100), cursor(이전 응답의 next_cursor)
+app.get('/similarity-history', authenticateToken, async (req, res) => {
+  try {
+    res.json(await listComparisons(req.user.id, parseHistoryOptions(req.query)));
+  } catch (err) {
+    if (sendHistoryError(res, err)) return;
+    console.error('GET /similarity-history error:', err);
+    res.status(500).json({ error: '비교 기록 조회 중 오류가 발생했습니다.' });
+  }
+});
 
-    myres.json({
-        message: '사진이 성공적으로 업로드 및 처리되었습니다.',
-        photo: {
-            user_photo_id: newPhoto.user_photo_id,
-            image_url: newPhoto.image_url,
-            uploaded_at: newPhoto.uploaded_at,
-            facial_area: facialArea,
-            facial_confidence: facialConfidence,
-            embedding: embeddingVectorString
-        }
+// 가장 많이 닮았던 상대 (상대마다 최고 유사도). 옵션: type, limit(기본 20, 최대 50)
+app.get('/similarity-history/top', authenticateToken, async (req, res) => {
+  try {
+    const items = await listTopMatches(req.user.id, {
+      type: parseType(req.query.type),
+      limit: parseLimit(req.query.limit, 50),
     });
+    res.json({ items });
   } catch (err) {
-    myres.status(500).json({ error: err.message });
-    console.log(err.message);
-  } finally {
-    if (client) client.release();
+    if (sendHistoryError(res, err)) return;
+    console.error('GET /similarity-history/top error:', err);
+    res.status(500).json({ error: '비교 기록 조회 중 오류가 발생했습니다.' });
   }
 });
 
-app.post('/uploadtarget', upload.single('file'), async (myreq, myres) => {
-  let client;
-  try {
-    client = await pool.connect();
+// 닮은 대상 등록 (관리자 전용) — POST /admin/targets와 같다
+app.post('/uploadtarget', authenticateToken, requireAdmin, uploadImage, createTargetHandler);
 
-    let meta;
-    if (myreq.body.meta) {
-        try {
-            meta = JSON.parse(myreq.body.meta);
-        } catch (e) {
-            console.error("meta JSON 파싱 실패:", e);
-            return myres.status(400).json({ error: "잘못된 meta JSON 형식입니다." });
-        }
-    } else {
-        // meta 데이터가 없는 경우 (예: curl 명령에서 meta 필드를 빼먹었을 때)
-        return myres.status(400).json({ error: "meta 데이터가 누락되었습니다." });
+// 내 사진의 저장된 얼굴 박스로 닮은 동물 예측 (얼굴 + 모델 버전마다 캐시)
+// body: { user_photo_id, photo_face_id?, top_n? } — photo_face_id가 없으면 선택된 얼굴
+app.post('/getsimilaranimal', authenticateToken, async (req, res) => {
+  try {
+    const { user_photo_id, photo_face_id, top_n } = req.body;
+    if (!user_photo_id) {
+      return res.status(400).json({ error: 'user_photo_id가 제공되지 않았습니다.' });
     }
-    const form = new FormData();
-    form.append('file', fs.createReadStream(myreq.file.path));
-
-    const res = await axios.post(`${FLASK_APP_URL}/embedding`, form, {
-      headers: form.getHeaders(),
+    const result = await predictAnimal(req.user.id, user_photo_id, {
+      photoFaceId: photo_face_id || null,
+      topN: parseTopN(top_n),
     });
-
-    const { embedding: embeddingVectorRaw, facial_area: facialArea, facial_confidence: facialConfidence } = res.data;
-    let embeddingVectorString; // 변환된 벡터 문자열을 저장할 변수
-    if (Array.isArray(embeddingVectorRaw) && embeddingVectorRaw.length === 512) {
-        // JavaScript 배열을 pgvector가 기대하는 문자열 '[val1, val2, ...]' 형태로 변환
-        embeddingVectorString = `[${embeddingVectorRaw.join(',')}]`; 
-        console.log('pgvector 형식으로 변환된 임베딩:', embeddingVectorString.substring(0, 50), '...'); // 일부만 로깅
-    } else {
-        throw new Error(`Flask로부터 받은 임베딩 벡터의 차원이 ${embeddingVectorRaw ? embeddingVectorRaw.length : '없음'}로 예상치 못한 값입니다. (기대: 1536)`);
-    }
-
-    const insertResult = await client.query(
-        // 👈 INSERT 쿼리 수정: user_id, image_url, embedding_vector, facial_area, facial_confidence를 모두 삽입
-        // uploaded_at은 DEFAULT CURRENT_TIMESTAMP이므로 쿼리에서 명시하지 않아도 됩니다.
-        'INSERT INTO target_photos (type, name, image_url, embedding_vector, created_at) VALUES ($1, $2, $3, $4, NOW()) RETURNING *',
-        [meta.type, meta.name, myreq.file.path, embeddingVectorString] // 👈 변환된 embeddingVectorString과 얼굴 정보 사용
-    );
-    const newPhoto = insertResult.rows[0];
-    const userPhotoId = newPhoto.user_photo_id;
-
-    // console.log(`사진 정보 DB에 초기 저장됨. ID: ${userPhotoId}, URL: ${fileUrl}`);
-    // console.log(`사진 ID ${userPhotoId}의 임베딩 및 얼굴 정보 DB에 업데이트 완료.`); // 이제 업데이트가 아닌 삽입 시점에 모두 저장
-
-    myres.json({
-        message: '사진이 성공적으로 업로드 및 처리되었습니다.',
-        photo: {
-            target_photo_id: newPhoto.user_photo_id,
-            type: newPhoto.type,
-            name: newPhoto.name,
-            image_url: newPhoto.image_url,
-            created_at: newPhoto.created_at,
-            facial_area: facialArea,
-            facial_confidence: facialConfidence,
-            embedding: embeddingVectorString
-        }
+    await recordComparison({
+      userId: req.user.id,
+      type: 'animal',
+      userPhotoId: result.user_photo_id,
+      animal: result.animal,
+      similarity: result.confidence,
+      modelVersion: result.model_version,
     });
+    res.json(result);
   } catch (err) {
-    myres.status(500).json({ error: err.message });
-  } finally {
-    if (client) client.release();
+    if (sendAnimalLookalikeError(res, err)) return;
+    if (sendEmbeddingError(res, err)) return;
+    console.error('POST /getsimilaranimal error:', err);
+    res.status(500).json({ error: '닮은 동물 예측에 실패했습니다.' });
   }
 });
-
-app.post('/uploadtarget', upload.single('file'), async (myreq, myres) => {
-  let client;
+// 닮은 대상 top-K 검색
+// 내 사진(user_photo_id) 또는 새로 올린 사진(file, 저장소에 올리지 않음)으로 검색한다.
+// 옵션: type, min_similarity(0 ~ 1), limit(기본 10, 최대 50), cursor(이전 응답의 next_cursor)
+app.post('/lookalikes', authenticateToken, uploadImage, async (req, res) => {
+  const { user_photo_id } = req.body;
   try {
-    client = await pool.connect();
-
-    let meta;
-    if (myreq.body.meta) {
-        try {
-            meta = JSON.parse(myreq.body.meta);
-        } catch (e) {
-            console.error("meta JSON 파싱 실패:", e);
-            return myres.status(400).json({ error: "잘못된 meta JSON 형식입니다." });
-        }
-    } else {
-        // meta 데이터가 없는 경우 (예: curl 명령에서 meta 필드를 빼먹었을 때)
-        return myres.status(400).json({ error: "meta 데이터가 누락되었습니다." });
+    if (!user_photo_id && !req.image) {
+      return res.status(400).json({ error: 'user_photo_id 또는 이미지 파일이 필요합니다.' });
     }
-    const form = new FormData();
-    form.append('file', fs.createReadStream(myreq.file.path));
-
-    const res = await axios.post(`${FLASK_APP_URL}/embedding`, form, {
-      headers: form.getHeaders(),
-    });
+    const options = parseSearchOptions(req.body);
 
-    const { embedding: embeddingVectorRaw, facial_area: facialArea, facial_confidence: facialConfidence } = res.data;
-    let embeddingVectorString; // 변환된 벡터 문자열을 저장할 변수
-    if (Array.isArray(embeddingVectorRaw) && embeddingVectorRaw.length === 512) {
-        // JavaScript 배열을 pgvector가 기대하는 문자열 '[val1, val2, ...]' 형태로 변환
-        embeddingVectorString = `[${embeddingVectorRaw.join(',')}]`; 
-        console.log('pgvector 형식으로 변환된 임베딩:', embeddingVectorString.substring(0, 50), '...'); // 일부만 로깅
+    let embedding;
+    if (user_photo_id) {
+      embedding = await getOwnPhotoEmbedding(user_photo_id, req.user.id);
     } else {
-        throw new Error(`Flask로부터 받은 임베딩 벡터의 차원이 ${embeddingVectorRaw ? embeddingVectorRaw.length : '없음'}로 예상치 못한 값입니다. (기대: 1536)`);
+      [{ embedding }] = await detectFaces(req.image.image.buffer);
     }
 
-    const insertResult = await client.query(
-        // 👈 INSERT 쿼리 수정: user_id, image_url, embedding_vector, facial_area, facial_confidence를 모두 삽입
-        // uploaded_at은 DEFAULT CURRENT_TIMESTAMP이므로 쿼리에서 명시하지 않아도 됩니다.
-        'INSERT INTO target_photos (type, name, image_url, embedding_vector, created_at) VALUES ($1, $2, $3, $4, NOW()) RETURNING *',
-        [meta.type, meta.name, myreq.file.path, embeddingVectorString] // 👈 변환된 embeddingVectorString과 얼굴 정보 사용
-    );
-    const newPhoto = insertResult.rows[0];
-    const userPhotoId = newPhoto.user_photo_id;
-
-    // console.log(`사진 정보 DB에 초기 저장됨. ID: ${userPhotoId}, URL: ${fileUrl}`);
-    // console.log(`사진 ID ${userPhotoId}의 임베딩 및 얼굴 정보 DB에 업데이트 완료.`); // 이제 업데이트가 아닌 삽입 시점에 모두 저장
-
-    myres.json({
-        message: '사진이 성공적으로 업로드 및 처리되었습니다.',
-        photo: {
-            target_photo_id: newPhoto.user_photo_id,
-            type: newPhoto.type,
-            name: newPhoto.name,
-            image_url: newPhoto.image_url,
-            created_at: newPhoto.created_at,
-            facial_area: facialArea,
-            facial_confidence: facialConfidence,
-            embedding: embeddingVectorString
-        }
-    });
-  } catch (err) {
-    myres.status(500).json({ error: err.message });
-  } finally {
-    if (client) client.release();
-  }
-});  
-
-
-app.post(
-  '/getsimilaranimal',
-  async (req, res) => {
-    console.log('Received request for /getsimilaranimal');
-    try {
-      // 1) 클라이언트 요청 본문에서 'image_url'을 추출합니다.
-      const { image_url, x, y, w, h } = req.body;
-
-      // 'image_url'이 제공되었는지 확인합니다.
-      if (!image_url) {
-        return res.status(400).json({ error: 'image_url이 제공되지 않았습니다.' });
-      }
-
-      console.log('Image URL:', image_url);
-
-      let localPath = image_url;
-      try {
-        const urlObj = new URL(image_url);
-        // URL pathname 예: '/uploads/1752481925180.jpg'
-        localPath = `.${urlObj.pathname}`; // 서버 프로젝트 루트 기준 상대 경로
-      } catch (e) {
-        // image_url이 URL 형식이 아닐 경우 그대로 사용
-      }
-
-      // 1. 이미지 crop
-      const croppedPath = `uploads/cropped_${Date.now()}.jpg`;
-      await sharp(localPath)
-        .extract({ left: Math.round(x), top: Math.round(y), width: Math.round(w), height: Math.round(h) })
-        .toFile(croppedPath);
-
-      // 2. FormData 생성 및 API 요청
-      const form = new FormData();
-      form.append('file', fs.createReadStream(croppedPath));
-      console.log("getsimilar from");
-
-      // 4) 외부 예측 API ('http://172.20.12.58:80/predict')를 호출합니다.
-      // 'form.getHeaders()'는 FormData에 필요한 'Content-Type' 헤더를 자동으로 설정합니다.
-      const response = await axios.post(
-        `${FLASK_APP_URL}/predict`, 
-        form, 
-        {
-          headers: form.getHeaders(),
-        });
-
-      // 3. 임시 파일 삭제
-      fs.unlink(croppedPath, (err) => {
-        if (err) console.error('임시 파일 삭제 실패:', err);
+    const result = await searchTargets(embedding, options);
+    // 첫 페이지의 가장 닮은 대상만 기록한다
+    const [best] = result.items;
+    if (best && !options.cursor) {
+      await recordComparison({
+        userId: req.user.id,
+        type: 'target',
+        userPhotoId: user_photo_id || null,
+        targetPhotoId: best.target_photo_id,
+        similarity: best.similarity,
       });
-
-      // 5) 외부 API 응답에서 'class'와 'confidence'를 추출합니다.
-      // 'class'는 'animal' 변수로 이름을 변경합니다.
-      const { class: animal, confidence } = response.data;
-
-      // 6) 클라이언트에 예측 결과를 응답합니다.
-      res.json({ animal, confidence });
-    } catch (err) {
-      // 에러 발생 시 콘솔에 로깅하고 클라이언트에 에러 응답을 보냅니다.
-      console.error('getsimilaranimal error:', err.message);
-      console.error('Axios error stack trace:', err.stack);
-      // Axios 에러인 경우 (예: 외부 API 연결 실패) 더 자세한 정보를 로깅합니다.
-      if (axios.isAxiosError(err)) {
-        console.error('Axios error details:', err.response?.data || err.message);
-      }
-      res.status(500).json({ error: '닮은 동물 예측에 실패했습니다.', details: err.message });
     }
+    res.json(result);
+  } catch (err) {
+    if (sendLookalikeError(res, err)) return;
+    if (sendEmbeddingError(res, err)) return;
+    console.error('POST /lookalikes error:', err);
+    res.status(500).json({ error: '닮은 대상 검색 중 오류가 발생했습니다.' });
   }
-);
-  app.post('/find_most_similar', async (req, res) => {
-    const { embedding_vector } = req.body; // 512차원 배열
-  
-    if (!embedding_vector || !Array.isArray(embedding_vector)) {
-      return res.status(400).json({ error: 'embedding_vector is required and must be an array' });
-    }
-
-    const vectorLiteral = `[${embedding_vector.join(',')}]`;
-  
-    try {
-      const client = await pool.connect();
-  
-      // pgvector: <=>는 cosine distance, 1 - distance가 similarity
-      const query = `
-        SELECT *, 1 - (embedding_vector <=> $1) AS similarity
-        FROM target_photos
-        ORDER BY embedding_vector <=> $1
-        LIMIT 1
-      `;
-      const { rows } = await client.query(query, [vectorLiteral]);
-      client.release();
-  
-      if (rows.length === 0) {
-        return res.status(404).json({ error: 'No target photos found' });
-      }
-  
-      // 가장 닮은 객체 + similarity 반환
-      return res.json(rows[0]);
-    } catch (error) {
-      console.error(error);
-      return res.status(500).json({ error: 'Internal server error' });
-    }
-  });
+});
 //-------------------------------------------------------------------------------------------------
 
 app.get('/searchnickname', async (req, res) => {
@@ -573,11 +362,12 @@ app.get('/searchnickname', async (req, res) => {
   let client;
   try {
     client = await pool.connect();
+    // 로그인 없이 부르는 경로이므로 공개해도 되는 값만 (비밀번호 해시 / 이메일 / role은 내보내지 않는다)
     const result = await client.query(
-      'SELECT * FROM users WHERE nickname = $1',
+      'SELECT user_id, nickname, profile_image_url FROM users WHERE nickname = $1',
       [nickname]
     );
-    res.json(result.rows); // 닉네임이 일치하는 모든 유저 정보 반환
+    res.json(result.rows); // 닉네임이 일치하는 모든 유저 반환
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: 'DB 조회 중 오류 발생' });
@@ -587,11 +377,9 @@ app.get('/searchnickname', async (req, res) => {
 });
 
 
-app.patch('/userupdate', async (req, res) => {
-  const { userid, nickname, profile_image_url, is_online } = req.body;
-  if (!userid) {
-    return res.status(400).json({ error: 'userid가 필요합니다.' });
-  }
+// 내 정보 수정 (로그인한 사용자 본인만). is_online은 바꿀 수 없다 (실시간 알림 스트림 연결로 정해진다, notification-stream.js)
+app.patch('/userupdate', authenticateToken, async (req, res) => {
+  const { nickname, profile_image_url } = req.body;
 
   // 변경할 필드만 동적으로 쿼리 생성
   const fields = [];
@@ -606,16 +394,11 @@ app.patch('/userupdate', async (req, res) => {
     fields.push(`profile_image_url = $${idx++}`);
     values.push(profile_image_url);
   }
-  if (is_online !== undefined) {
-    fields.push(`is_online = $${idx++}`);
-    values.push(is_online);
-  }
-
   if (fields.length === 0) {
     return res.status(400).json({ error: '수정할 값이 없습니다.' });
   }
 
-  values.push(userid);
+  values.push(req.user.id);
 
   const sql = `UPDATE users SET ${fields.join(', ')} WHERE user_id = $${idx} RETURNING *`;
 
@@ -638,7 +421,13 @@ app.patch('/userupdate', async (req, res) => {
 // server.js
 
 // GET /contests — 콘테스트 목록 + 참가자
+// 콘테스트 목록. 공개 범위(contest-members.js)에 따라 보이는 콘테스트만, draft는 만든 사람에게만 보인다. ?status=로 상태 필터
+// invite_code는 만든 사람에게만 보인다
 app.get('/contests', authenticateToken, async (req, res) => {
+  const { status } = req.query;
+  if (status && !CONTEST_STATES.includes(status)) {
+    return res.status(400).json({ error: `status는 ${CONTEST_STATES.join(' | ')} 중 하나여야 합니다.`, code: 'invalid_status' });
+  }
   let client;
   try {
     client = await pool.connect();
@@ -649,7 +438,20 @@ app.get('/contests', authenticateToken, async (req, res) => {
         c.description,
         c.target_name,
         c.target_image_url,
+        c.target_thumbnail_url,
         c.status,
+        c.start_date,
+        c.end_date,
+        c.created_by,
+        c.max_entries_per_user,
+        c.replace_on_resubmit,
+        c.min_face_confidence,
+        c.scoring_mode,
+        c.vote_weight,
+        c.visibility,
+        c.target_aggregation,
+        CASE WHEN c.created_by = $1 THEN c.invite_code END AS invite_code,
+        ${canEnterSql('c', '$1')} AS can_enter,
         COALESCE(
           json_agg(
             json_build_object(
@@ -661,20 +463,21 @@ app.get('/contests', authenticateToken, async (req, res) => {
         '[]'
         ) AS participants
       FROM contests c
-      LEFT JOIN contest_entries ce
+      -- 참가 기록이 여러 개인 사용자(max_entries_per_user > 1)도 참가자 명단에는 한 번만
+      LEFT JOIN (SELECT DISTINCT contest_id, user_id FROM contest_entries) ce
         ON ce.contest_id = c.contest_id
       LEFT JOIN users u
         ON u.user_id = ce.user_id
-      GROUP BY
-        c.contest_id,
-        c.title,
-        c.description,
-        c.target_name,
-        c.target_image_url,
-        c.status
-      ORDER BY c.start_date DESC
-    `);
-    res.json(rows);
+      WHERE ${visibleToSql('c', '$1')}
+        AND ($2::text IS NULL OR c.status = $2)
+      GROUP BY c.contest_id
+      ORDER BY c.start_date DESC NULLS FIRST, c.contest_id DESC
+    `, [req.user.id, status || null]);
+    res.json(rows.map(row => ({
+      ...row,
+      target_image_url: fileUrl(row.target_image_url),
+      target_thumbnail_url: fileUrl(row.target_thumbnail_url),
+    })));
   } catch (err) {
     console.error('GET /contests error:', err);
     res.status(500).json({ error: '콘테스트 목록 조회 중 오류 발생' });
@@ -686,64 +489,92 @@ app.get('/contests', authenticateToken, async (req, res) => {
 
 app.post(
   '/contestsadd',
-  authenticateToken,      // 로그인 필요 없으면 제거
-  upload.single('file'),  // form-data의 file 필드
+  authenticateToken,      // 만든 사람(created_by)으로 기록
+  uploadImages(MAX_CONTEST_TARGETS),  // form-data의 file 필드(여러 장) → req.images
   async (req, res) => {
     const {
       target_name,
       title,
       description,
-      status
     } = req.body;
 
     // 파일 체크
-    if (!req.file) {
+    if (!req.images) {
       return res.status(400).json({ error: '이미지 파일이 필요합니다.' });
     }
-    if (!target_name || !title || !description || !status) {
+    if (!target_name || !title || !description) {
       return res.status(400).json({ error: '필수 파라미터가 누락되었습니다.' });
     }
-
-    // 1) 업로드된 파일 URL 생성
-    const imageUrl = `${req.protocol}://${req.get('host')}/uploads/${req.file.filename}`;
-
-    // 2) 외부 임베딩 API 호출
+    // 시작 / 종료일이 모두 있으면 예약(scheduled), 아니면 초안(draft)으로 만든다
+    let schedule;
+    let rules;
+    let visibility;
+    let aggregation;
     try {
-      const form = new FormData();
-      form.append('file', fs.createReadStream(req.file.path));
-      const embedRes = await axios.post(
-        `${FLASK_APP_URL}/embedding`,
-        form,
-        { headers: form.getHeaders() }
-      );
+      schedule = parseSchedule(req.body);
+      rules = parseEntryRules(req.body);
+      visibility = parseVisibility(req.body.visibility) || 'public';
+      aggregation = parseTargetAggregation(req.body.target_aggregation) || 'mean_embedding';
+    } catch (err) {
+      if (sendContestError(res, err)) return;
+      throw err;
+    }
+    const { startDate = null, endDate = null } = schedule;
+    if (endDate && endDate <= new Date()) {
+      return res.status(400).json({ error: 'end_date가 이미 지났습니다.', code: 'invalid_schedule' });
+    }
+    const status = startDate && endDate ? 'scheduled' : 'draft';
 
-      const { embedding: rawVec } = embedRes.data;
-      if (!Array.isArray(rawVec) || rawVec.length !== 512) {
-        throw new Error(`임베딩 길이가 ${rawVec?.length}로 올바르지 않습니다.`);
-      }
-      const vecString = `[${rawVec.join(',')}]`;  // pgvector 문자열
-
-      // 3) DB에 INSERT (target_image_url + target_embedding 모두 저장)
-      const client = await pool.connect();
-      const sql = `
-        INSERT INTO contests
-          (target_name, target_image_url, title, description, status, start_date, target_embedding)
-        VALUES
-          ($1, $2, $3, $4, $5, NOW(), $6::vector)
-        RETURNING *`;
-      const vals = [
-        target_name,
-        imageUrl,
-        title,
-        description,
-        status,
-        vecString
-      ];
-      const result = await client.query(sql, vals);
-      client.release();
-
-      return res.json(result.rows[0]);
+    // 1) 대상 이미지마다 임베딩 계산 후 저장소에 업로드
+    let prepared;
+    try {
+      prepared = await prepareTargets(req.images);
+
+      // 2) 콘테스트 INSERT 후 대상 이미지 저장 (평균 임베딩 / 대표 이미지는 insertContestTargets가 채운다)
+      const { contest, targets } = await withTransaction(async (client) => {
+        const sql = `
+          INSERT INTO contests
+            (target_name, title, description, status, start_date, end_date, created_by,
+             max_entries_per_user, replace_on_resubmit, min_face_confidence, scoring_mode, vote_weight,
+             visibility, invite_code, target_aggregation)
+          VALUES
+            ($1, $2, $3, $4, $5, $6, $7,
+             COALESCE($8, 1), COALESCE($9, true), $10, COALESCE($11, 'similarity'), COALESCE($12, 0.5),
+             $13, $14, $15)
+          RETURNING contest_id`;
+        const vals = [
+          target_name,
+          title,
+          description,
+          status,
+          startDate,
+          endDate,
+          req.user.id,
+          rules.maxEntriesPerUser ?? null,
+          rules.replaceOnResubmit ?? null,
+          rules.minFaceConfidence ?? null,
+          rules.scoringMode ?? null,
+          rules.voteWeight ?? null,
+          visibility,
+          visibility === 'invite' ? generateInviteCode() : null,
+          aggregation,
+        ];
+        const { rows } = await client.query(sql, vals);
+        const { targets } = await insertContestTargets(client, rows[0].contest_id, prepared);
+        return { contest: await getContest(rows[0].contest_id, client), targets };
+      });
+      const { target_embedding, ...rest } = contest;
+
+      return res.json({
+        ...rest,
+        target_image_url: fileUrl(rest.target_image_url),
+        target_medium_url: fileUrl(rest.target_medium_url),
+        target_thumbnail_url: fileUrl(rest.target_thumbnail_url),
+        targets,
+      });
     } catch (err) {
+      if (prepared) discardTargets(prepared);
+      if (sendEmbeddingError(res, err)) return;
       console.error('POST /contestsadd error:', err);
       return res.status(500).json({ error: err.message || 'DB 저장 중 오류 발생' });
     }
@@ -751,232 +582,178 @@ app.post(
 );
 
 
-app.post('/contest_entry_add', async (req, res) => {
-  const {
-    contest_id,
-    user_id,
-    user_photo_id,
-  } = req.body;
+// 콘테스트 참가 — 로그인한 사용자의 자기 사진만. body: { contest_id, user_photo_id }
+// 참가 규칙(최대 참가 수, 다시 내기, 최소 얼굴 신뢰도)은 contest-entries.js 참고
+app.post('/contest_entry_add', authenticateToken, async (req, res) => {
+  const { contest_id, user_photo_id } = req.body;
 
   // 필수값 체크
-  if (!contest_id || !user_id || !user_photo_id) {
-    return res.status(400).json({ error: '필수 파라미터가 누락되었습니다.' });
+  if (!contest_id || !user_photo_id || !Number.isInteger(Number(contest_id)) || !Number.isInteger(Number(user_photo_id))) {
+    return res.status(400).json({ error: 'contest_id와 user_photo_id(정수)가 필요합니다.' });
   }
 
-  let similarity_score
-
-  let client;
   try {
-    client = await pool.connect();
-    const getter = await client.query(
-      `SELECT target_embedding FROM contests WHERE contest_id = $1`,[contest_id]
-    );
-    const getter2=await client.query(
-      `SELECT embedding_vector FROM user_photos WHERE user_id = $1 AND user_photo_id = $2`,[user_id, user_photo_id]
-    );
-
-    const vec1 = JSON.parse(getter.rows[0].target_embedding); // 예: [0.1, 0.2, ...]
-    const vec2 = JSON.parse(getter2.rows[0].embedding_vector);
-    console.log(vec1);
-    console.log(vec2);
-
-    similarity_score = similarity(vec1, vec2);
-
-    console.log("여기",similarity_score);
-    
-
-
-
-    const result = await client.query(
-      `INSERT INTO contest_entries 
-        (contest_id, user_id, user_photo_id, similarity_score, submitted_at)
-       VALUES ($1, $2, $3, $4, NOW())
-       RETURNING *`,
-      [contest_id, user_id, user_photo_id, similarity_score]
-    );
-    res.json(result.rows[0]);
-  } catch (err) {
-    res.status(500).json({ 
-      error: 'DB 저장 중 오류 발생' ,
-      detail: err.message
+    const { entry, replaced_entry_id } = await submitContestEntry(req.user.id, Number(contest_id), Number(user_photo_id));
+    await recordComparison({
+      userId: req.user.id,
+      type: 'contest',
+      userPhotoId: entry.user_photo_id,
+      contestId: entry.contest_id,
+      similarity: normalizeSimilarity(entry.similarity_score).similarity,
     });
-  } finally {
-    if (client) client.release();
+    res.status(201).json({ ...entry, ...normalizeSimilarity(entry.similarity_score), replaced_entry_id });
+  } catch (err) {
+    if (sendContestError(res, err)) return;
+    console.error('POST /contest_entry_add error:', err);
+    res.status(500).json({ error: 'DB 저장 중 오류 발생' });
   }
 });
 
-app.patch('/update_contest_top3', async (req, res) => {
-  const { contest_id } = req.body;
-
-  if (!contest_id) {
-    return res.status(400).json({ error: '필수 파라미터가 누락되었습니다.' });
+// 경로의 정수 id(콘테스트, 참가 기록, 참가자, 대상 이미지)는 여기서 한 번만 확인한다 — 정수가 아니면 SQL까지 가지 않고 400
+function integerParam(req, res, next, value, name) {
+  if (!/^\d+$/.test(value) || Number(value) > 2147483647) {
+    return res.status(400).json({ error: `${name}(정수)가 필요합니다.`, code: 'invalid_id' });
+  }
+  next();
+}
+app.param('contest_id', integerParam);
+app.param('contest_entry_id', integerParam);
+app.param('member_user_id', integerParam);
+app.param('contest_target_id', integerParam);
+
+// 콘테스트 상태 전환 (만든 사람 또는 관리자). body: { status }
+// 허용되는 전환과 일정 조건은 contests.js 참고. judging으로 닫으면 바로 순위가 확정된다.
+app.patch('/contests/:contest_id/status', authenticateToken, async (req, res) => {
+  const { status } = req.body;
+  if (!status) {
+    return res.status(400).json({ error: 'status가 필요합니다.' });
   }
-
-  let client;
   try {
-    client = await pool.connect();
-    const getter = await client.query(
-      `SELECT * FROM contest_entries WHERE contest_id = $1 ORDER BY similarity_score DESC LIMIT 3`,
-      [contest_id]
-    );
-
-    // 엔트리가 3개 미만일 경우 null로 채움
-    const first = getter.rows[0] || {};
-    const second = getter.rows[1] || {};
-    const third = getter.rows[2] || {};
-
-    const result = await client.query(
-      `UPDATE contests 
-       SET first_user_id=$1, second_user_id=$2, third_user_id=$3
-       WHERE contest_id = $4 
-       RETURNING *`,
-      [
-        first.user_id || null,
-        second.user_id || null,
-        third.user_id || null,
-        contest_id
-      ]
-    );
-
-    res.json({
-      first_photo_id: first.user_photo_id || null,
-      second_photo_id: second.user_photo_id || null,
-      third_photo_id: third.user_photo_id || null,
-      first_score: first.similarity_score || null,
-      second_score: second.similarity_score || null,
-      third_score: third.similarity_score || null
-    });
+    const contest = await transitionContest(req.params.contest_id, status, { userId: req.user.id });
+    if (!contest) {
+      return res.status(404).json({ error: '해당 콘테스트를 찾을 수 없습니다.' });
+    }
+    const { target_embedding, ...rest } = contest;
+    res.json({ message: 'status 수정 완료', contest: rest });
   } catch (err) {
-    res.status(500).json({ error: '123등 업데이트 실패 ㅎㅎ' });
-  } finally {
-    if (client) client.release();
+    if (sendContestError(res, err)) return;
+    console.error('PATCH /contests/:id/status error:', err);
+    res.status(500).json({ error: 'status 수정 중 오류 발생' });
   }
 });
 
-// PATCH /contests/status
-app.patch('/contests/status', async (req, res) => {
-  const { contest_id, status } = req.body;
-  if (!contest_id || !status) {
-    return res.status(400).json({ error: 'contest_id와 status가 필요합니다.' });
+// 콘테스트 일정 변경 (만든 사람 또는 관리자). body: { start_date?, end_date? }
+app.patch('/contests/:contest_id/schedule', authenticateToken, async (req, res) => {
+  try {
+    const contest = await updateContestSchedule(req.params.contest_id, req.body, { userId: req.user.id });
+    if (!contest) {
+      return res.status(404).json({ error: '해당 콘테스트를 찾을 수 없습니다.' });
+    }
+    const { target_embedding, ...rest } = contest;
+    res.json({ message: '일정 수정 완료', contest: rest });
+  } catch (err) {
+    if (sendContestError(res, err)) return;
+    console.error('PATCH /contests/:id/schedule error:', err);
+    res.status(500).json({ error: '일정 수정 중 오류 발생' });
   }
-  let client;
+});
+// 참가 / 채점 규칙 변경 (만든 사람 또는 관리자, 열리기 전에만).
+// body: { max_entries_per_user?, replace_on_resubmit?, min_face_confidence?, scoring_mode?, vote_weight? }
+app.patch('/contests/:contest_id/rules', authenticateToken, async (req, res) => {
   try {
-    client = await pool.connect();
-    const result = await client.query(
-      'UPDATE contests SET status = $1 WHERE contest_id = $2 RETURNING *',
-      [status, contest_id]
-    );
-    if (result.rows.length === 0) {
+    const contest = await updateContestRules(req.params.contest_id, req.body, { userId: req.user.id });
+    if (!contest) {
       return res.status(404).json({ error: '해당 콘테스트를 찾을 수 없습니다.' });
     }
-    res.json({ message: 'status 수정 완료', contest: result.rows[0] });
+    const { target_embedding, ...rest } = contest;
+    res.json({ message: '참가 규칙 수정 완료', contest: rest });
   } catch (err) {
-    res.status(500).json({ error: 'status 수정 중 오류 발생' });
-  } finally {
-    if (client) client.release();
+    if (sendContestError(res, err)) return;
+    console.error('PATCH /contests/:id/rules error:', err);
+    res.status(500).json({ error: '참가 규칙 수정 중 오류 발생' });
   }
 });
 
+
+
 //---------------------------------------------------------------------------------
 //notification 목록
+// 알림은 서버가 도메인 이벤트(친구 요청, 콘테스트 열림 / 종료, 점수 추월)에서 만든다 (notifications.js).
+// message는 ?locale= 또는 Accept-Language 언어로 만든다. 친구 요청 알림은 friendships_id로도 찾을 수 있다
 app.get('/notifications', authenticateToken, async (req, res) => {
-  const userId = req.user.id;
-  let client;
-
   try {
-    client = await pool.connect();
-
-    const { rows } = await client.query(
-      `SELECT 
-         notification_id,
-         message,
-         is_read,
-         created_at,
-         friendships_id
-       FROM notifications
-       WHERE user_id = $1
-       ORDER BY created_at DESC`,
-      [userId]
-    );
-
-    const notifications = rows.map(r => ({
-      notification_id:             r.notification_id,
-      message:        r.message,
-      is_read:         r.is_read,
-      created_at:      r.created_at,
-      friendships_id:   r.friendships_id  // 프론트에서는 여기로 사용
-    }));
-
-    res.json(notifications);
+    res.json(await listNotifications(req.user.id, parseLocale(req)));
   } catch (err) {
     console.error('GET /notifications error:', err);
     res.status(500).json({ error: '알림 목록 조회 중 오류가 발생했습니다.' });
-  } finally {
-    if (client) client.release();
   }
 });
 
 
-app.post('/notification_add', async (req, res) => {
-  const {
-    user_id,
-    message,
-    friendships_id   // 여기도 함께 받아옵니다
-  } = req.body;
+app.post('/notification_delete', authenticateToken, async (req, res) => {
+  const { notification_id } = req.body;
 
   // 필수값 체크
-  if (!user_id || !message || !friendships_id) {
+  if (!notification_id) {
     return res.status(400).json({ error: '필수 파라미터가 누락되었습니다.' });
   }
 
-  let client;
   try {
-    client = await pool.connect();
-    const result = await client.query(
-      `INSERT INTO notifications 
-        (user_id, message, friendships_id, is_read, created_at)
-       VALUES ($1, $2, $3, $4, NOW())
-       RETURNING *`,
-      [user_id, message, friendships_id, false]
-    );
-    res.json(result.rows[0]);
+    const deleted = await deleteNotification(notification_id, { userId: req.user.id });
+    if (!deleted) {
+      return res.status(404).json({ error: '해당 알림을 찾을 수 없습니다.' });
+    }
+    res.json(deleted);
   } catch (err) {
-    console.error('POST /notification_add error:', err);
+    console.error('POST /notification_delete error:', err);
     res.status(500).json({ error: 'DB 저장 중 오류 발생' });
-  } finally {
-    if (client) client.release();
   }
 });
 
-app.post('/notification_delete', async (req, res) => {
-  const {
-    user_id,
-    notification_id,
-    } = req.body;
+// 실시간 알림 스트림 (Server-Sent Events). 이벤트: notification, notification_read, notification_deleted, presence
+// EventSource는 헤더를 못 붙이므로 ?access_token=으로도 인증한다. 다시 연결하면 Last-Event-ID 뒤부터 이어 받는다
+app.get('/notifications/stream', acceptQueryToken, authenticateToken, streamNotifications);
 
-  // 필수값 체크
-  if (!user_id || !notification_id) {
-    return res.status(400).json({ error: '필수 파라미터가 누락되었습니다.' });
+// 알림 읽음 / 안 읽음. body: { is_read? } (기본 true)
+app.patch('/notifications/:notification_id/read', authenticateToken, async (req, res) => {
+  const notificationId = Number(req.params.notification_id);
+  if (!Number.isInteger(notificationId)) {
+    return res.status(400).json({ error: 'notification_id(정수)가 필요합니다.' });
+  }
+  const isRead = req.body?.is_read === undefined ? true : req.body.is_read;
+  if (typeof isRead !== 'boolean') {
+    return res.status(400).json({ error: 'is_read는 true 또는 false여야 합니다.' });
   }
-
-  let client;
   try {
-    client = await pool.connect();
-    const result = await client.query(
-      `DELETE FROM notifications 
-       WHERE user_id=$1 AND notification_id=$2
-       RETURNING *`,
-      [user_id, notification_id]
+    const { rows } = await pool.query(
+      'SELECT 1 FROM notifications WHERE notification_id = $1 AND user_id = $2',
+      [notificationId, req.user.id]
     );
-    res.json(result.rows[0]);
+    if (rows.length === 0) {
+      return res.status(404).json({ error: '해당 알림을 찾을 수 없습니다.' });
+    }
+    await setNotificationsRead(req.user.id, [notificationId], isRead);
+    res.json({ notification_id: notificationId, is_read: isRead });
   } catch (err) {
-    res.status(500).json({ error: 'DB 저장 중 오류 발생' });
-  } finally {
-    if (client) client.release();
+    console.error('PATCH /notifications/:id/read error:', err);
+    res.status(500).json({ error: '알림 읽음 처리 중 오류가 발생했습니다.' });
+  }
+});
+
+// 내 알림 모두 읽음
+app.post('/notifications/read-all', authenticateToken, async (req, res) => {
+  try {
+    const changed = await setNotificationsRead(req.user.id, null, true);
+    res.json({ notification_ids: changed, is_read: true });
+  } catch (err) {
+    console.error('POST /notifications/read-all error:', err);
+    res.status(500).json({ error: '알림 읽음 처리 중 오류가 발생했습니다.' });
   }
 });
 
 // (1) 친구 요청 수락/거절용 PATCH 라우트 — 최상위에 선언
+// 받은 사람만, 아직 응답하지 않은(pending) 요청에만 응답할 수 있다
+app.param('friendship_id', integerParam);
 app.patch(
   '/friendship/:friendship_id',
   authenticateToken,
@@ -991,19 +768,32 @@ app.patch(
     let client;
     try {
       client = await pool.connect();
+      await client.query('BEGIN');
       const result = await client.query(
         `UPDATE friendships
            SET status = $1,
                responded_at = NOW()
-         WHERE friendships_id = $2
+         WHERE friendships_id = $2 AND receiver_user_id = $3 AND status = 'pending'
          RETURNING *`,
-        [status, friendship_id]
+        [status, friendship_id, req.user.id]
       );
       if (result.rows.length === 0) {
-        return res.status(404).json({ error: '해당 friendship_id를 찾을 수 없습니다.' });
+        await client.query('ROLLBACK');
+        // 다른 사람이 받은 요청은 없는 것처럼 404, 이미 응답한 요청은 409
+        const { rows } = await client.query(
+          'SELECT status FROM friendships WHERE friendships_id = $1 AND receiver_user_id = $2',
+          [friendship_id, req.user.id]
+        );
+        if (rows.length === 0) {
+          return res.status(404).json({ error: '해당 friendship_id를 찾을 수 없습니다.' });
+        }
+        return res.status(409).json({ error: '이미 응답한 친구 요청입니다.', code: 'friendship_not_pending' });
       }
+      if (status === 'accepted') await notifyFriendRequestAccepted(result.rows[0], client);
+      await client.query('COMMIT');
       res.json(result.rows[0]);
     } catch (err) {
+      await client?.query('ROLLBACK').catch(() => {});
       console.error('PATCH /friendship/:friendship_id error:', err);
       res.status(500).json({ error: '친구 요청 업데이트 중 오류가 발생했습니다.' });
     } finally {
@@ -1013,61 +803,82 @@ app.patch(
 );
 
 // (2) 친구 요청 생성용 POST 라우트 — 별도 선언
-app.post('/friendship_add', async (req, res) => {
-  const {
-    requester_user_id,
-    receiver_user_id,
-    status,
-  } = req.body;
-
-  if (!requester_user_id || !receiver_user_id || !status) {
+// 요청한 사람은 로그인한 사용자이고, 요청은 늘 pending으로 시작한다 (수락은 받은 사람이 PATCH로)
+// 두 사람 사이에 pending / accepted 관계가 (어느 방향이든) 있으면 409, 거절된(rejected) 관계는 지우고 새로 요청한다
+app.post('/friendship_add', authenticateToken, async (req, res) => {
+  const requester_user_id = req.user.id;
+  const receiver_user_id = Number(req.body.receiver_user_id);
+
+  if (!Number.isInteger(receiver_user_id)) {
     return res.status(400).json({ error: '필수 파라미터가 누락되었습니다.' });
   }
+  if (receiver_user_id === requester_user_id) {
+    return res.status(400).json({ error: '자기 자신에게는 친구 요청을 보낼 수 없습니다.' });
+  }
 
   let client;
   try {
     client = await pool.connect();
+    await client.query('BEGIN');
+    // 두 사용자 행을 잠가 같은 두 사람 사이의 요청(양방향)을 줄 세운다
+    const users = await client.query(
+      'SELECT user_id FROM users WHERE user_id = ANY($1::int[]) ORDER BY user_id FOR UPDATE',
+      [[requester_user_id, receiver_user_id]]
+    );
+    if (users.rows.length < 2) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: '해당 사용자를 찾을 수 없습니다.' });
+    }
+    await client.query(
+      `DELETE FROM friendships
+        WHERE ((requester_user_id = $1 AND receiver_user_id = $2) OR (requester_user_id = $2 AND receiver_user_id = $1))
+          AND status = 'rejected'`,
+      [requester_user_id, receiver_user_id]
+    );
+    const active = await client.query(
+      `SELECT friendships_id, status FROM friendships
+        WHERE (requester_user_id = $1 AND receiver_user_id = $2) OR (requester_user_id = $2 AND receiver_user_id = $1)`,
+      [requester_user_id, receiver_user_id]
+    );
+    if (active.rows.length > 0) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        error: active.rows[0].status === 'accepted' ? '이미 친구입니다.' : '이미 진행 중인 친구 요청이 있습니다.',
+        code: 'friendship_exists',
+        friendships_id: active.rows[0].friendships_id,
+      });
+    }
     const result = await client.query(
       `INSERT INTO friendships 
          (requester_user_id, receiver_user_id, status, requested_at, responded_at)
-       VALUES ($1, $2, $3, NOW(), NULL)
+       VALUES ($1, $2, 'pending', NOW(), NULL)
        RETURNING *`,
-      [requester_user_id, receiver_user_id, status]
+      [requester_user_id, receiver_user_id]
     );
+    await notifyFriendRequestReceived(result.rows[0], client);
+    await client.query('COMMIT');
     res.json(result.rows[0]);
   } catch (err) {
-    console.error('=== DB ERROR START ===');
-    console.error(err);               // err.message + err.code 등 기본 출력
-    console.error(err.stack);         // 스택 트레이스
-    console.error('detail:', err.detail);   // PG 에러 객체에만 있는 상세 메시지
-    console.error('hint:', err.hint);       // (있으면) 힌트 정보
-    console.error('constraint:', err.constraint); // 위반된 제약조건 이름
-    console.error('=== DB ERROR END ===');
+    await client?.query('ROLLBACK').catch(() => {});
     console.error('POST /friendship_add error:', err);
-    res.status(500).json({
-      error: err.message,      // 일반 에러 메시지
-      code: err.code,          // Postgres 에러 코드 (예: '23505' 등)
-      detail: err.detail,      // 제약 위반 등 상세 설명
-      hint: err.hint,          // (있으면) 힌트
-      constraint: err.constraint, // (있으면) 제약조건 이름
-    });
+    res.status(500).json({ error: 'DB 저장 중 오류 발생' });
   } finally {
     client?.release();
   }
 });
 
-
-app.delete('/friendship_delete', async (req, res) => {
-  const {
-    requester_user_id,
-    receiver_user_id,
-    status,
-    } = req.body;
+// 친구 관계 / 요청 삭제 (두 사람 중 한 명만). body: { requester_user_id, receiver_user_id }
+app.delete('/friendship_delete', authenticateToken, async (req, res) => {
+  const requester_user_id = Number(req.body.requester_user_id);
+  const receiver_user_id = Number(req.body.receiver_user_id);
 
   // 필수값 체크
-  if (!requester_user_id || !receiver_user_id || !status) {
+  if (!Number.isInteger(requester_user_id) || !Number.isInteger(receiver_user_id)) {
     return res.status(400).json({ error: '필수 파라미터가 누락되었습니다.' });
   }
+  if (![requester_user_id, receiver_user_id].includes(req.user.id)) {
+    return res.status(403).json({ error: '내 친구 관계만 삭제할 수 있습니다.' });
+  }
 
   let client;
   try {
@@ -1078,8 +889,12 @@ app.delete('/friendship_delete', async (req, res) => {
        RETURNING *`,
       [requester_user_id, receiver_user_id]
     );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: '해당 친구 관계를 찾을 수 없습니다.' });
+    }
     res.json(result.rows[0]);
   } catch (err) {
+    console.error('DELETE /friendship_delete error:', err);
     res.status(500).json({ error: 'DB 저장 중 오류 발생' });
   } finally {
     if (client) client.release();
@@ -1140,6 +955,20 @@ app.get('/friends', authenticateToken, async (req, res) => {
 });
 
 
+// 다른 사람의 사진과는 친구끼리만 비교할 수 있다 (자기 사진끼리는 언제나)
+// 친구는 받은 사람이 수락한(responded_at이 있는) accepted 관계만 센다 — 요청할 때 status를 정해 만든 행은 세지 않는다
+async function isFriendOrSelf(userId, otherUserId, client = pool) {
+  if (Number(otherUserId) === userId) return true;
+  const { rows } = await client.query(
+    `SELECT 1 FROM friendships
+      WHERE status = 'accepted' AND responded_at IS NOT NULL
+        AND ((requester_user_id = $1 AND receiver_user_id = $2)
+          OR (requester_user_id = $2 AND receiver_user_id = $1))`,
+    [userId, otherUserId]
+  );
+  return rows.length > 0;
+}
+
 // 두 포토 id 를 받아서 유사도를 알려주는 api
 // 친구랑 비교할 때 사용
 // user_photo_id와 friend_photo_id를 사용
@@ -1157,34 +986,46 @@ app.post('/friend_similarity', authenticateToken, async (req, res) => {
 
     // 1) 나(유저) 임베딩 벡터 조회
     const userQ = await client.query(
-      'SELECT embedding_vector FROM user_photos WHERE user_photo_id = $1',
-      [user_photo_id]
+      "SELECT embedding_vector FROM user_photos WHERE user_photo_id = $1 AND user_id = $2 AND status = 'ready'",
+      [user_photo_id, req.user.id]
     );
     if (userQ.rows.length === 0) {
       return res.status(404).json({ error: '해당 user_photo_id를 찾을 수 없습니다.' });
     }
-    const vecUser = userQ.rows[0].embedding_vector;
+    const vecUser = parsePgVector(userQ.rows[0].embedding_vector);
 
     // 2) 친구 임베딩 벡터 조회
     const friendQ = await client.query(
-      'SELECT embedding_vector FROM user_photos WHERE user_photo_id = $1',
+      "SELECT user_id, embedding_vector FROM user_photos WHERE user_photo_id = $1 AND status = 'ready'",
       [friend_photo_id]
     );
     if (friendQ.rows.length === 0) {
       return res.status(404).json({ error: '해당 friend_photo_id를 찾을 수 없습니다.' });
     }
-    const vecFriend = friendQ.rows[0].embedding_vector;
+    if (!(await isFriendOrSelf(req.user.id, friendQ.rows[0].user_id, client))) {
+      return res.status(403).json({ error: '친구의 사진만 비교할 수 있습니다.' });
+    }
+    const vecFriend = parsePgVector(friendQ.rows[0].embedding_vector);
 
     // 3) 코사인 유사도 계산
     const score = similarity(vecUser, vecFriend);      // -1 ~ 1
-    const percent = Math.round(((score + 1) / 2) * 100); // 0 ~ 100
+
+    const normalized = normalizeSimilarity(score);
+    await recordComparison({
+      userId: req.user.id,
+      type: 'friend',
+      userPhotoId: user_photo_id,
+      comparedUserId: friendQ.rows[0].user_id,
+      comparedPhotoId: friend_photo_id,
+      similarity: normalized.similarity,
+    }, client);
 
     // 4) 결과 응답
     res.json({ 
       user_photo_id, 
       friend_photo_id, 
       cosine_similarity: score, 
-      similarity_percent: percent 
+      ...normalized
     });
 
   } catch (err) {
@@ -1196,88 +1037,44 @@ app.post('/friend_similarity', authenticateToken, async (req, res) => {
 });
 
 
-//--------------------------------------------------------------------------------
-app.patch('/update_isonline', async (req, res) => {
-  const { is_online, user_id } = req.body;
-
-  if (!is_online) {
-    return res.status(400).json({ error: '필수 파라미터가 누락되었습니다.' });
-  }
-
-  let client;
-  try {
-    client = await pool.connect();
-
-    const result = await client.query(
-      `UPDATE users 
-       SET is_online = $1
-       WHERE user_id = $2 
-       RETURNING *`,
-      [
-        is_online,
-        user_id
-      ]
-    );
-
-    res.json(
-      result.rows[0]
-    );
-  } catch (err) {
-    res.status(500).json({ error: '온라인 상태 업데이트 실패패' });
-  } finally {
-    if (client) client.release();
-  }
-});
 //--------------------------------------------------------------------------
 // DELETE /notifications/:notification_id
-app.delete('/notifications/:notification_id', async (req, res) => {
+app.delete('/notifications/:notification_id', authenticateToken, async (req, res) => {
   const { notification_id } = req.params;
-  let client;
   try {
-    client = await pool.connect();
-    const result = await client.query(
-      'DELETE FROM notifications WHERE notification_id = $1 RETURNING *',
-      [notification_id]
-    );
-    if (result.rows.length === 0) {
+    const deleted = await deleteNotification(notification_id, { userId: req.user.id });
+    if (!deleted) {
       return res.status(404).json({ error: '해당 알림을 찾을 수 없습니다.' });
     }
-    res.json({ message: '알림이 성공적으로 삭제되었습니다.', deleted: result.rows[0] });
+    res.json({ message: '알림이 성공적으로 삭제되었습니다.', deleted });
   } catch (err) {
     res.status(500).json({ error: '알림 삭제 중 오류 발생' });
-  } finally {
-    if (client) client.release();
   }
 });
 //-----------------------------------------------------------------------------------------
-app.post('/latest-photo-similarity', async (req, res) => {
-  const { user_id1, user_id2 } = req.body;
-  if (!user_id1 || !user_id2) {
-    return res.status(400).json({ error: 'user_id1, user_id2가 필요합니다.' });
+// 내 대표 사진과 친구(user_id2)의 대표 사진 유사도. user_id1은 생략하거나 로그인한 사용자여야 한다
+app.post('/latest-photo-similarity', authenticateToken, async (req, res) => {
+  const { user_id1 = req.user.id, user_id2 } = req.body;
+  if (!user_id2 || !Number.isInteger(Number(user_id2))) {
+    return res.status(400).json({ error: 'user_id2(정수)가 필요합니다.' });
+  }
+  if (Number(user_id1) !== req.user.id) {
+    return res.status(403).json({ error: '내 대표 사진으로만 비교할 수 있습니다.' });
   }
 
   let client;
   try {
     client = await pool.connect();
+    if (!(await isFriendOrSelf(req.user.id, user_id2, client))) {
+      return res.status(403).json({ error: '친구의 사진만 비교할 수 있습니다.' });
+    }
 
-    // 각 유저의 최신 사진 1장 조회
-    const getPhoto = async (user_id) => {
-      const result = await client.query(
-        `SELECT image_url, embedding_vector
-         FROM user_photos
-         WHERE user_id = $1
-         ORDER BY uploaded_at DESC
-         LIMIT 1`,
-        [user_id]
-      );
-      return result.rows[0];
-    };
-
-    const photo1 = await getPhoto(user_id1);
-    const photo2 = await getPhoto(user_id2);
+    // 각 유저의 대표 사진 조회
+    const photo1 = await getPrimaryPhoto(req.user.id, client);
+    const photo2 = await getPrimaryPhoto(user_id2, client);
 
     if (!photo1 || !photo2) {
-      return res.status(404).json({ error: '두 유저 모두의 최신 사진이 필요합니다.' });
+      return res.status(404).json({ error: '두 유저 모두의 대표 사진이 필요합니다.' });
     }
 
     // 벡터 파싱 (Postgres vector → JS array)
@@ -1305,11 +1102,21 @@ app.post('/latest-photo-similarity', async (req, res) => {
 
     // cosine similarity 계산
     const score = similarity(vec1, vec2);
+    const normalized = normalizeSimilarity(score);
+    await recordComparison({
+      userId: req.user.id,
+      type: 'friend',
+      userPhotoId: photo1.user_photo_id,
+      comparedUserId: user_id2,
+      comparedPhotoId: photo2.user_photo_id,
+      similarity: normalized.similarity,
+    }, client);
 
     res.json({
       cosine_similarity: score,
-      user1_image_url: photo1.image_url,
-      user2_image_url: photo2.image_url
+      ...normalized,
+      user1_image_url: fileUrl(photo1.image_url),
+      user2_image_url: fileUrl(photo2.image_url)
     });
   } catch (err) {
     res.status(500).json({ error: '서버 오류', detail: err.message });
@@ -1318,73 +1125,238 @@ app.post('/latest-photo-similarity', async (req, res) => {
   }
 });
 //--------------------------------------------------------------------------------------
-app.get('/contest-top3', async (req, res) => {
-  const { contest_id } = req.query;
-  if (!contest_id) {
-    return res.status(400).json({ error: 'contest_id가 필요합니다.' });
+// 콘테스트 순위표 (윈도 함수로 계산). 옵션: ranking(standard | dense), limit(기본 20, 최대 100), cursor(이전 응답의 next_cursor)
+// me: 로그인한 사용자의 순위와 percentile (참가하지 않았으면 null)
+app.get('/contests/:contest_id/leaderboard', authenticateToken, async (req, res) => {
+  try {
+    const options = parseLeaderboardOptions(req.query);
+    const contest = await getVisibleContest(req.params.contest_id, req.user.id);
+    if (!contest) {
+      return res.status(404).json({ error: '해당 콘테스트를 찾을 수 없습니다.' });
+    }
+    const leaderboard = await getLeaderboard(contest.contest_id, { ...options, userId: req.user.id });
+    res.json({ status: contest.status, ...leaderboard });
+  } catch (err) {
+    if (sendLeaderboardError(res, err)) return;
+    console.error('GET /contests/:id/leaderboard error:', err);
+    res.status(500).json({ error: '순위표 조회 중 오류가 발생했습니다.' });
   }
+});
 
-  let client;
+// 참가 기록 투표 / 취소 (scoring_mode가 votes / blend인 열린 콘테스트만). 한 사람당 참가 기록마다 한 표, 자기 기록은 불가
+app.post('/contests/:contest_id/entries/:contest_entry_id/vote', authenticateToken, async (req, res) => {
   try {
-    client = await pool.connect();
+    const { contest_id, contest_entry_id } = req.params;
+    res.status(201).json(await voteForEntry(req.user.id, contest_id, contest_entry_id));
+  } catch (err) {
+    if (sendContestError(res, err)) return;
+    console.error('POST /contests/:id/entries/:entry_id/vote error:', err);
+    res.status(500).json({ error: '투표 중 오류가 발생했습니다.' });
+  }
+});
 
-    // 1. 콘테스트에서 1,2,3등 user_id 조회
-    const contestResult = await client.query(
-      `SELECT first_user_id, second_user_id, third_user_id FROM contests WHERE contest_id = $1`,
-      [contest_id]
-    );
-    if (contestResult.rows.length === 0) {
+app.delete('/contests/:contest_id/entries/:contest_entry_id/vote', authenticateToken, async (req, res) => {
+  try {
+    const { contest_id, contest_entry_id } = req.params;
+    res.json(await unvoteEntry(req.user.id, contest_id, contest_entry_id));
+  } catch (err) {
+    if (sendContestError(res, err)) return;
+    console.error('DELETE /contests/:id/entries/:entry_id/vote error:', err);
+    res.status(500).json({ error: '투표 취소 중 오류가 발생했습니다.' });
+  }
+});
+
+// 콘테스트 가입 — 초대 코드만으로 (invite 콘테스트). body: { invite_code }
+app.post('/contests/join', authenticateToken, async (req, res) => {
+  const { invite_code } = req.body;
+  if (!invite_code) {
+    return res.status(400).json({ error: 'invite_code가 필요합니다.' });
+  }
+  try {
+    res.status(201).json(await joinContest(req.user.id, { inviteCode: String(invite_code) }));
+  } catch (err) {
+    if (sendContestError(res, err)) return;
+    console.error('POST /contests/join error:', err);
+    res.status(500).json({ error: '콘테스트 가입 중 오류가 발생했습니다.' });
+  }
+});
+
+// 콘테스트 가입 / 나가기. invite 콘테스트는 body: { invite_code }. 나가면 마감 전 참가 기록은 지워진다
+app.post('/contests/:contest_id/join', authenticateToken, async (req, res) => {
+  const { invite_code } = req.body || {};
+  try {
+    const member = await joinContest(req.user.id, {
+      contestId: req.params.contest_id,
+      inviteCode: invite_code ? String(invite_code) : null,
+    });
+    res.status(201).json(member);
+  } catch (err) {
+    if (sendContestError(res, err)) return;
+    console.error('POST /contests/:id/join error:', err);
+    res.status(500).json({ error: '콘테스트 가입 중 오류가 발생했습니다.' });
+  }
+});
+
+app.delete('/contests/:contest_id/join', authenticateToken, async (req, res) => {
+  try {
+    res.json(await leaveContest(req.user.id, req.params.contest_id));
+  } catch (err) {
+    if (sendContestError(res, err)) return;
+    console.error('DELETE /contests/:id/join error:', err);
+    res.status(500).json({ error: '콘테스트 나가기 중 오류가 발생했습니다.' });
+  }
+});
+
+// 참가자 명단 (만든 사람이 맨 앞). 만든 사람 / 관리자에게는 내보낸 사용자(status: removed)도 보인다
+app.get('/contests/:contest_id/members', authenticateToken, async (req, res) => {
+  try {
+    const members = await listMembers(req.params.contest_id, req.user.id);
+    if (!members) {
       return res.status(404).json({ error: '해당 콘테스트를 찾을 수 없습니다.' });
     }
-    const { first_user_id, second_user_id, third_user_id } = contestResult.rows[0];
-
-    // 2. 각 등수별 정보 추출 함수
-    const getEntryInfo = async (user_id) => {
-      if (!user_id) return null;
-      // 2-1. contest_entries에서 해당 user의 entry 찾기
-      const entry = await client.query(
-        `SELECT similarity_score, user_photo_id FROM contest_entries
-         WHERE contest_id = $1 AND user_id = $2
-         ORDER BY similarity_score DESC LIMIT 1`,
-        [contest_id, user_id]
-      );
-      if (entry.rows.length === 0) return null;
-      const { similarity_score, user_photo_id } = entry.rows[0];
+    res.json(members);
+  } catch (err) {
+    console.error('GET /contests/:id/members error:', err);
+    res.status(500).json({ error: '참가자 명단 조회 중 오류가 발생했습니다.' });
+  }
+});
 
-      // 2-2. user_photos에서 이미지 url 찾기
-      const photo = await client.query(
-        `SELECT image_url FROM user_photos WHERE user_photo_id = $1`,
-        [user_photo_id]
-      );
-      const image_url = photo.rows.length > 0 ? photo.rows[0].image_url : null;
-
-      return {
-        user_id,
-        similarity_score,
-        user_photo_id,
-        image_url,
-      };
-    };
+// 참가자 넣기 / 내보내기 (만든 사람 또는 관리자). body: { user_id }
+app.post('/contests/:contest_id/members', authenticateToken, async (req, res) => {
+  const memberUserId = Number(req.body.user_id);
+  if (!Number.isInteger(memberUserId)) {
+    return res.status(400).json({ error: 'user_id(정수)가 필요합니다.' });
+  }
+  try {
+    const member = await addMember(req.params.contest_id, memberUserId, { userId: req.user.id });
+    if (!member) {
+      return res.status(404).json({ error: '해당 콘테스트를 찾을 수 없습니다.' });
+    }
+    res.status(201).json(member);
+  } catch (err) {
+    if (sendContestError(res, err)) return;
+    console.error('POST /contests/:id/members error:', err);
+    res.status(500).json({ error: '참가자 추가 중 오류가 발생했습니다.' });
+  }
+});
+
+app.delete('/contests/:contest_id/members/:member_user_id', authenticateToken, async (req, res) => {
+  const memberUserId = Number(req.params.member_user_id);
+  try {
+    const result = await removeMember(req.params.contest_id, memberUserId, { userId: req.user.id });
+    if (!result) {
+      return res.status(404).json({ error: '해당 콘테스트를 찾을 수 없습니다.' });
+    }
+    res.json(result);
+  } catch (err) {
+    if (sendContestError(res, err)) return;
+    console.error('DELETE /contests/:id/members/:member_user_id error:', err);
+    res.status(500).json({ error: '참가자 내보내기 중 오류가 발생했습니다.' });
+  }
+});
+
+// 공개 범위 변경 (만든 사람 또는 관리자). body: { visibility: public | friends | invite }
+app.patch('/contests/:contest_id/visibility', authenticateToken, async (req, res) => {
+  try {
+    const contest = await updateContestVisibility(req.params.contest_id, req.body.visibility, { userId: req.user.id });
+    if (!contest) {
+      return res.status(404).json({ error: '해당 콘테스트를 찾을 수 없습니다.' });
+    }
+    const { target_embedding, ...rest } = contest;
+    res.json({ message: '공개 범위 수정 완료', contest: rest });
+  } catch (err) {
+    if (sendContestError(res, err)) return;
+    console.error('PATCH /contests/:id/visibility error:', err);
+    res.status(500).json({ error: '공개 범위 수정 중 오류가 발생했습니다.' });
+  }
+});
 
-    // 3. 1,2,3등 정보 병렬 조회
-    const [first, second, third] = await Promise.all([
-      getEntryInfo(first_user_id),
-      getEntryInfo(second_user_id),
-      getEntryInfo(third_user_id),
-    ]);
+// 초대 코드 새로 만들기 (invite 콘테스트, 만든 사람 또는 관리자). 이전 코드는 더 이상 쓸 수 없다
+app.post('/contests/:contest_id/invite-code', authenticateToken, async (req, res) => {
+  try {
+    const contest = await regenerateInviteCode(req.params.contest_id, { userId: req.user.id });
+    if (!contest) {
+      return res.status(404).json({ error: '해당 콘테스트를 찾을 수 없습니다.' });
+    }
+    res.json({ contest_id: contest.contest_id, invite_code: contest.invite_code });
+  } catch (err) {
+    if (sendContestError(res, err)) return;
+    console.error('POST /contests/:id/invite-code error:', err);
+    res.status(500).json({ error: '초대 코드 생성 중 오류가 발생했습니다.' });
+  }
+});
 
+// 콘테스트 대상 이미지 목록 (보이는 콘테스트만)
+app.get('/contests/:contest_id/targets', authenticateToken, async (req, res) => {
+  try {
+    const contest = await getVisibleContest(req.params.contest_id, req.user.id);
+    if (!contest) {
+      return res.status(404).json({ error: '해당 콘테스트를 찾을 수 없습니다.' });
+    }
     res.json({
-      first: first || null,
-      second: second || null,
-      third: third || null,
+      contest_id: contest.contest_id,
+      target_aggregation: contest.target_aggregation,
+      items: await listContestTargets(contest.contest_id),
     });
   } catch (err) {
-    res.status(500).json({ error: '서버 오류', detail: err.message });
-  } finally {
-    if (client) client.release();
+    console.error('GET /contests/:id/targets error:', err);
+    res.status(500).json({ error: '대상 이미지 조회 중 오류가 발생했습니다.' });
+  }
+});
+
+// 대상 이미지 추가 / 삭제 (만든 사람 또는 관리자, draft에서만). 추가는 form-data의 file 필드(여러 장)
+// 대상이 바뀌면 이미 있는 참가 기록을 다시 채점한다 (rescored_entries)
+app.post('/contests/:contest_id/targets', authenticateToken, uploadImages(MAX_CONTEST_TARGETS), async (req, res) => {
+  if (!req.images) {
+    return res.status(400).json({ error: '이미지 파일이 필요합니다.' });
+  }
+  try {
+    const result = await addContestTargets(req.params.contest_id, req.images, { userId: req.user.id });
+    if (!result) {
+      return res.status(404).json({ error: '해당 콘테스트를 찾을 수 없습니다.' });
+    }
+    res.status(201).json(result);
+  } catch (err) {
+    if (sendContestError(res, err)) return;
+    if (sendEmbeddingError(res, err)) return;
+    console.error('POST /contests/:id/targets error:', err);
+    res.status(500).json({ error: '대상 이미지 추가 중 오류가 발생했습니다.' });
   }
 });
 
+app.delete('/contests/:contest_id/targets/:contest_target_id', authenticateToken, async (req, res) => {
+  try {
+    const { contest_id, contest_target_id } = req.params;
+    const result = await removeContestTarget(contest_id, contest_target_id, { userId: req.user.id });
+    if (!result) {
+      return res.status(404).json({ error: '해당 콘테스트를 찾을 수 없습니다.' });
+    }
+    res.json(result);
+  } catch (err) {
+    if (sendContestError(res, err)) return;
+    console.error('DELETE /contests/:id/targets/:target_id error:', err);
+    res.status(500).json({ error: '대상 이미지 삭제 중 오류가 발생했습니다.' });
+  }
+});
+
+// 유사도를 모으는 방식 변경 (만든 사람 또는 관리자, 열리기 전에만). body: { target_aggregation }
+app.patch('/contests/:contest_id/targets', authenticateToken, async (req, res) => {
+  try {
+    const result = await updateTargetAggregation(req.params.contest_id, req.body.target_aggregation, { userId: req.user.id });
+    if (!result) {
+      return res.status(404).json({ error: '해당 콘테스트를 찾을 수 없습니다.' });
+    }
+    const { target_embedding, ...rest } = result.contest;
+    res.json({ message: '대상 점수 방식 수정 완료', contest: rest, rescored_entries: result.rescored_entries });
+  } catch (err) {
+    if (sendContestError(res, err)) return;
+    console.error('PATCH /contests/:id/targets error:', err);
+    res.status(500).json({ error: '대상 점수 방식 수정 중 오류가 발생했습니다.' });
+  }
+});
+
+
+
 app.get('/contest-entry-check', async (req, res) => {
   const { contest_id, user_id } = req.query;
 
@@ -1397,7 +1369,11 @@ app.get('/contest-entry-check', async (req, res) => {
     client = await pool.connect();
 
     const result = await client.query(
-      `SELECT * FROM contest_entries WHERE contest_id = $1 AND user_id = $2 LIMIT 1`,
+      `SELECT e.*
+         FROM contest_entries e
+         JOIN contests c ON c.contest_id = e.contest_id AND c.visibility = 'public'
+        WHERE e.contest_id = $1 AND e.user_id = $2
+        LIMIT 1`,
       [contest_id, user_id]
     );
 
@@ -1428,18 +1404,12 @@ app.get('/latest-user-photo-id/:user_id', async (req, res) => {
   let client;
   try {
     client = await pool.connect();
-    const result = await client.query(
-      `SELECT user_photo_id
-         FROM user_photos
-        WHERE user_id = $1
-        ORDER BY uploaded_at DESC
-        LIMIT 1`,
-      [user_id]
-    );
-    if (result.rows.length === 0) {
+    // 이름은 예전 그대로지만 최신 사진이 아니라 대표 사진을 돌려준다
+    const photo = await getPrimaryPhoto(user_id, client);
+    if (!photo) {
       return res.status(404).json({ error: '해당 유저의 사진이 없습니다.' });
     }
-    res.json({ user_photo_id: result.rows[0].user_photo_id });
+    res.json({ user_photo_id: photo.user_photo_id });
   } catch (err) {
     res.status(500).json({ error: 'DB 조회 중 오류 발생' });
   } finally {
@@ -1481,7 +1451,23 @@ app.get('/api/db-test', async (req, res) => {
   }
 });
 
-// 서버 시작
-app.listen(port, '0.0.0.0', () => {
-  console.log(`🚀 Server listening on port ${port}`);
-});
+// 서버 시작 (테스트에서 require하면 app만 내보낸다)
+if (require.main === module) {
+  app.listen(port, '0.0.0.0', () => {
+    console.log(`🚀 Server listening on port ${port}`);
+    // 실시간 알림 스트림: 다른 인스턴스에서 생긴 이벤트도 받도록 LISTEN
+    startNotificationHub();
+    // 별도 워커 프로세스 없이 서버 안에서 사진 처리 (로컬 개발용)
+    if (process.env.PHOTO_WORKER_INLINE === 'true') {
+      startPhotoWorker();
+      console.log('📷 inline photo worker started');
+    }
+    // 콘테스트 열기 / 닫기 / 순위 확정 (가벼워서 기본으로 서버 안에서 돈다)
+    if (process.env.CONTEST_SCHEDULER_INLINE !== 'false') {
+      startContestScheduler();
+      console.log('🗓️ inline contest scheduler started');
+    }
+  });
+}
+
+module.exports = app;
@@ -0,0 +1,214 @@
+// similarity-history.js
+// 비교 결과 기록(similarity_results)과 "내 비교 기록" 조회
+//
+// 비교 종류: friend(다른 사용자 사진), target(닮은 대상), animal(닮은 동물), contest(콘테스트 대상)
+// 기록 실패는 비교 응답을 막지 않는다 — recordComparison은 오류를 로그만 남기고 null을 돌려준다.
+
+const pool = require('./db');
+const { fileUrl } = require('./storage');
+
+const COMPARISON_TYPES = ['friend', 'target', 'animal', 'contest'];
+// 임베딩 모델 버전 (friend / target / contest 기록에 남긴다). 닮은 동물은 ANIMAL_MODEL_VERSION
+const EMBEDDING_MODEL_VERSION = process.env.EMBEDDING_MODEL_VERSION || 'v1';
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const SORTS = ['recent', 'similarity'];
+
+class HistoryError extends Error {
+  constructor(message, code, status = 400) {
+    super(message);
+    this.name = 'HistoryError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// 비교 한 건 기록. 반환: 기록한 행 또는 null(실패)
+async function recordComparison({
+  userId,
+  type,
+  userPhotoId = null,
+  comparedUserId = null,
+  comparedPhotoId = null,
+  targetPhotoId = null,
+  contestId = null,
+  animal = null,
+  similarity,
+  modelVersion = EMBEDDING_MODEL_VERSION,
+}, db = pool) {
+  try {
+    const { rows } = await db.query(
+      `INSERT INTO similarity_results
+         (user_id, comparison_type, user_photo_id, compared_user_id, compared_photo_id,
+          target_photo_id, contest_id, animal, similarity, model_version)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING *`,
+      [userId, type, userPhotoId, comparedUserId, comparedPhotoId,
+        targetPhotoId, contestId, animal, similarity, modelVersion]
+    );
+    return rows[0];
+  } catch (err) {
+    console.error(`비교 기록 실패 (user ${userId}, ${type}):`, err.message);
+    return null;
+  }
+}
+
+function encodeCursor(row, sort) {
+  const key = sort === 'similarity' ? [row.similarity, row.similarity_result_id] : [row.similarity_result_id];
+  return Buffer.from(JSON.stringify(key)).toString('base64url');
+}
+
+function decodeCursor(cursor, sort) {
+  try {
+    const key = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (sort === 'similarity' && Number.isFinite(key[0]) && Number.isInteger(key[1])) {
+      return { similarity: key[0], id: key[1] };
+    }
+    if (sort === 'recent' && key.length === 1 && Number.isInteger(key[0])) {
+      return { similarity: null, id: key[0] };
+    }
+  } catch (err) {
+    // 아래에서 처리
+  }
+  throw new HistoryError('cursor 값이 올바르지 않습니다.', 'invalid_cursor');
+}
+
+function parseType(type) {
+  if (!type) return null;
+  if (!COMPARISON_TYPES.includes(type)) {
+    throw new HistoryError(`type은 ${COMPARISON_TYPES.join(' | ')} 중 하나여야 합니다.`, 'invalid_type');
+  }
+  return type;
+}
+
+function parseLimit(limit, max = MAX_LIMIT) {
+  if (limit === undefined || limit === '') return DEFAULT_LIMIT;
+  const value = Number(limit);
+  if (!Number.isInteger(value) || value < 1 || value > max) {
+    throw new HistoryError(`limit는 1 ~ ${max} 사이의 정수여야 합니다.`, 'invalid_limit');
+  }
+  return value;
+}
+
+// 쿼리 파라미터 검증 → { type, sort, limit, cursor }
+function parseHistoryOptions({ type, sort, limit, cursor } = {}) {
+  const options = { type: parseType(type), sort: sort || 'recent', limit: parseLimit(limit) };
+  if (!SORTS.includes(options.sort)) {
+    throw new HistoryError(`sort는 ${SORTS.join(' | ')} 중 하나여야 합니다.`, 'invalid_sort');
+  }
+  options.cursor = cursor ? decodeCursor(cursor, options.sort) : null;
+  return options;
+}
+
+// 비교 상대 이름 / 썸네일을 붙이는 JOIN (r = similarity_results)
+const COUNTERPART_JOINS = `
+  LEFT JOIN user_photos mp ON mp.user_photo_id = r.user_photo_id
+  LEFT JOIN users cu ON cu.user_id = r.compared_user_id
+  LEFT JOIN user_photos cp ON cp.user_photo_id = r.compared_photo_id
+  LEFT JOIN target_photos t ON t.target_photo_id = r.target_photo_id
+  LEFT JOIN contests c ON c.contest_id = r.contest_id`;
+
+function presentComparison(row) {
+  return {
+    ...row,
+    similarity_percent: Math.round(row.similarity * 100),
+    user_photo_thumbnail_url: fileUrl(row.user_photo_thumbnail_url),
+    compared_thumbnail_url: fileUrl(row.compared_thumbnail_url),
+    target_thumbnail_url: fileUrl(row.target_thumbnail_url),
+    contest_thumbnail_url: fileUrl(row.contest_thumbnail_url),
+  };
+}
+
+// 내 비교 기록. sort: recent(최신순) | similarity(유사도 높은 순). 반환: { items, next_cursor }
+async function listComparisons(userId, { type = null, sort = 'recent', limit = DEFAULT_LIMIT, cursor = null } = {}) {
+  const bySimilarity = sort === 'similarity';
+  const values = [userId, type, limit + 1];
+  let after = 'TRUE';
+  if (cursor) {
+    values.push(cursor.id);
+    if (bySimilarity) {
+      values.push(cursor.similarity);
+      after = '(r.similarity, r.similarity_result_id) < ($5, $4)';
+    } else {
+      after = 'r.similarity_result_id < $4';
+    }
+  }
+  const { rows } = await pool.query(
+    `SELECT r.similarity_result_id, r.comparison_type, r.similarity, r.model_version, r.created_at,
+            r.user_photo_id, mp.thumbnail_url AS user_photo_thumbnail_url,
+            r.compared_user_id, cu.nickname AS compared_nickname,
+            r.compared_photo_id, cp.thumbnail_url AS compared_thumbnail_url,
+            r.target_photo_id, t.name AS target_name, t.type AS target_type, t.thumbnail_url AS target_thumbnail_url,
+            r.contest_id, c.title AS contest_title, c.target_thumbnail_url AS contest_thumbnail_url,
+            r.animal
+       FROM similarity_results r
+       ${COUNTERPART_JOINS}
+      WHERE r.user_id = $1
+        AND ($2::text IS NULL OR r.comparison_type = $2)
+        AND ${after}
+      ORDER BY ${bySimilarity ? 'r.similarity DESC, ' : ''}r.similarity_result_id DESC
+      LIMIT $3`,
+    values
+  );
+  const hasMore = rows.length > limit;
+  const items = rows.slice(0, limit);
+  return {
+    items: items.map(presentComparison),
+    next_cursor: hasMore ? encodeCursor(items[items.length - 1], sort) : null,
+  };
+}
+
+// 가장 많이 닮았던 상대 (상대마다 최고 유사도 하나씩). 반환: [{ ...상대, best_similarity, comparisons, last_compared_at }]
+async function listTopMatches(userId, { type = null, limit = 10 } = {}) {
+  const { rows } = await pool.query(
+    `WITH best AS (
+       SELECT comparison_type, compared_user_id, target_photo_id, contest_id, animal,
+              MAX(similarity) AS best_similarity,
+              COUNT(*)::int AS comparisons,
+              MAX(created_at) AS last_compared_at
+         FROM similarity_results
+        WHERE user_id = $1
+          AND ($2::text IS NULL OR comparison_type = $2)
+        GROUP BY comparison_type, compared_user_id, target_photo_id, contest_id, animal
+        ORDER BY best_similarity DESC
+        LIMIT $3
+     )
+     SELECT r.comparison_type, r.best_similarity, r.comparisons, r.last_compared_at,
+            r.compared_user_id, cu.nickname AS compared_nickname,
+            r.target_photo_id, t.name AS target_name, t.type AS target_type, t.thumbnail_url AS target_thumbnail_url,
+            r.contest_id, c.title AS contest_title, c.target_thumbnail_url AS contest_thumbnail_url,
+            r.animal
+       FROM best r
+       LEFT JOIN users cu ON cu.user_id = r.compared_user_id
+       LEFT JOIN target_photos t ON t.target_photo_id = r.target_photo_id
+       LEFT JOIN contests c ON c.contest_id = r.contest_id
+      ORDER BY r.best_similarity DESC`,
+    [userId, type, limit]
+  );
+  return rows.map(row => ({
+    ...row,
+    best_similarity_percent: Math.round(row.best_similarity * 100),
+    target_thumbnail_url: fileUrl(row.target_thumbnail_url),
+    contest_thumbnail_url: fileUrl(row.contest_thumbnail_url),
+  }));
+}
+
+// 라우트에서 HistoryError를 HTTP 응답으로 변환. 처리했으면 true
+function sendHistoryError(res, err) {
+  if (!(err instanceof HistoryError)) return false;
+  res.status(err.status).json({ error: err.message, code: err.code });
+  return true;
+}
+
+module.exports = {
+  COMPARISON_TYPES,
+  EMBEDDING_MODEL_VERSION,
+  HistoryError,
+  recordComparison,
+  parseType,
+  parseLimit,
+  parseHistoryOptions,
+  listComparisons,
+  listTopMatches,
+  sendHistoryError,
+};
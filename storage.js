@@ -0,0 +1,316 @@
+// storage.js
+// 이미지 파일 저장소
+//
+//   STORAGE_DRIVER=local  STORAGE_LOCAL_DIR(기본 uploads/)에 저장 (기본값)
+//   STORAGE_DRIVER=s3     S3 호환 저장소 (AWS S3, MinIO 등) — SigV4 서명을 직접 만들어 axios로 호출
+//
+// DB에는 어느 드라이버든 같은 형식의 저장 키(예: user-photos/12/0f8e...c1.jpg)만 저장한다.
+// 클라이언트에는 키 대신 짧게 유효한 서명 URL(fileUrl)을 준다.
+//   local: /files/<key>?expires=...&signature=... (GET /files/*key 라우트가 서명을 확인하고 파일을 보낸다)
+//   s3   : 저장소로 바로 가는 presigned URL
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+const URL_TTL_SEC = parseInt(process.env.STORAGE_URL_TTL_SEC, 10) || 900;
+
+const CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.gif': 'image/gif',
+  '.avif': 'image/avif',
+  '.heic': 'image/heic',
+};
+
+class StorageError extends Error {
+  constructor(message, code, status = 500) {
+    super(message);
+    this.name = 'StorageError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+function contentTypeFor(key) {
+  return CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream';
+}
+
+// 겹치지 않는 새 저장 키: <prefix>/<uuid><ext>
+function storageKey(prefix, ext = '') {
+  const safeExt = /^\.[a-z0-9]{1,5}$/i.test(ext) ? ext.toLowerCase() : '';
+  return `${prefix}/${crypto.randomUUID()}${safeExt}`;
+}
+
+// 원본 키 옆에 붙는 파생 파일 키. (user-photos/1/abc.jpg, 'thumb') → user-photos/1/abc_thumb.jpg
+function variantKey(key, variant, ext = '.jpg') {
+  const { dir, name } = path.posix.parse(key);
+  return path.posix.join(dir, `${name}_${variant}${ext}`);
+}
+
+function assertValidKey(key) {
+  if (typeof key !== 'string' || !/^[A-Za-z0-9][A-Za-z0-9._\-/]*$/.test(key) || key.split('/').includes('..')) {
+    throw new StorageError(`잘못된 저장 키: ${key}`, 'invalid_key', 400);
+  }
+  return key;
+}
+
+function createLocalDriver({
+  root = process.env.STORAGE_LOCAL_DIR || path.join(__dirname, 'uploads'),
+  baseUrl = process.env.PUBLIC_BASE_URL || '',
+  secret = process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET,
+} = {}) {
+  const resolve = (key) => path.join(root, ...assertValidKey(key).split('/'));
+  const sign = (key, expires) => crypto.createHmac('sha256', secret).update(`${key}:${expires}`).digest('base64url');
+
+  return {
+    name: 'local',
+    async put(key, body) {
+      const file = resolve(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, body);
+      return key;
+    },
+    async get(key) {
+      try {
+        return await fs.promises.readFile(resolve(key));
+      } catch (err) {
+        if (err.code === 'ENOENT') throw new StorageError(`파일이 없습니다: ${key}`, 'not_found', 404);
+        throw err;
+      }
+    },
+    async delete(key) {
+      await fs.promises.unlink(resolve(key)).catch(err => {
+        if (err.code !== 'ENOENT') throw err;
+      });
+    },
+    signedUrl(key, { expiresIn = URL_TTL_SEC } = {}) {
+      const expires = Math.floor(Date.now() / 1000) + expiresIn;
+      const encoded = assertValidKey(key).split('/').map(encodeURIComponent).join('/');
+      return `${baseUrl}/files/${encoded}?expires=${expires}&signature=${sign(key, expires)}`;
+    },
+    // GET /files/*key 에서 서명 확인. 반환: 파일 경로 또는 null(서명 불일치 / 만료)
+    verify(key, expires, signature) {
+      const exp = parseInt(expires, 10);
+      if (!exp || exp < Math.floor(Date.now() / 1000) || typeof signature !== 'string') return null;
+      const expected = Buffer.from(sign(key, exp));
+      const given = Buffer.from(signature);
+      if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+      return resolve(key);
+    },
+  };
+}
+
+// ---- S3 (AWS Signature Version 4) ----
+
+const sha256Hex = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// RFC 3986 인코딩 (S3는 !'()*도 인코딩해야 한다)
+function uriEncode(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function createS3Driver({
+  endpoint = process.env.S3_ENDPOINT || `https://s3.${process.env.S3_REGION || 'us-east-1'}.amazonaws.com`,
+  // presigned URL에 쓸 주소 (서버와 클라이언트가 저장소를 다른 주소로 볼 때, 예: 도커 네트워크)
+  publicEndpoint = process.env.S3_PUBLIC_ENDPOINT || endpoint,
+  region = process.env.S3_REGION || 'us-east-1',
+  bucket = process.env.S3_BUCKET,
+  accessKeyId = process.env.S3_ACCESS_KEY_ID,
+  secretAccessKey = process.env.S3_SECRET_ACCESS_KEY,
+  forcePathStyle = process.env.S3_FORCE_PATH_STYLE !== 'false',
+  timeoutMs = parseInt(process.env.S3_TIMEOUT_MS, 10) || 15000,
+} = {}) {
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3_BUCKET, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY 환경 변수가 필요합니다.');
+  }
+
+  function objectUrl(base, key) {
+    const url = new URL(base);
+    const encodedKey = assertValidKey(key).split('/').map(uriEncode).join('/');
+    const basePath = url.pathname.replace(/\/$/, '');
+    if (forcePathStyle) {
+      url.pathname = `${basePath}/${uriEncode(bucket)}/${encodedKey}`;
+    } else {
+      url.host = `${bucket}.${url.host}`;
+      url.pathname = `${basePath}/${encodedKey}`;
+    }
+    return url;
+  }
+
+  function scopeFor(amzDate) {
+    return `${amzDate.slice(0, 8)}/${region}/s3/aws4_request`;
+  }
+
+  function signature(amzDate, canonicalRequest) {
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scopeFor(amzDate), sha256Hex(canonicalRequest)].join('\n');
+    const dateKey = hmac(`AWS4${secretAccessKey}`, amzDate.slice(0, 8));
+    const signingKey = hmac(hmac(hmac(dateKey, region), 's3'), 'aws4_request');
+    return crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+  }
+
+  const amzDateNow = () => new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+
+  function canonicalQuery(params) {
+    return Object.keys(params)
+      .sort()
+      .map(k => `${uriEncode(k)}=${uriEncode(params[k])}`)
+      .join('&');
+  }
+
+  // 헤더 서명 요청
+  async function request(method, key, { body, contentType, responseType } = {}) {
+    const url = objectUrl(endpoint, key);
+    const amzDate = amzDateNow();
+    const payloadHash = sha256Hex(body || '');
+    const headers = {
+      host: url.host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate,
+    };
+    const signedHeaders = Object.keys(headers).sort().join(';');
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      '',
+      Object.keys(headers).sort().map(h => `${h}:${headers[h]}\n`).join(''),
+      signedHeaders,
+      payloadHash,
+    ].join('\n');
+    const authorization = `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scopeFor(amzDate)}, `
+      + `SignedHeaders=${signedHeaders}, Signature=${signature(amzDate, canonicalRequest)}`;
+
+    try {
+      return await axios({
+        method,
+        url: url.toString(),
+        data: body,
+        responseType,
+        timeout: timeoutMs,
+        maxBodyLength: Infinity,
+        headers: {
+          'x-amz-content-sha256': payloadHash,
+          'x-amz-date': amzDate,
+          Authorization: authorization,
+          ...(contentType ? { 'Content-Type': contentType } : {}),
+        },
+      });
+    } catch (err) {
+      const status = err.response?.status;
+      if (status === 404) throw new StorageError(`파일이 없습니다: ${key}`, 'not_found', 404);
+      throw new StorageError(`저장소 요청 실패 (${method} ${key}): ${status ? `HTTP ${status}` : err.code || err.message}`, 'storage_error', 502);
+    }
+  }
+
+  return {
+    name: 's3',
+    async put(key, body, { contentType = contentTypeFor(key) } = {}) {
+      await request('PUT', key, { body, contentType });
+      return key;
+    },
+    async get(key) {
+      const res = await request('GET', key, { responseType: 'arraybuffer' });
+      return Buffer.from(res.data);
+    },
+    async delete(key) {
+      await request('DELETE', key).catch(err => {
+        if (err.code !== 'not_found') throw err;
+      });
+    },
+    // 쿼리 문자열 서명(presigned) GET URL
+    signedUrl(key, { expiresIn = URL_TTL_SEC } = {}) {
+      const url = objectUrl(publicEndpoint, key);
+      const amzDate = amzDateNow();
+      const params = {
+        'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+        'X-Amz-Credential': `${accessKeyId}/${scopeFor(amzDate)}`,
+        'X-Amz-Date': amzDate,
+        'X-Amz-Expires': String(Math.min(expiresIn, 604800)),
+        'X-Amz-SignedHeaders': 'host',
+      };
+      const query = canonicalQuery(params);
+      const canonicalRequest = ['GET', url.pathname, query, `host:${url.host}\n`, 'host', 'UNSIGNED-PAYLOAD'].join('\n');
+      return `${url.origin}${url.pathname}?${query}&X-Amz-Signature=${signature(amzDate, canonicalRequest)}`;
+    },
+  };
+}
+
+const DRIVERS = {
+  local: createLocalDriver,
+  s3: createS3Driver,
+};
+
+function createStorage({ driver = process.env.STORAGE_DRIVER || 'local', ...options } = {}) {
+  const factory = DRIVERS[driver];
+  if (!factory) throw new Error(`알 수 없는 STORAGE_DRIVER: ${driver} (local | s3)`);
+  return factory(options);
+}
+
+// 환경 변수(.env)가 로드된 뒤에 만들어지도록 처음 사용할 때 생성
+let defaultStorage = null;
+function getStorage() {
+  if (!defaultStorage) defaultStorage = createStorage();
+  return defaultStorage;
+}
+
+function setStorage(custom) {
+  defaultStorage = custom;
+}
+
+const putFile = (key, body, options) => getStorage().put(key, body, options);
+const getFile = (key) => getStorage().get(key);
+const deleteFile = (key) => getStorage().delete(key);
+
+// 저장 키 → 클라이언트용 서명 URL. 키가 없으면 null
+function fileUrl(key, options) {
+  return key ? getStorage().signedUrl(key, options) : null;
+}
+
+// 파일 삭제 실패는 기록만 한다 (DB 행은 이미 지워진 뒤)
+function deleteFileQuietly(key) {
+  if (!key) return Promise.resolve();
+  return deleteFile(key).catch(err => console.error(`파일 삭제 실패 (${key}):`, err.message));
+}
+
+// GET /files/*key — local 드라이버의 서명 URL 처리
+function serveLocalFile(req, res) {
+  const storage = getStorage();
+  if (storage.name !== 'local') return res.status(404).end();
+  const key = [].concat(req.params.key).join('/');
+  let file;
+  try {
+    file = storage.verify(key, req.query.expires, req.query.signature);
+  } catch (err) {
+    return res.status(400).json({ error: '잘못된 파일 경로입니다.' });
+  }
+  if (!file) {
+    return res.status(403).json({ error: '만료되었거나 유효하지 않은 링크입니다.' });
+  }
+  res.sendFile(file, {
+    headers: { 'Content-Type': contentTypeFor(key), 'Cache-Control': 'private, max-age=300' },
+  }, (err) => {
+    if (err && !res.headersSent) res.status(err.statusCode || 404).end();
+  });
+}
+
+module.exports = {
+  StorageError,
+  contentTypeFor,
+  storageKey,
+  variantKey,
+  createLocalDriver,
+  createS3Driver,
+  createStorage,
+  getStorage,
+  setStorage,
+  putFile,
+  getFile,
+  deleteFile,
+  deleteFileQuietly,
+  fileUrl,
+  serveLocalFile,
+};
@@ -0,0 +1,212 @@
+// target-catalog.js
+// 닮은 대상 카탈로그(target_photos) 관리 — 관리자 API(admin-targets.js)와 일괄 등록(import-targets.js)이 함께 쓴다
+//
+// 새 대상을 등록할 때 이미 있는 대상과 임베딩이 거의 같으면(정규화 유사도 ≥ TARGET_DUPLICATE_SIMILARITY)
+// 중복으로 보고 등록하지 않는다.
+
+const pool = require('./db');
+const { toPgVector } = require('./embedding-client');
+const { detectFaces } = require('./faces');
+const { normalizeSimilarity } = require('./lookalike');
+const { fileUrl } = require('./storage');
+const { storeImageVariants, deleteImageVariants } = require('./image-pipeline');
+
+const TARGET_DUPLICATE_SIMILARITY = process.env.TARGET_DUPLICATE_SIMILARITY !== undefined
+  ? parseFloat(process.env.TARGET_DUPLICATE_SIMILARITY)
+  : 0.98;
+const MAX_LIST_LIMIT = 100;
+
+// 응답에 내보내는 컬럼 (임베딩 벡터는 제외)
+const TARGET_COLUMNS = 'target_photo_id, type, name, image_url, medium_url, thumbnail_url, metadata, created_at, updated_at';
+
+class CatalogError extends Error {
+  constructor(message, code, status = 400, extra = {}) {
+    super(message);
+    this.name = 'CatalogError';
+    this.code = code;
+    this.status = status;
+    Object.assign(this, extra);
+  }
+}
+
+// 응답용: 저장 키 대신 서명 URL
+function presentTarget(row) {
+  return row && {
+    ...row,
+    image_url: fileUrl(row.image_url),
+    medium_url: fileUrl(row.medium_url),
+    thumbnail_url: fileUrl(row.thumbnail_url),
+  };
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// 입력 검증. partial이면 빠진 필드는 건너뛴다. 반환: 정리된 { name?, type?, metadata? }
+function validateTargetFields({ name, type, metadata }, { partial = false } = {}) {
+  const fields = {};
+  for (const [key, value] of Object.entries({ name, type })) {
+    if (value === undefined && partial) continue;
+    if (typeof value !== 'string' || !value.trim()) {
+      throw new CatalogError(`${key}는 비어 있지 않은 문자열이어야 합니다.`, `invalid_${key}`);
+    }
+    fields[key] = value.trim();
+  }
+  if (metadata !== undefined) {
+    let parsed = metadata;
+    if (typeof metadata === 'string') {
+      try {
+        parsed = metadata ? JSON.parse(metadata) : {};
+      } catch (err) {
+        throw new CatalogError('metadata가 올바른 JSON이 아닙니다.', 'invalid_metadata');
+      }
+    }
+    if (!isPlainObject(parsed)) {
+      throw new CatalogError('metadata는 JSON 객체여야 합니다.', 'invalid_metadata');
+    }
+    fields.metadata = parsed;
+  }
+  return fields;
+}
+
+// 가장 가까운 기존 대상이 임계값 이상으로 닮았으면 반환, 아니면 null
+async function findNearDuplicate(embedding, { threshold = TARGET_DUPLICATE_SIMILARITY, db = pool } = {}) {
+  const { rows } = await db.query(
+    `SELECT target_photo_id, type, name, embedding_vector <=> $1::vector AS distance
+       FROM target_photos
+      WHERE embedding_vector IS NOT NULL
+      ORDER BY embedding_vector <=> $1::vector
+      LIMIT 1`,
+    [toPgVector(embedding)]
+  );
+  if (rows.length === 0) return null;
+  const { distance, ...target } = rows[0];
+  const score = normalizeSimilarity(1 - distance);
+  return score.similarity >= threshold ? { ...target, ...score } : null;
+}
+
+// 정규화된 이미지(ingestImage 결과) 임베딩 → 중복 검사 → 저장소 업로드 → 등록. 반환: { target, face }
+// 중복이면 CatalogError(409, code 'duplicate', duplicate_of)
+async function createTarget({ ingested, name, type, metadata, allowDuplicate = false }) {
+  const fields = validateTargetFields({ name, type, metadata });
+  // 신뢰도가 가장 높은 얼굴의 임베딩을 쓴다
+  const [face] = await detectFaces(ingested.image.buffer);
+
+  if (!allowDuplicate) {
+    const duplicate = await findNearDuplicate(face.embedding);
+    if (duplicate) {
+      throw new CatalogError(
+        `이미 등록된 대상(${duplicate.target_photo_id} ${duplicate.name})과 거의 같은 이미지입니다.`,
+        'duplicate',
+        409,
+        { duplicate_of: duplicate }
+      );
+    }
+  }
+
+  const keys = await storeImageVariants('targets', ingested);
+  try {
+    const { rows } = await pool.query(
+      `INSERT INTO target_photos (type, name, image_url, medium_url, thumbnail_url, metadata, embedding_vector, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+       RETURNING ${TARGET_COLUMNS}`,
+      [fields.type, fields.name, keys.image_key, keys.medium_key, keys.thumbnail_key,
+        fields.metadata || {}, toPgVector(face.embedding)]
+    );
+    return { target: presentTarget(rows[0]), face };
+  } catch (err) {
+    await deleteImageVariants(keys);
+    throw err;
+  }
+}
+
+// 목록: type / 이름 검색 필터, target_photo_id 기준 커서(after) 페이지네이션
+async function listTargets({ type, q, limit = 20, after } = {}) {
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), MAX_LIST_LIMIT);
+  const { rows } = await pool.query(
+    `SELECT ${TARGET_COLUMNS}
+       FROM target_photos
+      WHERE ($1::text IS NULL OR type = $1)
+        AND ($2::text IS NULL OR name ILIKE '%' || $2 || '%')
+        AND ($3::int IS NULL OR target_photo_id > $3)
+      ORDER BY target_photo_id
+      LIMIT $4`,
+    [type || null, q || null, after ? parseInt(after, 10) : null, pageSize + 1]
+  );
+  const hasMore = rows.length > pageSize;
+  const items = rows.slice(0, pageSize);
+  return {
+    items: items.map(presentTarget),
+    next_cursor: hasMore ? items[items.length - 1].target_photo_id : null,
+  };
+}
+
+async function getTarget(targetPhotoId) {
+  const { rows } = await pool.query(
+    `SELECT ${TARGET_COLUMNS} FROM target_photos WHERE target_photo_id = $1`,
+    [targetPhotoId]
+  );
+  return presentTarget(rows[0]) || null;
+}
+
+// 이름 / 종류 / 메타데이터 수정. metadata는 통째로 교체한다. 없으면 null
+async function updateTarget(targetPhotoId, input) {
+  const fields = validateTargetFields(input, { partial: true });
+  const sets = [];
+  const values = [targetPhotoId];
+  for (const [key, value] of Object.entries(fields)) {
+    values.push(value);
+    sets.push(`${key} = $${values.length}`);
+  }
+  if (sets.length === 0) {
+    throw new CatalogError('수정할 값이 없습니다.', 'nothing_to_update');
+  }
+  const { rows } = await pool.query(
+    `UPDATE target_photos SET ${sets.join(', ')}, updated_at = NOW()
+      WHERE target_photo_id = $1
+      RETURNING ${TARGET_COLUMNS}`,
+    values
+  );
+  return presentTarget(rows[0]) || null;
+}
+
+// 대상과 이미지 파일(모든 크기) 삭제. 삭제한 행 반환, 없으면 null
+async function deleteTarget(targetPhotoId) {
+  const { rows } = await pool.query(
+    `DELETE FROM target_photos WHERE target_photo_id = $1 RETURNING ${TARGET_COLUMNS}`,
+    [targetPhotoId]
+  );
+  if (rows.length === 0) return null;
+  const target = rows[0];
+  await deleteImageVariants({
+    image_key: target.image_url,
+    medium_key: target.medium_url,
+    thumbnail_key: target.thumbnail_url,
+  });
+  return { ...target, image_url: null, medium_url: null, thumbnail_url: null };
+}
+
+// 라우트에서 CatalogError를 HTTP 응답으로 변환. 처리했으면 true
+function sendCatalogError(res, err) {
+  if (!(err instanceof CatalogError)) return false;
+  res.status(err.status).json({
+    error: err.message,
+    code: err.code,
+    ...(err.duplicate_of ? { duplicate_of: err.duplicate_of } : {}),
+  });
+  return true;
+}
+
+module.exports = {
+  TARGET_DUPLICATE_SIMILARITY,
+  CatalogError,
+  validateTargetFields,
+  findNearDuplicate,
+  createTarget,
+  listTargets,
+  getTarget,
+  updateTarget,
+  deleteTarget,
+  sendCatalogError,
+};
@@ -0,0 +1,24 @@
+// test/animal-lookalike.test.js
+// /predict 응답 해석 — 쓸 수 있는 결과가 없으면 캐시하지 않도록 오류
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+require('./support').installFakePool();
+const { parsePredictions } = require('../animal-lookalike');
+const { EmbeddingUpstreamError } = require('../embedding-client');
+
+test('확률 내림차순으로 정리한다', () => {
+  const predictions = parsePredictions({ probabilities: { cat: 0.2, dog: 0.7, fox: 'x' } });
+  assert.deepEqual(predictions, [
+    { animal: 'dog', probability: 0.7 },
+    { animal: 'cat', probability: 0.2 },
+  ]);
+});
+
+test('모든 항목이 걸러지면 EmbeddingUpstreamError', () => {
+  assert.throws(
+    () => parsePredictions({ predictions: [{ class: 3, confidence: 0.9 }, { label: 'cat' }] }),
+    err => err instanceof EmbeddingUpstreamError && err.code === 'bad_prediction'
+  );
+  assert.throws(() => parsePredictions({ predictions: [] }), EmbeddingUpstreamError);
+});
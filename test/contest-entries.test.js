@@ -0,0 +1,157 @@
+// test/contest-entries.test.js
+// 콘테스트 참가 규칙 — 최대 참가 수, 다시 내기(가장 오래된 참가 바꾸기), 얼굴 신뢰도, 참가 기간
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakePool, startServer } = require('./support');
+
+const pool = installFakePool();
+const app = require('../server');
+const { submitContestEntry } = require('../contest-entries');
+
+const USER_ID = 7;
+const CONTEST_ID = 3;
+
+let contest;
+let photo;
+let entries;
+let server;
+
+before(async () => {
+  server = await startServer(app);
+});
+
+after(async () => {
+  await server.close();
+});
+
+// contests / user_photos / contest_entries를 메모리에서 흉내 낸다
+beforeEach(() => {
+  contest = {
+    contest_id: CONTEST_ID,
+    status: 'open',
+    accepting: true,
+    max_entries_per_user: 1,
+    replace_on_resubmit: true,
+    min_face_confidence: null,
+  };
+  photo = { user_photo_id: 40, status: 'ready', selected_face_id: 400, confidence: 0.95, cosine: 0.6 };
+  entries = [];
+  pool.reset();
+  pool
+    .on(/AS can_enter, m\.status AS member_status/, ([id]) => (
+      Number(id) === contest.contest_id ? [{ ...contest, can_enter: true, member_status: null }] : []
+    ))
+    .on(/AS accepting\s+FROM contests/, ([id]) => (Number(id) === contest.contest_id ? [contest] : []))
+    .on(/FROM user_photos p\s+JOIN contests c/, ([userPhotoId, userId]) => (
+      Number(userPhotoId) === photo.user_photo_id && userId === USER_ID ? [photo] : []
+    ))
+    .on(/^SELECT contest_entry_id, user_photo_id, similarity_score FROM contest_entries/, ([contestId, userId]) => entries
+      .filter(e => e.contest_id === contestId && e.user_id === userId))
+    .on(/^DELETE FROM contest_entries WHERE contest_entry_id = ANY/, ([ids]) => {
+      entries = entries.filter(e => !ids.includes(e.contest_entry_id));
+      return [];
+    })
+    .on(/^INSERT INTO contest_entries/, ([contestId, userId, userPhotoId, photoFaceId, score]) => {
+      const entry = {
+        contest_entry_id: 100 + entries.length + 1,
+        contest_id: contestId,
+        user_id: userId,
+        user_photo_id: userPhotoId,
+        photo_face_id: photoFaceId,
+        similarity_score: score,
+      };
+      entries.push(entry);
+      return [entry];
+    });
+});
+
+function enter(userPhotoId, contestId = CONTEST_ID) {
+  return submitContestEntry(USER_ID, contestId, userPhotoId);
+}
+
+// 다른 사진으로 이미 낸 참가 기록 (오래된 순)
+function addPrevious(...userPhotoIds) {
+  for (const userPhotoId of userPhotoIds) {
+    entries.push({ contest_entry_id: entries.length + 1, contest_id: CONTEST_ID, user_id: USER_ID, user_photo_id: userPhotoId });
+  }
+}
+
+test('참가하면 선택된 얼굴과 유사도로 기록한다', async () => {
+  const { entry, replaced_entry_id } = await enter(40);
+  assert.equal(entry.photo_face_id, 400);
+  assert.equal(entry.similarity_score, 0.6);
+  assert.equal(replaced_entry_id, null);
+  // 같은 사용자의 동시 참가는 advisory lock으로 줄 세운다
+  assert.match(pool.queries.find(q => q.sql !== 'BEGIN').sql, /pg_advisory_xact_lock/);
+});
+
+test('한도에 닿으면 replace_on_resubmit=false는 409 entry_limit_reached', async () => {
+  contest.replace_on_resubmit = false;
+  addPrevious(41);
+  await assert.rejects(enter(40), { code: 'entry_limit_reached', status: 409 });
+  assert.deepEqual(entries.map(e => e.user_photo_id), [41]);
+});
+
+test('한도에 닿으면 가장 오래된 참가를 바꾼다', async () => {
+  contest.max_entries_per_user = 2;
+  addPrevious(41, 42);
+  const { entry, replaced_entry_id } = await enter(40);
+  assert.equal(replaced_entry_id, 1);
+  assert.deepEqual(entries.map(e => e.user_photo_id), [42, 40]);
+  assert.equal(entry.user_photo_id, 40);
+});
+
+test('한도가 줄어 넘친 만큼 오래된 참가부터 지운다', async () => {
+  contest.max_entries_per_user = 2;
+  addPrevious(41, 42, 43);
+  const { replaced_entry_id } = await enter(40);
+  assert.equal(replaced_entry_id, 2);
+  assert.deepEqual(entries.map(e => e.user_photo_id), [43, 40]);
+});
+
+test('한도 안이면 바꾸지 않고 더한다', async () => {
+  contest.max_entries_per_user = 3;
+  addPrevious(41);
+  const { replaced_entry_id } = await enter(40);
+  assert.equal(replaced_entry_id, null);
+  assert.equal(entries.length, 2);
+});
+
+test('같은 사진으로는 다시 참가할 수 없다', async () => {
+  contest.max_entries_per_user = 3;
+  addPrevious(40);
+  await assert.rejects(enter(40), { code: 'already_entered', status: 409 });
+});
+
+test('선택된 얼굴의 신뢰도가 기준보다 낮으면 422', async () => {
+  contest.min_face_confidence = 0.97;
+  await assert.rejects(enter(40), { code: 'face_confidence_too_low', status: 422 });
+  photo.confidence = null;
+  contest.min_face_confidence = 0.1;
+  await assert.rejects(enter(40), { code: 'face_confidence_too_low' });
+});
+
+test('참가 기간이 아니거나 없는 콘테스트, 내 것이 아니거나 처리 중인 사진은 거절한다', async () => {
+  await assert.rejects(enter(40, 99), { code: 'contest_not_found', status: 404 });
+  contest.accepting = false;
+  await assert.rejects(enter(40), { code: 'contest_not_open', status: 409 });
+  contest.accepting = true;
+  await assert.rejects(enter(41), { code: 'photo_not_found', status: 404 });
+  photo.status = 'processing';
+  await assert.rejects(enter(40), { code: 'photo_not_ready', status: 409 });
+  assert.equal(entries.length, 0);
+});
+
+test('라우트: 로그인이 필요하고 id는 정수여야 한다', async () => {
+  const anonymous = await server.request('POST', '/contest_entry_add', { body: { contest_id: CONTEST_ID, user_photo_id: 40 } });
+  assert.equal(anonymous.status, 401);
+
+  const invalid = await server.request('POST', '/contest_entry_add', { userId: USER_ID, body: { contest_id: 'abc', user_photo_id: 40 } });
+  assert.equal(invalid.status, 400);
+
+  const created = await server.request('POST', '/contest_entry_add', { userId: USER_ID, body: { contest_id: CONTEST_ID, user_photo_id: 40 } });
+  assert.equal(created.status, 201);
+  assert.equal(created.body.user_id, USER_ID);
+  assert.equal(created.body.replaced_entry_id, null);
+});
@@ -0,0 +1,149 @@
+// test/contest-lifecycle.test.js
+// 콘테스트 상태 전환 / 일정 변경 라우트 — 허용되는 전환, 일정 조건, 권한, 경로 id 검사
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakePool, startServer } = require('./support');
+
+const pool = installFakePool();
+const app = require('../server');
+
+const CREATOR_ID = 1;
+const OTHER_ID = 2;
+const ADMIN_ID = 3;
+const DAY = 24 * 60 * 60 * 1000;
+
+let server;
+let contests;
+
+before(async () => {
+  server = await startServer(app);
+});
+
+after(async () => {
+  await server.close();
+});
+
+function addContest(fields) {
+  const contest = {
+    contest_id: contests.size + 1,
+    created_by: CREATOR_ID,
+    status: 'draft',
+    start_date: null,
+    end_date: null,
+    ...fields,
+  };
+  contests.set(contest.contest_id, contest);
+  return contest;
+}
+
+// contests 테이블을 메모리에서 흉내 낸다
+beforeEach(() => {
+  contests = new Map();
+  pool.reset();
+  pool
+    .on(/^SELECT \* FROM contests WHERE contest_id = \$1/, ([id]) => (contests.has(Number(id)) ? [{ ...contests.get(Number(id)) }] : []))
+    .on(/^SELECT role FROM users/, ([userId]) => [{ role: userId === ADMIN_ID ? 'admin' : 'user' }])
+    .on(/^UPDATE contests\s+SET status = \$2/, ([id, status]) => {
+      const contest = contests.get(Number(id));
+      const now = new Date();
+      contest.status = status;
+      if (status === 'open') contest.start_date = contest.start_date && contest.start_date < now ? contest.start_date : now;
+      if (status === 'judging') contest.end_date = contest.end_date && contest.end_date < now ? contest.end_date : now;
+      return [{ ...contest }];
+    })
+    .on(/^UPDATE contests SET status = 'finalized'/, ([id]) => {
+      const contest = contests.get(Number(id));
+      contest.status = 'finalized';
+      return [{ ...contest }];
+    })
+    .on(/^UPDATE contests SET start_date = \$2, end_date = \$3/, ([id, startDate, endDate]) => {
+      Object.assign(contests.get(Number(id)), { start_date: startDate, end_date: endDate });
+      return [{ ...contests.get(Number(id)) }];
+    });
+});
+
+function setStatus(contest, status, userId = CREATOR_ID) {
+  return server.request('PATCH', `/contests/${contest.contest_id}/status`, { userId, body: { status } });
+}
+
+test('정수가 아닌 contest_id는 DB에 묻지 않고 400', async () => {
+  for (const id of ['abc', '1.5', '99999999999']) {
+    const res = await server.request('PATCH', `/contests/${id}/status`, { userId: CREATOR_ID, body: { status: 'open' } });
+    assert.equal(res.status, 400, id);
+    assert.equal(res.body.code, 'invalid_id');
+  }
+  assert.ok(!pool.queries.some(q => /contests/.test(q.sql)));
+});
+
+test('없는 콘테스트는 404', async () => {
+  const res = await setStatus({ contest_id: 42 }, 'open');
+  assert.equal(res.status, 404);
+});
+
+test('허용되지 않는 전환은 409 invalid_transition', async () => {
+  const draft = addContest();
+  assert.equal((await setStatus(draft, 'judging')).body.code, 'invalid_transition');
+  for (const status of ['finalized', 'cancelled']) {
+    const done = addContest({ status });
+    const res = await setStatus(done, 'open');
+    assert.equal(res.status, 409);
+    assert.equal(res.body.code, 'invalid_transition');
+  }
+});
+
+test('알 수 없는 status는 400 invalid_status', async () => {
+  const res = await setStatus(addContest(), 'paused');
+  assert.equal(res.status, 400);
+  assert.equal(res.body.code, 'invalid_status');
+});
+
+test('예약에는 시작 / 종료일이, 열기에는 지나지 않은 종료일이 필요하다', async () => {
+  const draft = addContest();
+  assert.equal((await setStatus(draft, 'scheduled')).body.code, 'schedule_required');
+  assert.equal((await setStatus(draft, 'open')).body.code, 'schedule_required');
+
+  const ended = addContest({ end_date: new Date(Date.now() - DAY) });
+  assert.equal((await setStatus(ended, 'open')).body.code, 'schedule_required');
+
+  const ready = addContest({ start_date: new Date(Date.now() + DAY), end_date: new Date(Date.now() + 2 * DAY) });
+  const res = await setStatus(ready, 'open');
+  assert.equal(res.status, 200);
+  assert.equal(res.body.contest.status, 'open');
+  // 미래의 시작일은 지금으로 당긴다
+  assert.ok(new Date(res.body.contest.start_date) <= new Date());
+});
+
+test('judging으로 닫으면 종료일을 당기고 바로 확정한다', async () => {
+  const open = addContest({ status: 'open', start_date: new Date(Date.now() - DAY), end_date: new Date(Date.now() + DAY) });
+  const res = await setStatus(open, 'judging');
+  assert.equal(res.status, 200);
+  assert.equal(res.body.contest.status, 'finalized');
+  assert.ok(contests.get(open.contest_id).end_date <= new Date());
+});
+
+test('만든 사람이나 관리자가 아니면 403, 관리자는 바꿀 수 있다', async () => {
+  const draft = addContest();
+  const denied = await setStatus(draft, 'cancelled', OTHER_ID);
+  assert.equal(denied.status, 403);
+  assert.equal(denied.body.code, 'forbidden');
+  assert.equal(contests.get(draft.contest_id).status, 'draft');
+
+  const allowed = await setStatus(draft, 'cancelled', ADMIN_ID);
+  assert.equal(allowed.status, 200);
+  assert.equal(allowed.body.contest.status, 'cancelled');
+});
+
+test('진행 중인 콘테스트는 종료일만 바꿀 수 있다', async () => {
+  const open = addContest({ status: 'open', start_date: new Date(Date.now() - DAY), end_date: new Date(Date.now() + DAY) });
+  const path = `/contests/${open.contest_id}/schedule`;
+
+  const moved = await server.request('PATCH', path, { userId: CREATOR_ID, body: { start_date: new Date().toISOString() } });
+  assert.equal(moved.status, 409);
+  assert.equal(moved.body.code, 'invalid_schedule');
+
+  const endDate = new Date(Date.now() + 3 * DAY).toISOString();
+  const extended = await server.request('PATCH', path, { userId: CREATOR_ID, body: { end_date: endDate } });
+  assert.equal(extended.status, 200);
+  assert.equal(extended.body.contest.end_date, endDate);
+});
@@ -0,0 +1,89 @@
+// test/contest-management.test.js
+// 콘테스트 관리 — 만든 사람 / 관리자 확인(assertCanManageContest), 비공개 콘테스트 참가 권한, 경로 id 검증
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakePool, startServer } = require('./support');
+
+const pool = installFakePool();
+const app = require('../server');
+
+const CREATOR_ID = 1;
+const OTHER_ID = 2;
+
+let server;
+let contest;
+
+before(async () => {
+  server = await startServer(app);
+});
+
+after(async () => {
+  await server.close();
+});
+
+beforeEach(() => {
+  contest = { contest_id: 7, created_by: CREATOR_ID, status: 'open', visibility: 'invite', invite_code: 'OLDCODE1' };
+  pool.reset();
+  pool
+    .on(/^SELECT \* FROM contests WHERE contest_id = \$1/, ([id]) => (Number(id) === contest.contest_id ? [contest] : []))
+    .on(/^SELECT role FROM users/, () => [{ role: 'user' }])
+    .on(/^UPDATE contests SET invite_code/, ([, code]) => [{ ...contest, invite_code: code }])
+    .on(/^UPDATE contests SET visibility/, ([, visibility, code]) => [{ ...contest, visibility, invite_code: code }]);
+});
+
+test('만든 사람은 초대 코드를 새로 만들 수 있다', async () => {
+  const res = await server.request('POST', '/contests/7/invite-code', { userId: CREATOR_ID });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.contest_id, 7);
+  assert.match(res.body.invite_code, /^[\w-]{8}$/);
+  assert.notEqual(res.body.invite_code, 'OLDCODE1');
+});
+
+test('만든 사람이 아니면 공개 범위를 바꿀 수 없다', async () => {
+  const res = await server.request('PATCH', '/contests/7/visibility', { userId: OTHER_ID, body: { visibility: 'public' } });
+  assert.equal(res.status, 403);
+  assert.equal(res.body.code, 'forbidden');
+  assert.ok(!pool.queries.some(q => /^UPDATE contests/.test(q.sql)));
+});
+
+test('관리자는 다른 사람의 콘테스트 공개 범위를 바꿀 수 있다', async () => {
+  pool.reset();
+  pool
+    .on(/^SELECT \* FROM contests WHERE contest_id = \$1/, () => [contest])
+    .on(/^SELECT role FROM users/, () => [{ role: 'admin' }])
+    .on(/^UPDATE contests SET visibility/, ([, visibility, code]) => [{ ...contest, visibility, invite_code: code }]);
+  const res = await server.request('PATCH', '/contests/7/visibility', { userId: OTHER_ID, body: { visibility: 'public' } });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.contest.visibility, 'public');
+  assert.equal(res.body.contest.invite_code, null);
+});
+
+test('비공개 콘테스트는 가입한 사람만 참가 / 투표할 수 있고, 내보낸 사람은 막는다', async () => {
+  const { assertCanEnterContest } = require('../contest-members');
+  let visible = { ...contest, can_enter: false, member_status: null };
+  pool.on(/AS can_enter, m\.status AS member_status/, () => (visible ? [visible] : []));
+
+  await assert.rejects(assertCanEnterContest(7, OTHER_ID), { code: 'not_a_member', status: 403 });
+  visible = { ...visible, member_status: 'removed' };
+  await assert.rejects(assertCanEnterContest(7, OTHER_ID), { code: 'removed_from_contest', status: 403 });
+  visible = null;
+  await assert.rejects(assertCanEnterContest(7, OTHER_ID), { code: 'contest_not_found', status: 404 });
+  visible = { ...contest, can_enter: true, member_status: 'joined' };
+  assert.equal((await assertCanEnterContest(7, OTHER_ID)).contest_id, 7);
+});
+
+test('라우트: 정수가 아닌 콘테스트 id는 400', async () => {
+  for (const [method, path] of [
+    ['POST', '/contests/abc/join'],
+    ['GET', '/contests/1.5/members'],
+    ['PATCH', '/contests/7x/visibility'],
+    ['POST', '/contests/-1/invite-code'],
+    ['DELETE', '/contests/7/members/me'],
+  ]) {
+    const res = await server.request(method, path, { userId: CREATOR_ID, body: method === 'GET' ? undefined : {} });
+    assert.equal(res.status, 400, `${method} ${path}`);
+    assert.equal(res.body.code, 'invalid_id');
+  }
+  assert.equal(pool.queries.filter(q => /contests/.test(q.sql)).length, 0);
+});
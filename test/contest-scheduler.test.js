@@ -0,0 +1,48 @@
+// test/contest-scheduler.test.js
+// 콘테스트 스케줄러 — 열기 / 닫기 / 확정을 한 번 돌린 결과
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakePool } = require('./support');
+
+const pool = installFakePool();
+const { runContestSchedule, startContestScheduler } = require('../contest-scheduler');
+
+let judging;
+
+beforeEach(() => {
+  judging = [];
+  pool.reset();
+  pool
+    .on(/SET status = 'open', opened_at = NOW\(\)\s+WHERE status = 'scheduled' AND start_date <= NOW\(\)/, () => [{ contest_id: 1 }])
+    .on(/SET status = 'judging', closed_at = NOW\(\)\s+WHERE status = 'open' AND end_date <= NOW\(\)/, () => {
+      judging.push(2, 3);
+      return [{ contest_id: 2 }, { contest_id: 3 }];
+    })
+    // 확정할 때마다 judging 콘테스트를 하나씩 잠가서 꺼낸다
+    .on(/WHERE status = 'judging'[\s\S]*FOR UPDATE SKIP LOCKED/, () => (judging.length ? [{ contest_id: judging[0] }] : []))
+    .on(/SET status = 'finalized'/, ([id]) => {
+      judging = judging.filter(c => c !== id);
+      return [{ contest_id: id, status: 'finalized' }];
+    });
+});
+
+test('시작일이 된 콘테스트를 열고, 끝난 콘테스트를 닫아 확정한다', async () => {
+  const result = await runContestSchedule();
+  assert.deepEqual(result, { opened: [1], closed: [2, 3], finalized: [2, 3] });
+  // 확정은 콘테스트마다 트랜잭션 하나
+  assert.equal(pool.queries.filter(q => q.sql === 'BEGIN').length, 3);
+  assert.equal(pool.queries.filter(q => q.sql === 'COMMIT').length, 3);
+});
+
+test('할 일이 없으면 빈 목록', async () => {
+  pool.reset();
+  assert.deepEqual(await runContestSchedule(), { opened: [], closed: [], finalized: [] });
+});
+
+test('stop()은 돌던 실행이 끝나기를 기다린 뒤 멈춘다', async () => {
+  const scheduler = startContestScheduler({ pollMs: 60000 });
+  await scheduler.stop();
+  const runs = pool.queries.filter(q => /WHERE status = 'scheduled'/.test(q.sql)).length;
+  assert.equal(runs, 1);
+});
@@ -0,0 +1,73 @@
+// test/contest-targets.test.js
+// 콘테스트 대상 이미지 관리 라우트 — 만든 사람 / 관리자만, 바뀌면 참가 기록을 다시 채점한다
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakePool, startServer } = require('./support');
+
+const pool = installFakePool();
+const app = require('../server');
+
+const CREATOR_ID = 1;
+const OTHER_ID = 2;
+
+let server;
+let contest;
+
+before(async () => {
+  server = await startServer(app);
+});
+
+after(async () => {
+  await server.close();
+});
+
+beforeEach(() => {
+  contest = { contest_id: 7, created_by: CREATOR_ID, status: 'draft', target_aggregation: 'mean_embedding' };
+  pool.reset();
+  pool
+    .on(/^SELECT \* FROM contests WHERE contest_id = \$1/, () => [contest])
+    .on(/^SELECT role FROM users/, () => [{ role: 'user' }])
+    .on(/^UPDATE contests SET target_aggregation/, ([, aggregation]) => [{ ...contest, target_aggregation: aggregation }])
+    .on(/^DELETE FROM contest_targets/, ([targetId]) => [{
+      contest_target_id: Number(targetId),
+      contest_id: contest.contest_id,
+      image_url: 'contests/a.jpg',
+      medium_url: 'contests/a_medium.jpg',
+      thumbnail_url: 'contests/a_thumb.jpg',
+      embedding: '[0]',
+    }])
+    .on(/COUNT\(\*\)::int AS count FROM contest_targets/, () => [{ count: 1 }])
+    .on(/UPDATE contest_entries e/, () => [{}, {}]);
+});
+
+test('만든 사람은 유사도를 모으는 방식을 바꾸고 참가 기록을 다시 채점한다', async () => {
+  const res = await server.request('PATCH', '/contests/7/targets', {
+    userId: CREATOR_ID,
+    body: { target_aggregation: 'max_similarity' },
+  });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.contest.target_aggregation, 'max_similarity');
+  assert.equal(res.body.rescored_entries, 2);
+});
+
+test('만든 사람은 draft 콘테스트의 대상 이미지를 지울 수 있다', async () => {
+  const res = await server.request('DELETE', '/contests/7/targets/3', { userId: CREATOR_ID });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.removed.contest_target_id, 3);
+  assert.equal(res.body.rescored_entries, 2);
+});
+
+test('만든 사람이 아니면 대상 이미지를 지울 수 없다', async () => {
+  const res = await server.request('DELETE', '/contests/7/targets/3', { userId: OTHER_ID });
+  assert.equal(res.status, 403);
+  assert.equal(res.body.code, 'forbidden');
+  assert.ok(!pool.queries.some(q => /^DELETE FROM contest_targets/.test(q.sql)));
+});
+
+test('정수가 아닌 대상 이미지 id는 400', async () => {
+  const res = await server.request('DELETE', '/contests/7/targets/first', { userId: CREATOR_ID });
+  assert.equal(res.status, 400);
+  assert.equal(res.body.code, 'invalid_id');
+  assert.ok(!pool.queries.some(q => /contest/.test(q.sql)));
+});
@@ -0,0 +1,112 @@
+// test/contest-votes.test.js
+// 콘테스트 투표 — votes / blend 콘테스트만, 열린 동안만, 참가 기록마다 한 표, 자기 기록 불가
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakePool, startServer } = require('./support');
+
+const pool = installFakePool();
+const app = require('../server');
+const { voteForEntry, unvoteEntry } = require('../contest-votes');
+const { parseEntryRules } = require('../contests');
+
+const CONTEST_ID = 3;
+const OWNER_ID = 7;
+const VOTER_ID = 8;
+const ENTRY_ID = 30;
+
+let contest;
+let votes;
+let server;
+
+before(async () => {
+  server = await startServer(app);
+});
+
+after(async () => {
+  await server.close();
+});
+
+// contests / contest_entries / contest_votes를 메모리에서 흉내 낸다
+beforeEach(() => {
+  contest = { contest_id: CONTEST_ID, status: 'open', accepting: true, scoring_mode: 'votes' };
+  votes = [];
+  pool.reset();
+  pool
+    .on(/AS can_enter, m\.status AS member_status/, ([id]) => (
+      Number(id) === contest.contest_id ? [{ ...contest, can_enter: true, member_status: null }] : []
+    ))
+    .on(/AS accepting\s+FROM contests/, ([id]) => (Number(id) === contest.contest_id ? [contest] : []))
+    .on(/^SELECT contest_entry_id, user_id FROM contest_entries/, ([entryId, contestId]) => (
+      Number(entryId) === ENTRY_ID && Number(contestId) === CONTEST_ID ? [{ contest_entry_id: ENTRY_ID, user_id: OWNER_ID }] : []
+    ))
+    .on(/^INSERT INTO contest_votes/, ([entryId, userId]) => {
+      if (votes.some(v => v.entryId === entryId && v.userId === userId)) return [];
+      votes.push({ entryId, userId });
+      return [{}];
+    })
+    .on(/^DELETE FROM contest_votes/, ([entryId, userId]) => {
+      const before = votes.length;
+      votes = votes.filter(v => !(v.entryId === entryId && v.userId === userId));
+      return before === votes.length ? [] : [{}];
+    })
+    .on(/^SELECT COUNT\(\*\)::int AS vote_count FROM contest_votes/, ([entryId]) => [
+      { vote_count: votes.filter(v => v.entryId === entryId).length },
+    ]);
+});
+
+test('투표하면 표 수가 늘고, 취소하면 준다', async () => {
+  assert.deepEqual(await voteForEntry(VOTER_ID, CONTEST_ID, ENTRY_ID), { contest_entry_id: ENTRY_ID, vote_count: 1, voted: true });
+  assert.deepEqual(await voteForEntry(9, CONTEST_ID, ENTRY_ID), { contest_entry_id: ENTRY_ID, vote_count: 2, voted: true });
+  assert.deepEqual(await unvoteEntry(VOTER_ID, CONTEST_ID, ENTRY_ID), { contest_entry_id: ENTRY_ID, vote_count: 1, voted: false });
+});
+
+test('참가 기록마다 한 표만, 투표하지 않은 기록은 취소할 수 없다', async () => {
+  await voteForEntry(VOTER_ID, CONTEST_ID, ENTRY_ID);
+  await assert.rejects(voteForEntry(VOTER_ID, CONTEST_ID, ENTRY_ID), { code: 'already_voted', status: 409 });
+  assert.equal(votes.length, 1);
+  await unvoteEntry(VOTER_ID, CONTEST_ID, ENTRY_ID);
+  await assert.rejects(unvoteEntry(VOTER_ID, CONTEST_ID, ENTRY_ID), { code: 'vote_not_found', status: 404 });
+});
+
+test('자기 참가 기록에는 투표할 수 없다', async () => {
+  await assert.rejects(voteForEntry(OWNER_ID, CONTEST_ID, ENTRY_ID), { code: 'self_vote', status: 403 });
+  assert.equal(votes.length, 0);
+});
+
+test('similarity 콘테스트와 열려 있지 않은 콘테스트는 투표를 받지 않는다', async () => {
+  contest.scoring_mode = 'similarity';
+  await assert.rejects(voteForEntry(VOTER_ID, CONTEST_ID, ENTRY_ID), { code: 'voting_disabled', status: 409 });
+
+  contest.scoring_mode = 'blend';
+  contest.accepting = false;
+  await assert.rejects(voteForEntry(VOTER_ID, CONTEST_ID, ENTRY_ID), { code: 'contest_not_open', status: 409 });
+  await assert.rejects(unvoteEntry(VOTER_ID, CONTEST_ID, ENTRY_ID), { code: 'contest_not_open', status: 409 });
+  assert.equal(votes.length, 0);
+});
+
+test('없는 콘테스트나 이 콘테스트에 없는 참가 기록은 404', async () => {
+  await assert.rejects(voteForEntry(VOTER_ID, 99, ENTRY_ID), { code: 'contest_not_found', status: 404 });
+  await assert.rejects(voteForEntry(VOTER_ID, CONTEST_ID, 31), { code: 'entry_not_found', status: 404 });
+});
+
+test('채점 규칙 검증', () => {
+  assert.deepEqual(parseEntryRules({ scoring_mode: 'blend', vote_weight: '0.3' }), { scoringMode: 'blend', voteWeight: 0.3 });
+  assert.throws(() => parseEntryRules({ scoring_mode: 'likes' }), { code: 'invalid_scoring_mode' });
+  assert.throws(() => parseEntryRules({ vote_weight: '1.5' }), { code: 'invalid_vote_weight' });
+});
+
+test('라우트: 로그인이 필요하고 id는 정수여야 한다', async () => {
+  const path = `/contests/${CONTEST_ID}/entries/${ENTRY_ID}/vote`;
+  assert.equal((await server.request('POST', path)).status, 401);
+  assert.equal((await server.request('POST', `/contests/${CONTEST_ID}/entries/abc/vote`, { userId: VOTER_ID })).status, 400);
+  assert.equal((await server.request('DELETE', `/contests/x/entries/${ENTRY_ID}/vote`, { userId: VOTER_ID })).status, 400);
+
+  const voted = await server.request('POST', path, { userId: VOTER_ID });
+  assert.equal(voted.status, 201);
+  assert.equal(voted.body.vote_count, 1);
+
+  const unvoted = await server.request('DELETE', path, { userId: VOTER_ID });
+  assert.equal(unvoted.status, 200);
+  assert.equal(unvoted.body.voted, false);
+});
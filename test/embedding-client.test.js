@@ -0,0 +1,73 @@
+// test/embedding-client.test.js
+// Flask 호출 재시도 + 서킷 브레이커
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const {
+  EmbeddingUpstreamError,
+  EmbeddingUnavailableError,
+  createCircuitBreaker,
+  createEmbeddingClient,
+} = require('../embedding-client');
+
+const originalPost = axios.post;
+
+afterEach(() => {
+  axios.post = originalPost;
+});
+
+function failWith(status, calls) {
+  axios.post = async () => {
+    calls.push(status);
+    const err = new Error(`Request failed with status code ${status}`);
+    err.response = { status, data: { error: 'boom' } };
+    throw err;
+  };
+}
+
+function flaskClient(breaker) {
+  return createEmbeddingClient({ provider: 'flask', baseUrl: 'http://flask.test', retries: 3, backoffMs: 1, breaker });
+}
+
+test('재시도 중에 서킷이 열리면 circuit_open 대신 실제 오류를 던진다', async () => {
+  const calls = [];
+  failWith(500, calls);
+  const client = flaskClient(createCircuitBreaker({ threshold: 2, cooldownMs: 60000 }));
+  await assert.rejects(client.call('/embedding', Buffer.from('image')), (err) => {
+    assert.ok(err instanceof EmbeddingUpstreamError);
+    assert.notEqual(err.code, 'circuit_open');
+    return true;
+  });
+  // 서킷이 열린 뒤에는 더 보내지 않는다
+  assert.equal(calls.length, 2);
+});
+
+test('이미 열린 서킷은 요청을 보내지 않고 circuit_open', async () => {
+  const calls = [];
+  failWith(500, calls);
+  const breaker = createCircuitBreaker({ threshold: 1, cooldownMs: 60000 });
+  breaker.failure();
+  await assert.rejects(flaskClient(breaker).call('/embedding', Buffer.from('image')), (err) => {
+    assert.ok(err instanceof EmbeddingUnavailableError);
+    assert.equal(err.code, 'circuit_open');
+    return true;
+  });
+  assert.equal(calls.length, 0);
+});
+
+test('EMBEDDING_RETRIES가 정수가 아니면 기본 재시도 횟수(2)를 쓴다', async (t) => {
+  const saved = process.env.EMBEDDING_RETRIES;
+  t.after(() => {
+    if (saved === undefined) delete process.env.EMBEDDING_RETRIES;
+    else process.env.EMBEDDING_RETRIES = saved;
+  });
+  for (const value of ['', 'abc']) {
+    process.env.EMBEDDING_RETRIES = value;
+    const calls = [];
+    failWith(500, calls);
+    const client = createEmbeddingClient({ provider: 'flask', baseUrl: 'http://flask.test', backoffMs: 1 });
+    await assert.rejects(client.call('/embedding', Buffer.from('image')), EmbeddingUpstreamError);
+    assert.equal(calls.length, 3, `EMBEDDING_RETRIES=${JSON.stringify(value)}`);
+  }
+});
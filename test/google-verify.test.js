@@ -0,0 +1,116 @@
+// test/google-verify.test.js
+// Google ID 토큰 검증 — 로컬 JWKS 서버로 서명 / aud / iss / exp / email_verified / kid 재조회 간격 확인
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const jwt = require('jsonwebtoken');
+const { GoogleTokenError, createGoogleVerifier } = require('../google-verify');
+
+const AUDIENCE = 'test-client.apps.googleusercontent.com';
+const ISSUER = 'https://accounts.google.com';
+
+function createKey(kid) {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  return { kid, privateKey, jwk: { ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' } };
+}
+
+const current = createKey('key-1');
+const rotated = createKey('key-2');
+
+// JWKS 서버: published에 있는 키만 내려주고 요청 수를 센다
+let published;
+let jwksRequests;
+let server;
+let jwksUri;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    jwksRequests += 1;
+    res.writeHead(200, { 'Content-Type': 'application/json', 'Cache-Control': 'public, max-age=3600' });
+    res.end(JSON.stringify({ keys: published.map(k => k.jwk) }));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  jwksUri = `http://127.0.0.1:${server.address().port}/certs`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  published = [current];
+  jwksRequests = 0;
+});
+
+function verifier() {
+  return createGoogleVerifier({ jwksUri, audience: AUDIENCE, issuers: [ISSUER] });
+}
+
+function sign(claims = {}, { key = current, kid = key.kid, expiresIn = '1h' } = {}) {
+  const payload = { sub: '1234567890', email: 'tester@example.com', email_verified: true, ...claims };
+  return jwt.sign(payload, key.privateKey, { algorithm: 'RS256', keyid: kid, audience: AUDIENCE, issuer: ISSUER, expiresIn });
+}
+
+function rejectsWith(code) {
+  return (err) => {
+    assert.ok(err instanceof GoogleTokenError);
+    assert.equal(err.code, code);
+    return true;
+  };
+}
+
+test('JWKS 키로 서명된 토큰은 통과한다', async () => {
+  const payload = await verifier().verify(sign());
+  assert.equal(payload.sub, '1234567890');
+  assert.equal(jwksRequests, 1);
+});
+
+test('다른 키로 서명하고 kid만 맞춘 토큰은 거부한다', async () => {
+  const forged = sign({}, { key: rotated, kid: current.kid });
+  await assert.rejects(verifier().verify(forged), rejectsWith('invalid'));
+});
+
+test('aud나 iss가 다르면 거부한다', async () => {
+  const v = verifier();
+  const wrongAudience = jwt.sign({ sub: '1' }, current.privateKey, {
+    algorithm: 'RS256', keyid: current.kid, audience: 'someone-else', issuer: ISSUER, expiresIn: '1h',
+  });
+  const wrongIssuer = jwt.sign({ sub: '1' }, current.privateKey, {
+    algorithm: 'RS256', keyid: current.kid, audience: AUDIENCE, issuer: 'https://evil.example.com', expiresIn: '1h',
+  });
+  await assert.rejects(v.verify(wrongAudience), rejectsWith('invalid'));
+  await assert.rejects(v.verify(wrongIssuer), rejectsWith('invalid'));
+});
+
+test('만료된 토큰은 expired', async () => {
+  const expired = sign({ iat: Math.floor(Date.now() / 1000) - 7200 }, { expiresIn: '1h' });
+  await assert.rejects(verifier().verify(expired), rejectsWith('expired'));
+});
+
+test('email_verified가 false면 거부한다', async () => {
+  await assert.rejects(verifier().verify(sign({ email_verified: false })), rejectsWith('email_unverified'));
+  await assert.rejects(verifier().verify(sign({ email_verified: 'false' })), rejectsWith('email_unverified'));
+});
+
+test('모르는 kid로는 최소 간격 안에 JWKS를 다시 받지 않는다', async () => {
+  const v = verifier();
+  await v.verify(sign());
+  assert.equal(jwksRequests, 1);
+
+  // 구글이 키를 교체했지만 방금 받았으므로 다시 받지 않는다 (위조 kid로 JWKS를 두드리는 것 방지)
+  published = [current, rotated];
+  await assert.rejects(v.verify(sign({}, { key: rotated })), rejectsWith('unknown_kid'));
+  await assert.rejects(v.verify(sign({}, { kid: 'made-up' })), rejectsWith('unknown_kid'));
+  assert.equal(jwksRequests, 1);
+
+  // 간격(30초)이 지나면 한 번 다시 받아 새 키로 검증한다
+  const realNow = Date.now;
+  Date.now = () => realNow() + 31 * 1000;
+  try {
+    const payload = await v.verify(sign({}, { key: rotated }));
+    assert.equal(payload.sub, '1234567890');
+    assert.equal(jwksRequests, 2);
+  } finally {
+    Date.now = realNow;
+  }
+});
@@ -0,0 +1,115 @@
+// test/leaderboard.test.js
+// 콘테스트 순위표 — 동점 순위(standard / dense), percentile, 페이지, 내 순위
+//
+// 순위 계산(RANK / DENSE_RANK / CUME_DIST)은 Postgres가 하므로, 가짜 풀은 윈도 함수가 돌려줄 행을 그대로 돌려준다.
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakePool, startServer } = require('./support');
+
+const pool = installFakePool();
+const app = require('../server');
+const { parseLeaderboardOptions, getLeaderboard } = require('../leaderboard');
+
+const CONTEST_ID = 5;
+
+// 사용자별 최고 기록: 0.9, 0.9(동점), 0.8, 0.7
+const RANKED = [
+  { position: 1, standard_rank: 1, dense_rank: 1, cume_dist: 1, user_id: 11, similarity_score: 0.9 },
+  { position: 2, standard_rank: 1, dense_rank: 1, cume_dist: 1, user_id: 12, similarity_score: 0.9 },
+  { position: 3, standard_rank: 3, dense_rank: 2, cume_dist: 0.5, user_id: 13, similarity_score: 0.8 },
+  { position: 4, standard_rank: 4, dense_rank: 3, cume_dist: 0.25, user_id: 14, similarity_score: 0.7 },
+].map(row => ({
+  ...row,
+  total: 4,
+  contest_entry_id: row.user_id * 10,
+  nickname: `user${row.user_id}`,
+  profile_image_url: null,
+  user_photo_id: row.user_id * 100,
+  thumbnail_url: null,
+  score: (row.similarity_score + 1) / 2,
+  vote_count: 0,
+  voted: false,
+  submitted_at: new Date('2026-01-01T00:00:00Z'),
+}));
+
+let contest;
+let server;
+
+before(async () => {
+  server = await startServer(app);
+});
+
+after(async () => {
+  await server.close();
+});
+
+beforeEach(() => {
+  contest = { contest_id: CONTEST_ID, created_by: 1, status: 'open' };
+  pool.reset();
+  pool
+    .on(/AS can_enter, m\.status AS member_status/, ([id, userId]) => (
+      Number(id) === contest.contest_id && (contest.status !== 'draft' || userId === contest.created_by) ? [contest] : []
+    ))
+    .on(/WHERE r\.position > \$3/, ([, , after, limit]) => RANKED.filter(r => r.position > after).slice(0, limit))
+    .on(/WHERE r\.user_id = \$2/, ([, userId]) => RANKED.filter(r => r.user_id === userId))
+    .on(/COUNT\(DISTINCT user_id\)/, () => [{ total: RANKED.length }]);
+});
+
+test('standard는 동점 다음 순위를 건너뛰고, dense는 잇는다', async () => {
+  const standard = await getLeaderboard(CONTEST_ID, { ranking: 'standard' });
+  const dense = await getLeaderboard(CONTEST_ID, { ranking: 'dense' });
+  assert.deepEqual(standard.items.map(i => i.rank), [1, 1, 3, 4]);
+  assert.deepEqual(dense.items.map(i => i.rank), [1, 1, 2, 3]);
+  assert.equal(standard.total_participants, 4);
+});
+
+test('percentile은 내 점수 이하인 참가자 비율 (1등 = 100)', async () => {
+  const { items } = await getLeaderboard(CONTEST_ID);
+  assert.deepEqual(items.map(i => i.percentile), [100, 100, 50, 25]);
+  assert.equal(items[2].similarity_percent, 90);
+});
+
+test('position 커서로 다음 페이지를 이어 읽는다', async () => {
+  const first = await getLeaderboard(CONTEST_ID, { limit: 3 });
+  assert.deepEqual(first.items.map(i => i.user_id), [11, 12, 13]);
+  assert.equal(first.next_cursor, 3);
+
+  const second = await getLeaderboard(CONTEST_ID, { limit: 3, after: first.next_cursor });
+  assert.deepEqual(second.items.map(i => i.user_id), [14]);
+  assert.equal(second.next_cursor, null);
+});
+
+test('me는 내 순위, 참가하지 않았으면 null', async () => {
+  const mine = await getLeaderboard(CONTEST_ID, { ranking: 'dense', userId: 13 });
+  assert.equal(mine.me.rank, 2);
+  assert.equal(mine.me.percentile, 50);
+
+  const outsider = await getLeaderboard(CONTEST_ID, { userId: 99 });
+  assert.equal(outsider.me, null);
+});
+
+test('빈 페이지면 참가자 수를 따로 센다', async () => {
+  const empty = await getLeaderboard(CONTEST_ID, { after: 4 });
+  assert.deepEqual(empty.items, []);
+  assert.equal(empty.total_participants, 4);
+});
+
+test('옵션 검증', () => {
+  assert.deepEqual(parseLeaderboardOptions({}), { ranking: 'standard', limit: 20, after: 0 });
+  assert.throws(() => parseLeaderboardOptions({ ranking: 'olympic' }), { code: 'invalid_ranking' });
+  assert.throws(() => parseLeaderboardOptions({ limit: '101' }), { code: 'invalid_limit' });
+  assert.throws(() => parseLeaderboardOptions({ cursor: '-1' }), { code: 'invalid_cursor' });
+});
+
+test('라우트: 정수가 아닌 id는 400, 남의 draft는 404', async () => {
+  assert.equal((await server.request('GET', '/contests/abc/leaderboard', { userId: 2 })).status, 400);
+
+  contest.status = 'draft';
+  assert.equal((await server.request('GET', `/contests/${CONTEST_ID}/leaderboard`, { userId: 2 })).status, 404);
+
+  const own = await server.request('GET', `/contests/${CONTEST_ID}/leaderboard?ranking=dense`, { userId: 1 });
+  assert.equal(own.status, 200);
+  assert.equal(own.body.status, 'draft');
+  assert.deepEqual(own.body.items.map(i => i.rank), [1, 1, 2, 3]);
+});
@@ -0,0 +1,58 @@
+// test/lookalike-search.test.js
+// 닮은 대상 검색의 인덱스 조정 — ef_search는 limit + 1 이상, 필터 / 커서가 있으면 반복 스캔(또는 정확한 검색)
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakePool } = require('./support');
+
+const pool = installFakePool();
+const embedding = Array.from({ length: 4 }, (_, i) => i / 4);
+
+let extversion;
+
+beforeEach(() => {
+  extversion = '0.8.0';
+  pool.reset();
+  pool
+    .on(/FROM pg_extension/, () => [{ extversion }])
+    .on(/WITH candidates/, () => []);
+});
+
+// vector-index.js는 pgvector 버전을 한 번만 물으므로 버전마다 모듈을 새로 읽는다
+function loadSearch() {
+  for (const name of ['../lookalike', '../vector-index']) delete require.cache[require.resolve(name)];
+  return require('../lookalike').searchTargets;
+}
+
+function efSearch() {
+  const tuning = pool.queries.find(q => /set_config\('hnsw\.ef_search'/.test(q.sql));
+  return Number(tuning.params[0]);
+}
+
+const ran = pattern => pool.queries.some(q => pattern.test(q.sql));
+
+test('limit이 ef_search보다 크면 ef_search를 limit + 1로 올린다', async () => {
+  const searchTargets = loadSearch();
+  await searchTargets(embedding, { limit: 50 });
+  assert.equal(efSearch(), 51);
+  assert.ok(!ran(/iterative_scan/));
+  assert.ok(!ran(/enable_indexscan/));
+});
+
+test('type 필터가 있으면 반복 스캔으로 조건에 맞는 행을 채운다 (pgvector 0.8 이상)', async () => {
+  const searchTargets = loadSearch();
+  await searchTargets(embedding, { type: 'animal', limit: 10 });
+  assert.equal(efSearch(), 40);
+  assert.ok(ran(/set_config\('hnsw\.iterative_scan', 'strict_order'/));
+  const search = pool.queries.find(q => /WITH candidates/.test(q.sql));
+  assert.equal(search.params[1], 'animal');
+  assert.equal(search.params[5], 11);
+});
+
+test('반복 스캔이 없는 pgvector에서는 필터 / 커서가 있는 검색을 정확한 검색으로 한다', async () => {
+  extversion = '0.7.4';
+  const searchTargets = loadSearch();
+  await searchTargets(embedding, { cursor: { distance: 0.2, id: 3 }, limit: 10 });
+  assert.ok(ran(/SET LOCAL enable_indexscan = off/));
+  assert.ok(!ran(/iterative_scan/));
+});
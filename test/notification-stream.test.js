@@ -0,0 +1,172 @@
+// test/notification-stream.test.js
+// 실시간 알림 — 이벤트 번호 매기기, Last-Event-ID로 이어 받기 / reset, 알림 변경과 이벤트를 한 트랜잭션으로
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakePool, startServer, accessToken } = require('./support');
+
+const pool = installFakePool();
+const app = require('../server');
+const { publishEvents } = require('../notification-stream');
+const { setNotificationsRead, deleteNotification } = require('../notifications');
+
+const USER_ID = 4;
+const EVENT_COUNT = 1200; // REPLAY_BATCH(500)를 여러 번 넘긴다
+
+let events;
+let server;
+
+before(async () => {
+  server = await startServer(app);
+});
+
+after(async () => {
+  await server.close();
+});
+
+// notification_events (event_id 1 ~ EVENT_COUNT)와 presence를 흉내 낸다. bigint는 pg처럼 문자열로 돌려준다
+beforeEach(() => {
+  events = Array.from({ length: EVENT_COUNT }, (_, i) => ({
+    event_id: String(i + 1),
+    type: 'notification',
+    data: { notification_id: i + 1 },
+  }));
+  pool.reset();
+  pool
+    .on(/MIN\(event_id\) AS oldest/, () => [{
+      oldest: events[0]?.event_id ?? null,
+      latest: events.at(-1)?.event_id ?? '0',
+    }])
+    .on(/FROM notification_events\s+WHERE user_id = \$1 AND event_id > \$2/, ([userId, after, limit]) => (
+      userId === USER_ID ? events.filter(e => BigInt(e.event_id) > BigInt(after)).slice(0, limit) : []
+    ))
+    .on(/AS connected/, () => [{ is_online: true, connected: true }]);
+});
+
+// 스트림을 열고 until(받은 이벤트 목록)이 참이 될 때까지 읽는다. 반환: { status, events: [{ id, event, data }] }
+async function readStream(headers, until) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), 5000);
+  try {
+    const res = await fetch(`${server.url}/notifications/stream`, {
+      headers: { Authorization: `Bearer ${accessToken(USER_ID)}`, ...headers },
+      signal: controller.signal,
+    });
+    if (res.status !== 200) return { status: res.status, events: [] };
+    const received = [];
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for await (const chunk of res.body) {
+      buffer += decoder.decode(chunk, { stream: true });
+      let end;
+      while ((end = buffer.indexOf('\n\n')) !== -1) {
+        const block = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        const fields = Object.fromEntries(block.split('\n').map(line => {
+          const i = line.indexOf(': ');
+          return [line.slice(0, i), line.slice(i + 2)];
+        }));
+        if (fields.event) received.push({ id: fields.id, event: fields.event, data: JSON.parse(fields.data) });
+      }
+      if (until(received)) break;
+    }
+    return { status: res.status, events: received };
+  } finally {
+    clearTimeout(timer);
+    controller.abort();
+  }
+}
+
+const lastIs = id => received => received.at(-1)?.id === id;
+
+test('Last-Event-ID가 없으면 지금부터 받는다', async () => {
+  const { events: received } = await readStream({}, received => received.some(e => e.event === 'ready'));
+  assert.deepEqual(received.map(e => [e.event, e.id]), [['ready', String(EVENT_COUNT)]]);
+  assert.equal(received[0].data.last_event_id, String(EVENT_COUNT));
+});
+
+test('Last-Event-ID 뒤의 이벤트를 빠짐없이 순서대로 이어 받는다', async () => {
+  const { events: received } = await readStream({ 'Last-Event-ID': '5' }, lastIs(String(EVENT_COUNT)));
+  assert.deepEqual(received[0], { id: '5', event: 'ready', data: received[0].data });
+  const ids = received.slice(1).map(e => Number(e.id));
+  assert.equal(ids.length, EVENT_COUNT - 5);
+  assert.ok(ids.every((id, i) => id === i + 6));
+  assert.deepEqual(received[1].data, { notification_id: 6 });
+});
+
+test('보관 기간이 지난 위치면 reset을 보내고 지금부터 받는다', async () => {
+  events = events.slice(100); // 101번부터 남아 있다
+  const { events: received } = await readStream({ 'Last-Event-ID': '50' }, received => received.some(e => e.event === 'ready'));
+  assert.deepEqual(received.map(e => [e.event, e.id]), [['reset', String(EVENT_COUNT)], ['ready', String(EVENT_COUNT)]]);
+
+  // 가장 오래된 이벤트 바로 앞(100)까지는 이어 받을 수 있다
+  const resumed = await readStream({ 'Last-Event-ID': '100' }, lastIs(String(EVENT_COUNT)));
+  assert.equal(resumed.events[0].event, 'ready');
+  assert.equal(resumed.events[1].id, '101');
+});
+
+test('Last-Event-ID가 숫자가 아니면 400', async () => {
+  const { status } = await readStream({ 'Last-Event-ID': 'abc' }, () => true);
+  assert.equal(status, 400);
+});
+
+test('이벤트 번호는 사용자별 잠금을 user_id 순으로 잡고 받는다', async () => {
+  pool.reset();
+  pool.on(/INSERT INTO notification_events/, ([userIds]) => [...new Set(userIds)].sort((a, b) => a - b).map(user_id => ({ user_id })));
+  await publishEvents(pool, [9, 3, 9], 'presence', { user_id: 1, is_online: true });
+
+  const [insert, ...notifies] = pool.queries;
+  assert.match(insert.sql, /pg_advisory_xact_lock\(\(\$4::bigint << 32\) \| user_id\)/);
+  assert.match(insert.sql, /SELECT DISTINCT unnest\(\$1::int\[\]\) AS user_id ORDER BY 1/);
+  assert.deepEqual(insert.params.slice(0, 3), [[9, 3, 9], 'presence', '{"user_id":1,"is_online":true}']);
+  assert.deepEqual(notifies.map(q => q.params), [['notification_events', '3'], ['notification_events', '9']]);
+
+  await assert.rejects(publishEvents(pool, [1], 'unknown', {}), /알 수 없는 이벤트 종류/);
+});
+
+test('읽음 처리 / 삭제는 알림 변경과 이벤트를 한 트랜잭션으로 한다', async () => {
+  pool.reset();
+  pool
+    .on(/^UPDATE notifications/, () => [{ notification_id: 1 }, { notification_id: 2 }])
+    .on(/^DELETE FROM notifications/, ([id]) => [{ notification_id: Number(id), user_id: USER_ID }])
+    .on(/INSERT INTO notification_events/, () => [{ user_id: USER_ID }]);
+
+  assert.deepEqual(await setNotificationsRead(USER_ID, null), [1, 2]);
+  assert.equal((await deleteNotification(7, { userId: USER_ID })).notification_id, 7);
+  const sqls = pool.queries.map(q => q.sql.trim().split(/\s+/)[0]);
+  assert.deepEqual(sqls, ['BEGIN', 'UPDATE', 'WITH', 'SELECT', 'COMMIT', 'BEGIN', 'DELETE', 'WITH', 'SELECT', 'COMMIT']);
+});
+
+test('이벤트를 남기지 못하면 읽음 처리도 되돌린다', async () => {
+  pool.reset();
+  pool
+    .on(/^UPDATE notifications/, () => [{ notification_id: 1 }])
+    .on(/INSERT INTO notification_events/, () => { throw new Error('boom'); });
+
+  await assert.rejects(setNotificationsRead(USER_ID, [1]), /boom/);
+  assert.deepEqual(pool.queries.map(q => q.sql.trim().split(/\s+/)[0]), ['BEGIN', 'UPDATE', 'WITH', 'ROLLBACK']);
+});
+
+test('라우트: 알림 삭제는 로그인이 필요하고, 지운 것이 없으면 404', async () => {
+  pool.reset();
+  pool.on(/^DELETE FROM notifications/, ([id, userId]) => (
+    Number(id) === 7 && userId === USER_ID ? [{ notification_id: 7, user_id: USER_ID }] : []
+  ));
+
+  assert.equal((await server.request('POST', '/notification_delete', { body: { notification_id: 7 } })).status, 401);
+  assert.equal((await server.request('POST', '/notification_delete', { userId: 5, body: { notification_id: 7 } })).status, 404);
+  const deleted = await server.request('POST', '/notification_delete', { userId: USER_ID, body: { notification_id: 7 } });
+  assert.equal(deleted.status, 200);
+  assert.equal(deleted.body.notification_id, 7);
+});
+
+test('라우트: /userupdate는 로그인한 본인 정보만 고친다', async () => {
+  pool.reset();
+  pool.on(/^UPDATE users SET/, (params) => [{ user_id: params.at(-1), nickname: params[0] }]);
+
+  assert.equal((await server.request('PATCH', '/userupdate', { body: { userid: USER_ID, nickname: 'x' } })).status, 401);
+  const res = await server.request('PATCH', '/userupdate', { userId: USER_ID, body: { userid: 99, nickname: 'new' } });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body, { user_id: USER_ID, nickname: 'new' });
+  assert.ok(!pool.queries.some(q => /is_online/.test(q.sql)));
+});
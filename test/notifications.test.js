@@ -0,0 +1,254 @@
+// test/notifications.test.js
+// 알림 — 종류별 메시지(언어), 중복 알림 건너뛰기, 친구 요청 라우트(요청 / 응답 / 삭제)
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakePool, startServer } = require('./support');
+
+const pool = installFakePool();
+const app = require('../server');
+const {
+  parseLocale,
+  renderMessage,
+  presentNotification,
+  createNotification,
+  notifyContestFinalized,
+  notifyScoreBeaten,
+} = require('../notifications');
+
+const ALICE = 1;
+const BOB = 2;
+const CAROL = 3;
+
+let users;
+let friendships;
+let notifications;
+let insertError;
+let server;
+
+before(async () => {
+  server = await startServer(app);
+});
+
+after(async () => {
+  await server.close();
+});
+
+// users / friendships / notifications를 메모리에서 흉내 낸다
+beforeEach(() => {
+  users = new Map([[ALICE, 'alice'], [BOB, 'bob'], [CAROL, 'carol']]);
+  friendships = [];
+  notifications = [];
+  insertError = null;
+  pool.reset();
+  pool
+    .on(/^SELECT user_id FROM users WHERE user_id = ANY/, ([ids]) => ids.filter(id => users.has(id)).map(user_id => ({ user_id })))
+    .on(/^SELECT nickname FROM users/, ([id]) => [{ nickname: users.get(id) }])
+    .on(/WHERE \(\(requester_user_id = \$1 AND receiver_user_id = \$2\)/, ([a, b]) => {
+      friendships = friendships.filter(f => !(isPair(f, a, b) && f.status === 'rejected'));
+      return [];
+    })
+    .on(/^SELECT friendships_id, status FROM friendships/, ([a, b]) => friendships.filter(f => isPair(f, a, b)))
+    .on(/^INSERT INTO friendships/, ([requester, receiver]) => {
+      if (insertError) throw insertError;
+      const row = {
+        friendships_id: friendships.length + 10,
+        requester_user_id: requester,
+        receiver_user_id: receiver,
+        status: 'pending',
+        responded_at: null,
+      };
+      friendships.push(row);
+      return [row];
+    })
+    .on(/^UPDATE friendships/, ([status, id, userId]) => {
+      const row = friendships.find(f => f.friendships_id === Number(id) && f.receiver_user_id === userId && f.status === 'pending');
+      if (!row) return [];
+      Object.assign(row, { status, responded_at: new Date() });
+      return [row];
+    })
+    .on(/^SELECT status FROM friendships/, ([id, userId]) => (
+      friendships.filter(f => f.friendships_id === Number(id) && f.receiver_user_id === userId)
+    ))
+    .on(/WHERE requester_user_id=\$1 AND receiver_user_id=\$2/, ([requester, receiver]) => {
+      const removed = friendships.filter(f => f.requester_user_id === requester && f.receiver_user_id === receiver);
+      friendships = friendships.filter(f => !removed.includes(f));
+      return removed;
+    })
+    .on(/WITH inserted AS/, ([userId, kind, actorUserId, targetType, targetId, params, message, , dedupe]) => {
+      const duplicate = notifications.some(n => (
+        n.user_id === userId && n.kind === kind && !n.is_read && n.target_type === targetType && n.target_id === targetId
+      ));
+      if (dedupe && duplicate) return [];
+      const row = {
+        notification_id: notifications.length + 1,
+        user_id: userId,
+        kind,
+        actor_user_id: actorUserId,
+        target_type: targetType,
+        target_id: targetId,
+        params: JSON.parse(params),
+        message,
+        is_read: false,
+        actor_nickname: users.get(actorUserId) ?? null,
+      };
+      notifications.push(row);
+      return [row];
+    })
+    .on(/INSERT INTO notification_events/, ([userIds]) => userIds.map(user_id => ({ user_id })));
+});
+
+function isPair(f, a, b) {
+  return (f.requester_user_id === a && f.receiver_user_id === b) || (f.requester_user_id === b && f.receiver_user_id === a);
+}
+
+function addFriendship(requester, receiver, status) {
+  const row = { friendships_id: friendships.length + 10, requester_user_id: requester, receiver_user_id: receiver, status };
+  friendships.push(row);
+  return row;
+}
+
+const eventUsers = () => pool.queries.filter(q => /INSERT INTO notification_events/.test(q.sql)).map(q => q.params[0][0]);
+
+test('메시지는 종류별 템플릿을 요청 언어로 만들고, actor는 지금 닉네임을 쓴다', () => {
+  const row = {
+    notification_id: 1,
+    kind: 'contest_score_beaten',
+    actor_user_id: BOB,
+    actor_nickname: 'bob2',
+    target_type: 'contest',
+    target_id: 5,
+    params: { contest: 'Spring', actor: 'bob' },
+    is_read: false,
+  };
+  assert.equal(presentNotification(row).message, "bob2님이 'Spring' 콘테스트에서 내 점수를 넘었습니다.");
+  assert.equal(presentNotification(row, 'en').message, "bob2 beat your score in the contest 'Spring'.");
+  assert.deepEqual(presentNotification(row).actor, { user_id: BOB, nickname: 'bob2', profile_image_url: null });
+  assert.deepEqual(presentNotification(row).target, { type: 'contest', id: 5 });
+
+  assert.equal(renderMessage('contest_finalized', { contest: 'Spring', rank: 2, total: 9 }, 'en'),
+    "The contest 'Spring' has ended. You placed 2 of 9.");
+  assert.equal(renderMessage('friend_request_received', { actor: 'bob' }, 'fr'), 'bob님이 친구 요청을 보냈습니다.');
+
+  const legacy = presentNotification({ notification_id: 2, kind: 'legacy', message: '예전 메시지', params: {} }, 'en');
+  assert.equal(legacy.message, '예전 메시지');
+  assert.equal(legacy.actor, null);
+});
+
+test('언어는 ?locale=, Accept-Language 순으로 고르고 없으면 기본 언어', () => {
+  const req = (query, acceptLanguage) => ({ query, get: () => acceptLanguage });
+  assert.equal(parseLocale(req({ locale: 'en' }, 'ko')), 'en');
+  assert.equal(parseLocale(req({}, 'fr-FR, en-US;q=0.8')), 'en');
+  assert.equal(parseLocale(req({}, 'fr')), 'ko');
+});
+
+test('알 수 없는 종류는 만들지 않는다', async () => {
+  await assert.rejects(createNotification({ userId: ALICE, kind: 'poke' }), /알 수 없는 알림 종류/);
+  assert.equal(notifications.length, 0);
+});
+
+test('client 없이 만들면 알림과 이벤트를 한 트랜잭션으로 기록한다', async () => {
+  const created = await createNotification({ userId: ALICE, kind: 'contest_opened', targetType: 'contest', targetId: 5, params: { contest: 'Spring' } });
+  assert.equal(created.message, "'Spring' 콘테스트가 열렸습니다.");
+  const sqls = pool.queries.map(q => q.sql.trim().split(/\s+/)[0]);
+  assert.deepEqual(sqls, ['BEGIN', 'WITH', 'WITH', 'SELECT', 'COMMIT']);
+});
+
+test('점수 추월 알림은 같은 콘테스트의 읽지 않은 알림이 있으면 다시 보내지 않는다', async () => {
+  pool.on(/^SELECT user_id\s+FROM contest_entries/, () => [{ user_id: CAROL }, { user_id: BOB }]);
+  const contest = { contest_id: 5, title: 'Spring' };
+  const entry = { contest_entry_id: 40, user_id: ALICE, similarity_score: 0.9 };
+
+  await notifyScoreBeaten({ contest, entry }, pool);
+  assert.deepEqual(notifications.map(n => n.user_id), [BOB, CAROL]); // 잠금 순서(user_id 순)로 만든다
+  assert.deepEqual(notifications[0].params, { contest: 'Spring', actor: 'alice', contest_entry_id: 40 });
+
+  await notifyScoreBeaten({ contest, entry: { ...entry, contest_entry_id: 41 } }, pool);
+  assert.equal(notifications.length, 2);
+  assert.deepEqual(eventUsers(), [BOB, CAROL]);
+
+  notifications[0].is_read = true;
+  await notifyScoreBeaten({ contest, entry }, pool);
+  assert.deepEqual(notifications.map(n => n.user_id), [BOB, CAROL, BOB]);
+});
+
+test('콘테스트 종료 알림은 참가자마다 순위를 담아 user_id 순으로 만든다', async () => {
+  pool.on(/SELECT r\.user_id, r\.standard_rank::int AS rank/, () => [
+    { user_id: CAROL, rank: 1, total: 2 },
+    { user_id: ALICE, rank: 2, total: 2 },
+  ]);
+  await notifyContestFinalized({ contest_id: 5, title: 'Spring' }, pool);
+  assert.deepEqual(notifications.map(n => [n.user_id, n.params.rank]), [[ALICE, 2], [CAROL, 1]]);
+  assert.equal(notifications[0].message, "'Spring' 콘테스트가 끝났습니다. 2명 중 2등입니다.");
+});
+
+test('친구 요청: 로그인한 사용자가 pending으로 보내고 받은 사람에게 알린다', async () => {
+  assert.equal((await server.request('POST', '/friendship_add', { body: { receiver_user_id: BOB } })).status, 401);
+  assert.equal((await server.request('POST', '/friendship_add', { userId: ALICE, body: { receiver_user_id: ALICE } })).status, 400);
+  assert.equal((await server.request('POST', '/friendship_add', { userId: ALICE, body: { receiver_user_id: 99 } })).status, 404);
+
+  const res = await server.request('POST', '/friendship_add', { userId: ALICE, body: { receiver_user_id: BOB, status: 'accepted' } });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.requester_user_id, ALICE);
+  assert.equal(res.body.status, 'pending');
+  assert.deepEqual(notifications.map(n => [n.user_id, n.kind, n.actor_user_id]), [[BOB, 'friend_request_received', ALICE]]);
+  assert.equal(pool.queries.at(-1).sql, 'COMMIT');
+});
+
+test('친구 요청: 어느 방향이든 pending / accepted 관계가 있으면 409, rejected면 새로 요청한다', async () => {
+  addFriendship(BOB, ALICE, 'pending');
+  const pending = await server.request('POST', '/friendship_add', { userId: ALICE, body: { receiver_user_id: BOB } });
+  assert.equal(pending.status, 409);
+  assert.equal(pending.body.code, 'friendship_exists');
+
+  friendships[0].status = 'accepted';
+  assert.equal((await server.request('POST', '/friendship_add', { userId: BOB, body: { receiver_user_id: ALICE } })).status, 409);
+  assert.equal(friendships.length, 1);
+  assert.equal(notifications.length, 0);
+
+  friendships[0].status = 'rejected';
+  const again = await server.request('POST', '/friendship_add', { userId: ALICE, body: { receiver_user_id: BOB } });
+  assert.equal(again.status, 200);
+  assert.deepEqual(friendships.map(f => [f.requester_user_id, f.status]), [[ALICE, 'pending']]);
+});
+
+test('친구 요청: DB 오류는 내부 정보를 내보내지 않는다', async () => {
+  insertError = Object.assign(new Error('duplicate key value'), { code: '23505', constraint: 'friendships_pair_key', detail: 'Key (...)' });
+  const res = await server.request('POST', '/friendship_add', { userId: ALICE, body: { receiver_user_id: CAROL } });
+  assert.equal(res.status, 500);
+  assert.deepEqual(res.body, { error: 'DB 저장 중 오류 발생' });
+  assert.equal(pool.queries.at(-1).sql, 'ROLLBACK');
+});
+
+test('친구 요청 응답: 받은 사람만, pending일 때만', async () => {
+  const request = addFriendship(ALICE, BOB, 'pending');
+  const path = `/friendship/${request.friendships_id}`;
+
+  assert.equal((await server.request('PATCH', '/friendship/abc', { userId: BOB, body: { status: 'accepted' } })).status, 400);
+  assert.equal((await server.request('PATCH', path, { userId: ALICE, body: { status: 'accepted' } })).status, 404);
+  assert.equal((await server.request('PATCH', path, { userId: BOB, body: { status: 'maybe' } })).status, 400);
+
+  const accepted = await server.request('PATCH', path, { userId: BOB, body: { status: 'accepted' } });
+  assert.equal(accepted.status, 200);
+  assert.equal(accepted.body.status, 'accepted');
+  assert.deepEqual(notifications.map(n => [n.user_id, n.kind, n.actor_user_id]), [[ALICE, 'friend_request_accepted', BOB]]);
+
+  const again = await server.request('PATCH', path, { userId: BOB, body: { status: 'rejected' } });
+  assert.equal(again.status, 409);
+  assert.equal(again.body.code, 'friendship_not_pending');
+  assert.equal(request.status, 'accepted');
+});
+
+test('친구 관계 삭제: 두 사람 중 한 명만', async () => {
+  addFriendship(ALICE, BOB, 'accepted');
+  const body = { requester_user_id: ALICE, receiver_user_id: BOB };
+
+  assert.equal((await server.request('DELETE', '/friendship_delete', { body })).status, 401);
+  assert.equal((await server.request('DELETE', '/friendship_delete', { userId: CAROL, body })).status, 403);
+  assert.equal(friendships.length, 1);
+
+  const deleted = await server.request('DELETE', '/friendship_delete', { userId: BOB, body });
+  assert.equal(deleted.status, 200);
+  assert.equal(friendships.length, 0);
+  assert.equal((await server.request('DELETE', '/friendship_delete', { userId: BOB, body })).status, 404);
+});
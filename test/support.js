@@ -0,0 +1,82 @@
+// test/support.js
+// 테스트용 도구 — DB 없이 db.js를 쓰는 모듈과 server.js의 app을 돌린다
+//
+// db.js 대신 가짜 풀을 require 캐시에 넣어 두므로, 이 파일을 테스트할 모듈(server.js 포함)보다 먼저 require해야 한다.
+// 가짜 풀은 on(정규식, 응답 함수)로 등록한 것 중 SQL에 처음 맞는 응답을 돌려주고, 맞는 것이 없으면 빈 결과를 돌려준다.
+
+const Module = require('module');
+const jwt = require('jsonwebtoken');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+// 테스트가 따로 등록하지 않으면 쓰는 응답
+const DEFAULT_HANDLERS = [
+  // 로그인 세션은 늘 살아 있다고 본다 (tokens.js isSessionActive)
+  { match: /^SELECT 1 FROM refresh_tokens/, respond: () => [{ '?column?': 1 }] },
+];
+
+function createFakePool() {
+  const handlers = [];
+  const queries = [];
+  const query = async (text, params = []) => {
+    const sql = typeof text === 'string' ? text : text.text;
+    queries.push({ sql, params });
+    const handler = handlers.find(h => h.match.test(sql)) || DEFAULT_HANDLERS.find(h => h.match.test(sql));
+    const rows = handler ? await handler.respond(params, sql) : [];
+    return { rows, rowCount: rows.length };
+  };
+  return {
+    queries,
+    on(match, respond) {
+      handlers.push({ match, respond });
+      return this;
+    },
+    reset() {
+      handlers.length = 0;
+      queries.length = 0;
+    },
+    query,
+    connect: async () => ({ query, release() {} }),
+    end: async () => {},
+  };
+}
+
+function installFakePool() {
+  const pool = createFakePool();
+  const id = require.resolve('../db');
+  const fake = new Module(id, module);
+  fake.filename = id;
+  fake.loaded = true;
+  fake.exports = pool;
+  require.cache[id] = fake;
+  return pool;
+}
+
+// app을 임의 포트로 띄운다. 반환: { url, request(method, path, { userId, body }), close() }
+async function startServer(app) {
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, '127.0.0.1', () => resolve(s));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+  return {
+    url: base,
+    async request(method, path, { userId, body } = {}) {
+      const headers = {};
+      if (userId !== undefined) headers.Authorization = `Bearer ${accessToken(userId)}`;
+      if (body !== undefined) headers['Content-Type'] = 'application/json';
+      const res = await fetch(base + path, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+      return { status: res.status, body: await res.json() };
+    },
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+}
+
+function accessToken(userId) {
+  return jwt.sign({ id: userId, nickname: `user${userId}`, sid: `session-${userId}` }, process.env.JWT_SECRET);
+}
+
+module.exports = {
+  installFakePool,
+  startServer,
+  accessToken,
+};
@@ -0,0 +1,105 @@
+// test/tokens.test.js
+// refresh token 회전 / 재사용 감지와 폐기된 세션의 access token
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakePool } = require('./support');
+
+const pool = installFakePool();
+const { TokenError, issueTokens, rotateRefreshToken, authenticateToken } = require('../tokens');
+
+const USER = { user_id: 1, nickname: 'tester' };
+
+// refresh_tokens 테이블을 메모리에서 흉내 낸다
+let rows;
+
+beforeEach(() => {
+  rows = [];
+  pool.reset();
+  pool
+    .on(/^INSERT INTO refresh_tokens/, ([userId, familyId, tokenHash, userAgent, ttlDays]) => {
+      const row = {
+        refresh_token_id: rows.length + 1,
+        user_id: userId,
+        family_id: familyId,
+        token_hash: tokenHash,
+        expires_at: new Date(Date.now() + ttlDays * 86400000),
+        revoked_at: null,
+        replaced_by: null,
+      };
+      rows.push(row);
+      return [row];
+    })
+    .on(/FROM refresh_tokens rt/, ([tokenHash]) => rows
+      .filter(r => r.token_hash === tokenHash)
+      .map(r => ({ ...r, nickname: USER.nickname })))
+    .on(/SET revoked_at = NOW\(\), replaced_by = \$1 WHERE refresh_token_id = \$2/, ([replacedBy, id]) => {
+      const row = rows.find(r => r.refresh_token_id === id);
+      Object.assign(row, { revoked_at: new Date(), replaced_by: replacedBy });
+      return [];
+    })
+    .on(/SET revoked_at = NOW\(\) WHERE family_id = \$1 AND revoked_at IS NULL/, ([familyId]) => {
+      const revoked = rows.filter(r => r.family_id === familyId && !r.revoked_at);
+      for (const r of revoked) r.revoked_at = new Date();
+      return revoked;
+    })
+    .on(/^SELECT 1 FROM refresh_tokens/, ([familyId]) => (
+      rows.some(r => r.family_id === familyId && !r.revoked_at && r.expires_at > new Date()) ? [{ '?column?': 1 }] : []
+    ));
+});
+
+// authenticateToken을 요청 / 응답 흉내로 부른다. 반환: { status, user } (통과하면 status는 null)
+async function authenticate(accessToken) {
+  const req = { headers: { authorization: `Bearer ${accessToken}` } };
+  let status = null;
+  const res = {
+    status(code) { status = code; return this; },
+    json() { return this; },
+  };
+  await authenticateToken(req, res, () => {});
+  return { status, user: req.user };
+}
+
+test('회전하면 새 토큰을 주고 쓴 토큰은 폐기한다', async () => {
+  const first = await issueTokens(USER);
+  const second = await rotateRefreshToken(first.refresh_token);
+
+  assert.notEqual(second.refresh_token, first.refresh_token);
+  assert.equal(rows.length, 2);
+  assert.ok(rows[0].revoked_at);
+  assert.equal(rows[0].replaced_by, rows[1].refresh_token_id);
+  assert.equal(rows[1].family_id, rows[0].family_id);
+  assert.equal(rows[1].revoked_at, null);
+});
+
+test('이미 회전된 토큰을 다시 쓰면 그 세션의 토큰을 모두 폐기한다', async () => {
+  const first = await issueTokens(USER);
+  const other = await issueTokens(USER);
+  const second = await rotateRefreshToken(first.refresh_token);
+
+  await assert.rejects(rotateRefreshToken(first.refresh_token), (err) => {
+    assert.ok(err instanceof TokenError);
+    assert.equal(err.code, 'reused');
+    return true;
+  });
+  const family = rows.filter(r => r.family_id === rows[0].family_id);
+  assert.ok(family.every(r => r.revoked_at));
+  // 새로 받은 토큰도 더는 못 쓴다
+  await assert.rejects(rotateRefreshToken(second.refresh_token), { code: 'reused' });
+  // 다른 세션은 그대로
+  assert.ok(await rotateRefreshToken(other.refresh_token));
+});
+
+test('authenticateToken은 폐기된 세션(sid)의 access token을 거부한다', async () => {
+  const first = await issueTokens(USER);
+  const active = await authenticate(first.token);
+  assert.equal(active.status, null);
+  assert.equal(active.user.id, USER.user_id);
+
+  await rotateRefreshToken(first.refresh_token);
+  await assert.rejects(rotateRefreshToken(first.refresh_token), { code: 'reused' });
+
+  const revoked = await authenticate(first.token);
+  assert.equal(revoked.status, 401);
+  assert.equal(revoked.user, undefined);
+});
@@ -0,0 +1,201 @@
+// tokens.js
+// 앱 JWT(access token) + 회전되는 refresh token 발급 / 검증 / 폐기
+//
+// - access token: 수명이 짧은 JWT. sid 클레임에 로그인 세션(refresh token family) id를 담는다.
+// - refresh token: 불투명한 랜덤 문자열. DB에는 SHA-256 해시만 저장한다.
+//   /auth/refresh 때마다 새 토큰으로 교체되고, 이미 교체된 토큰이 다시 쓰이면
+//   탈취로 보고 해당 family 전체를 폐기한다.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const pool = require('./db');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+class TokenError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'TokenError';
+    this.code = code;
+    this.status = 401;
+  }
+}
+
+function hashToken(raw) {
+  return crypto.createHash('sha256').update(raw).digest('hex');
+}
+
+function generateAccessToken(user, sessionId) {
+  const payload = { id: user.user_id, nickname: user.nickname, sid: sessionId };
+  return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+}
+
+async function insertRefreshToken(client, userId, familyId, userAgent) {
+  const raw = crypto.randomBytes(32).toString('base64url');
+  const { rows } = await client.query(
+    `INSERT INTO refresh_tokens (user_id, family_id, token_hash, user_agent, expires_at)
+     VALUES ($1, $2, $3, $4, NOW() + make_interval(days => $5))
+     RETURNING refresh_token_id, expires_at`,
+    [userId, familyId, hashToken(raw), userAgent || null, REFRESH_TOKEN_TTL_DAYS]
+  );
+  return { raw, id: rows[0].refresh_token_id, expiresAt: rows[0].expires_at };
+}
+
+function tokenResponse(user, familyId, refresh) {
+  return {
+    token: generateAccessToken(user, familyId),
+    refresh_token: refresh.raw,
+    refresh_token_expires_at: refresh.expiresAt,
+  };
+}
+
+// 로그인 성공 시 호출 — 새 세션(family)을 만들고 토큰 쌍 발급
+async function issueTokens(user, { userAgent, client = pool } = {}) {
+  const familyId = crypto.randomUUID();
+  const refresh = await insertRefreshToken(client, user.user_id, familyId, userAgent);
+  return tokenResponse(user, familyId, refresh);
+}
+
+// refresh token 회전 — 기존 토큰을 폐기하고 같은 family로 새 토큰 쌍 발급
+async function rotateRefreshToken(rawToken, { userAgent } = {}) {
+  if (!rawToken) throw new TokenError('refresh token이 없습니다.', 'missing');
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows } = await client.query(
+      `SELECT rt.refresh_token_id, rt.user_id, rt.family_id, rt.expires_at, rt.revoked_at,
+              u.nickname
+         FROM refresh_tokens rt
+         JOIN users u ON u.user_id = rt.user_id
+        WHERE rt.token_hash = $1
+        FOR UPDATE OF rt`,
+      [hashToken(rawToken)]
+    );
+    if (rows.length === 0) {
+      await client.query('ROLLBACK');
+      throw new TokenError('유효하지 않은 refresh token입니다.', 'invalid');
+    }
+    const current = rows[0];
+
+    // 이미 교체/폐기된 토큰 재사용 → 세션 전체 폐기
+    if (current.revoked_at) {
+      await client.query(
+        'UPDATE refresh_tokens SET revoked_at = NOW() WHERE family_id = $1 AND revoked_at IS NULL',
+        [current.family_id]
+      );
+      await client.query('COMMIT');
+      throw new TokenError('이미 사용된 refresh token입니다. 다시 로그인해주세요.', 'reused');
+    }
+    if (new Date(current.expires_at) <= new Date()) {
+      await client.query('ROLLBACK');
+      throw new TokenError('refresh token이 만료되었습니다.', 'expired');
+    }
+
+    const refresh = await insertRefreshToken(client, current.user_id, current.family_id, userAgent);
+    await client.query(
+      'UPDATE refresh_tokens SET revoked_at = NOW(), replaced_by = $1 WHERE refresh_token_id = $2',
+      [refresh.id, current.refresh_token_id]
+    );
+    await client.query('COMMIT');
+
+    return tokenResponse(
+      { user_id: current.user_id, nickname: current.nickname },
+      current.family_id,
+      refresh
+    );
+  } catch (err) {
+    if (!(err instanceof TokenError)) await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// 로그아웃 — 한 세션(family) 폐기
+async function revokeSession(sessionId) {
+  const { rowCount } = await pool.query(
+    'UPDATE refresh_tokens SET revoked_at = NOW() WHERE family_id = $1 AND revoked_at IS NULL',
+    [sessionId]
+  );
+  return rowCount;
+}
+
+// 모든 기기에서 로그아웃 — 사용자의 모든 세션 폐기
+async function revokeAllSessions(userId) {
+  const { rowCount } = await pool.query(
+    'UPDATE refresh_tokens SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL',
+    [userId]
+  );
+  return rowCount;
+}
+
+// 세션에 아직 살아있는 refresh token이 하나라도 있어야 access token도 유효
+async function isSessionActive(sessionId) {
+  const { rows } = await pool.query(
+    `SELECT 1 FROM refresh_tokens
+      WHERE family_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+      LIMIT 1`,
+    [sessionId]
+  );
+  return rows.length > 0;
+}
+
+// 인증 미들웨어
+async function authenticateToken(req, res, next) {
+  const auth = req.headers['authorization'];
+  const token = auth && auth.split(' ')[1];
+  if (!token) return res.status(401).json({ message: '토큰이 없습니다.' });
+
+  let payload;
+  try {
+    payload = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    if (err.name === 'TokenExpiredError') {
+      // 만료된 토큰 → 클라이언트는 /auth/refresh 호출
+      return res.status(401).json({ message: '토큰이 만료되었습니다.' });
+    }
+    return res.status(403).json({
+      message: '유효하지 않은 토큰입니다.',
+      error: err.message,       // 예: jwt malformed
+      name:  err.name,          // JsonWebTokenError 등
+    });
+  }
+
+  try {
+    if (!payload.sid || !(await isSessionActive(payload.sid))) {
+      return res.status(401).json({ message: '로그아웃된 세션입니다. 다시 로그인해주세요.' });
+    }
+  } catch (err) {
+    console.error('세션 확인 오류:', err);
+    return res.status(500).json({ message: '인증 처리 중 오류가 발생했습니다.' });
+  }
+
+  req.user = { id: payload.id, nickname: payload.nickname, sessionId: payload.sid };
+  next();
+}
+
+// authenticateToken 뒤에 둔다 — users.role이 admin인 사용자만 통과
+async function requireAdmin(req, res, next) {
+  try {
+    const { rows } = await pool.query('SELECT role FROM users WHERE user_id = $1', [req.user.id]);
+    if (rows[0]?.role !== 'admin') {
+      return res.status(403).json({ message: '관리자만 사용할 수 있습니다.' });
+    }
+  } catch (err) {
+    console.error('관리자 확인 오류:', err);
+    return res.status(500).json({ message: '인증 처리 중 오류가 발생했습니다.' });
+  }
+  next();
+}
+
+module.exports = {
+  TokenError,
+  issueTokens,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  authenticateToken,
+  requireAdmin,
+};
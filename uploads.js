@@ -0,0 +1,79 @@
+// uploads.js
+// 이미지 업로드 미들웨어 — 모든 업로드 라우트가 uploadImage를 거친다
+//
+// multer로 file 필드를 메모리(req.file.buffer)에 받은 뒤 image-pipeline.js로 검사 / 정규화해
+// req.image = { image, medium, thumbnail }에 담는다. 저장은 라우트가 storeImageVariants로 한다.
+// 여러 장을 받는 라우트는 uploadImages(maxCount)를 쓰고, 같은 file 필드의 이미지들이 올린 순서대로 req.images 배열에 담긴다.
+// 파일이 없으면 그냥 통과하므로 파일이 필수인지는 라우트가 확인한다.
+
+const multer = require('multer');
+const { IMAGE_MAX_BYTES, ingestImage, sendImageError } = require('./image-pipeline');
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  // 크기 초과는 multer 단계에서 바로 끊는다
+  limits: { fileSize: IMAGE_MAX_BYTES, files: 1 },
+});
+
+// multer 오류(크기 초과, 다른 필드 이름, 파일 수 초과 등)를 JSON 4xx로
+function handleMulterError(res, next) {
+  return (err) => {
+    if (!err) return next();
+    if (err instanceof multer.MulterError) {
+      const tooLarge = err.code === 'LIMIT_FILE_SIZE';
+      return res.status(tooLarge ? 413 : 400).json({
+        error: tooLarge ? `파일이 너무 큽니다. (최대 ${Math.floor(IMAGE_MAX_BYTES / 1024 / 1024)}MB)` : `업로드 오류: ${err.message}`,
+        code: tooLarge ? 'too_large' : 'bad_upload',
+      });
+    }
+    next(err);
+  };
+}
+
+function receiveFile(req, res, next) {
+  upload.single('file')(req, res, handleMulterError(res, next));
+}
+
+async function ingestFile(req, res, next) {
+  if (!req.file) return next();
+  try {
+    req.image = await ingestImage(req.file.buffer, { mimetype: req.file.mimetype });
+    next();
+  } catch (err) {
+    if (sendImageError(res, err)) return;
+    next(err);
+  }
+}
+
+const uploadImage = [receiveFile, ingestFile];
+
+// 여러 장 받기 (file 필드 최대 maxCount개) → req.images
+function uploadImages(maxCount) {
+  const uploadMany = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: IMAGE_MAX_BYTES, files: maxCount },
+  });
+  const receiveFiles = (req, res, next) => {
+    uploadMany.array('file', maxCount)(req, res, handleMulterError(res, next));
+  };
+  // 메모리를 생각해 한 장씩 처리한다
+  const ingestFiles = async (req, res, next) => {
+    if (!req.files || req.files.length === 0) return next();
+    try {
+      req.images = [];
+      for (const file of req.files) {
+        req.images.push(await ingestImage(file.buffer, { mimetype: file.mimetype }));
+      }
+      next();
+    } catch (err) {
+      if (sendImageError(res, err)) return;
+      next(err);
+    }
+  };
+  return [receiveFiles, ingestFiles];
+}
+
+module.exports = {
+  uploadImage,
+  uploadImages,
+};
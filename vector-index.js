@@ -0,0 +1,339 @@
+// vector-index.js
+// pgvector ANN 인덱스 관리 + 검색 파라미터 조정 + recall / 지연 시간 벤치마크
+//
+//   VECTOR_INDEX_METHOD=hnsw     HNSW (기본값, 데이터가 늘어도 재구축 불필요)
+//   VECTOR_INDEX_METHOD=ivfflat  IVFFlat (빌드가 빠르고 작지만, 데이터가 크게 늘면 재구축해야 한다)
+//
+// 검색 정확도 / 속도 조정: hnsw.ef_search(VECTOR_EF_SEARCH), ivfflat.probes(VECTOR_PROBES).
+// withSearchTuning()은 트랜잭션 안에서 SET LOCAL로 값을 바꾸므로 다른 쿼리에 영향을 주지 않는다.
+//
+// ANN 인덱스 스캔은 후보(HNSW는 ef_search개)를 먼저 고른 뒤에 WHERE 조건을 적용한다.
+// 그래서 ef_search는 늘 돌려줄 행 수(minCandidates) 이상으로 올리고, 필터 / 커서가 있는 검색(filtered)은
+// pgvector 0.8 이상이면 반복 스캔(iterative_scan)으로 조건에 맞는 행이 찰 때까지 더 읽고, 그보다 낮으면 정확한 검색(순차 스캔)을 한다.
+//
+// CLI: node vector-index.js status | rebuild [table] [--method hnsw|ivfflat] | bench [옵션]
+
+const pool = require('./db');
+
+// 인덱스를 관리하는 테이블 — 이름은 0007 마이그레이션과 같다
+const VECTOR_TABLES = {
+  target_photos: { index: 'target_photos_embedding_idx', key: 'target_photo_id' },
+  user_photos: { index: 'user_photos_embedding_idx', key: 'user_photo_id' },
+};
+const METHODS = ['hnsw', 'ivfflat'];
+
+const config = {
+  method: process.env.VECTOR_INDEX_METHOD || 'hnsw',
+  hnswM: parseInt(process.env.HNSW_M, 10) || 16,
+  hnswEfConstruction: parseInt(process.env.HNSW_EF_CONSTRUCTION, 10) || 64,
+  // 비워두면 행 수로 계산 (ivfflatLists)
+  ivfflatLists: parseInt(process.env.IVFFLAT_LISTS, 10) || null,
+  efSearch: parseInt(process.env.VECTOR_EF_SEARCH, 10) || 40,
+  probes: parseInt(process.env.VECTOR_PROBES, 10) || 10,
+};
+// pgvector가 받는 hnsw.ef_search 최댓값
+const MAX_EF_SEARCH = 1000;
+
+// pgvector 권장값: 100만 행까지는 rows / 1000, 그 이상은 sqrt(rows)
+function ivfflatLists(rowCount) {
+  if (config.ivfflatLists) return config.ivfflatLists;
+  const lists = rowCount <= 1000000 ? Math.round(rowCount / 1000) : Math.round(Math.sqrt(rowCount));
+  return Math.max(lists, 10);
+}
+
+function tableConfig(table) {
+  const target = VECTOR_TABLES[table];
+  if (!target) throw new Error(`알 수 없는 테이블: ${table} (${Object.keys(VECTOR_TABLES).join(' | ')})`);
+  return target;
+}
+
+function indexOptions(method, rowCount) {
+  if (method === 'hnsw') return `m = ${config.hnswM}, ef_construction = ${config.hnswEfConstruction}`;
+  if (method === 'ivfflat') return `lists = ${ivfflatLists(rowCount)}`;
+  throw new Error(`알 수 없는 인덱스 방식: ${method} (${METHODS.join(' | ')})`);
+}
+
+async function countVectors(db, table) {
+  const { rows } = await db.query(`SELECT COUNT(*)::int AS count FROM ${table} WHERE embedding_vector IS NOT NULL`);
+  return rows[0].count;
+}
+
+// 인덱스를 새로 만들어 교체한다. CONCURRENTLY로 만들므로 검색 / 쓰기를 막지 않는다.
+// IVFFlat은 만들 때의 데이터로 클러스터를 나누므로 데이터가 크게 늘면 다시 실행해야 한다.
+async function rebuildVectorIndex(table, { method = config.method, db = pool } = {}) {
+  const { index } = tableConfig(table);
+  const rowCount = await countVectors(db, table);
+  const options = indexOptions(method, rowCount);
+  const building = `${index}_new`;
+
+  // 이전에 실패한 빌드가 남긴 INVALID 인덱스 정리
+  await db.query(`DROP INDEX CONCURRENTLY IF EXISTS ${building}`);
+  await db.query(
+    `CREATE INDEX CONCURRENTLY ${building}
+       ON ${table} USING ${method} (embedding_vector vector_cosine_ops)
+       WITH (${options})`
+  );
+  await db.query(`DROP INDEX CONCURRENTLY IF EXISTS ${index}`);
+  await db.query(`ALTER INDEX ${building} RENAME TO ${index}`);
+  return { table, index, method, options, rows: rowCount };
+}
+
+// 관리 대상 인덱스 상태 (방식, 옵션, 크기, 행 수, IVFFlat 재구축 필요 여부)
+async function vectorIndexStatus({ db = pool } = {}) {
+  const status = [];
+  for (const [table, { index }] of Object.entries(VECTOR_TABLES)) {
+    const { rows } = await db.query(
+      `SELECT am.amname AS method, c.reloptions, i.indisvalid AS valid,
+              pg_size_pretty(pg_relation_size(c.oid)) AS size
+         FROM pg_class c
+         JOIN pg_index i ON i.indexrelid = c.oid
+         JOIN pg_am am ON am.oid = c.relam
+        WHERE c.relname = $1`,
+      [index]
+    );
+    const rowCount = await countVectors(db, table);
+    const info = rows[0];
+    const entry = {
+      table,
+      index,
+      method: info?.method ?? null,
+      options: info?.reloptions ?? [],
+      valid: info?.valid ?? false,
+      size: info?.size ?? null,
+      rows: rowCount,
+      needs_rebuild: !info || !info.valid,
+    };
+    if (info?.method === 'ivfflat') {
+      const lists = parseInt((info.reloptions || []).find(o => o.startsWith('lists='))?.slice(6), 10);
+      entry.needs_rebuild ||= !lists || lists * 4 < ivfflatLists(rowCount);
+    }
+    status.push(entry);
+  }
+  return status;
+}
+
+// 설치된 pgvector가 반복 스캔(0.8 이상)을 지원하는지. 확장 버전은 프로세스가 도는 동안 바뀌지 않는다고 보고 한 번만 묻는다
+let iterativeScanSupport = null;
+
+function supportsIterativeScan(client) {
+  iterativeScanSupport ??= client
+    .query("SELECT extversion FROM pg_extension WHERE extname = 'vector'")
+    .then(({ rows }) => {
+      const [major, minor] = (rows[0]?.extversion || '0.0').split('.').map(Number);
+      return major > 0 || minor >= 8;
+    })
+    .catch((err) => {
+      iterativeScanSupport = null;
+      throw err;
+    });
+  return iterativeScanSupport;
+}
+
+// 검색 파라미터를 이 트랜잭션에만 적용하고 fn(client) 실행
+// minCandidates: 돌려받아야 할 행 수 (ef_search를 이보다 작게 두지 않는다)
+// filtered: WHERE에 벡터 거리 말고 다른 조건(필터 / 커서)이 있는 검색
+async function withSearchTuning(fn, { efSearch = config.efSearch, probes = config.probes, minCandidates = 0, filtered = false } = {}) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query(
+      "SELECT set_config('hnsw.ef_search', $1, true), set_config('ivfflat.probes', $2, true)",
+      [String(Math.min(MAX_EF_SEARCH, Math.max(efSearch, minCandidates))), String(probes)]
+    );
+    if (filtered) {
+      if (await supportsIterativeScan(client)) {
+        // HNSW는 거리 순서를 지키고, IVFFlat은 relaxed_order만 있으므로 쿼리에서 다시 정렬해야 한다
+        await client.query(
+          "SELECT set_config('hnsw.iterative_scan', 'strict_order', true), set_config('ivfflat.iterative_scan', 'relaxed_order', true)"
+        );
+      } else {
+        await client.query('SET LOCAL enable_indexscan = off');
+      }
+    }
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  return sorted[Math.min(sorted.length - 1, Math.floor((sorted.length - 1) * p))];
+}
+
+function latencySummary(samples) {
+  const sorted = [...samples].sort((a, b) => a - b);
+  const mean = sorted.reduce((sum, v) => sum + v, 0) / (sorted.length || 1);
+  const round = v => (v === null ? null : Math.round(v * 100) / 100);
+  return { mean_ms: round(mean), p50_ms: round(percentile(sorted, 0.5)), p95_ms: round(percentile(sorted, 0.95)) };
+}
+
+async function timedQuery(client, sql, params) {
+  const start = process.hrtime.bigint();
+  const { rows } = await client.query(sql, params);
+  return { rows, ms: Number(process.hrtime.bigint() - start) / 1e6 };
+}
+
+// 테이블에서 무작위로 고른 벡터를 질의로 써서 인덱스 검색과 정확한 검색(순차 스캔)을 비교한다.
+// type을 주면(target_photos만) 그 종류로 거른 검색을 재므로, 필터 때문에 결과가 k개보다 적게 나오는지 볼 수 있다.
+// 반환: { recall_at_k, exact: {latency}, indexed: {latency}, index_used, short_results, ... }
+async function benchmark({ table = 'target_photos', k = 10, queries = 50, efSearch = config.efSearch, probes = config.probes, type = null } = {}) {
+  const { index, key } = tableConfig(table);
+  if (type !== null && table !== 'target_photos') throw new Error('type 필터는 target_photos에서만 쓸 수 있습니다.');
+  const params = type === null ? [] : [type];
+  const sql = `SELECT ${key} AS id FROM ${table}
+                WHERE embedding_vector IS NOT NULL ${type === null ? '' : 'AND type = $3'}
+                ORDER BY embedding_vector <=> $1
+                LIMIT $2`;
+
+  const sample = await pool.query(
+    `SELECT embedding_vector::text AS vector FROM ${table}
+      WHERE embedding_vector IS NOT NULL
+      ORDER BY random()
+      LIMIT $1`,
+    [queries]
+  );
+  if (sample.rows.length === 0) throw new Error(`${table}에 임베딩이 있는 행이 없습니다.`);
+
+  const exactMs = [];
+  const indexedMs = [];
+  let recallSum = 0;
+  let shortResults = 0;
+  let indexUsed = false;
+
+  for (const [n, { vector }] of sample.rows.entries()) {
+    const exact = await withSearchTuning(async client => {
+      // 인덱스를 끄고 순차 스캔으로 정답을 구한다
+      await client.query('SET LOCAL enable_indexscan = off');
+      return timedQuery(client, sql, [vector, k, ...params]);
+    });
+    const indexed = await withSearchTuning(async client => {
+      if (n === 0) {
+        const plan = await client.query(`EXPLAIN (FORMAT JSON) ${sql}`, [vector, k, ...params]);
+        indexUsed = JSON.stringify(plan.rows[0]).includes(`"Index Name":"${index}"`);
+      }
+      return timedQuery(client, sql, [vector, k, ...params]);
+    }, { efSearch, probes, minCandidates: k, filtered: type !== null });
+
+    const truth = new Set(exact.rows.map(r => r.id));
+    const hits = indexed.rows.filter(r => truth.has(r.id)).length;
+    recallSum += truth.size ? hits / truth.size : 1;
+    // 필터 뒤에 후보가 모자라 정답보다 적게 돌려준 검색
+    if (indexed.rows.length < exact.rows.length) shortResults++;
+    exactMs.push(exact.ms);
+    indexedMs.push(indexed.ms);
+  }
+
+  const exact = latencySummary(exactMs);
+  const indexed = latencySummary(indexedMs);
+  return {
+    table,
+    index,
+    index_used: indexUsed,
+    rows: await countVectors(pool, table),
+    queries: sample.rows.length,
+    k,
+    type,
+    ef_search: Math.min(MAX_EF_SEARCH, Math.max(efSearch, k)),
+    probes,
+    short_results: shortResults,
+    recall_at_k: Math.round((recallSum / sample.rows.length) * 10000) / 10000,
+    exact,
+    indexed,
+    speedup: indexed.mean_ms ? Math.round((exact.mean_ms / indexed.mean_ms) * 100) / 100 : null,
+  };
+}
+
+module.exports = {
+  VECTOR_TABLES,
+  config,
+  ivfflatLists,
+  rebuildVectorIndex,
+  vectorIndexStatus,
+  withSearchTuning,
+  benchmark,
+};
+
+// --name value 형식 옵션 파싱
+function parseFlags(args) {
+  const flags = {};
+  const rest = [];
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith('--')) {
+      const name = args[i].slice(2);
+      const next = args[i + 1];
+      if (next === undefined || next.startsWith('--')) {
+        flags[name] = true;
+      } else {
+        flags[name] = next;
+        i++;
+      }
+    } else {
+      rest.push(args[i]);
+    }
+  }
+  return { flags, rest };
+}
+
+// CLI 진입점
+if (require.main === module) {
+  const [command = 'status', ...args] = process.argv.slice(2);
+  const { flags, rest } = parseFlags(args);
+  const int = (value, fallback) => (value === undefined ? fallback : parseInt(value, 10));
+
+  const run = async () => {
+    switch (command) {
+      case 'status': {
+        for (const s of await vectorIndexStatus()) {
+          const state = s.method ? `${s.method} ${s.options.join(',')} ${s.size}` : '인덱스 없음';
+          console.log(`${s.table}.${s.index}  ${state}  rows=${s.rows}${s.needs_rebuild ? '  (rebuild 필요)' : ''}`);
+        }
+        break;
+      }
+      case 'rebuild': {
+        const tables = rest.length ? rest : Object.keys(VECTOR_TABLES);
+        for (const table of tables) {
+          const result = await rebuildVectorIndex(table, { method: flags.method || config.method });
+          console.log(`✅ ${result.table}.${result.index} → ${result.method} (${result.options}), rows=${result.rows}`);
+        }
+        break;
+      }
+      case 'bench': {
+        const result = await benchmark({
+          table: flags.table || 'target_photos',
+          k: int(flags.k, 10),
+          queries: int(flags.queries, 50),
+          efSearch: int(flags['ef-search'], config.efSearch),
+          probes: int(flags.probes, config.probes),
+          type: flags.type || null,
+        });
+        if (flags.json) {
+          console.log(JSON.stringify(result, null, 2));
+          break;
+        }
+        const filter = result.type === null ? '' : `, type=${result.type}`;
+        console.log(`${result.table} (${result.rows} rows), ${result.queries} queries, k=${result.k}${filter}, ef_search=${result.ef_search}, probes=${result.probes}`);
+        if (!result.index_used) console.log('⚠️  인덱스가 쓰이지 않았습니다. (행 수가 적으면 플래너가 순차 스캔을 고를 수 있습니다)');
+        console.log(`recall@${result.k}: ${result.recall_at_k}`);
+        if (result.short_results) console.log(`⚠️  ${result.short_results}개 검색이 정확한 검색보다 적은 결과를 돌려줬습니다.`);
+        console.log(`exact    mean ${result.exact.mean_ms}ms  p50 ${result.exact.p50_ms}ms  p95 ${result.exact.p95_ms}ms`);
+        console.log(`indexed  mean ${result.indexed.mean_ms}ms  p50 ${result.indexed.p50_ms}ms  p95 ${result.indexed.p95_ms}ms  (x${result.speedup})`);
+        break;
+      }
+      default:
+        throw new Error(`알 수 없는 명령: ${command} (status | rebuild | bench)`);
+    }
+  };
+
+  run()
+    .catch(err => {
+      console.error('❌', err.message);
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
+}